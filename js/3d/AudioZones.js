@@ -0,0 +1,312 @@
+//=============================================================================
+// AudioZones.js - 카메라 존/오디오 존 기반 BGS 레이어, BGM 오버라이드, 필터
+//=============================================================================
+// 플레이어가 존에 들어가면 존의 audio 설정으로 크로스페이드하고, 나오면 맵 기본으로 복원.
+// 존은 cameraZones 또는 _ext.json의 audioZones(카메라와 무관한 오디오 전용 존)에 선언:
+//   "audioZones": [{ "id": 1, "name": "Tavern", "x": 10, "y": 5, "width": 8, "height": 6,
+//                    "priority": 0, "audio": { ... } }]
+//   cameraZones 항목에도 같은 "audio" 객체를 넣을 수 있다.
+//
+// audio 설정:
+//   bgm:          { name, volume, pitch }  BGM 오버라이드 (맵 BGM은 페이드아웃)
+//   bgs:          [{ name, volume, pitch }] 존 안에서 추가로 깔리는 BGS 레이어
+//   mapBgmVolume: 0~100  존 안에서 맵 BGM 볼륨 (기본 100, bgm 오버라이드 시 0)
+//   mapBgsVolume: 0~100  존 안에서 맵 BGS 볼륨 (기본 100)
+//   lowpass:      Hz     맵 BGM/BGS에 거는 로우패스 (실내에서 바깥 소리가 먹먹하게)
+//   fadeTime:     초     크로스페이드 시간 (기본 1.5)
+//
+// 맵 BGM/BGS는 AudioManager가 그대로 관리하고, 출력만 버스(GainNode → BiquadFilter)로
+// 돌려서 볼륨/필터를 WebAudio 자동화(ramp)로 전환한다.
+// 겹치는 존은 priority가 높은 것, 같으면 면적이 작은(안쪽) 존이 우선.
+//
+// 의존: AudioManager, WebAudio(destination)
+//=============================================================================
+
+(function() {
+
+var AudioZones = {};
+window.AudioZones = AudioZones;
+
+AudioZones.config = {
+    enabled: true,
+    fadeTime: 1.5          // audio.fadeTime 미지정 시 크로스페이드 시간 (초)
+};
+
+AudioZones._bgmBus = null;       // 맵 BGM 버스 { input, gain, filter }
+AudioZones._bgsBus = null;       // 맵 BGS 버스
+AudioZones._zoneKey = null;      // 현재 존 ('c2', 'a1'), 없으면 null
+AudioZones._layer = null;        // 현재 존 레이어 { bus, buffers, sources }
+AudioZones._fading = [];         // 페이드아웃 중인 레이어 { layer, frames }
+AudioZones._mapId = 0;
+AudioZones._instant = true;      // 맵 진입 직후 첫 판정은 페이드 없이 적용
+
+//=============================================================================
+// 버스
+//=============================================================================
+
+AudioZones._maxFrequency = function() {
+    return Math.min(20000, WebAudio._context.sampleRate / 2);
+};
+
+AudioZones._createBus = function(initialGain) {
+    var context = WebAudio._context;
+    var gain = context.createGain();
+    var filter = context.createBiquadFilter();
+    gain.gain.setValueAtTime(initialGain, context.currentTime);
+    filter.type = 'lowpass';
+    filter.frequency.setValueAtTime(this._maxFrequency(), context.currentTime);
+    gain.connect(filter);
+    filter.connect(WebAudio._masterGainNode);
+    return { input: gain, gain: gain, filter: filter };
+};
+
+AudioZones._disposeBus = function(bus) {
+    bus.gain.disconnect();
+    bus.filter.disconnect();
+};
+
+/**
+ * 버스 볼륨/로우패스를 duration초에 걸쳐 전환 (0이면 즉시)
+ * @param {Object} bus
+ * @param {Number} gain - 0~1
+ * @param {Number} [frequency] - 로우패스 주파수 (생략 시 유지)
+ * @param {Number} duration
+ */
+AudioZones._rampBus = function(bus, gain, frequency, duration) {
+    var t = WebAudio._context.currentTime;
+    var g = bus.gain.gain;
+    g.cancelScheduledValues(t);
+    if (duration > 0) {
+        g.setValueAtTime(g.value, t);
+        g.linearRampToValueAtTime(gain, t + duration);
+    } else {
+        g.setValueAtTime(gain, t);
+    }
+    if (frequency != null) {
+        var f = bus.filter.frequency;
+        f.cancelScheduledValues(t);
+        if (duration > 0) {
+            // 주파수는 지수 보간이 귀에 자연스럽다
+            f.setValueAtTime(Math.max(10, f.value), t);
+            f.exponentialRampToValueAtTime(Math.max(10, frequency), t + duration);
+        } else {
+            f.setValueAtTime(frequency, t);
+        }
+    }
+};
+
+AudioZones._ensureBuses = function() {
+    if (!this._bgmBus) this._bgmBus = this._createBus(1);
+    if (!this._bgsBus) this._bgsBus = this._createBus(1);
+};
+
+/**
+ * 맵 BGM/BGS(AudioManager 버퍼)의 출력을 버스로 연결
+ * BGM/BGS가 바뀌면 AudioManager가 새 버퍼를 만들므로 매 프레임 확인
+ */
+AudioZones._routeMapAudio = function() {
+    var bgm = AudioManager._bgmBuffer;
+    var bgs = AudioManager._bgsBuffer;
+    if (bgm instanceof WebAudio) bgm.destination = this._bgmBus.input;
+    if (bgs instanceof WebAudio) bgs.destination = this._bgsBus.input;
+};
+
+//=============================================================================
+// 존 판정
+//=============================================================================
+
+/**
+ * audio 설정이 있는 활성 존 목록 (cameraZones + audioZones)
+ * @returns {Array} [{ key, zone }]
+ */
+AudioZones.zones = function() {
+    var list = [];
+    var cameraZones = $gameMap.cameraZones();
+    for (var i = 0; i < cameraZones.length; i++) {
+        var cz = cameraZones[i];
+        if (cz.enabled && cz.audio) list.push({ key: 'c' + cz.id, zone: cz });
+    }
+    var audioZones = ($dataMap && $dataMap.audioZones) || [];
+    for (var j = 0; j < audioZones.length; j++) {
+        var az = audioZones[j];
+        if (az && az.enabled !== false && az.audio) list.push({ key: 'a' + az.id, zone: az });
+    }
+    return list;
+};
+
+AudioZones.findZoneAt = function(x, y) {
+    var zones = this.zones();
+    var best = null;
+    for (var i = 0; i < zones.length; i++) {
+        var z = zones[i].zone;
+        if (x < z.x || x >= z.x + z.width || y < z.y || y >= z.y + z.height) continue;
+        if (!best || this._compareZones(z, best.zone) > 0) best = zones[i];
+    }
+    return best;
+};
+
+AudioZones._compareZones = function(a, b) {
+    var pa = a.priority || 0;
+    var pb = b.priority || 0;
+    if (pa !== pb) return pa - pb;
+    return (b.width * b.height) - (a.width * a.height);
+};
+
+//=============================================================================
+// 레이어 (존 BGM/BGS)
+//=============================================================================
+
+AudioZones._createLayer = function(audio) {
+    var bus = this._createBus(0);
+    var sources = [];
+    if (audio.bgm && audio.bgm.name) sources.push({ folder: 'bgm', audio: audio.bgm });
+    var bgs = audio.bgs ? [].concat(audio.bgs) : [];
+    for (var i = 0; i < bgs.length; i++) {
+        if (bgs[i] && bgs[i].name) sources.push({ folder: 'bgs', audio: bgs[i] });
+    }
+    var buffers = [];
+    for (var j = 0; j < sources.length; j++) {
+        var buffer = AudioManager.createBuffer(sources[j].folder, sources[j].audio.name);
+        buffer.destination = bus.input;
+        buffers.push(buffer);
+    }
+    var layer = { bus: bus, buffers: buffers, sources: sources };
+    this._updateLayerVolumes(layer);
+    for (var k = 0; k < buffers.length; k++) {
+        buffers[k].play(true, 0);
+    }
+    return layer;
+};
+
+AudioZones._updateLayerVolumes = function(layer) {
+    for (var i = 0; i < layer.buffers.length; i++) {
+        var source = layer.sources[i];
+        var configVolume = source.folder === 'bgm' ? AudioManager.bgmVolume : AudioManager.bgsVolume;
+        var buffer = layer.buffers[i];
+        var volume = configVolume * (source.audio.volume != null ? source.audio.volume : 90) / 10000;
+        if (buffer.volume !== volume) buffer.volume = volume;
+        buffer.pitch = (source.audio.pitch || 100) / 100;
+    }
+};
+
+AudioZones._disposeLayer = function(layer) {
+    for (var i = 0; i < layer.buffers.length; i++) {
+        layer.buffers[i].stop();
+    }
+    this._disposeBus(layer.bus);
+};
+
+/**
+ * 존 전환: 이전 레이어 페이드아웃, 새 레이어 페이드인, 맵 BGM/BGS 볼륨/필터 전환
+ * @param {Object} entry - findZoneAt() 결과 (null이면 맵 기본으로 복원)
+ */
+AudioZones._changeZone = function(entry) {
+    var audio = entry ? entry.zone.audio : null;
+    var prevAudio = this._layer ? this._layer.audio : null;
+    var fadeSource = audio || prevAudio;
+    var fade = this._instant ? 0 : (fadeSource && fadeSource.fadeTime != null ?
+        fadeSource.fadeTime : this.config.fadeTime);
+
+    if (this._layer) {
+        this._rampBus(this._layer.bus, 0, null, fade);
+        this._fading.push({ layer: this._layer, frames: Math.ceil(fade * 60) + 1 });
+        this._layer = null;
+    }
+    if (audio) {
+        this._layer = this._createLayer(audio);
+        this._layer.audio = audio;
+        this._rampBus(this._layer.bus, 1, null, fade);
+    }
+
+    var maxFreq = this._maxFrequency();
+    var bgmVolume = 100, bgsVolume = 100, frequency = maxFreq;
+    if (audio) {
+        bgmVolume = audio.mapBgmVolume != null ? audio.mapBgmVolume : (audio.bgm && audio.bgm.name ? 0 : 100);
+        bgsVolume = audio.mapBgsVolume != null ? audio.mapBgsVolume : 100;
+        if (audio.lowpass > 0) frequency = Math.min(audio.lowpass, maxFreq);
+    }
+    this._rampBus(this._bgmBus, bgmVolume / 100, frequency, fade);
+    this._rampBus(this._bgsBus, bgsVolume / 100, frequency, fade);
+    this._zoneKey = entry ? entry.key : null;
+};
+
+//=============================================================================
+// 업데이트 / 초기화
+//=============================================================================
+
+AudioZones.isEnabled = function() {
+    return this.config.enabled && !!WebAudio._context;
+};
+
+AudioZones.update = function() {
+    if (!this.isEnabled() || !$gameMap) return;
+    this._ensureBuses();
+    if (this._mapId !== $gameMap.mapId()) {
+        this.reset();
+        this._mapId = $gameMap.mapId();
+    }
+    this._routeMapAudio();
+
+    var entry = this.findZoneAt($gamePlayer._realX, $gamePlayer._realY);
+    var key = entry ? entry.key : null;
+    var audio = entry ? entry.zone.audio : null;
+    // 같은 존이라도 audio 설정이 런타임에 바뀌면 다시 적용
+    if (key !== this._zoneKey || (this._layer ? this._layer.audio : null) !== audio || this._instant) {
+        this._changeZone(entry);
+    }
+    this._instant = false;
+
+    if (this._layer) this._updateLayerVolumes(this._layer);
+    for (var i = this._fading.length - 1; i >= 0; i--) {
+        if (--this._fading[i].frames <= 0) {
+            this._disposeLayer(this._fading[i].layer);
+            this._fading.splice(i, 1);
+        }
+    }
+};
+
+/**
+ * 존 레이어를 모두 정지하고 맵 BGM/BGS를 즉시 기본 상태(볼륨 100%, 필터 없음)로 복원
+ */
+AudioZones.reset = function() {
+    if (this._layer) {
+        this._disposeLayer(this._layer);
+        this._layer = null;
+    }
+    for (var i = 0; i < this._fading.length; i++) {
+        this._disposeLayer(this._fading[i].layer);
+    }
+    this._fading = [];
+    if (this._bgmBus) this._rampBus(this._bgmBus, 1, this._maxFrequency(), 0);
+    if (this._bgsBus) this._rampBus(this._bgsBus, 1, this._maxFrequency(), 0);
+    this._zoneKey = null;
+    this._instant = true;
+};
+
+//=============================================================================
+// Scene_Map / AudioManager 통합
+//=============================================================================
+
+var _Scene_Map_update = Scene_Map.prototype.update;
+Scene_Map.prototype.update = function() {
+    _Scene_Map_update.call(this);
+    AudioZones.update();
+};
+
+// 전투/타이틀/게임오버로 나갈 때만 정지 (메뉴, 상점 등은 맵 오디오 유지)
+var _Scene_Map_terminate = Scene_Map.prototype.terminate;
+Scene_Map.prototype.terminate = function() {
+    _Scene_Map_terminate.call(this);
+    if (SceneManager.isNextScene(Scene_Battle) || SceneManager.isNextScene(Scene_Title) ||
+            SceneManager.isNextScene(Scene_Gameover)) {
+        AudioZones.reset();
+    }
+};
+
+var _AudioManager_stopAll = AudioManager.stopAll;
+AudioManager.stopAll = function() {
+    _AudioManager_stopAll.call(this);
+    if (AudioZones.isEnabled()) AudioZones.reset();
+};
+
+})();
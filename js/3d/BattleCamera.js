@@ -0,0 +1,378 @@
+//=============================================================================
+// BattleCamera.js - Mode3D 전투 카메라 연출 (행동자 줌인, 전체 공격 시 줌아웃)
+//=============================================================================
+// 3D 모드 전투에서 BattleManager의 행동 흐름에 맞춰 카메라 샷을 전환한다.
+// - 전투 시작: 멀리서 기본 샷으로 당겨오는 인트로
+// - 행동 시작: 행동자(subject)에게 줌인, 전체 대상 스킬은 wide 샷으로 줌아웃
+// - 커맨드 입력/턴 종료/전투 종료: 기본(home) 샷으로 복귀
+//
+// 스킬/아이템 노트 태그로 샷을 지정할 수 있다 (생략한 값은 config 기본값)
+//   <battleCamera shot:target zoom:1.6 tilt:50 yaw:-15 duration:0.4 ease:cubicOut>
+// - shot: subject(행동자) | target(첫 대상) | targets(대상 전체 중심) | wide | home | none
+// - yaw: 기본 yaw에 더하는 각도(도), duration: 초
+//
+// 전투 중에는 맵의 카메라 존 보간 대신 이 샷 값을 Mode3D에 직접 쓰고,
+// 전투가 끝나면 전투 진입 전 맵 카메라 값으로 되돌린다.
+//
+// 의존: Mode3D, PluginTween, PluginCommandRegistry
+//=============================================================================
+
+(function() {
+
+var BattleCamera = {};
+window.BattleCamera = BattleCamera;
+
+var TWEEN_NAME = 'battleCamera';
+
+BattleCamera.config = {
+    enabled: true,
+    tilt: 60,               // 기본 샷 기울기 (도)
+    yaw: 0,                 // 기본 샷 회전 (도)
+    fov: 60,
+    homeZoom: 1.0,
+    closeZoom: 1.35,        // subject/target 샷
+    groupZoom: 1.15,        // targets 샷
+    wideZoom: 0.8,
+    wideTilt: 55,
+    focusHeight: 0.5,       // 바라볼 높이 (배틀러 이미지 높이 비율)
+    duration: 0.4,          // 행동 샷 전환 시간 (초)
+    homeDuration: 0.6,
+    ease: 'cubicInOut',
+    introZoom: 0.7,
+    introDuration: 1.0
+};
+
+BattleCamera._shot = null;        // 현재 카메라 값 { x, y, z, zoom, tilt, yaw }
+BattleCamera._saved = null;       // 전투 진입 전 맵 카메라 값
+
+//=============================================================================
+// 태그 파싱
+//=============================================================================
+
+/**
+ * <battleCamera key:value ...> 태그 파싱 (없으면 null)
+ */
+BattleCamera.parseCameraTag = function(text) {
+    if (!text) return null;
+    var m = text.match(/<battleCamera(\s+[^>]*)?>/i);
+    if (!m) return null;
+    var data = {};
+    var re = /(\w+)\s*:\s*(\S+)/g;
+    var kv;
+    while ((kv = re.exec(m[1] || '')) !== null) {
+        data[kv[1]] = kv[2];
+    }
+    var num = function(value) {
+        var n = parseFloat(value);
+        return isNaN(n) ? null : n;
+    };
+    return {
+        shot: data.shot ? String(data.shot).toLowerCase() : null,
+        zoom: num(data.zoom),
+        tilt: num(data.tilt),
+        yaw: num(data.yaw),
+        duration: num(data.duration),
+        ease: data.ease || null
+    };
+};
+
+/**
+ * 스킬/아이템의 카메라 태그 (item 객체에 캐시)
+ */
+BattleCamera.itemSettings = function(item) {
+    if (!item) return null;
+    if (item._battleCamera === undefined) {
+        item._battleCamera = this.parseCameraTag(item.note);
+    }
+    return item._battleCamera;
+};
+
+//=============================================================================
+// 샷 계산
+//=============================================================================
+
+BattleCamera.isActive = function() {
+    var scene = SceneManager._scene;
+    return this.config.enabled && !!this._shot && ConfigManager.mode3d &&
+        scene instanceof Scene_Battle && !!scene._spriteset &&
+        Mode3D._spriteset === scene._spriteset;
+};
+
+BattleCamera._battlerSprite = function(battler) {
+    var spriteset = Mode3D._spriteset;
+    if (!battler || !(spriteset instanceof Spriteset_Battle)) return null;
+    var sprites = spriteset.battlerSprites();
+    for (var i = 0; i < sprites.length; i++) {
+        if (sprites[i]._battler === battler) return sprites[i];
+    }
+    return null;
+};
+
+/**
+ * 배틀러가 서 있는 지점 (Mode3D 월드 좌표, 없으면 null)
+ * 스프라이트 x/y는 발 위치, z는 이미지 높이의 focusHeight 비율
+ */
+BattleCamera._battlerFocus = function(battler) {
+    var sprite = this._battlerSprite(battler);
+    if (!sprite) return null;
+    var field = Mode3D._spriteset._battleField;
+    var body = sprite._mainSprite || sprite;
+    return {
+        x: field.x + sprite.x,
+        y: field.y + sprite.y,
+        z: body.height * sprite.scale.y * this.config.focusHeight
+    };
+};
+
+BattleCamera._groupFocus = function(battlers) {
+    var sum = { x: 0, y: 0, z: 0 };
+    var count = 0;
+    for (var i = 0; i < battlers.length; i++) {
+        var p = this._battlerFocus(battlers[i]);
+        if (!p) continue;
+        sum.x += p.x;
+        sum.y += p.y;
+        sum.z += p.z;
+        count++;
+    }
+    if (count === 0) return null;
+    return { x: sum.x / count, y: sum.y / count, z: sum.z / count };
+};
+
+BattleCamera.homeShot = function() {
+    var cfg = this.config;
+    return {
+        x: Graphics.width / 2, y: Graphics.height / 2, z: 0,
+        zoom: cfg.homeZoom, tilt: cfg.tilt, yaw: cfg.yaw
+    };
+};
+
+/**
+ * 샷 이름과 태그 설정으로 목표 카메라 값 계산 (유지할 때는 null)
+ */
+BattleCamera.makeShot = function(type, subject, targets, settings) {
+    var cfg = this.config;
+    var shot = this.homeShot();
+    var focus = null;
+    if (type === 'none') return null;
+    if (type === 'subject') {
+        focus = this._battlerFocus(subject);
+        shot.zoom = cfg.closeZoom;
+    } else if (type === 'target') {
+        focus = this._battlerFocus(targets[0]);
+        shot.zoom = cfg.closeZoom;
+    } else if (type === 'targets') {
+        focus = this._groupFocus(targets);
+        shot.zoom = cfg.groupZoom;
+    } else if (type === 'wide') {
+        shot.zoom = cfg.wideZoom;
+        shot.tilt = cfg.wideTilt;
+    }
+    if (focus) {
+        shot.x = focus.x;
+        shot.y = focus.y;
+        shot.z = focus.z;
+    } else if (type !== 'wide') {
+        // 대상 스프라이트를 찾지 못하면 기본 샷
+        shot.zoom = cfg.homeZoom;
+    }
+    if (settings) {
+        if (settings.zoom != null) shot.zoom = settings.zoom;
+        if (settings.tilt != null) shot.tilt = settings.tilt;
+        if (settings.yaw != null) shot.yaw = cfg.yaw + settings.yaw;
+    }
+    return shot;
+};
+
+/**
+ * 목표 샷으로 전환 (duration 초, 0이면 즉시)
+ */
+BattleCamera.moveTo = function(shot, duration, ease) {
+    if (!shot || !this._shot) return;
+    PluginTween.cancel(TWEEN_NAME);
+    var current = this._shot;
+    for (var key in shot) {
+        if (duration > 0) {
+            PluginTween.add({
+                target: current, key: key, to: shot[key], duration: duration,
+                ease: ease || this.config.ease, name: TWEEN_NAME
+            });
+        } else {
+            current[key] = shot[key];
+        }
+    }
+};
+
+BattleCamera.goHome = function(duration) {
+    this.moveTo(this.homeShot(), duration != null ? duration : this.config.homeDuration);
+};
+
+/**
+ * 행동 시작: 태그 샷, 없으면 전체 대상은 wide / 그 외 행동자 줌인
+ */
+BattleCamera.onActionStart = function(subject, action, targets) {
+    if (!this._shot || !action) return;
+    var settings = this.itemSettings(action.item());
+    var type = settings && settings.shot ? settings.shot : (action.isForAll() ? 'wide' : 'subject');
+    if (type === 'home') {
+        this.goHome(settings && settings.duration != null ? settings.duration : this.config.duration);
+        return;
+    }
+    var shot = this.makeShot(type, subject, targets, settings);
+    var duration = settings && settings.duration != null ? settings.duration : this.config.duration;
+    this.moveTo(shot, duration, settings ? settings.ease : null);
+};
+
+//=============================================================================
+// Mode3D 반영
+//=============================================================================
+
+/**
+ * 현재 샷 값을 Mode3D 카메라 파라미터에 기록 (매 렌더)
+ */
+BattleCamera.apply = function() {
+    var camera = Mode3D._perspCamera;
+    var shot = this._shot;
+    if (!camera) return;
+    Mode3D._tiltDeg = shot.tilt;
+    Mode3D._tiltRad = shot.tilt * Math.PI / 180;
+    Mode3D._yawDeg = shot.yaw;
+    Mode3D._yawRad = shot.yaw * Math.PI / 180;
+    Mode3D._zoomScale = shot.zoom;
+    Mode3D._focusOffsetX = shot.x - Graphics.width / 2;
+    Mode3D._focusOffsetY = shot.y - Graphics.height / 2;
+    Mode3D._focusOffsetZ = shot.z;
+    if (camera.fov !== this.config.fov) {
+        camera.fov = this.config.fov;
+        camera.updateProjectionMatrix();
+    }
+};
+
+// 전투 중에는 맵 카메라 존 보간 대신 전투 샷 사용
+var _Mode3D_updateCameraZoneParams = Mode3D._updateCameraZoneParams;
+Mode3D._updateCameraZoneParams = function() {
+    if (BattleCamera.isActive()) {
+        BattleCamera.apply();
+        return;
+    }
+    _Mode3D_updateCameraZoneParams.call(this);
+};
+
+/**
+ * 전투 시작: 맵 카메라 값 저장 후 인트로 샷에서 기본 샷으로
+ */
+BattleCamera.start = function() {
+    var camera = Mode3D._perspCamera;
+    this._saved = {
+        tilt: Mode3D._tiltDeg, yaw: Mode3D._yawDeg, zoom: Mode3D._zoomScale,
+        fov: camera ? camera.fov : null
+    };
+    this._shot = this.homeShot();
+    this._shot.zoom = this.config.introZoom;
+    this.goHome(this.config.introDuration);
+};
+
+/**
+ * 전투 종료: 트윈 정리, 맵 카메라 값 복원
+ */
+BattleCamera.end = function() {
+    PluginTween.cancel(TWEEN_NAME);
+    this._shot = null;
+    var saved = this._saved;
+    if (saved) {
+        Mode3D._tiltDeg = saved.tilt;
+        Mode3D._tiltRad = saved.tilt * Math.PI / 180;
+        Mode3D._yawDeg = saved.yaw;
+        Mode3D._yawRad = saved.yaw * Math.PI / 180;
+        Mode3D._zoomScale = saved.zoom;
+        if (Mode3D._perspCamera && saved.fov != null && Mode3D._perspCamera.fov !== saved.fov) {
+            Mode3D._perspCamera.fov = saved.fov;
+            Mode3D._perspCamera.updateProjectionMatrix();
+        }
+        this._saved = null;
+    }
+    Mode3D._focusOffsetX = 0;
+    Mode3D._focusOffsetY = 0;
+    Mode3D._focusOffsetZ = 0;
+};
+
+//=============================================================================
+// Scene_Battle / BattleManager 통합
+//=============================================================================
+
+var _Scene_Battle_start = Scene_Battle.prototype.start;
+Scene_Battle.prototype.start = function() {
+    _Scene_Battle_start.call(this);
+    BattleCamera.start();
+};
+
+var _Scene_Battle_terminate = Scene_Battle.prototype.terminate;
+Scene_Battle.prototype.terminate = function() {
+    _Scene_Battle_terminate.call(this);
+    BattleCamera.end();
+};
+
+var _BattleManager_startAction = BattleManager.startAction;
+BattleManager.startAction = function() {
+    _BattleManager_startAction.call(this);
+    BattleCamera.onActionStart(this._subject, this._action, this._targets.slice());
+};
+
+var _BattleManager_startInput = BattleManager.startInput;
+BattleManager.startInput = function() {
+    _BattleManager_startInput.call(this);
+    BattleCamera.goHome();
+};
+
+var _BattleManager_endTurn = BattleManager.endTurn;
+BattleManager.endTurn = function() {
+    _BattleManager_endTurn.call(this);
+    BattleCamera.goHome();
+};
+
+var _BattleManager_endBattle = BattleManager.endBattle;
+BattleManager.endBattle = function(result) {
+    _BattleManager_endBattle.call(this, result);
+    BattleCamera.goHome();
+};
+
+//=============================================================================
+// Plugin Commands
+//=============================================================================
+
+PluginCommandRegistry.register('BattleCamera', {
+    description: '3D 전투 카메라 연출',
+    subcommands: {
+        on: {
+            description: '전투 카메라 연출 켜기',
+            run: function() { BattleCamera.config.enabled = true; }
+        },
+        off: {
+            description: '전투 카메라 연출 끄기 (맵 카메라 값 유지)',
+            run: function() {
+                BattleCamera.goHome(0);
+                if (BattleCamera.isActive()) BattleCamera.apply();
+                BattleCamera.config.enabled = false;
+            }
+        },
+        home: {
+            description: '기본 샷으로 복귀',
+            args: [
+                { name: 'duration', type: 'number', default: 0.6, min: 0 }
+            ],
+            run: function(a) { BattleCamera.goHome(a.duration); }
+        },
+        wide: {
+            description: '전체 샷으로 전환',
+            args: [
+                { name: 'duration', type: 'number', default: 0.4, min: 0 },
+                { name: 'ease', type: 'ease', optional: true }
+            ],
+            run: function(a) {
+                BattleCamera.moveTo(BattleCamera.makeShot('wide', null, [], null), a.duration, a.ease);
+            }
+        }
+    }
+});
+
+})();
@@ -0,0 +1,389 @@
+//=============================================================================
+// BattleEffects.js - 스킬/아이템 노트 태그로 전투 셰이더·화면 이펙트 재생
+//=============================================================================
+// 스킬/아이템 노트에 태그를 적으면 행동 애니메이션에 맞춰 일시적인 이펙트를 건다.
+//   <battlerShader: hitEffect duration:20>
+//   <battlerShader: fireAura duration:60 on:subject intensity:2>
+//   <screenEffect: radialBlur 0.4 30>
+//   <screenEffect: waveDistortion 0.05 45 speed:2>
+// - battlerShader: <타입> 뒤에 PictureShader 파라미터를 key:value로 지정
+//   duration(프레임, 기본 30), delay(프레임), on:target(기본)|subject
+//   Sprite_Picture와 같은 멀티패스 경로(PictureShader.js)로 배틀러 스프라이트를 그린다.
+// - screenEffect: <PP 이펙트> <강도> <프레임> [key:value ...]
+//   강도는 이펙트의 주 파라미터(EFFECT_PARAMS에서 neutral이 있는 값)의 시작값이며
+//   duration 동안 원래 값(꺼져 있었으면 neutral)으로 줄어든 뒤 활성 상태/값을 복원한다.
+// - 태그는 여러 개 적을 수 있고, 대상 이펙트는 각 대상의 애니메이션 시작 지연과 같은
+//   간격으로 시작한다 (Window_BattleLog.showNormalAnimation 기준).
+// - 타입이 없거나 알 수 없는 태그는 무시하고, 플러그인 커맨드 오류처럼 콘솔 경고
+//   (개발 모드에서는 dev 패널 오류 목록)로 보고한다.
+//
+// 의존: PictureShader, PostProcess, PostProcessEffects, PluginCommandRegistry
+//=============================================================================
+
+(function() {
+
+var BattleEffects = {};
+window.BattleEffects = BattleEffects;
+
+BattleEffects.config = {
+    enabled: true,
+    battlerDuration: 30,    // battlerShader duration 미지정 시 (프레임)
+    screenDuration: 30      // screenEffect 프레임 미지정 시
+};
+
+BattleEffects._screenQueue = [];     // 지연 중인 화면 이펙트
+BattleEffects._screenPulses = {};    // effectKey → 진행 중인 화면 이펙트
+
+//=============================================================================
+// 태그 파싱
+//=============================================================================
+
+/**
+ * 태그 본문을 위치 인자와 key:value 인자로 분리
+ */
+BattleEffects._splitArgs = function(text) {
+    var tokens = text.trim().split(/\s+/);
+    var args = { list: [], params: {} };
+    for (var i = 0; i < tokens.length; i++) {
+        var token = tokens[i];
+        if (!token) continue;
+        var idx = token.indexOf(':');
+        if (idx > 0) {
+            var value = token.slice(idx + 1);
+            var n = parseFloat(value);
+            args.params[token.slice(0, idx)] = isNaN(n) ? value : n;
+        } else {
+            args.list.push(token);
+        }
+    }
+    return args;
+};
+
+/**
+ * 노트의 battlerShader / screenEffect 태그 파싱
+ * 타입이 없거나 알 수 없는 태그는 건너뛰고 errors에 { tag, message }로 모은다
+ * @returns {{ battler: Array, screen: Array, errors: Array }}
+ */
+BattleEffects.parseTags = function(note) {
+    var result = { battler: [], screen: [], errors: [] };
+    if (!note) return result;
+    var cfg = this.config;
+    var re = /<(battlerShader|screenEffect)\s*:\s*([^>]*)>/gi;
+    var m;
+    while ((m = re.exec(note)) !== null) {
+        var args = this._splitArgs(m[2]);
+        var params = args.params;
+        var type = args.list[0];
+        var isShader = m[1].toLowerCase() === 'battlershader';
+        if (!type) {
+            result.errors.push({ tag: m[0], message: '타입 누락' });
+            continue;
+        }
+        if (isShader ? !PictureShader._FRAGMENT_SHADERS[type] : !this._isScreenEffect(type)) {
+            result.errors.push({ tag: m[0], message: '알 수 없는 ' + (isShader ? '셰이더' : '화면 이펙트') +
+                                 ' "' + type + '"' });
+            continue;
+        }
+        if (isShader) {
+            var duration = params.duration != null ? params.duration : cfg.battlerDuration;
+            var delay = params.delay || 0;
+            var on = params.on === 'subject' ? 'subject' : 'target';
+            delete params.duration;
+            delete params.delay;
+            delete params.on;
+            result.battler.push({ type: type, params: params, duration: duration, delay: delay, on: on });
+        } else {
+            var screenDuration = args.list[2] != null ? parseFloat(args.list[2]) : cfg.screenDuration;
+            var screenDelay = params.delay || 0;
+            delete params.delay;
+            result.screen.push({
+                name: type,
+                value: args.list[1] != null ? parseFloat(args.list[1]) : null,
+                duration: screenDuration,
+                delay: screenDelay,
+                params: params
+            });
+        }
+    }
+    return result;
+};
+
+BattleEffects._isScreenEffect = function(name) {
+    return !window.PostProcessEffects || PostProcessEffects.EFFECT_PARAMS.hasOwnProperty(name);
+};
+
+/**
+ * 스킬/아이템의 이펙트 태그 (item 객체에 캐시, 잘못된 태그는 처음 파싱할 때 한 번 보고)
+ */
+BattleEffects.itemEffects = function(item) {
+    if (!item) return null;
+    if (item._battleEffects === undefined) {
+        item._battleEffects = this.parseTags(item.note);
+        this._reportTagErrors(item, item._battleEffects.errors);
+    }
+    return item._battleEffects;
+};
+
+// 플러그인 커맨드 오류와 같은 경로로 보고 (콘솔 경고, 개발 모드에서는 dev 패널 목록)
+BattleEffects._reportTagErrors = function(item, errors) {
+    var location = (DataManager.isSkill(item) ? '스킬 ' : '아이템 ') + item.id + ' 노트';
+    for (var i = 0; i < errors.length; i++) {
+        PluginCommandRegistry.addError(location, errors[i].tag, errors[i].message);
+    }
+};
+
+//=============================================================================
+// 배틀러 셰이더
+//=============================================================================
+
+BattleEffects._battlerSprite = function(battler) {
+    var spriteset = BattleManager._spriteset;
+    if (!battler || !spriteset) return null;
+    var sprites = spriteset.battlerSprites();
+    for (var i = 0; i < sprites.length; i++) {
+        if (sprites[i]._battler === battler) return sprites[i];
+    }
+    return null;
+};
+
+BattleEffects.startBattlerShader = function(battler, effect, delay) {
+    var sprite = this._battlerSprite(battler);
+    if (!sprite) return;
+    sprite._shaderEffects.push({
+        pass: { type: effect.type, enabled: true, params: effect.params },
+        delay: delay,
+        duration: effect.duration
+    });
+};
+
+var _Sprite_Battler_initMembers = Sprite_Battler.prototype.initMembers;
+Sprite_Battler.prototype.initMembers = function() {
+    _Sprite_Battler_initMembers.call(this);
+    this._shaderEffects = [];
+};
+
+/**
+ * 셰이더를 입힐 스프라이트 (액터는 SV 시트를 그리는 _mainSprite)
+ */
+Sprite_Battler.prototype.shaderBody = function() {
+    return this._mainSprite || this;
+};
+
+var _Sprite_Battler_update = Sprite_Battler.prototype.update;
+Sprite_Battler.prototype.update = function() {
+    _Sprite_Battler_update.call(this);
+    this.updateShaderEffects();
+};
+
+/**
+ * 진행 중인 셰이더 이펙트의 지연/지속 시간을 줄이고 활성 패스를 멀티패스로 렌더링
+ */
+Sprite_Battler.prototype.updateShaderEffects = function() {
+    var body = this.shaderBody();
+    var effects = this._shaderEffects;
+    var passes = [];
+    for (var i = 0; i < effects.length; i++) {
+        var effect = effects[i];
+        if (effect.delay > 0) {
+            effect.delay--;
+        } else if (effect.duration > 0) {
+            effect.duration--;
+            passes.push(effect.pass);
+        }
+    }
+    this._shaderEffects = effects.filter(function(e) { return e.delay > 0 || e.duration > 0; });
+    if (passes.length === 0 && !body._shaderPasses) return;
+    if (!body._shaderPasses) body._initShaderPasses();
+    body._updateShaderPasses(passes);
+};
+
+BattleEffects.clearBattlerShaders = function(spriteset) {
+    var sprites = spriteset.battlerSprites();
+    for (var i = 0; i < sprites.length; i++) {
+        var body = sprites[i].shaderBody();
+        sprites[i]._shaderEffects = [];
+        if (body._shaderPasses) body._restoreOriginalMaterial();
+    }
+};
+
+// shake 셰이더는 JS 오프셋이므로 배틀러 위치에 더함
+var _Sprite_Battler_updatePosition = Sprite_Battler.prototype.updatePosition;
+Sprite_Battler.prototype.updatePosition = function() {
+    _Sprite_Battler_updatePosition.call(this);
+    var body = this.shaderBody();
+    if (body._shakeOffsetX || body._shakeOffsetY) {
+        this.x += Math.round(body._shakeOffsetX);
+        this.y += Math.round(body._shakeOffsetY);
+    }
+};
+
+//=============================================================================
+// 화면 이펙트 (PostProcessEffects)
+//=============================================================================
+
+BattleEffects._pass = function(name) {
+    return window.PostProcessEffects && window.PostProcess && PostProcess._ppPasses ?
+        PostProcess._ppPasses[name] || null : null;
+};
+
+/**
+ * 이펙트의 주 파라미터 (neutral 값이 정의된 첫 파라미터)
+ */
+BattleEffects._mainParam = function(name) {
+    var defs = PostProcessEffects.EFFECT_PARAMS[name] || [];
+    for (var i = 0; i < defs.length; i++) {
+        if (defs[i].neutral !== undefined) return defs[i];
+    }
+    return null;
+};
+
+BattleEffects.startScreenEffect = function(effect, delay) {
+    if (!this._pass(effect.name)) return;
+    this._screenQueue.push({ effect: effect, delay: delay });
+};
+
+BattleEffects._beginScreenEffect = function(effect) {
+    var PPE = PostProcessEffects;
+    var name = effect.name;
+    var pass = this._pass(name);
+    if (!pass) return;
+    this._endScreenEffect(name);
+
+    var main = effect.value != null ? this._mainParam(name) : null;
+    var keys = Object.keys(effect.params);
+    if (main && keys.indexOf(main.key) < 0) keys.push(main.key);
+    var saved = {};
+    for (var i = 0; i < keys.length; i++) {
+        saved[keys[i]] = PPE.readParam(name, pass, keys[i]);
+    }
+    for (var key in effect.params) {
+        PPE.applyParam(name, pass, key, effect.params[key]);
+    }
+
+    this._screenPulses[name] = {
+        name: name,
+        pass: pass,
+        enabled: pass.enabled,
+        saved: saved,
+        main: main ? main.key : null,
+        from: effect.value,
+        to: main ? (pass.enabled ? saved[main.key] : main.neutral) : 0,
+        duration: Math.max(1, effect.duration),
+        elapsed: 0
+    };
+    if (!pass.enabled) {
+        pass.enabled = true;
+        PostProcess._ppNeedsTimeUpdate = true;
+        PostProcess._updateRenderToScreen();
+    }
+};
+
+/**
+ * 화면 이펙트를 끝내고 시작 전 활성 상태/파라미터로 복원
+ */
+BattleEffects._endScreenEffect = function(name) {
+    var pulse = this._screenPulses[name];
+    if (!pulse) return;
+    delete this._screenPulses[name];
+    var pass = pulse.pass;
+    for (var key in pulse.saved) {
+        if (pulse.saved[key] !== undefined) {
+            PostProcessEffects.applyParam(name, pass, key, pulse.saved[key]);
+        }
+    }
+    if (pass.enabled !== pulse.enabled) {
+        pass.enabled = pulse.enabled;
+        PostProcess._updateRenderToScreen();
+    }
+};
+
+BattleEffects.updateScreenEffects = function() {
+    var queue = this._screenQueue;
+    for (var i = 0; i < queue.length; i++) {
+        if (queue[i].delay-- <= 0) this._beginScreenEffect(queue[i].effect);
+    }
+    this._screenQueue = queue.filter(function(q) { return q.delay >= 0; });
+
+    for (var name in this._screenPulses) {
+        var pulse = this._screenPulses[name];
+        pulse.elapsed++;
+        if (pulse.elapsed >= pulse.duration) {
+            this._endScreenEffect(name);
+            continue;
+        }
+        if (pulse.main) {
+            var t = 1 - pulse.elapsed / pulse.duration;
+            var value = pulse.to + (pulse.from - pulse.to) * t * t;
+            PostProcessEffects.applyParam(name, pulse.pass, pulse.main, value);
+        }
+    }
+};
+
+BattleEffects.clearScreenEffects = function() {
+    this._screenQueue = [];
+    for (var name in this._screenPulses) {
+        this._endScreenEffect(name);
+    }
+};
+
+//=============================================================================
+// 행동 연결 (애니메이션 표시 직후 시작)
+//=============================================================================
+
+/**
+ * 행동의 태그 이펙트 시작. 대상 이펙트는 대상별 애니메이션 지연과 맞춘다.
+ */
+BattleEffects.startActionEffects = function(subject, item, targets, logWindow) {
+    var effects = this.itemEffects(item);
+    if (!this.config.enabled || !effects) return;
+    var hasAnimation = item.animationId < 0 || !!$dataAnimations[item.animationId];
+    var baseDelay = hasAnimation ? logWindow.animationBaseDelay() : 0;
+    var nextDelay = hasAnimation ? logWindow.animationNextDelay() : 0;
+    for (var i = 0; i < effects.battler.length; i++) {
+        var effect = effects.battler[i];
+        if (effect.on === 'subject') {
+            this.startBattlerShader(subject, effect, effect.delay);
+        } else {
+            for (var j = 0; j < targets.length; j++) {
+                this.startBattlerShader(targets[j], effect, baseDelay + nextDelay * j + effect.delay);
+            }
+        }
+    }
+    for (var k = 0; k < effects.screen.length; k++) {
+        this.startScreenEffect(effects.screen[k], baseDelay + effects.screen[k].delay);
+    }
+};
+
+var _Window_BattleLog_startAction = Window_BattleLog.prototype.startAction;
+Window_BattleLog.prototype.startAction = function(subject, action, targets) {
+    _Window_BattleLog_startAction.call(this, subject, action, targets);
+    // showAnimation 바로 뒤에 끼워 넣어 메시지 대기와 무관하게 애니메이션과 함께 시작
+    var methods = this._methods;
+    for (var i = methods.length - 1; i >= 0; i--) {
+        if (methods[i].name === 'showAnimation') {
+            methods.splice(i + 1, 0, {
+                name: 'startBattleEffects', params: [subject, action.item(), targets.clone()]
+            });
+            break;
+        }
+    }
+};
+
+Window_BattleLog.prototype.startBattleEffects = function(subject, item, targets) {
+    BattleEffects.startActionEffects(subject, item, targets, this);
+};
+
+var _Scene_Battle_update = Scene_Battle.prototype.update;
+Scene_Battle.prototype.update = function() {
+    _Scene_Battle_update.call(this);
+    BattleEffects.updateScreenEffects();
+};
+
+var _Scene_Battle_terminate = Scene_Battle.prototype.terminate;
+Scene_Battle.prototype.terminate = function() {
+    _Scene_Battle_terminate.call(this);
+    BattleEffects.clearScreenEffects();
+    if (this._spriteset) BattleEffects.clearBattlerShaders(this._spriteset);
+};
+
+})();
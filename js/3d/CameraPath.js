@@ -0,0 +1,509 @@
+//=============================================================================
+// CameraPath.js - Mode3D 시네마틱 카메라 레일 (키프레임 카메라 패스)
+//=============================================================================
+// 컷신용 키프레임 카메라 경로를 정의하고 재생합니다.
+// - 키별: 주시점(x, y 타일), 카메라 위치(camX, camY, camZ 타일, 선택), tilt, yaw, zoom, fov
+// - 구간별 이징(ease), 주시점/위치는 Catmull-Rom 스플라인 보간 (smooth: false면 직선)
+// - 재생/일시정지/재개/스킵/정지, Game_Interpreter 'cameraPath' 대기 모드
+// - 정의: 플러그인 커맨드 인라인 또는 맵 _ext.json의 cameraPaths
+//
+// _ext.json 예:
+//   "cameraPaths": {
+//     "intro": { "smooth": true, "keys": [
+//       { "t": 0, "x": 10, "y": 8, "tilt": 40, "yaw": 0, "zoom": 1 },
+//       { "t": 3, "x": 16, "y": 8, "tilt": 60, "yaw": 30, "ease": "easeInOut" }
+//     ] }
+//   }
+//
+// 키 속성을 생략하면 이전 키 값을 이어받고, 첫 키는 재생 시작 시점의 카메라 상태를 쓴다.
+// 2D 모드에서는 카메라에 영향을 주지 않고 시간만 진행한다 (대기 모드 호환).
+//
+// 의존: THREE (global), Mode3D, PluginTween (이징), $gameMap, $gamePlayer
+//=============================================================================
+
+(function() {
+
+//=============================================================================
+// CameraPath 전역 객체
+//=============================================================================
+
+var CameraPath = {};
+window.CameraPath = CameraPath;
+
+CameraPath._paths = {};        // 인라인 정의 패스 { name: { smooth, keys } }
+CameraPath._current = null;    // 재생 중인 패스 상태
+CameraPath._release = null;    // hold 해제 블렌드 상태 { from, elapsed, duration }
+
+CameraPath.KEY_PROPS = ['x', 'y', 'camX', 'camY', 'camZ', 'tilt', 'yaw', 'zoom', 'fov'];
+
+// 구간 이징: PluginTween.Easing 이름 사용 (기본 smooth)
+CameraPath._ease = function(name, t) {
+    return PluginTween.getEasing(name)(t);
+};
+
+//=============================================================================
+// 패스 정의
+//=============================================================================
+
+// 인라인 키 문자열 파싱: "t:0,x:10,y:8,tilt:45,ease:easeIn"
+CameraPath.parseKey = function(str) {
+    var key = {};
+    var parts = str.split(',');
+    for (var i = 0; i < parts.length; i++) {
+        var sep = parts[i].indexOf(':');
+        if (sep <= 0) continue;
+        var k = parts[i].substring(0, sep).trim();
+        var v = parts[i].substring(sep + 1).trim();
+        if (k === 'ease') {
+            key.ease = v;
+        } else {
+            var n = parseFloat(v);
+            if (!isNaN(n)) key[k] = n;
+        }
+    }
+    return key;
+};
+
+CameraPath.define = function(name, def) {
+    this._paths[name] = def;
+};
+
+// 인라인 정의 → 맵 _ext.json 순으로 조회
+CameraPath.getPath = function(name) {
+    if (this._paths[name]) return this._paths[name];
+    var mapPaths = (typeof $dataMap !== 'undefined' && $dataMap) ? $dataMap.cameraPaths : null;
+    return mapPaths ? mapPaths[name] || null : null;
+};
+
+//=============================================================================
+// 카메라 상태 스냅샷 (타일 단위 주시점 + Mode3D 파라미터)
+//=============================================================================
+
+CameraPath._currentPose = function() {
+    var cam = window.Mode3D ? Mode3D._perspCamera : null;
+    var pose = {
+        x: $gamePlayer ? $gamePlayer._realX : 0,
+        y: $gamePlayer ? $gamePlayer._realY : 0,
+        camX: null, camY: null, camZ: null,
+        tilt: Mode3D._tiltDeg != null ? Mode3D._tiltDeg : 60,
+        yaw: Mode3D._yawDeg || 0,
+        zoom: Mode3D._zoomScale || 1.0,
+        fov: cam ? cam.fov : 60
+    };
+    // 화면 중심이 가리키는 타일 좌표 (카메라 존 등으로 플레이어와 다를 수 있음)
+    if ($gameMap) {
+        pose.x = $gameMap.displayX() + $gameMap.screenTileX() / 2 - 0.5;
+        pose.y = $gameMap.displayY() + $gameMap.screenTileY() / 2 - 0.5;
+    }
+    return pose;
+};
+
+// 키 목록을 절대 시간/완전한 속성으로 정규화
+CameraPath._resolveKeys = function(keys, startPose) {
+    var resolved = [];
+    var prev = startPose;
+    var time = 0;
+    for (var i = 0; i < keys.length; i++) {
+        var src = keys[i];
+        var k = {};
+        if (src.t != null) {
+            time = src.t;
+        } else if (i > 0) {
+            time += src.d != null ? src.d : 1;
+        }
+        k.t = time;
+        k.ease = src.ease || 'smooth';
+        for (var p = 0; p < this.KEY_PROPS.length; p++) {
+            var prop = this.KEY_PROPS[p];
+            k[prop] = src[prop] != null ? src[prop] : prev[prop];
+        }
+        resolved.push(k);
+        prev = k;
+    }
+    return resolved;
+};
+
+//=============================================================================
+// 재생 제어
+//=============================================================================
+
+// opts: { hold: 끝난 뒤 마지막 포즈 유지, loop: 반복, speed: 재생 배율 }
+CameraPath.play = function(name, opts) {
+    var def = this.getPath(name);
+    if (!def || !def.keys || def.keys.length === 0) {
+        console.warn('[CameraPath] 패스를 찾을 수 없음:', name);
+        return false;
+    }
+    opts = opts || {};
+    var startPose = this._current ? this._evaluate() : this._currentPose();
+    var keys = this._resolveKeys(def.keys, startPose);
+    this._current = {
+        name: name,
+        keys: keys,
+        smooth: def.smooth !== false,
+        loop: !!(opts.loop || def.loop),
+        hold: !!(opts.hold || def.hold),
+        speed: opts.speed || def.speed || 1.0,
+        duration: keys[keys.length - 1].t,
+        elapsed: 0,
+        paused: false,
+        finished: false
+    };
+    this._release = null;
+    return true;
+};
+
+CameraPath.pause = function() {
+    if (this._current) this._current.paused = true;
+};
+
+CameraPath.resume = function() {
+    if (this._current) this._current.paused = false;
+};
+
+// 마지막 키로 즉시 이동 후 종료 (hold면 마지막 포즈 유지)
+CameraPath.skip = function() {
+    var cur = this._current;
+    if (!cur) return;
+    cur.loop = false;
+    cur.elapsed = cur.duration;
+    this._finish();
+};
+
+// 즉시 정지: 주시점은 기본 추적으로 복귀, tilt/yaw/zoom은 현재 값 유지
+CameraPath.stop = function() {
+    this._current = null;
+    this._release = null;
+};
+
+// hold 상태 해제: duration(초) 동안 기본 카메라로 블렌드
+CameraPath.release = function(duration) {
+    var cur = this._current;
+    if (!cur) return;
+    var pose = this._evaluate();
+    this._current = null;
+    if (duration > 0) {
+        this._release = { from: pose, elapsed: 0, duration: duration };
+    }
+};
+
+// 재생 중(일시정지 포함)이면 true. hold로 머무는 중은 false (대기 해제)
+CameraPath.isPlaying = function() {
+    return !!(this._current && !this._current.finished);
+};
+
+// loop 재생은 끝나지 않으므로 대기 대상이 될 수 없다
+CameraPath.isLooping = function() {
+    return !!(this.isPlaying() && this._current.loop);
+};
+
+CameraPath.isActive = function() {
+    return !!(this._current || this._release);
+};
+
+CameraPath._finish = function() {
+    var cur = this._current;
+    cur.finished = true;
+    if (!cur.hold) {
+        // 종료 포즈의 tilt/yaw/zoom은 Mode3D에 남기고 주시점은 기본 추적으로 복귀
+        var end = cur.keys[cur.keys.length - 1];
+        this._current = null;
+        this._applyPose(end);
+    }
+};
+
+CameraPath.update = function(deltaSec) {
+    var cur = this._current;
+    if (cur && !cur.paused && !cur.finished) {
+        cur.elapsed += deltaSec * cur.speed;
+        if (cur.elapsed >= cur.duration) {
+            if (cur.loop && cur.duration > 0) {
+                cur.elapsed = cur.elapsed % cur.duration;
+            } else {
+                cur.elapsed = cur.duration;
+                this._finish();
+            }
+        }
+    }
+    var rel = this._release;
+    if (rel) {
+        rel.elapsed += deltaSec;
+        if (rel.elapsed >= rel.duration) this._release = null;
+    }
+};
+
+//=============================================================================
+// 보간
+//=============================================================================
+
+CameraPath._catmullRom = function(p0, p1, p2, p3, t) {
+    var t2 = t * t;
+    var t3 = t2 * t;
+    return 0.5 * ((2 * p1) + (-p0 + p2) * t +
+        (2 * p0 - 5 * p1 + 4 * p2 - p3) * t2 +
+        (-p0 + 3 * p1 - 3 * p2 + p3) * t3);
+};
+
+// 현재 시각의 포즈 계산
+CameraPath._evaluate = function() {
+    var cur = this._current;
+    if (!cur) return null;
+    var keys = cur.keys;
+    var time = cur.elapsed;
+    if (keys.length === 1 || time <= keys[0].t) return keys[0];
+    if (time >= keys[keys.length - 1].t) return keys[keys.length - 1];
+
+    var i = 0;
+    while (i < keys.length - 2 && time >= keys[i + 1].t) i++;
+    var k1 = keys[i];
+    var k2 = keys[i + 1];
+    var span = k2.t - k1.t;
+    var local = span > 0 ? (time - k1.t) / span : 1;
+    var t = this._ease(k2.ease, Math.min(Math.max(local, 0), 1));
+    var k0 = keys[i - 1] || k1;
+    var k3 = keys[i + 2] || k2;
+
+    var pose = {};
+    for (var p = 0; p < this.KEY_PROPS.length; p++) {
+        var prop = this.KEY_PROPS[p];
+        var a = k1[prop];
+        var b = k2[prop];
+        if (a == null || b == null) {
+            pose[prop] = b != null ? b : a;
+        } else if (cur.smooth && (prop === 'x' || prop === 'y' || prop.indexOf('cam') === 0) &&
+                k0[prop] != null && k3[prop] != null) {
+            pose[prop] = this._catmullRom(k0[prop], a, b, k3[prop], t);
+        } else {
+            pose[prop] = a + (b - a) * t;
+        }
+    }
+    return pose;
+};
+
+CameraPath._lerpPose = function(a, b, t) {
+    var pose = {};
+    for (var p = 0; p < this.KEY_PROPS.length; p++) {
+        var prop = this.KEY_PROPS[p];
+        if (a[prop] == null || b[prop] == null) {
+            pose[prop] = t < 1 ? a[prop] : b[prop];
+        } else {
+            pose[prop] = a[prop] + (b[prop] - a[prop]) * t;
+        }
+    }
+    return pose;
+};
+
+// 포즈의 tilt/yaw/zoom/fov를 Mode3D 전역에 반영
+// 카메라 존 lerp 상태도 맞춰서 재생 종료 시 튀지 않게 한다
+CameraPath._applyPose = function(pose) {
+    if (!pose || !window.Mode3D) return;
+    Mode3D._tiltDeg = pose.tilt;
+    Mode3D._tiltRad = pose.tilt * Math.PI / 180;
+    Mode3D._yawDeg = pose.yaw;
+    Mode3D._yawRad = pose.yaw * Math.PI / 180;
+    Mode3D._zoomScale = pose.zoom;
+    if (Mode3D._currentTilt !== null) {
+        Mode3D._currentTilt = pose.tilt;
+        Mode3D._currentYaw = pose.yaw;
+        Mode3D._currentZoom = pose.zoom;
+        Mode3D._currentFov = pose.fov;
+    }
+    if (Mode3D._perspCamera && Mode3D._perspCamera.fov !== pose.fov) {
+        Mode3D._perspCamera.fov = pose.fov;
+        Mode3D._perspCamera.updateProjectionMatrix();
+    }
+};
+
+// 타일 좌표 → 현재 스크롤 기준 월드(화면) 픽셀 좌표 (타일 중심)
+CameraPath._tileToWorld = function(tx, ty) {
+    var tw = $gameMap.tileWidth();
+    var th = $gameMap.tileHeight();
+    return {
+        x: $gameMap.adjustX(tx) * tw + tw / 2,
+        y: $gameMap.adjustY(ty) * th + th / 2
+    };
+};
+
+//=============================================================================
+// 카메라 배치 — Mode3D._positionCamera 대체
+//=============================================================================
+
+CameraPath._positionCamera = function(camera, w, h, pose, blendFrom, blendT) {
+    // 기본 카메라(화면 중심 주시)의 위치/주시점을 먼저 계산
+    var baseTarget = new THREE.Vector3(w / 2, h / 2, 0);
+    var basePos = camera.position.clone();
+
+    var target = baseTarget;
+    var pos = basePos;
+    if (pose) {
+        var look = this._tileToWorld(pose.x, pose.y);
+        target = new THREE.Vector3(look.x, look.y, 0);
+        if (pose.camX != null && pose.camY != null) {
+            var cp = this._tileToWorld(pose.camX, pose.camY);
+            var z = (pose.camZ != null ? pose.camZ : 5) * $gameMap.tileHeight();
+            pos = new THREE.Vector3(cp.x, cp.y, z);
+        } else {
+            // 주시점 기준 궤도: _positionCamera와 동일한 오프셋을 주시점으로 평행이동
+            pos = basePos.clone().sub(baseTarget).add(target);
+        }
+    }
+    if (blendFrom) {
+        target = blendFrom.target.clone().lerp(target, blendT);
+        pos = blendFrom.pos.clone().lerp(pos, blendT);
+    }
+
+    camera.position.copy(pos);
+    camera.up.set(0, 0, -1);
+    camera.lookAt(target);
+    camera.updateProjectionMatrix();
+
+    // Y-down 좌표계: projectionMatrix의 Y축 반전 (Mode3D._positionCamera와 동일)
+    var m = camera.projectionMatrix.elements;
+    m[5] = -m[5];
+    camera.projectionMatrixInverse.copy(camera.projectionMatrix).invert();
+    return { target: target, pos: pos };
+};
+
+var _Mode3D_positionCamera = Mode3D._positionCamera;
+Mode3D._positionCamera = function(camera, w, h) {
+    if (window.__editorMode || !CameraPath.isActive() || !$gameMap) {
+        _Mode3D_positionCamera.call(this, camera, w, h);
+        return;
+    }
+
+    if (CameraPath._current) {
+        var pose = CameraPath._evaluate();
+        CameraPath._applyPose(pose);
+        _Mode3D_positionCamera.call(this, camera, w, h);
+        CameraPath._positionCamera(camera, w, h, pose);
+    } else {
+        // hold 해제 블렌드: 고정 포즈 → 기본 카메라
+        var rel = CameraPath._release;
+        var t = CameraPath._ease('smooth', Math.min(rel.elapsed / rel.duration, 1));
+        _Mode3D_positionCamera.call(this, camera, w, h);
+        if (!rel.fromCamera) {
+            rel.fromCamera = CameraPath._positionCamera(camera.clone(), w, h, rel.from);
+        }
+        CameraPath._positionCamera(camera, w, h, null, rel.fromCamera, t);
+    }
+};
+
+// 재생 중에는 카메라 존의 tilt/yaw/zoom lerp가 끼어들지 않도록 차단
+var _Mode3D_updateCameraZoneParams = Mode3D._updateCameraZoneParams;
+Mode3D._updateCameraZoneParams = function() {
+    if (CameraPath._current) return;
+    _Mode3D_updateCameraZoneParams.call(this);
+};
+
+//=============================================================================
+// 업데이트 / 맵 전환
+//=============================================================================
+
+var _Scene_Map_update = Scene_Map.prototype.update;
+Scene_Map.prototype.update = function() {
+    _Scene_Map_update.call(this);
+    CameraPath.update(1 / 60);
+};
+
+var _Scene_Map_terminate = Scene_Map.prototype.terminate;
+Scene_Map.prototype.terminate = function() {
+    _Scene_Map_terminate.call(this);
+    // 맵 이동 시 재생 중인 패스 정리 (메뉴 등 장면 전환은 유지)
+    if (SceneManager.isNextScene(Scene_Map) && $gamePlayer.isTransferring()) {
+        CameraPath.stop();
+    }
+};
+
+//=============================================================================
+// Game_Interpreter - 대기 모드
+//=============================================================================
+
+var _Game_Interpreter_updateWaitMode = Game_Interpreter.prototype.updateWaitMode;
+Game_Interpreter.prototype.updateWaitMode = function() {
+    if (this._waitMode === 'cameraPath') {
+        if (CameraPath.isPlaying()) return true;
+        this._waitMode = '';
+        return false;
+    }
+    return _Game_Interpreter_updateWaitMode.call(this);
+};
+
+//=============================================================================
+// Plugin Commands
+//=============================================================================
+// CameraPath define <name> [smooth|linear] <key> <key> ...
+//   key: t:0,x:10,y:8,tilt:45,yaw:0,zoom:1,fov:60,camX:..,camY:..,camZ:..,ease:cubicInOut
+//   (t 대신 d:<초>로 이전 키로부터의 간격 지정 가능)
+// CameraPath play <name> [wait] [hold] [loop] [speed:<배율>]   (wait와 loop는 함께 쓸 수 없음)
+// CameraPath pause / resume / skip / stop
+// CameraPath release [duration]   - hold 해제 (초 단위 블렌드)
+// CameraPath wait                 - 재생 완료까지 대기 (loop 재생 중에는 오류)
+
+PluginCommandRegistry.register('CameraPath', {
+    description: '키프레임 시네마틱 카메라 경로',
+    subcommands: {
+        define: {
+            description: '경로 정의 (smooth|linear 와 키 목록)',
+            args: [{ name: 'name' }, { name: 'keys', rest: true }],
+            run: function(a) {
+                var def = { smooth: true, keys: [] };
+                for (var i = 0; i < a.keys.length; i++) {
+                    if (a.keys[i] === 'linear') def.smooth = false;
+                    else if (a.keys[i] === 'smooth') def.smooth = true;
+                    else def.keys.push(CameraPath.parseKey(a.keys[i]));
+                }
+                if (def.keys.length === 0) throw new Error('키가 없음');
+                CameraPath.define(a.name, def);
+            }
+        },
+        play: {
+            description: '경로 재생 (wait, hold, loop, speed:<배율>)',
+            args: [{ name: 'name' }, { name: 'options', rest: true }],
+            run: function(a, interpreter) {
+                var opts = {};
+                var wait = false;
+                for (var j = 0; j < a.options.length; j++) {
+                    var opt = a.options[j];
+                    if (opt === 'wait') wait = true;
+                    else if (opt === 'hold') opts.hold = true;
+                    else if (opt === 'loop') opts.loop = true;
+                    else if (opt.indexOf('speed:') === 0) opts.speed = parseFloat(opt.substring(6)) || 1;
+                    else throw new Error('알 수 없는 옵션: ' + opt);
+                }
+                if (!CameraPath.getPath(a.name)) throw new Error('경로 없음: ' + a.name);
+                if (wait && opts.loop) throw new Error('loop 재생은 끝나지 않아 wait와 함께 쓸 수 없음');
+                if (CameraPath.play(a.name, opts) && wait) interpreter.setWaitMode('cameraPath');
+            }
+        },
+        pause: {
+            description: '일시정지',
+            run: function() { CameraPath.pause(); }
+        },
+        resume: {
+            description: '재개',
+            run: function() { CameraPath.resume(); }
+        },
+        skip: {
+            description: '끝으로 건너뛰기',
+            run: function() { CameraPath.skip(); }
+        },
+        stop: {
+            description: '정지',
+            run: function() { CameraPath.stop(); }
+        },
+        release: {
+            description: 'hold 해제 (초 단위 블렌드)',
+            args: [{ name: 'duration', type: 'number', default: 0, min: 0 }],
+            run: function(a) { CameraPath.release(a.duration); }
+        },
+        wait: {
+            description: '재생 완료까지 대기',
+            run: function(a, interpreter) {
+                if (CameraPath.isLooping()) throw new Error('loop 재생 중에는 대기할 수 없음 (stop/skip으로 종료)');
+                interpreter.setWaitMode('cameraPath');
+            }
+        }
+    }
+});
+
+})();
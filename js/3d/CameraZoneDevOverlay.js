@@ -51,7 +51,7 @@
         if (!overlay) return;
         if (!$gameMap || !$gamePlayer) { bodyEl.innerHTML = '<div style="color:#666">No map</div>'; return; }
 
-        var zones = $dataMap && $dataMap.cameraZones;
+        var zones = $dataMap && $gameMap.cameraZones();
         if (!zones || zones.length === 0) {
             bodyEl.innerHTML = '<div style="color:#666">No camera zones</div>';
             return;
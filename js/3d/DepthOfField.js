@@ -324,7 +324,8 @@ MapRenderPass.prototype.render = function(renderer, writeBuffer /*, readBuffer,
 
     // Shadow Map: Pass 1에서만 갱신 (Sky/UI pass에서 비는 것 방지)
     // composer 전체가 autoUpdate=false로 실행되므로 여기서 needsUpdate 설정
-    renderer.shadowMap.needsUpdate = true;
+    // (빌보드 그림자가 필요하면 광원 방향 빌보드로 shadow pass를 먼저 렌더)
+    Mode3D._renderShadowPass(renderer, scene);
 
     // Pass 1: PerspectiveCamera - 맵(Spriteset_Map)만
     // Picture는 Pass 1에서 숨기고 UIRenderPass(2D)에서 렌더
@@ -1566,26 +1567,6 @@ DepthOfField._removeDebugUI = function() {
 // Plugin Commands
 //=============================================================================
 
-var _Game_Interpreter_pluginCommand_dof = Game_Interpreter.prototype.pluginCommand;
-Game_Interpreter.prototype.pluginCommand = function(command, args) {
-    _Game_Interpreter_pluginCommand_dof.call(this, command, args);
-
-    if (command === 'DoF' || command === 'DepthOfField') {
-        if (args[0] === 'on') ConfigManager.depthOfField = true;
-        if (args[0] === 'off') ConfigManager.depthOfField = false;
-        if (args[0] === 'focusY' && args[1]) {
-            DepthOfField.config.focusY = parseFloat(args[1]);
-        }
-        if (args[0] === 'focusRange' && args[1]) {
-            DepthOfField.config.focusRange = parseFloat(args[1]);
-        }
-        if (args[0] === 'maxblur' && args[1]) {
-            DepthOfField.config.maxblur = parseFloat(args[1]);
-        }
-        if (args[0] === 'blurPower' && args[1]) {
-            DepthOfField.config.blurPower = parseFloat(args[1]);
-        }
-    }
-};
+// DoF / DepthOfField 커맨드는 PostProcess.js에서 PluginCommandRegistry로 등록한다.
 
 })();
@@ -474,6 +474,8 @@ FogOfWar.setup = function(mapWidth, mapHeight, config) {
 };
 
 FogOfWar.dispose = function() {
+    // 해제 전 탐험 기록 보관 (FogOfWar Disable → Enable 시 복원)
+    this.storeExplored();
     // 3D Volume 모드 정리
     if (window.FogOfWar3DVolume && window.FogOfWar3DVolume._active) {
         window.FogOfWar3DVolume.dispose();
@@ -733,11 +735,18 @@ FogOfWar._buildHeightMap = function() {
                 }
                 maxH = Math.max(maxH, tileH);
             }
-            heightMap[ty * w + tx] = maxH;
+            // tileLayerElevation 높이맵: 바닥 높이 위에 벽 높이를 얹는다
+            heightMap[ty * w + tx] = maxH + this._floorHeight(tx, ty);
         }
     }
 };
 
+// Game_Map 높이맵의 바닥 높이 (타일 단위, 높이맵이 없으면 0)
+FogOfWar._floorHeight = function(tx, ty) {
+    if (this._customHeightMap || typeof $gameMap === 'undefined' || !$gameMap || !$gameMap.hasElevation) return 0;
+    return $gameMap.elevation(tx, ty);
+};
+
 // 커스텀 높이맵 설정 (테스트용)
 FogOfWar.setCustomHeightMap = function(heightMapArray) {
     var w = this._mapWidth;
@@ -771,16 +780,18 @@ FogOfWar._hasLineOfSight3D = function(x0, y0, x1, y1) {
     var heightMap = this._heightMap;
     var eyeH = this._eyeHeight;
 
-    // 시작점 높이: 플레이어 발밑 타일 높이 + 눈높이
-    var startH = eyeH; // 플레이어는 바닥에 서있다고 가정 (높이 0 타일)
+    // 시작점 높이: 플레이어 발밑 바닥 높이 + 눈높이
+    var startH = this._floorHeight(x0, y0) + eyeH;
 
     // 끝점 높이: 타겟 타일의 높이 (벽이면 꼭대기를 볼 수 있음)
     var targetTileH = 0;
+    var targetFloorH = 0;
     if (x1 >= 0 && x1 < w && y1 >= 0 && y1 < this._mapHeight) {
         targetTileH = heightMap[y1 * w + x1];
+        targetFloorH = this._floorHeight(x1, y1);
     }
     // 타겟이 벽이면 벽의 중간 높이를 목표로 (벽 자체는 보임)
-    var endH = targetTileH > 0 ? targetTileH * 0.5 : 0;
+    var endH = targetFloorH + (targetTileH - targetFloorH) * 0.5;
 
     // Bresenham 라인을 따라가며 3D 시선 체크
     var dx = Math.abs(x1 - x0);
@@ -1018,6 +1029,13 @@ FogOfWar._syncDisplay = function() {
     }
 };
 
+// 타일이 현재 시야 안에 있는지 (포그 비활성 시 항상 true)
+FogOfWar.isTileVisible = function(tileX, tileY) {
+    if (!this._active || !this._visibilityData) return true;
+    if (tileX < 0 || tileY < 0 || tileX >= this._mapWidth || tileY >= this._mapHeight) return false;
+    return this._visibilityData[tileY * this._mapWidth + tileX] > 0;
+};
+
 FogOfWar.revealAll = function() {
     if (!this._visibilityData) return;
     for (var i = 0; i < this._visibilityData.length; i++) {
@@ -1057,6 +1075,67 @@ FogOfWar.revealRect = function(x, y, w, h) {
     this._updateTexture();
 };
 
+//=============================================================================
+// 탐험 기록 저장/복원 — 맵별 explored 그리드를 세이브 파일에 보관
+//=============================================================================
+// 인코딩: explored(0/1)를 8타일 = 1바이트로 비트 패킹 → LZString Base64 압축
+// 대형 맵이라도 대부분 연속 구간이라 수백 바이트 수준으로 줄어든다.
+
+FogOfWar._exploredMaps = {};   // { mapId: { w, h, data } } — 방문한 맵의 탐험 기록
+FogOfWar._mapId = 0;           // 현재 _exploredData가 속한 맵 ID (0 = 미지정)
+
+FogOfWar._encodeExplored = function(explored) {
+    var bytes = Math.ceil(explored.length / 8);
+    var chars = new Array(bytes);
+    for (var b = 0; b < bytes; b++) {
+        var v = 0;
+        var base = b * 8;
+        for (var k = 0; k < 8; k++) {
+            if (explored[base + k]) v |= (1 << k);
+        }
+        chars[b] = String.fromCharCode(v);
+    }
+    return LZString.compressToBase64(chars.join(''));
+};
+
+FogOfWar._decodeExplored = function(data, size) {
+    var out = new Uint8Array(size);
+    var str = data ? LZString.decompressFromBase64(data) : null;
+    if (!str) return out;
+    for (var i = 0; i < size; i++) {
+        var c = str.charCodeAt(i >> 3);
+        if (c & (1 << (i & 7))) out[i] = 1;
+    }
+    return out;
+};
+
+// 현재 맵의 탐험 기록을 캐시에 보관 (맵 이동 / 세이브 직전에 호출)
+FogOfWar.storeExplored = function() {
+    if (!this._mapId || !this._exploredData) return;
+    this._exploredMaps[this._mapId] = {
+        w: this._mapWidth,
+        h: this._mapHeight,
+        data: this._encodeExplored(this._exploredData)
+    };
+};
+
+// setup() 직후 호출: 캐시된 탐험 기록이 있으면 explored 버퍼에 복원
+FogOfWar.restoreExplored = function(mapId) {
+    this._mapId = mapId || 0;
+    if (!this._mapId || !this._exploredData) return;
+    var rec = this._exploredMaps[this._mapId];
+    // 맵 크기가 바뀌었으면 기존 기록은 무효
+    if (!rec || rec.w !== this._mapWidth || rec.h !== this._mapHeight) return;
+    this._exploredData.set(this._decodeExplored(rec.data, this._exploredData.length));
+    this._syncDisplay();
+    this._updateTexture();
+};
+
+FogOfWar.clearExploredMaps = function() {
+    this._exploredMaps = {};
+    this._mapId = 0;
+};
+
 //=============================================================================
 // 2D 경계 디졸브 셰이더 — fog 메시 위에 덮어서 경계면 디졸브 처리
 // 탐험(explored>0)↔미탐험(explored=0) 경계에서 디졸브 처리
@@ -1801,48 +1880,95 @@ PostProcess._applyMapSettings = function() {
 
     if (!$dataMap) return;
 
+    // 이전 맵(또는 composer 재생성 전 같은 맵)의 탐험 기록 보관
+    FogOfWar.storeExplored();
+
     var fow = $dataMap.fogOfWar;
     if (fow && (fow.enabled2D || fow.enabled3D)) {
         FogOfWar.setup($dataMap.width, $dataMap.height, fow);
         FogOfWar._enabled2D = !!fow.enabled2D;
         FogOfWar._enabled3D = !!fow.enabled3D;
+        FogOfWar.restoreExplored($gameMap ? $gameMap.mapId() : 0);
     } else {
         FogOfWar.dispose();
+        FogOfWar._mapId = 0;
     }
 };
 
+//=============================================================================
+// 세이브/로드 통합 - 방문한 맵의 탐험 기록
+//=============================================================================
+
+var _DataManager_makeSaveContents = DataManager.makeSaveContents;
+DataManager.makeSaveContents = function() {
+    var contents = _DataManager_makeSaveContents.call(this);
+    FogOfWar.storeExplored();
+    contents.fogOfWar = FogOfWar._exploredMaps;
+    return contents;
+};
+
+var _DataManager_extractSaveContents = DataManager.extractSaveContents;
+DataManager.extractSaveContents = function(contents) {
+    _DataManager_extractSaveContents.call(this, contents);
+    // 로드 직전 플레이 중이던 맵 기록이 덮어쓰지 않도록 _mapId 초기화
+    FogOfWar._exploredMaps = contents.fogOfWar || {};
+    FogOfWar._mapId = 0;
+};
+
+var _DataManager_setupNewGame = DataManager.setupNewGame;
+DataManager.setupNewGame = function() {
+    _DataManager_setupNewGame.call(this);
+    FogOfWar.clearExploredMaps();
+};
+
 //=============================================================================
 // Plugin Command 지원
 //=============================================================================
 
-if (typeof Game_Interpreter !== 'undefined') {
-    var _Game_Interpreter_pluginCommand = Game_Interpreter.prototype.pluginCommand;
-    Game_Interpreter.prototype.pluginCommand = function(command, args) {
-        _Game_Interpreter_pluginCommand.call(this, command, args);
-        if (command === 'FogOfWar') {
-            var sub = args[0];
-            if (sub === 'Enable') {
-                if (!FogOfWar._active && $dataMap) {
-                    FogOfWar.setup($dataMap.width, $dataMap.height, $dataMap.fogOfWar || {});
+if (window.PluginCommandRegistry) {
+    PluginCommandRegistry.register('FogOfWar', {
+        description: '전장의 안개(시야) 제어',
+        subcommands: {
+            Enable: {
+                description: '맵 설정으로 안개 켜기 (탐험 기록 복원)',
+                run: function() {
+                    if (!FogOfWar._active && $dataMap) {
+                        FogOfWar.setup($dataMap.width, $dataMap.height, $dataMap.fogOfWar || {});
+                        FogOfWar.restoreExplored($gameMap.mapId());
+                    }
+                }
+            },
+            Disable: {
+                description: '안개 끄기',
+                run: function() { FogOfWar.dispose(); }
+            },
+            Radius: {
+                description: '시야 반경(타일) 변경',
+                args: [{ name: 'tiles', type: 'int', min: 1, default: 5 }],
+                run: function(a) {
+                    FogOfWar._radius = a.tiles;
+                    FogOfWar._prevPlayerX = -1;
                 }
-            } else if (sub === 'Disable') {
-                FogOfWar.dispose();
-            } else if (sub === 'Radius') {
-                FogOfWar._radius = parseInt(args[1]) || 5;
-                FogOfWar._prevPlayerX = -1;
-            } else if (sub === 'RevealAll') {
-                FogOfWar.revealAll();
-            } else if (sub === 'HideAll') {
-                FogOfWar.hideAll();
-            } else if (sub === 'RevealRect') {
-                var rx = parseInt(args[1]) || 0;
-                var ry = parseInt(args[2]) || 0;
-                var rw = parseInt(args[3]) || 1;
-                var rh = parseInt(args[4]) || 1;
-                FogOfWar.revealRect(rx, ry, rw, rh);
+            },
+            RevealAll: {
+                description: '맵 전체 공개',
+                run: function() { FogOfWar.revealAll(); }
+            },
+            HideAll: {
+                description: '맵 전체 숨김 (탐험 기록 초기화)',
+                run: function() { FogOfWar.hideAll(); }
+            },
+            RevealRect: {
+                description: '사각형 영역(타일) 공개',
+                args: [
+                    { name: 'x', type: 'int', min: 0 }, { name: 'y', type: 'int', min: 0 },
+                    { name: 'width', type: 'int', min: 1, default: 1 },
+                    { name: 'height', type: 'int', min: 1, default: 1 }
+                ],
+                run: function(a) { FogOfWar.revealRect(a.x, a.y, a.width, a.height); }
             }
         }
-    };
+    });
 }
 
 //=============================================================================
@@ -0,0 +1,477 @@
+//=============================================================================
+// LocalizationManager.js - languages/ CSV 기반 런타임 다국어 적용
+//=============================================================================
+// languages/config.json, terms.csv, database/*.csv, maps/mapNNN.csv 를 읽어
+// 선택된 언어의 문자열을 $dataSystem.terms / 데이터베이스 / 맵 이벤트 메시지에 덮어쓴다.
+// - Scene_Boot에서 config/terms/database CSV 로드 (완료까지 isReady 대기)
+// - 맵 CSV는 DataManager.loadMapData 시 함께 로드 (isMapLoaded 대기)
+// - 원본(소스 언어) 값을 보관하므로 재시작 없이 언어 전환 가능
+// - 번역이 비어 있으면 원본 문자열 유지
+//
+// CSV 형식: key,ts,deleted,<lang>,<lang>_ts,... (deleted=1 행은 무시)
+// 맵 키: ev<eventId>.page<pageNo(1~)>.cmd<index>[.ch<choiceIndex>]
+//
+// 의존: ConfigManager, DataManager, Scene_Boot, Window_Options
+//=============================================================================
+
+(function() {
+
+//=============================================================================
+// LocalizationManager 전역 객체
+//=============================================================================
+
+var LocalizationManager = {};
+window.LocalizationManager = LocalizationManager;
+
+LocalizationManager.BASE_PATH = 'languages/';
+
+// database CSV 파일명 → 전역 데이터 변수
+LocalizationManager.DATABASE_TABLES = {
+    actors:   '$dataActors',
+    classes:  '$dataClasses',
+    skills:   '$dataSkills',
+    items:    '$dataItems',
+    weapons:  '$dataWeapons',
+    armors:   '$dataArmors',
+    enemies:  '$dataEnemies',
+    states:   '$dataStates'
+};
+
+// 옵션 화면의 "언어" 항목 이름 (현재 언어 기준)
+LocalizationManager.OPTION_LABELS = {
+    ko: '언어',
+    en: 'Language',
+    ja: '言語',
+    zh: '语言'
+};
+
+// 옵션 화면에 표시할 언어 이름
+LocalizationManager.LANGUAGE_NAMES = {
+    ko: '한국어',
+    en: 'English',
+    ja: '日本語',
+    zh: '中文'
+};
+
+LocalizationManager._config = null;        // languages/config.json
+LocalizationManager._terms = null;         // { key: row }
+LocalizationManager._database = {};        // { table: { key: row } }
+LocalizationManager._maps = {};            // { mapId: { key: row } | null(없음) }
+LocalizationManager._pending = 0;          // 로드 중인 파일 수
+LocalizationManager._bootRequested = false;
+LocalizationManager._originals = {};       // 원본 값 보관 { 'table:id.field': value }
+LocalizationManager._mapPending = false;
+
+//=============================================================================
+// CSV 파서 (따옴표, 이스케이프된 "", 셀 내부 줄바꿈 지원)
+//=============================================================================
+
+LocalizationManager.parseCsv = function(text) {
+    var rows = [];
+    var row = [];
+    var cell = '';
+    var inQuotes = false;
+    if (text.charCodeAt(0) === 0xFEFF) text = text.substring(1);
+    for (var i = 0; i < text.length; i++) {
+        var ch = text.charAt(i);
+        if (inQuotes) {
+            if (ch === '"') {
+                if (text.charAt(i + 1) === '"') {
+                    cell += '"';
+                    i++;
+                } else {
+                    inQuotes = false;
+                }
+            } else {
+                cell += ch;
+            }
+        } else if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text.charAt(i + 1) === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += ch;
+        }
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows;
+};
+
+// CSV → { key: { lang: text, ... } } (deleted 행 제외)
+LocalizationManager.parseTable = function(text) {
+    var rows = this.parseCsv(text);
+    var table = {};
+    if (rows.length === 0) return table;
+    var header = rows[0];
+    var keyCol = header.indexOf('key');
+    var delCol = header.indexOf('deleted');
+    if (keyCol < 0) return table;
+    for (var r = 1; r < rows.length; r++) {
+        var cols = rows[r];
+        var key = cols[keyCol];
+        if (!key) continue;
+        if (delCol >= 0 && cols[delCol] && cols[delCol] !== '0') continue;
+        var entry = {};
+        for (var c = 0; c < header.length; c++) {
+            if (c === keyCol || c === delCol || /_ts$|^ts$/.test(header[c])) continue;
+            entry[header[c]] = cols[c] != null ? cols[c] : '';
+        }
+        table[key] = entry;
+    }
+    return table;
+};
+
+//=============================================================================
+// 파일 로드
+//=============================================================================
+
+LocalizationManager._loadText = function(path, onLoad) {
+    var xhr = new XMLHttpRequest();
+    var self = this;
+    this._pending++;
+    xhr.open('GET', this.BASE_PATH + path);
+    xhr.overrideMimeType('text/plain; charset=utf-8');
+    xhr.onload = function() {
+        if (xhr.status < 400) {
+            try {
+                onLoad(xhr.responseText);
+            } catch (e) {
+                console.warn('[Localization] ' + path + ' 파싱 실패:', e);
+            }
+        } else {
+            onLoad(null);
+        }
+        self._pending--;
+    };
+    xhr.onerror = function() {
+        onLoad(null);
+        self._pending--;
+    };
+    xhr.send();
+};
+
+// Scene_Boot에서 호출: config → terms + database CSV 로드
+LocalizationManager.loadBoot = function() {
+    if (this._bootRequested) return;
+    this._bootRequested = true;
+    var self = this;
+    this._loadText('config.json', function(text) {
+        self._config = text ? JSON.parse(text) : null;
+        if (!self._config) return;
+        self._loadText('terms.csv', function(csv) {
+            self._terms = csv ? self.parseTable(csv) : null;
+        });
+        Object.keys(self.DATABASE_TABLES).forEach(function(name) {
+            self._loadText('database/' + name + '.csv', function(csv) {
+                self._database[name] = csv ? self.parseTable(csv) : null;
+            });
+        });
+    });
+};
+
+LocalizationManager.isReady = function() {
+    return this._pending === 0;
+};
+
+// 맵 CSV 로드 (한 번 읽은 맵은 캐시, 파일이 없으면 null로 기록)
+LocalizationManager.loadMap = function(mapId) {
+    if (!this._config || mapId <= 0 || this._maps.hasOwnProperty(mapId)) return;
+    var self = this;
+    this._mapPending = true;
+    this._loadText('maps/map' + mapId.padZero(3) + '.csv', function(csv) {
+        self._maps[mapId] = csv ? self.parseTable(csv) : null;
+        self._mapPending = false;
+    });
+};
+
+LocalizationManager.isMapReady = function() {
+    return !this._mapPending;
+};
+
+//=============================================================================
+// 언어 설정
+//=============================================================================
+
+LocalizationManager.sourceLanguage = function() {
+    return (this._config && this._config.sourceLanguage) || 'ko';
+};
+
+LocalizationManager.languages = function() {
+    return (this._config && this._config.languages) || [this.sourceLanguage()];
+};
+
+LocalizationManager.currentLanguage = function() {
+    var lang = ConfigManager.language;
+    if (lang && this.languages().indexOf(lang) >= 0) return lang;
+    return this.sourceLanguage();
+};
+
+LocalizationManager.optionLabel = function() {
+    return this.OPTION_LABELS[this.currentLanguage()] || 'Language';
+};
+
+LocalizationManager.languageName = function(lang) {
+    return this.LANGUAGE_NAMES[lang] || String(lang).toUpperCase();
+};
+
+// 언어 변경 후 즉시 재적용
+LocalizationManager.setLanguage = function(lang) {
+    ConfigManager.language = lang;
+    this.applyAll();
+};
+
+// 번역 조회: 번역이 비어 있으면 null
+LocalizationManager._lookup = function(table, key) {
+    if (!table) return null;
+    var entry = table[key];
+    if (!entry) return null;
+    var text = entry[this.currentLanguage()];
+    return text ? text : null;
+};
+
+//=============================================================================
+// 적용 — 원본 값을 보관한 뒤 덮어쓰기 (소스 언어는 원본 복원)
+//=============================================================================
+
+LocalizationManager._assign = function(origKey, obj, field, table, key) {
+    if (!obj) return;
+    if (!this._originals.hasOwnProperty(origKey)) {
+        this._originals[origKey] = obj[field];
+    }
+    var original = this._originals[origKey];
+    var text = this.currentLanguage() === this.sourceLanguage() ? null : this._lookup(table, key);
+    obj[field] = text != null ? text : original;
+};
+
+LocalizationManager.applyAll = function() {
+    if (!this._config) return;
+    this.applyTerms();
+    this.applyDatabase();
+    if ($dataMap && $gameMap && $gameMap.mapId() > 0) {
+        this.applyMap($dataMap, $gameMap.mapId());
+    }
+};
+
+// terms.csv: basic.N / commands.N / params.N / messages.<name>
+LocalizationManager.applyTerms = function() {
+    var table = this._terms;
+    if (!table || !$dataSystem || !$dataSystem.terms) return;
+    var terms = $dataSystem.terms;
+    for (var key in table) {
+        var dot = key.indexOf('.');
+        if (dot < 0) continue;
+        var group = terms[key.substring(0, dot)];
+        var field = key.substring(dot + 1);
+        if (!group || !(field in group)) continue;
+        this._assign('terms:' + key, group, field, table, key);
+    }
+};
+
+// database/*.csv: <id>.<field>
+LocalizationManager.applyDatabase = function() {
+    for (var name in this.DATABASE_TABLES) {
+        var table = this._database[name];
+        var data = window[this.DATABASE_TABLES[name]];
+        if (!table || !data) continue;
+        for (var key in table) {
+            var dot = key.indexOf('.');
+            if (dot < 0) continue;
+            var item = data[parseInt(key.substring(0, dot))];
+            var field = key.substring(dot + 1);
+            if (!item || typeof item[field] !== 'string') continue;
+            this._assign(name + ':' + key, item, field, table, key);
+        }
+    }
+};
+
+// maps/mapNNN.csv: 메시지(101+401), 스크롤 텍스트(105+405), 선택지(102)
+// 번역 줄 수가 원본과 다를 수 있으므로 원본 리스트를 보관하고 새 리스트를 구성한다.
+LocalizationManager.applyMap = function(dataMap, mapId) {
+    var table = this._maps[mapId];
+    if (!dataMap || !dataMap.events || table === undefined) return;
+    var useSource = this.currentLanguage() === this.sourceLanguage();
+    for (var e = 0; e < dataMap.events.length; e++) {
+        var ev = dataMap.events[e];
+        if (!ev || !ev.pages) continue;
+        for (var p = 0; p < ev.pages.length; p++) {
+            var page = ev.pages[p];
+            if (!page._l10nSource) page._l10nSource = page.list;
+            var prefix = 'ev' + ev.id + '.page' + (p + 1) + '.cmd';
+            page.list = (useSource || !table) ? page._l10nSource :
+                this._translateList(page._l10nSource, table, prefix);
+        }
+    }
+};
+
+LocalizationManager._translateList = function(source, table, prefix) {
+    var list = [];
+    for (var i = 0; i < source.length; i++) {
+        var cmd = source[i];
+        var contCode = cmd.code === 101 ? 401 : cmd.code === 105 ? 405 : 0;
+        var text = contCode ? this._lookup(table, prefix + i) : null;
+        if (text != null) {
+            list.push(cmd);
+            var lines = text.split('\n');
+            // 스크롤 텍스트는 끝 줄바꿈이 빈 줄로 들어오므로 제거
+            if (lines.length > 1 && lines[lines.length - 1] === '') lines.pop();
+            for (var l = 0; l < lines.length; l++) {
+                list.push({ code: contCode, indent: cmd.indent, parameters: [lines[l]] });
+            }
+            while (i + 1 < source.length && source[i + 1].code === contCode) i++;
+        } else if (cmd.code === 102) {
+            var choices = cmd.parameters[0].slice();
+            var changed = false;
+            for (var c = 0; c < choices.length; c++) {
+                var ch = this._lookup(table, prefix + i + '.ch' + c);
+                if (ch != null) {
+                    choices[c] = ch;
+                    changed = true;
+                }
+            }
+            if (changed) {
+                var params = cmd.parameters.slice();
+                params[0] = choices;
+                list.push({ code: cmd.code, indent: cmd.indent, parameters: params });
+            } else {
+                list.push(cmd);
+            }
+        } else {
+            list.push(cmd);
+        }
+    }
+    return list;
+};
+
+//=============================================================================
+// ConfigManager - language 설정 추가
+//=============================================================================
+
+ConfigManager.language = null;
+
+var _ConfigManager_makeData = ConfigManager.makeData;
+ConfigManager.makeData = function() {
+    var config = _ConfigManager_makeData.call(this);
+    config.language = this.language;
+    return config;
+};
+
+var _ConfigManager_applyData = ConfigManager.applyData;
+ConfigManager.applyData = function(config) {
+    _ConfigManager_applyData.call(this, config);
+    this.language = typeof config.language === 'string' ? config.language : null;
+};
+
+//=============================================================================
+// Scene_Boot - CSV 로드 대기 후 적용
+//=============================================================================
+
+var _Scene_Boot_create = Scene_Boot.prototype.create;
+Scene_Boot.prototype.create = function() {
+    _Scene_Boot_create.call(this);
+    LocalizationManager.loadBoot();
+};
+
+var _Scene_Boot_isReady = Scene_Boot.prototype.isReady;
+Scene_Boot.prototype.isReady = function() {
+    return _Scene_Boot_isReady.call(this) && LocalizationManager.isReady();
+};
+
+var _Scene_Boot_start = Scene_Boot.prototype.start;
+Scene_Boot.prototype.start = function() {
+    LocalizationManager.applyAll();
+    _Scene_Boot_start.call(this);
+};
+
+//=============================================================================
+// DataManager - 맵 로드 시 맵 CSV도 함께 로드/적용
+//=============================================================================
+
+var _DataManager_loadMapData = DataManager.loadMapData;
+DataManager.loadMapData = function(mapId) {
+    _DataManager_loadMapData.call(this, mapId);
+    LocalizationManager._loadingMapId = mapId;
+    LocalizationManager.loadMap(mapId);
+};
+
+var _DataManager_isMapLoaded = DataManager.isMapLoaded;
+DataManager.isMapLoaded = function() {
+    if (!_DataManager_isMapLoaded.call(this) || !LocalizationManager.isMapReady()) return false;
+    var mapId = LocalizationManager._loadingMapId;
+    if (mapId > 0 && $dataMap && $dataMap._l10nMapId !== mapId) {
+        $dataMap._l10nMapId = mapId;
+        LocalizationManager.applyMap($dataMap, mapId);
+    }
+    return true;
+};
+
+//=============================================================================
+// Window_Options - 언어 옵션 (좌우/확인으로 순환)
+//=============================================================================
+
+var _Window_Options_addGeneralOptions = Window_Options.prototype.addGeneralOptions;
+Window_Options.prototype.addGeneralOptions = function() {
+    _Window_Options_addGeneralOptions.call(this);
+    if (LocalizationManager.languages().length > 1) {
+        this.addCommand(LocalizationManager.optionLabel(), 'language');
+    }
+};
+
+var _Window_Options_statusText = Window_Options.prototype.statusText;
+Window_Options.prototype.statusText = function(index) {
+    if (this.commandSymbol(index) === 'language') {
+        return LocalizationManager.languageName(LocalizationManager.currentLanguage());
+    }
+    return _Window_Options_statusText.call(this, index);
+};
+
+Window_Options.prototype.shiftLanguage = function(step) {
+    var langs = LocalizationManager.languages();
+    var idx = langs.indexOf(LocalizationManager.currentLanguage());
+    var next = langs[(idx + step + langs.length) % langs.length];
+    if (next === LocalizationManager.currentLanguage()) return;
+    LocalizationManager.setLanguage(next);
+    SoundManager.playCursor();
+    // 옵션 이름(TextManager)도 바뀌므로 전체 다시 그리기
+    var index = this.index();
+    this.refresh();
+    this.select(index);
+};
+
+var _Window_Options_processOk = Window_Options.prototype.processOk;
+Window_Options.prototype.processOk = function() {
+    if (this.commandSymbol(this.index()) === 'language') {
+        this.shiftLanguage(1);
+        return;
+    }
+    _Window_Options_processOk.call(this);
+};
+
+var _Window_Options_cursorRight = Window_Options.prototype.cursorRight;
+Window_Options.prototype.cursorRight = function(wrap) {
+    if (this.commandSymbol(this.index()) === 'language') {
+        this.shiftLanguage(1);
+        return;
+    }
+    _Window_Options_cursorRight.call(this, wrap);
+};
+
+var _Window_Options_cursorLeft = Window_Options.prototype.cursorLeft;
+Window_Options.prototype.cursorLeft = function(wrap) {
+    if (this.commandSymbol(this.index()) === 'language') {
+        this.shiftLanguage(-1);
+        return;
+    }
+    _Window_Options_cursorLeft.call(this, wrap);
+};
+
+})();
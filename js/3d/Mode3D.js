@@ -15,11 +15,14 @@
     //=========================================================================
 
     ConfigManager.mode3d = false;
+    // 물 평면 반사 (성능 옵션, 기본 켜짐)
+    ConfigManager.waterReflection = true;
 
     var _ConfigManager_makeData = ConfigManager.makeData;
     ConfigManager.makeData = function() {
         var config = _ConfigManager_makeData.call(this);
         config.mode3d = this.mode3d;
+        config.waterReflection = this.waterReflection;
         return config;
     };
 
@@ -27,6 +30,7 @@
     ConfigManager.applyData = function(config) {
         _ConfigManager_applyData.call(this, config);
         this.mode3d = this.readFlag(config, 'mode3d');
+        this.waterReflection = config.waterReflection !== undefined ? !!config.waterReflection : true;
     };
 
     //=========================================================================
@@ -48,6 +52,10 @@
     Mode3D._editorPanX = 0;
     Mode3D._editorPanY = 0;
     Mode3D._editorPanZ = 0; // 높이 오프셋
+    // 게임 카메라가 화면 중심 대신 바라볼 지점의 오프셋 (픽셀 단위, 전투 카메라에서 사용)
+    Mode3D._focusOffsetX = 0;
+    Mode3D._focusOffsetY = 0;
+    Mode3D._focusOffsetZ = 0;
     window.Mode3D = Mode3D;
 
     //=========================================================================
@@ -177,6 +185,11 @@
             cx += (this._editorPanX || 0);
             cy += (this._editorPanY || 0);
             panZ = (this._editorPanZ || 0);
+        } else {
+            // 게임 카메라 포커스 오프셋 (전투 카메라 샷 등)
+            cx += this._focusOffsetX;
+            cy += this._focusOffsetY;
+            panZ = this._focusOffsetZ;
         }
 
         // yaw 회전: 카메라를 맵 중심(cx, cy, 0) 주위로 Z축(높이축) 회전
@@ -305,9 +318,19 @@
         }
     };
 
-    Mode3D._applyBillboards = function() {
+    Mode3D.unregisterBillboard = function(sprite) {
+        var index = this._billboardTargets.indexOf(sprite);
+        if (index !== -1) {
+            this._billboardTargets.splice(index, 1);
+        }
+    };
+
+    /**
+     * @param {number} [tiltRad] - 카메라 tilt 대신 사용할 각도 (물 반사 패스에서 PI/2로 똑바로 세움)
+     */
+    Mode3D._applyBillboards = function(tiltRad) {
         // 카메라가 위에서 내려다보므로 스프라이트를 -tilt만큼 역회전
-        var tilt = -this._tiltRad;
+        var tilt = -(tiltRad != null ? tiltRad : this._tiltRad);
         var yaw = this._yawRad || 0;
         for (var i = 0; i < this._billboardTargets.length; i++) {
             var sprite = this._billboardTargets[i];
@@ -336,22 +359,20 @@
     };
 
     /**
-     * SpotLight 방향 기준 빌보드: shadow pass에서 캐릭터가 SpotLight를 향하도록 회전
+     * 광원 방향 기준 빌보드: shadow pass에서 캐릭터가 광원을 향하도록 회전
      * SpotLight는 위(z=spotLightZ)에서 앞(direction)을 비추므로,
      * shadow camera 시점에서 캐릭터가 정면으로 보이도록 rotation.x를 조정
+     * (shadow map 그림자 품질에서는 DirectionalLight도 같은 방식으로 처리)
+     * @param {THREE.Light} light - target을 가진 SpotLight / DirectionalLight
      */
-    Mode3D._applyBillboardsForShadow = function() {
-        if (!window.ShadowLight || !ShadowLight._playerSpotLight || !ShadowLight.config.spotLightEnabled) {
-            return;
-        }
-        var spot = ShadowLight._playerSpotLight;
-        var target = ShadowLight._playerSpotTarget;
-        if (!spot || !target) return;
-
-        // SpotLight에서 target까지의 방향으로 빌보드 회전 (shadow map 렌더링용)
-        var dx = target.position.x - spot.position.x;
-        var dy = target.position.y - spot.position.y;
-        var dz = (target.position.z || 0) - (spot.position.z || 0);
+    Mode3D._applyBillboardsForShadow = function(light) {
+        var target = light && light.target;
+        if (!target) return;
+
+        // 광원에서 target까지의 방향으로 빌보드 회전 (shadow map 렌더링용)
+        var dx = target.position.x - light.position.x;
+        var dy = target.position.y - light.position.y;
+        var dz = (target.position.z || 0) - (light.position.z || 0);
         var lenXY = Math.sqrt(dx * dx + dy * dy);
         var shadowTilt = -Math.atan2(dz, lenXY);
 
@@ -372,6 +393,35 @@
         }
     };
 
+    /**
+     * shadow map 갱신 패스
+     * 빌보드 그림자가 필요한 광원이 있으면 빌보드를 광원 쪽으로 돌려 색/깊이 쓰기 없이
+     * 한 번 렌더(shadow map만 갱신)하고 카메라 빌보드로 되돌림.
+     * 없으면 다음 render에서 shadow map이 갱신되도록 needsUpdate만 설정
+     */
+    Mode3D._renderShadowPass = function(renderer, scene) {
+        renderer.shadowMap.needsUpdate = true;
+        var light = window.ShadowLight ? ShadowLight.billboardShadowLight() : null;
+        if (!light) return;
+        this._applyBillboardsForShadow(light);
+        renderer.state.buffers.color.setMask(false);
+        renderer.state.buffers.depth.setMask(false);
+        renderer.render(scene, this._perspCamera);
+        renderer.state.buffers.color.setMask(true);
+        renderer.state.buffers.depth.setMask(true);
+        this._applyBillboards();
+    };
+
+    /**
+     * 빌보드와 그 자식 메시의 renderOrder를 현재 draw 카운터 이후로 재할당
+     */
+    Mode3D._raiseRenderOrder = function(obj, rendererObj) {
+        obj.renderOrder = rendererObj._drawOrderCounter++;
+        for (var i = 0; i < obj.children.length; i++) {
+            if (obj.children[i].isMesh) this._raiseRenderOrder(obj.children[i], rendererObj);
+        }
+    };
+
     Mode3D._resetBillboards = function() {
         for (var i = 0; i < this._billboardTargets.length; i++) {
             var sprite = this._billboardTargets[i];
@@ -389,14 +439,14 @@
     //=========================================================================
 
     /**
-     * tilemap 자식에서 Sprite_Animation 인스턴스를 모두 수집
+     * tilemap(전투는 battleField) 자식에서 Sprite_Animation 인스턴스를 모두 수집
      */
     Mode3D._collectAnimationSprites = function() {
         var results = [];
         var spriteset = this._spriteset;
-        if (!spriteset || !spriteset._tilemap) return results;
-        var tilemap = spriteset._tilemap;
-        var children = tilemap.children;
+        var container = spriteset && (spriteset._tilemap || spriteset._battleField);
+        if (!container) return results;
+        var children = container.children;
         for (var i = 0; i < children.length; i++) {
             if (children[i] instanceof Sprite_Animation) {
                 results.push(children[i]);
@@ -598,7 +648,8 @@
                     } catch (_e) {}
                 }
                 if (_billboardOn) {
-                    _bSpr._threeObj.renderOrder = rendererObj._drawOrderCounter++;
+                    // 자식(상태 아이콘, 데미지 숫자 등)도 빌보드 본체 위에 그려지도록 함께 올림
+                    Mode3D._raiseRenderOrder(_bSpr._threeObj, rendererObj);
                 }
             }
         }
@@ -629,20 +680,8 @@
             var prevShadowAutoUpdate = renderer.shadowMap.autoUpdate;
             renderer.shadowMap.autoUpdate = false;
 
-            // --- Shadow Pass: SpotLight shadow용 빌보드 회전 → shadow map 갱신 ---
-            if (window.ShadowLight && ShadowLight._playerSpotLight &&
-                ShadowLight.config.spotLightEnabled && ShadowLight._active) {
-                Mode3D._applyBillboardsForShadow();
-                renderer.shadowMap.needsUpdate = true;
-                renderer.state.buffers.color.setMask(false);
-                renderer.state.buffers.depth.setMask(false);
-                renderer.render(scene, Mode3D._perspCamera);
-                renderer.state.buffers.color.setMask(true);
-                renderer.state.buffers.depth.setMask(true);
-                Mode3D._applyBillboards();
-            } else {
-                renderer.shadowMap.needsUpdate = true;
-            }
+            // --- Shadow Pass: 광원 방향 빌보드 회전 → shadow map 갱신 ---
+            Mode3D._renderShadowPass(renderer, scene);
 
             // --- Pass 0: Sky background (PerspectiveCamera) ---
             if (skyMesh) {
@@ -728,6 +767,9 @@
                 }
             }
 
+            // 물 반사: 맵 외 오브젝트가 숨겨진 상태에서 반사 카메라로 렌더
+            ThreeWaterShader.renderReflection(renderer, scene, Mode3D._perspCamera, skyMesh, stageObj);
+
             renderer.autoClear = !skyMesh;  // Don't clear if sky was drawn
             renderer.render(scene, Mode3D._perspCamera);
 
@@ -879,6 +921,9 @@
     Sprite_Character.prototype.updatePosition = function() {
         _Sprite_Character_updatePosition.call(this);
         // 현재 이벤트 페이지의 billboardZ(타일 단위)를 _heightOffset에 반영
+        if (this._character && typeof this._character.elevation === 'function') {
+            this._heightOffset = 0;
+        }
         if (this._character && typeof this._character.page === 'function') {
             try {
                 var page = this._character.page();
@@ -907,6 +952,12 @@
                 var th = ($gameMap && $gameMap.tileHeight) ? $gameMap.tileHeight() : 48;
                 this.y -= th / 2;
             }
+            // 타일 높이맵(tileLayerElevation): 2D용 airHeight 화면 보정을 되돌리고 z 높이로 올린다
+            if (typeof this._character.elevation === 'function' && $gameMap.hasElevation()) {
+                var eth = $gameMap.tileHeight();
+                this.y += this._character.airHeight();
+                this._heightOffset += this._character.elevation() * eth;
+            }
         }
     };
 
@@ -928,6 +979,165 @@
         Mode3D.registerBillboard(this._destinationSprite);
     };
 
+    //=========================================================================
+    // Spriteset_Battle - 3D 전투
+    // 맵의 3D 설정(ConfigManager.mode3d)을 그대로 이어받아 같은 렌더 경로를 사용
+    // - battleback1: 확대하여 바닥 평면에 깔기
+    // - battleback2: 바닥 뒤쪽에 세운 배경막 (이미지 아래쪽 투명 영역만큼 바닥 아래로 내림)
+    // - 적/아군 배틀러, 데미지 팝업: 캐릭터와 같은 빌보드
+    //   (아군은 컨테이너 대신 본체/무기/상태 스프라이트를 세워 바닥 그림자(Shadow2)는 눕힌 채 유지)
+    // 카메라 샷은 BattleCamera.js, 조명/그림자는 ShadowAndLight.js에서 처리
+    //=========================================================================
+
+    Mode3D.battleConfig = {
+        floorScale: 2.0,            // battleback1 확대 배율 (원근 시야의 바닥을 덮도록)
+        backdropScale: 1.5,         // battleback2 확대 배율
+        backdropDistance: 320       // 화면 중심에서 배경막까지 거리 (px, 화면 위쪽 방향)
+    };
+
+    var _Spriteset_Battle_initialize = Spriteset_Battle.prototype.initialize;
+    Spriteset_Battle.prototype.initialize = function() {
+        _Spriteset_Battle_initialize.call(this);
+        Mode3D._spriteset = this;
+    };
+
+    var _Spriteset_Battle_createLowerLayer = Spriteset_Battle.prototype.createLowerLayer;
+    Spriteset_Battle.prototype.createLowerLayer = function() {
+        // 이전 맵의 캐릭터 빌보드 정리
+        Mode3D._billboardTargets = [];
+        _Spriteset_Battle_createLowerLayer.call(this);
+    };
+
+    var _Spriteset_Battle_update = Spriteset_Battle.prototype.update;
+    Spriteset_Battle.prototype.update = function() {
+        _Spriteset_Battle_update.call(this);
+        if (ConfigManager.mode3d) {
+            this.locateBattleback3D();
+        } else if (this._battleback2D) {
+            this.restoreBattleback2D();
+        }
+    };
+
+    /**
+     * 배틀백을 바닥/배경막으로 배치 (비트맵 로드 후 매 프레임)
+     */
+    Spriteset_Battle.prototype.locateBattleback3D = function() {
+        var floor = this._back1Sprite;
+        var backdrop = this._back2Sprite;
+        if (!floor.bitmap.isReady() || !backdrop.bitmap.isReady()) return;
+        if (!this._battleback2D) {
+            this._battleback2D = [floor, backdrop].map(function(sprite) {
+                return { x: sprite.x, y: sprite.y, ox: sprite.origin.x, oy: sprite.origin.y };
+            });
+        }
+
+        var cfg = Mode3D.battleConfig;
+        // battleField 로컬 좌표의 화면 중심
+        var cx = Graphics.width / 2 - this._battleField.x;
+        var cy = Graphics.height / 2 - this._battleField.y;
+
+        var fs = cfg.floorScale;
+        floor.origin.x = floor.origin.y = 0;
+        floor.scale.x = floor.scale.y = fs;
+        floor.x = cx - floor.bitmap.width * fs / 2;
+        floor.y = cy - floor.bitmap.height * fs / 2;
+
+        // 기준점(왼쪽 위)을 축으로 세우면 이미지가 바닥 아래로 향하므로 높이만큼 올려 둔다
+        var bs = cfg.backdropScale;
+        var height = backdrop.bitmap.height * bs;
+        backdrop.origin.x = backdrop.origin.y = 0;
+        backdrop.scale.x = backdrop.scale.y = bs;
+        backdrop.x = cx - backdrop.bitmap.width * bs / 2;
+        backdrop.y = cy - cfg.backdropDistance;
+        backdrop._heightOffset = height * (1 - Mode3D._transparentBottomRatio(backdrop.bitmap));
+        if (backdrop._threeObj) {
+            backdrop._threeObj.rotation.x = -Math.PI / 2;
+        }
+    };
+
+    /**
+     * 2D로 전환되면 배틀백을 원래 배치로 되돌림
+     */
+    Spriteset_Battle.prototype.restoreBattleback2D = function() {
+        var sprites = [this._back1Sprite, this._back2Sprite];
+        for (var i = 0; i < sprites.length; i++) {
+            var sprite = sprites[i];
+            var saved = this._battleback2D[i];
+            sprite.x = saved.x;
+            sprite.y = saved.y;
+            sprite.origin.x = saved.ox;
+            sprite.origin.y = saved.oy;
+            sprite.scale.x = sprite.scale.y = 1;
+            sprite._heightOffset = 0;
+            if (sprite._threeObj) sprite._threeObj.rotation.x = 0;
+        }
+        this._battleback2D = null;
+    };
+
+    /**
+     * 비트맵 아래쪽 투명 영역의 비율 (0~1)
+     * battleback2는 위쪽 벽/나무만 그려진 이미지가 많아 배경막이 공중에 뜨지 않도록 사용.
+     * 축소 캔버스에서 알파를 검사하고 결과는 비트맵에 캐시
+     */
+    Mode3D._transparentBottomRatio = function(bitmap) {
+        if (bitmap._mode3dBottomRatio != null) return bitmap._mode3dBottomRatio;
+        var source = bitmap._image || bitmap.__canvas;
+        var ratio = 0;
+        if (source && bitmap.width > 1 && bitmap.height > 1) {
+            var sw = 32, sh = 64;
+            var canvas = document.createElement('canvas');
+            canvas.width = sw;
+            canvas.height = sh;
+            var context = canvas.getContext('2d');
+            context.drawImage(source, 0, 0, sw, sh);
+            var data = context.getImageData(0, 0, sw, sh).data;
+            var rows = 0;
+            while (rows < sh && !rowHasAlpha(data, sw, sh - 1 - rows)) rows++;
+            ratio = rows / sh;
+        }
+        bitmap._mode3dBottomRatio = ratio;
+        return ratio;
+    };
+
+    function rowHasAlpha(data, width, y) {
+        for (var x = 0; x < width; x++) {
+            if (data[(y * width + x) * 4 + 3] > 16) return true;
+        }
+        return false;
+    }
+
+    var _Sprite_Enemy_initialize = Sprite_Enemy.prototype.initialize;
+    Sprite_Enemy.prototype.initialize = function(battler) {
+        _Sprite_Enemy_initialize.call(this, battler);
+        Mode3D.registerBillboard(this);
+    };
+
+    var _Sprite_Actor_initialize = Sprite_Actor.prototype.initialize;
+    Sprite_Actor.prototype.initialize = function(battler) {
+        _Sprite_Actor_initialize.call(this, battler);
+        Mode3D.registerBillboard(this._weaponSprite);
+        Mode3D.registerBillboard(this._mainSprite);
+        Mode3D.registerBillboard(this._stateSprite);
+    };
+
+    var _Sprite_Battler_setupDamagePopup = Sprite_Battler.prototype.setupDamagePopup;
+    Sprite_Battler.prototype.setupDamagePopup = function() {
+        var count = this._damages.length;
+        _Sprite_Battler_setupDamagePopup.call(this);
+        for (var i = count; i < this._damages.length; i++) {
+            Mode3D.registerBillboard(this._damages[i]);
+        }
+    };
+
+    var _Sprite_Battler_updateDamagePopup = Sprite_Battler.prototype.updateDamagePopup;
+    Sprite_Battler.prototype.updateDamagePopup = function() {
+        var first = this._damages[0];
+        _Sprite_Battler_updateDamagePopup.call(this);
+        if (first && this._damages[0] !== first) {
+            Mode3D.unregisterBillboard(first);
+        }
+    };
+
     //=========================================================================
     // 화면 좌표 → 월드 좌표 변환 (3D 모드용)
     // PerspectiveCamera의 역투영으로 Z=0 평면 교점 계산
@@ -1136,40 +1346,161 @@
         }
     };
 
+    // set/add로 바꿀 수 있는 존 속성과 값 종류 (id와 위치/크기는 전용 커맨드로만 변경)
+    Mode3D.CAMERA_ZONE_PROPS = {
+        name: 'string',
+        enabled: 'bool',
+        priority: 'number',
+        tilt: 'number',
+        fov: 'number',
+        yaw: 'number',
+        zoom: 'number',
+        transitionSpeed: 'number',
+        ambientColor: 'string',
+        ambientIntensity: 'number',
+        dofEnabled: 'bool',
+        dofFocusY: 'number',
+        dofFocusRange: 'number',
+        dofMaxBlur: 'number',
+        dofBlurPower: 'number',
+        postProcessPreset: 'string'
+    };
+
     //=========================================================================
     // Plugin Commands
     //=========================================================================
 
-    var _Game_Interpreter_pluginCommand_m3d = Game_Interpreter.prototype.pluginCommand;
-    Game_Interpreter.prototype.pluginCommand = function(command, args) {
-        _Game_Interpreter_pluginCommand_m3d.call(this, command, args);
-
-        if (command === 'Mode3D') {
-            if (args[0] === 'on') ConfigManager.mode3d = true;
-            if (args[0] === 'off') ConfigManager.mode3d = false;
-            if (args[0] === 'tilt' && args[1]) {
-                var tiltVal = parseFloat(args[1]);
-                var tiltDur = args[2] ? parseFloat(args[2]) : 0;
-                if (tiltDur > 0 && window.PluginTween) {
-                    PluginTween.add({
-                        target: Mode3D, key: '_tiltDeg', to: tiltVal, duration: tiltDur,
-                        onUpdate: function() { Mode3D._tiltRad = Mode3D._tiltDeg * Math.PI / 180; }
-                    });
-                } else {
-                    Mode3D._tiltDeg = tiltVal;
-                    Mode3D._tiltRad = tiltVal * Math.PI / 180;
+    PluginCommandRegistry.register('Mode3D', {
+        description: '3D 모드 전환과 카메라 기울기/회전',
+        subcommands: {
+            on: {
+                description: '3D 모드 켜기',
+                run: function() { ConfigManager.mode3d = true; }
+            },
+            off: {
+                description: '3D 모드 끄기',
+                run: function() { ConfigManager.mode3d = false; }
+            },
+            tilt: {
+                description: '카메라 기울기(도) 변경',
+                args: [{ name: 'deg', type: 'number' }].concat(PluginCommandRegistry.TWEEN_ARGS),
+                run: function(a) {
+                    if (a.duration > 0 && window.PluginTween) {
+                        PluginTween.add({
+                            target: Mode3D, key: '_tiltDeg', to: a.deg, duration: a.duration, ease: a.ease,
+                            onUpdate: function() { Mode3D._tiltRad = Mode3D._tiltDeg * Math.PI / 180; }
+                        });
+                    } else {
+                        Mode3D._tiltDeg = a.deg;
+                        Mode3D._tiltRad = a.deg * Math.PI / 180;
+                    }
+                }
+            },
+            yaw: {
+                description: '카메라 회전(도) 변경',
+                args: [{ name: 'deg', type: 'number' }].concat(PluginCommandRegistry.TWEEN_ARGS),
+                run: function(a) {
+                    if (a.duration > 0 && window.PluginTween) {
+                        PluginTween.add({ target: Mode3D, key: '_yawDeg', to: a.deg, duration: a.duration,
+                            ease: a.ease });
+                    } else {
+                        Mode3D._yawDeg = a.deg;
+                    }
                 }
             }
-            if (args[0] === 'yaw' && args[1]) {
-                var yawVal = parseFloat(args[1]);
-                var yawDur = args[2] ? parseFloat(args[2]) : 0;
-                if (yawDur > 0 && window.PluginTween) {
-                    PluginTween.add({ target: Mode3D, key: '_yawDeg', to: yawVal, duration: yawDur });
-                } else {
-                    Mode3D._yawDeg = yawVal;
+        }
+    });
+
+    // CameraZone enable|disable <id>
+    // CameraZone move <id> <x> <y> / resize <id> <w> <h>
+    // CameraZone set <id> <key> <value> / speed <id> <transitionSpeed>
+    // CameraZone add <id|auto> <x> <y> <w> <h> [key:value ...]
+    // CameraZone remove <id> / reset [id]
+    var ZONE_ID = { name: 'id', type: 'int' };
+
+    PluginCommandRegistry.register('CameraZone', {
+        description: '맵 카메라 존 런타임 편집',
+        subcommands: {
+            enable: {
+                description: '존 활성화',
+                args: [ZONE_ID],
+                run: function(a) { $gameMap.setCameraZoneProps(a.id, { enabled: true }); }
+            },
+            disable: {
+                description: '존 비활성화',
+                args: [ZONE_ID],
+                run: function(a) { $gameMap.setCameraZoneProps(a.id, { enabled: false }); }
+            },
+            move: {
+                description: '존 위치(타일) 이동',
+                args: [ZONE_ID, { name: 'x', type: 'int' }, { name: 'y', type: 'int' }],
+                run: function(a) { $gameMap.setCameraZoneProps(a.id, { x: a.x, y: a.y }); }
+            },
+            resize: {
+                description: '존 크기(타일) 변경',
+                args: [ZONE_ID, { name: 'width', type: 'int', min: 1 }, { name: 'height', type: 'int', min: 1 }],
+                run: function(a) { $gameMap.setCameraZoneProps(a.id, { width: a.width, height: a.height }); }
+            },
+            speed: {
+                description: '존 전환 속도 변경',
+                args: [ZONE_ID, { name: 'transitionSpeed', type: 'number', min: 0 }],
+                run: function(a) { $gameMap.setCameraZoneProps(a.id, { transitionSpeed: a.transitionSpeed }); }
+            },
+            set: {
+                description: '존 속성 하나 변경',
+                args: [
+                    ZONE_ID,
+                    { name: 'key', type: 'enum', values: Object.keys(Mode3D.CAMERA_ZONE_PROPS) },
+                    { name: 'value' }
+                ],
+                run: function(a) {
+                    var props = {};
+                    props[a.key] = Mode3D._parseCameraZoneValue(a.key, a.value);
+                    $gameMap.setCameraZoneProps(a.id, props);
+                }
+            },
+            add: {
+                description: '존 추가 (id 대신 auto면 자동 번호)',
+                args: [
+                    { name: 'id' },
+                    { name: 'x', type: 'int' }, { name: 'y', type: 'int' },
+                    { name: 'width', type: 'int', min: 1 }, { name: 'height', type: 'int', min: 1 },
+                    { name: 'props', rest: true }
+                ],
+                run: function(a) {
+                    var zone = { x: a.x, y: a.y, width: a.width, height: a.height };
+                    var zoneId = parseInt(a.id);
+                    if (a.id !== 'auto' && !isNaN(zoneId)) zone.id = zoneId;
+                    for (var i = 0; i < a.props.length; i++) {
+                        var sep = a.props[i].indexOf(':');
+                        if (sep <= 0) continue;
+                        var k = a.props[i].substring(0, sep);
+                        if (!Mode3D.CAMERA_ZONE_PROPS.hasOwnProperty(k)) throw new Error('알 수 없는 존 속성: ' + k);
+                        zone[k] = Mode3D._parseCameraZoneValue(k, a.props[i].substring(sep + 1));
+                    }
+                    $gameMap.addCameraZone(zone);
                 }
+            },
+            remove: {
+                description: '존 제거',
+                args: [ZONE_ID],
+                run: function(a) { $gameMap.removeCameraZone(a.id); }
+            },
+            reset: {
+                description: '존을 맵 데이터 상태로 되돌림 (id 생략 시 전체)',
+                args: [{ name: 'id', type: 'int', optional: true }],
+                run: function(a) { $gameMap.resetCameraZones(a.id == null ? null : a.id); }
             }
         }
+    });
+
+    // CameraZone 커맨드 인자 → 존 속성 값 (CAMERA_ZONE_PROPS의 종류에 따라 변환)
+    Mode3D._parseCameraZoneValue = function(key, raw) {
+        var type = Mode3D.CAMERA_ZONE_PROPS[key];
+        if (type === 'bool') return raw !== 'false' && raw !== 'off' && raw !== '0';
+        if (type === 'string') return raw;
+        var v = parseFloat(raw);
+        return isNaN(v) ? null : v;
     };
 
 })();
@@ -4,6 +4,7 @@
 // Game_Picture에 셰이더 데이터를 저장하고, Sprite_Picture에서
 // Three.js ShaderMaterial로 교체하여 실시간 셰이더 이펙트를 적용한다.
 // parameters[10]에 셰이더 정보 객체를 넣어 하위 호환을 유지한다.
+// 캐릭터/이벤트도 <shader> 태그나 이동 루트 스크립트로 같은 셰이더를 쓸 수 있다.
 //=============================================================================
 
 var PictureShader = {};
@@ -1608,6 +1609,27 @@ PictureShader.createMaterial = function(type, params, texture) {
     return material;
 };
 
+/**
+ * 입력 텍스처를 그대로 옮기는 material (멀티패스 입력을 프레임 영역으로 잘라낼 때 사용)
+ */
+PictureShader.createCopyMaterial = function() {
+    return new THREE.ShaderMaterial({
+        uniforms: { map: { value: null } },
+        vertexShader: this._VERTEX_SHADER,
+        fragmentShader: [
+            'uniform sampler2D map;',
+            'varying vec2 vUv;',
+            'void main() {',
+            '    gl_FragColor = texture2D(map, vUv);',
+            '}',
+        ].join('\n'),
+        blending: THREE.NoBlending,
+        depthTest: false,
+        depthWrite: false,
+        side: THREE.DoubleSide,
+    });
+};
+
 //=============================================================================
 // Game_Picture 확장
 //=============================================================================
@@ -1649,6 +1671,7 @@ PictureShader.createMaterial = function(type, params, texture) {
     // fade: threshold 높으면 보임 (0=투명, 1=불투명)
     // wipe, circleWipe, blinds, pixelDissolve: threshold 높으면 안 보임 (0=보임, 1=투명)
     var INVERTED_THRESHOLD_TYPES = { wipe: true, circleWipe: true, blinds: true, pixelDissolve: true };
+    PictureShader._INVERTED_THRESHOLD_TYPES = INVERTED_THRESHOLD_TYPES;
 
     /**
      * 셰이더 트랜지션 시작
@@ -1922,13 +1945,203 @@ PictureShader._cloneTransitionShaders = function(transitionData) {
 })();
 
 //=============================================================================
-// Sprite_Picture 확장 (멀티패스 셰이더 체이닝)
+// Game_CharacterBase / Game_Event 확장 (캐릭터 셰이더)
+//=============================================================================
+// 이벤트 페이지 코멘트(없으면 이벤트 노트)의 태그는 그 페이지 동안 적용된다.
+//   <shader: outline thickness:2 colorR:1 colorG:0.9 colorB:0.2>
+//   <shader: ghost transparency:0.4>
+// 이동 루트 스크립트(this = 캐릭터)로 스택을 바꾸면 태그보다 우선하며,
+// 이벤트 페이지가 바뀌면 다시 태그 설정으로 돌아간다.
+//   this.setShader('hologram', { rgbShift: 4 })
+//   this.removeShader('hologram')
+//   this.clearShaders()
+//   this.shaderTransition('dissolve', 'out', 1.0)   // 초 단위, out은 끝난 뒤에도 사라진 상태 유지
 //=============================================================================
 
+/**
+ * <shader: type key:value ...> 태그 목록 파싱 (알 수 없는 타입은 무시)
+ * @returns {Array} [{type, enabled, params}]
+ */
+PictureShader.parseShaderTags = function(text) {
+    var list = [];
+    if (!text) return list;
+    var re = /<shader\s*:\s*(\w+)([^>]*)>/gi;
+    var m;
+    while ((m = re.exec(text)) !== null) {
+        if (!this._FRAGMENT_SHADERS[m[1]]) continue;
+        var params = {};
+        var kvRe = /(\w+)\s*:\s*(\S+)/g;
+        var kv;
+        while ((kv = kvRe.exec(m[2])) !== null) {
+            var n = parseFloat(kv[2]);
+            params[kv[1]] = isNaN(n) ? kv[2] : n;
+        }
+        list.push({ type: m[1], enabled: true, params: params });
+    }
+    return list;
+};
+
 (function() {
-    var _Sprite_Picture_initialize = Sprite_Picture.prototype.initialize;
-    Sprite_Picture.prototype.initialize = function(pictureId) {
-        // 멀티패스용 필드
+    var _Game_CharacterBase_initMembers = Game_CharacterBase.prototype.initMembers;
+    Game_CharacterBase.prototype.initMembers = function() {
+        _Game_CharacterBase_initMembers.call(this);
+        this._shaderData = null;        // 스크립트로 설정한 셰이더 스택 (null이면 기본/태그)
+        this._shaderTransition = null;  // { shader, direction, from, to, duration, elapsed }
+    };
+
+    /**
+     * 트랜지션을 제외한 셰이더 스택
+     */
+    Game_CharacterBase.prototype.baseShaderData = function() {
+        return this._shaderData || [];
+    };
+
+    Game_CharacterBase.prototype.shaderData = function() {
+        var base = this.baseShaderData();
+        return this._shaderTransition ? base.concat([this._shaderTransition.shader]) : base;
+    };
+
+    /**
+     * 같은 타입이 있으면 그 자리에서 교체, 없으면 스택 끝에 추가.
+     * Game_Event에서는 페이지가 바뀌면(setupPageSettings) 스크립트로 바꾼 스택과 트랜지션이
+     * 버려지고 새 페이지의 <shader> 태그로 돌아간다. 유지하려면 새 페이지에서 다시 설정한다.
+     */
+    Game_CharacterBase.prototype.setShader = function(type, params) {
+        if (!PictureShader._FRAGMENT_SHADERS[type]) return;
+        var list = this.baseShaderData().slice();
+        var entry = { type: type, enabled: true, params: params || {} };
+        for (var i = 0; i < list.length; i++) {
+            if (list[i].type === type) {
+                list[i] = entry;
+                this._shaderData = list;
+                return;
+            }
+        }
+        list.push(entry);
+        this._shaderData = list;
+    };
+
+    Game_CharacterBase.prototype.removeShader = function(type) {
+        this._shaderData = this.baseShaderData().filter(function(s) { return s.type !== type; });
+    };
+
+    Game_CharacterBase.prototype.clearShaders = function() {
+        this._shaderData = [];
+        this._shaderTransition = null;
+    };
+
+    /**
+     * threshold 셰이더(dissolve, fade, wipe 등) 트랜지션
+     * @param {string} type - 셰이더 타입
+     * @param {string} direction - 'in' (나타나기) 또는 'out' (사라지기)
+     * @param {number} duration - 초, 0이면 즉시
+     * @param {Object} [params] - threshold 외 셰이더 파라미터
+     */
+    Game_CharacterBase.prototype.shaderTransition = function(type, direction, duration, params) {
+        if (!PictureShader._FRAGMENT_SHADERS[type]) return;
+        var inverted = PictureShader._INVERTED_THRESHOLD_TYPES[type];
+        var visible = inverted ? 0 : 1;
+        var hidden = inverted ? 1 : 0;
+        var shaderParams = {};
+        for (var key in params) shaderParams[key] = params[key];
+        var t = {
+            shader: { type: type, enabled: true, params: shaderParams },
+            direction: direction === 'in' ? 'in' : 'out',
+            from: direction === 'in' ? hidden : visible,
+            to: direction === 'in' ? visible : hidden,
+            duration: duration || 0,
+            elapsed: 0
+        };
+        shaderParams.threshold = t.from;
+        // 이전 out 트랜지션이 남긴 같은 타입은 트랜지션 셰이더로 대체
+        var base = this.baseShaderData();
+        for (var i = 0; i < base.length; i++) {
+            if (base[i].type === type) {
+                this.removeShader(type);
+                break;
+            }
+        }
+        this._shaderTransition = t;
+        if (t.duration <= 0) this._finishShaderTransition();
+    };
+
+    Game_CharacterBase.prototype.isShaderTransitioning = function() {
+        return !!this._shaderTransition;
+    };
+
+    var _Game_CharacterBase_update = Game_CharacterBase.prototype.update;
+    Game_CharacterBase.prototype.update = function() {
+        _Game_CharacterBase_update.call(this);
+        this.updateShaderTransition();
+    };
+
+    Game_CharacterBase.prototype.updateShaderTransition = function() {
+        var t = this._shaderTransition;
+        if (!t) return;
+        t.elapsed += 1 / 60;
+        var progress = Math.min(t.elapsed / t.duration, 1);
+        t.shader.params.threshold = t.from + (t.to - t.from) * progress;
+        if (progress >= 1) this._finishShaderTransition();
+    };
+
+    // out: 사라진 상태의 셰이더를 스택에 남김 / in: 같은 타입을 스택에서 제거
+    Game_CharacterBase.prototype._finishShaderTransition = function() {
+        var t = this._shaderTransition;
+        this._shaderTransition = null;
+        if (t.direction === 'out') {
+            t.shader.params.threshold = t.to;
+            this.setShader(t.shader.type, t.shader.params);
+        } else {
+            this.removeShader(t.shader.type);
+        }
+    };
+
+    // 페이지 데이터 → 파싱된 <shader> 태그 목록. 세이브에 들어가지 않도록 Game_Event가 아닌 여기에 캐시
+    PictureShader._pageTagCache = new WeakMap();
+
+    /**
+     * 스크립트 설정이 없으면 현재 페이지의 <shader> 태그 (페이지 데이터 기준 캐시)
+     */
+    Game_Event.prototype.baseShaderData = function() {
+        if (this._shaderData) return this._shaderData;
+        if (this._pageIndex < 0) return [];
+        var page = this.page();
+        var list = PictureShader._pageTagCache.get(page);
+        if (!list) {
+            var commands = page.list || [];
+            var text = '';
+            for (var i = 0; i < commands.length; i++) {
+                if (commands[i].code === 108 || commands[i].code === 408) {
+                    text += commands[i].parameters[0] + '\n';
+                }
+            }
+            list = PictureShader.parseShaderTags(text);
+            if (list.length === 0 && this.event()) list = PictureShader.parseShaderTags(this.event().note);
+            PictureShader._pageTagCache.set(page, list);
+        }
+        return list;
+    };
+
+    var _Game_Event_setupPageSettings = Game_Event.prototype.setupPageSettings;
+    Game_Event.prototype.setupPageSettings = function() {
+        _Game_Event_setupPageSettings.call(this);
+        // 페이지 전환 시 스크립트 설정 해제 → 새 페이지 태그 사용 (setShader 참고)
+        this._shaderData = null;
+        this._shaderTransition = null;
+    };
+})();
+
+//=============================================================================
+// Sprite 확장 (멀티패스 셰이더 체이닝)
+// Sprite_Picture 외에 Sprite_Character와 전투 배틀러 스프라이트(BattleEffects.js)도
+// 같은 경로를 사용한다.
+//=============================================================================
+
+(function() {
+    /**
+     * 멀티패스용 필드 초기화 (셰이더를 사용하는 스프라이트에서 호출)
+     */
+    Sprite.prototype._initShaderPasses = function() {
         this._shaderPasses = [];       // [{material, type, params}]
         this._shaderRTs = [];          // [WebGLRenderTarget]
         this._shaderKey = '';          // 현재 셰이더 조합 키
@@ -1938,6 +2151,14 @@ PictureShader._cloneTransitionShaders = function(transitionData) {
         this._rtScene = null;
         this._rtCamera = null;
         this._rtQuad = null;
+        this._shaderCropRT = null;       // 스프라이트 시트의 현재 프레임만 잘라낸 입력
+        this._shaderCropMaterial = null;
+        this._shaderCropGeometry = null;
+    };
+
+    var _Sprite_Picture_initialize = Sprite_Picture.prototype.initialize;
+    Sprite_Picture.prototype.initialize = function(pictureId) {
+        this._initShaderPasses();
         _Sprite_Picture_initialize.call(this, pictureId);
     };
 
@@ -1952,7 +2173,7 @@ PictureShader._cloneTransitionShaders = function(transitionData) {
      * 단일 객체 {type,enabled,params}이면 배열로 감싸고,
      * 배열이면 enabled인 것만 필터링한다.
      */
-    Sprite_Picture.prototype._normalizeShaderData = function(shaderData) {
+    Sprite.prototype._normalizeShaderData = function(shaderData) {
         if (!shaderData) return [];
         // 배열 형태
         if (Array.isArray(shaderData)) {
@@ -1968,7 +2189,7 @@ PictureShader._cloneTransitionShaders = function(transitionData) {
     /**
      * 셰이더 조합의 고유 키를 생성한다. (변경 감지용)
      */
-    Sprite_Picture.prototype._makeShaderKey = function(passes) {
+    Sprite.prototype._makeShaderKey = function(passes) {
         return passes.map(function(s) { return s.type; }).join('+');
     };
 
@@ -1977,18 +2198,18 @@ PictureShader._cloneTransitionShaders = function(transitionData) {
      */
     // _updateTexture 오버라이드: 셰이더가 활성화된 동안 _outputMaterial.map을
     // 원본 텍스처로 덮어쓰지 않도록 함 (_syncHierarchy에서 호출됨)
-    var _Sprite_Picture_updateTexture = Sprite_Picture.prototype._updateTexture;
-    Sprite_Picture.prototype._updateTexture = function() {
+    var _Sprite_updateTexture = Sprite.prototype._updateTexture;
+    Sprite.prototype._updateTexture = function() {
         // 셰이더 패스가 활성화되어 있으면 _material이 _outputMaterial이므로
         // _originalMaterial에 대해 텍스처 업데이트를 수행
         if (this._outputMaterial && this._originalMaterial) {
             var savedMaterial = this._material;
             this._material = this._originalMaterial;
-            _Sprite_Picture_updateTexture.call(this);
+            _Sprite_updateTexture.call(this);
             this._material = savedMaterial;
             return;
         }
-        _Sprite_Picture_updateTexture.call(this);
+        _Sprite_updateTexture.call(this);
     };
 
     Sprite_Picture.prototype.updateShader = function() {
@@ -1997,10 +2218,13 @@ PictureShader._cloneTransitionShaders = function(transitionData) {
             this._restoreOriginalMaterial();
             return;
         }
+        this._updateShaderPasses(this._normalizeShaderData(picture.shaderData()));
+    };
 
-        var shaderData = picture.shaderData();
-        var passes = this._normalizeShaderData(shaderData);
-
+    /**
+     * 정규화된 셰이더 패스 목록으로 매 프레임 멀티패스 렌더링을 갱신한다.
+     */
+    Sprite.prototype._updateShaderPasses = function(passes) {
         // 셰이더가 없으면 복원
         if (passes.length === 0) {
             this._restoreOriginalMaterial();
@@ -2040,7 +2264,7 @@ PictureShader._cloneTransitionShaders = function(transitionData) {
     /**
      * 멀티패스 셰이더 Material과 RenderTarget을 생성한다.
      */
-    Sprite_Picture.prototype._applyShaderPasses = function(passes) {
+    Sprite.prototype._applyShaderPasses = function(passes) {
         // 원래 material 백업
         if (!this._originalMaterial && this._material) {
             this._originalMaterial = this._material;
@@ -2059,13 +2283,9 @@ PictureShader._cloneTransitionShaders = function(transitionData) {
             this._rtScene.add(this._rtQuad);
         }
 
-        // RT 크기: 텍스처 크기 또는 기본값
-        var tex = this._threeTexture || (this._material && this._material.map);
-        var rtW = 256, rtH = 256;
-        if (tex && tex.image) {
-            rtW = tex.image.width || 256;
-            rtH = tex.image.height || 256;
-        }
+        // RT 크기: 프레임 크기 (스프라이트 시트면 한 칸) 또는 기본값
+        var rtW = this._frameWidth > 1 ? this._frameWidth : 256;
+        var rtH = this._frameHeight > 1 ? this._frameHeight : 256;
 
         // 각 패스별 Material + RT 생성
         for (var i = 0; i < passes.length; i++) {
@@ -2087,13 +2307,8 @@ PictureShader._cloneTransitionShaders = function(transitionData) {
             this._shaderRTs.push(rt);
         }
 
-        // 최종 출력용 MeshBasicMaterial (마지막 RT의 결과를 mesh에 표시)
-        var outputMat = new THREE.MeshBasicMaterial({
-            transparent: true,
-            depthTest: false,
-            depthWrite: false,
-            side: THREE.DoubleSide,
-        });
+        // 최종 출력용 material (마지막 RT의 결과를 mesh에 표시)
+        var outputMat = this._createShaderOutputMaterial();
         this._outputMaterial = outputMat;
         this._material = outputMat;
         if (this._threeObj) {
@@ -2102,10 +2317,22 @@ PictureShader._cloneTransitionShaders = function(transitionData) {
         this._updateBlendMode();
     };
 
+    /**
+     * 멀티패스 결과를 표시할 출력 material을 만든다. (기본: MeshBasicMaterial)
+     */
+    Sprite.prototype._createShaderOutputMaterial = function() {
+        return new THREE.MeshBasicMaterial({
+            transparent: true,
+            depthTest: false,
+            depthWrite: false,
+            side: THREE.DoubleSide,
+        });
+    };
+
     /**
      * 매 프레임 멀티패스 렌더링을 실행한다.
      */
-    Sprite_Picture.prototype._executeMultipass = function(passes) {
+    Sprite.prototype._executeMultipass = function(passes) {
         if (this._shaderPasses.length === 0) return false;
 
         // Three.js 렌더러 가져오기
@@ -2114,8 +2341,19 @@ PictureShader._cloneTransitionShaders = function(transitionData) {
 
         var sourceTexture = this._threeTexture || (this._originalMaterial && this._originalMaterial.map);
         if (!sourceTexture) return false;
+        // 이미지 로드 전에 만든 RT나 프레임 크기가 바뀐 RT는 현재 프레임 크기로 리사이즈
+        var frameW = this._frameWidth;
+        var frameH = this._frameHeight;
+        if (frameW > 1 && frameH > 1) {
+            for (var ri = 0; ri < this._shaderRTs.length; ri++) {
+                var existRT = this._shaderRTs[ri];
+                if (existRT && (existRT.width !== frameW || existRT.height !== frameH)) {
+                    existRT.setSize(frameW, frameH);
+                }
+            }
+        }
 
-        var currentInput = sourceTexture;
+        var currentInput = this._cropShaderSource(renderer, sourceTexture);
         var lastRT = null;
 
         for (var i = 0; i < this._shaderPasses.length; i++) {
@@ -2162,20 +2400,87 @@ PictureShader._cloneTransitionShaders = function(transitionData) {
         if (this._outputMaterial) {
             if (lastRT) {
                 this._outputMaterial.map = lastRT.texture;
+                this._mapFrameToTexture(lastRT.texture);
             } else {
                 // shake만 있는 경우 등 모든 패스가 skip되면 원본 텍스처 사용
                 this._outputMaterial.map = sourceTexture;
             }
             this._outputMaterial.opacity = this.worldAlpha;
             this._outputMaterial.needsUpdate = true;
+            // 라이팅 변환(ShadowLight) 등으로 출력 material이 교체되었으면 교체된 쪽에도 반영
+            var shown = this._material;
+            if (shown && shown !== this._outputMaterial && shown.map !== this._outputMaterial.map) {
+                shown.map = this._outputMaterial.map;
+                shown.needsUpdate = true;
+            }
         }
         return true;
     };
 
+    // 지오메트리 UV의 현재 프레임 영역 [u0, v0, u1, v1] (v0 = 프레임 아래쪽, flipY 기준)
+    Sprite.prototype._shaderFrameUV = function() {
+        var uv = this._geometry && this._geometry.attributes.uv;
+        if (!uv) return [0, 0, 1, 1];
+        return [uv.getX(0), uv.getY(2), uv.getX(1), uv.getY(0)];
+    };
+
+    /**
+     * 텍스처 일부만 프레임으로 쓰는 경우(캐릭터 시트 등) 프레임 영역만 RT로 잘라낸다.
+     * 이후 패스는 프레임 기준 0~1 UV로 동작하므로 wipe/circleWipe/blinds 등이 한 칸 안에서 적용된다.
+     */
+    Sprite.prototype._cropShaderSource = function(renderer, sourceTexture) {
+        var f = this._shaderFrameUV();
+        var w = this._frameWidth;
+        var h = this._frameHeight;
+        var eps = 1e-4;
+        var full = Math.abs(f[0]) < eps && Math.abs(f[1]) < eps &&
+                   Math.abs(f[2] - 1) < eps && Math.abs(f[3] - 1) < eps;
+        if (full || !(w > 1 && h > 1)) return sourceTexture;
+
+        if (!this._shaderCropRT) {
+            this._shaderCropRT = new THREE.WebGLRenderTarget(w, h, {
+                minFilter: THREE.NearestFilter,
+                magFilter: THREE.NearestFilter,
+            });
+            this._shaderCropMaterial = PictureShader.createCopyMaterial();
+            this._shaderCropGeometry = new THREE.PlaneGeometry(1, 1);
+        } else if (this._shaderCropRT.width !== w || this._shaderCropRT.height !== h) {
+            this._shaderCropRT.setSize(w, h);
+        }
+        // 크롭 쿼드 UV = 스프라이트 지오메트리 UV (꼭짓점 순서: 좌상, 우상, 좌하, 우하)
+        var cropUV = this._shaderCropGeometry.attributes.uv;
+        cropUV.setXY(0, f[0], f[3]);
+        cropUV.setXY(1, f[2], f[3]);
+        cropUV.setXY(2, f[0], f[1]);
+        cropUV.setXY(3, f[2], f[1]);
+        cropUV.needsUpdate = true;
+        this._shaderCropMaterial.uniforms.map.value = sourceTexture;
+
+        var quadGeometry = this._rtQuad.geometry;
+        this._rtQuad.geometry = this._shaderCropGeometry;
+        this._rtQuad.material = this._shaderCropMaterial;
+        var prevRT = renderer.getRenderTarget();
+        renderer.setRenderTarget(this._shaderCropRT);
+        renderer.render(this._rtScene, this._rtCamera);
+        renderer.setRenderTarget(prevRT);
+        this._rtQuad.geometry = quadGeometry;
+        return this._shaderCropRT.texture;
+    };
+
+    // 출력 메시는 지오메트리 UV(프레임 영역)로 샘플링하므로 프레임 크기 RT 전체(0~1)에 대응하도록 변환
+    Sprite.prototype._mapFrameToTexture = function(texture) {
+        var f = this._shaderFrameUV();
+        var du = f[2] - f[0];
+        var dv = f[3] - f[1];
+        if (!du || !dv) return;
+        texture.repeat.set(1 / du, 1 / dv);
+        texture.offset.set(-f[0] / du, -f[1] / dv);
+    };
+
     /**
      * 셰이더 패스를 모두 정리한다.
      */
-    Sprite_Picture.prototype._disposeShaderPasses = function() {
+    Sprite.prototype._disposeShaderPasses = function() {
         for (var i = 0; i < this._shaderPasses.length; i++) {
             if (this._shaderPasses[i].material) {
                 this._shaderPasses[i].material.dispose();
@@ -2186,10 +2491,22 @@ PictureShader._cloneTransitionShaders = function(transitionData) {
                 this._shaderRTs[j].dispose();
             }
         }
+        if (this._shaderCropRT) {
+            this._shaderCropRT.dispose();
+            this._shaderCropMaterial.dispose();
+            this._shaderCropGeometry.dispose();
+            this._shaderCropRT = null;
+            this._shaderCropMaterial = null;
+            this._shaderCropGeometry = null;
+        }
         this._shaderPasses = [];
         this._shaderRTs = [];
         this._shaderKey = '';
         if (this._outputMaterial) {
+            if (this._material && this._material !== this._outputMaterial &&
+                this._material !== this._originalMaterial) {
+                this._material.dispose();
+            }
             this._outputMaterial.dispose();
             this._outputMaterial = null;
         }
@@ -2198,7 +2515,7 @@ PictureShader._cloneTransitionShaders = function(transitionData) {
     /**
      * 원래 MeshBasicMaterial로 복원한다.
      */
-    Sprite_Picture.prototype._restoreOriginalMaterial = function() {
+    Sprite.prototype._restoreOriginalMaterial = function() {
         if (this._shaderPasses.length > 0 || this._outputMaterial) {
             this._disposeShaderPasses();
             this._shakeOffsetX = 0;
@@ -2227,6 +2544,118 @@ PictureShader._cloneTransitionShaders = function(transitionData) {
     };
 })();
 
+//=============================================================================
+// Sprite_Character 확장 (캐릭터/이벤트 셰이더)
+// ShadowLight 활성 시 출력 material을 MeshPhongMaterial로 만들어 라이팅/그림자를 유지한다.
+// (Spriteset_Map._applyObjectShaderPasses와 같은 방식)
+//=============================================================================
+
+(function() {
+    var _Sprite_Character_initialize = Sprite_Character.prototype.initialize;
+    Sprite_Character.prototype.initialize = function(character) {
+        this._initShaderPasses();
+        this._shaderDepthMaterial = null;  // 라이팅 출력 material용 그림자 depth material
+        this._shaderDepthBackup = null;    // { castShadow, customDepthMaterial } 셰이더 적용 전 상태
+        _Sprite_Character_initialize.call(this, character);
+    };
+
+    var _Sprite_Character_update = Sprite_Character.prototype.update;
+    Sprite_Character.prototype.update = function() {
+        _Sprite_Character_update.call(this);
+        this.updateShader();
+    };
+
+    Sprite_Character.prototype.updateShader = function() {
+        var character = this._character;
+        var shaderData = character && character.shaderData ? character.shaderData() : null;
+        this._updateShaderPasses(this._normalizeShaderData(shaderData));
+    };
+
+    function isLit() {
+        return typeof ShadowLight !== 'undefined' && ShadowLight._active;
+    }
+
+    // 라이팅 상태가 바뀌면 출력 material을 다시 만들도록 키에 포함
+    Sprite_Character.prototype._makeShaderKey = function(passes) {
+        return (isLit() ? '3d:' : '2d:') + Sprite.prototype._makeShaderKey.call(this, passes);
+    };
+
+    Sprite_Character.prototype._createShaderOutputMaterial = function() {
+        var outputMat;
+        if (isLit()) {
+            outputMat = new THREE.MeshPhongMaterial({
+                transparent: false,
+                alphaTest: 0.5,
+                depthTest: true,
+                depthWrite: true,
+                side: THREE.DoubleSide,
+                emissive: new THREE.Color(0x000000),
+                specular: new THREE.Color(0x000000),
+                shininess: 0,
+            });
+            if (this._threeObj) {
+                // 셰이더 해제 시 되돌릴 수 있도록 원래 그림자 설정을 한 번만 백업
+                if (!this._shaderDepthBackup) {
+                    this._shaderDepthBackup = {
+                        castShadow: this._threeObj.castShadow,
+                        customDepthMaterial: this._threeObj.customDepthMaterial
+                    };
+                }
+                this._shaderDepthMaterial = new THREE.MeshDepthMaterial({
+                    depthPacking: THREE.RGBADepthPacking,
+                    alphaTest: 0.5,
+                    side: THREE.DoubleSide,
+                });
+                this._threeObj.castShadow = true;
+                this._threeObj.customDepthMaterial = this._shaderDepthMaterial;
+            }
+        } else {
+            outputMat = Sprite.prototype._createShaderOutputMaterial.call(this);
+        }
+        // ShadowLight._convertMaterial이 출력 material을 다시 변환하지 않도록 등록
+        if (typeof ShadowLight !== 'undefined' && ShadowLight._convertedMaterials) {
+            ShadowLight._convertedMaterials.set(outputMat, true);
+        }
+        return outputMat;
+    };
+
+    // 출력 material과 함께 만든 그림자용 depth material을 정리하고 원래 그림자 설정으로 복원
+    Sprite_Character.prototype._disposeShaderPasses = function() {
+        Sprite.prototype._disposeShaderPasses.call(this);
+        if (this._shaderDepthMaterial) {
+            this._shaderDepthMaterial.dispose();
+            this._shaderDepthMaterial = null;
+        }
+        if (this._shaderDepthBackup) {
+            if (this._threeObj) {
+                this._threeObj.castShadow = this._shaderDepthBackup.castShadow;
+                this._threeObj.customDepthMaterial = this._shaderDepthBackup.customDepthMaterial;
+            }
+            this._shaderDepthBackup = null;
+        }
+    };
+
+    // 셰이더 적용 중 ShadowLight가 꺼졌으면 복원한 라이팅 material도 되돌린다
+    // (켜진 경우는 ShadowLight의 updateBitmap 훅이 변환)
+    Sprite_Character.prototype._restoreOriginalMaterial = function() {
+        var hadShader = this._shaderPasses.length > 0 || !!this._outputMaterial;
+        Sprite.prototype._restoreOriginalMaterial.call(this);
+        if (hadShader && !isLit() && this._material && this._material.isMeshPhongMaterial) {
+            ShadowLight._revertMaterial(this);
+        }
+    };
+
+    // updatePosition 오버라이드: shake offset 적용
+    var _Sprite_Character_updatePosition = Sprite_Character.prototype.updatePosition;
+    Sprite_Character.prototype.updatePosition = function() {
+        _Sprite_Character_updatePosition.call(this);
+        if (this._shakeOffsetX || this._shakeOffsetY) {
+            this.x += Math.round(this._shakeOffsetX);
+            this.y += Math.round(this._shakeOffsetY);
+        }
+    };
+})();
+
 //=============================================================================
 // 시간 업데이트 (Spriteset_Base에서 매 프레임 호출)
 //=============================================================================
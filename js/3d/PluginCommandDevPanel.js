@@ -0,0 +1,151 @@
+//=============================================================================
+// PluginCommandDevPanel.js - 플러그인 커맨드 도움말 / 오류 패널 (런타임 dev 패널)
+//=============================================================================
+// URL에 ?dev=true 시 활성화
+// 등록된 커맨드 목록과 Help <Command> 도움말, 잘못된 호출 오류 목록 표시
+// 의존: DevPanelUtils.js, PluginCommandRegistry.js
+//=============================================================================
+
+(function() {
+    if (!(new URLSearchParams(window.location.search)).has('dev')) return;
+
+    var PANEL_ID = 'pluginCommandDevPanel';
+    var panel = null;
+    var panelCtrl = null;
+    var selectEl = null;
+    var helpEl = null;
+    var errorsEl = null;
+    var errorTitleEl = null;
+    var knownCount = 0;
+    var shownErrors = -1;
+    var shownLast = null;
+
+    function createPanel() {
+        panel = document.createElement('div');
+        panel.id = 'plugin-command-dev-panel';
+        panel.style.cssText = [
+            'position:fixed', 'bottom:10px', 'left:10px', 'z-index:99999',
+            'background:rgba(0,0,0,0.85)', 'color:#ccc',
+            'font:11px/1.3 monospace', 'padding:0',
+            'border:1px solid #555', 'border-radius:4px',
+            'min-width:280px', 'max-width:520px',
+            'pointer-events:auto', 'user-select:none'
+        ].join(';');
+
+        // Title bar
+        var titleBar = document.createElement('div');
+        titleBar.style.cssText = 'display:flex;align-items:center;padding:4px 8px;background:rgba(40,40,40,0.9);border-radius:4px 4px 0 0;cursor:move;';
+
+        var titleText = document.createElement('span');
+        titleText.textContent = 'Plugin Commands';
+        titleText.style.cssText = 'color:#f0a050;font-weight:bold;flex:1;';
+        titleBar.appendChild(titleText);
+
+        panel.appendChild(titleBar);
+
+        // Body
+        var body = document.createElement('div');
+        body.style.cssText = 'padding:6px 8px 8px;';
+
+        var row = document.createElement('div');
+        row.style.cssText = 'display:flex;align-items:center;gap:6px;margin-bottom:4px;';
+        var lbl = document.createElement('span');
+        lbl.textContent = 'Help';
+        lbl.style.cssText = 'color:#ccc;';
+        selectEl = document.createElement('select');
+        selectEl.style.cssText = 'flex:1;font:11px monospace;background:#222;color:#ddd;border:1px solid #555;';
+        selectEl.addEventListener('change', showHelp);
+        row.appendChild(lbl);
+        row.appendChild(selectEl);
+        body.appendChild(row);
+
+        helpEl = document.createElement('pre');
+        helpEl.style.cssText = 'margin:0 0 6px;max-height:220px;overflow:auto;white-space:pre-wrap;color:#9cf;user-select:text;';
+        body.appendChild(helpEl);
+
+        var errorRow = document.createElement('div');
+        errorRow.style.cssText = 'display:flex;align-items:center;gap:6px;margin-bottom:2px;';
+        errorTitleEl = document.createElement('span');
+        errorTitleEl.style.cssText = 'flex:1;color:#ccc;';
+        var clearBtn = document.createElement('button');
+        clearBtn.textContent = 'Clear';
+        clearBtn.style.cssText = 'padding:1px 6px;font:10px monospace;cursor:pointer;border:none;border-radius:2px;color:#fff;background:#555;';
+        clearBtn.addEventListener('click', function() {
+            PluginCommandRegistry.clearErrors();
+        });
+        errorRow.appendChild(errorTitleEl);
+        errorRow.appendChild(clearBtn);
+        body.appendChild(errorRow);
+
+        errorsEl = document.createElement('div');
+        errorsEl.style.cssText = 'max-height:160px;overflow:auto;user-select:text;';
+        body.appendChild(errorsEl);
+
+        panel.appendChild(body);
+        document.body.appendChild(panel);
+
+        if (window.DevPanelUtils) {
+            panelCtrl = DevPanelUtils.makeDraggablePanel(panel, PANEL_ID, {
+                titleBar: titleBar,
+                defaultCollapsed: true
+            });
+        }
+    }
+
+    // 커맨드가 추가 등록되면(플러그인 로드 후) 목록 갱신
+    function syncCommands() {
+        var names = PluginCommandRegistry.names();
+        if (names.length === knownCount) return;
+        knownCount = names.length;
+        var current = selectEl.value;
+        selectEl.innerHTML = '';
+        names.forEach(function(name) {
+            var opt = document.createElement('option');
+            opt.value = name;
+            opt.textContent = name;
+            selectEl.appendChild(opt);
+        });
+        if (names.indexOf(current) >= 0) selectEl.value = current;
+        showHelp();
+    }
+
+    function showHelp() {
+        helpEl.textContent = selectEl.value ? PluginCommandRegistry.helpLines(selectEl.value).join('\n') : '';
+    }
+
+    function syncErrors() {
+        var errors = PluginCommandRegistry.errors();
+        var last = errors[errors.length - 1] || null;
+        if (errors.length === shownErrors && last === shownLast) return;
+        shownErrors = errors.length;
+        shownLast = last;
+        errorTitleEl.textContent = 'Errors (' + errors.length + ')';
+        errorTitleEl.style.color = errors.length > 0 ? '#f66' : '#ccc';
+        errorsEl.innerHTML = '';
+        for (var i = errors.length - 1; i >= 0; i--) {
+            var item = document.createElement('div');
+            item.style.cssText = 'border-top:1px solid #333;padding:2px 0;';
+            item.innerHTML = '<span style="color:#fc6"></span><br><span style="color:#ddd"></span><br><span style="color:#f88"></span>';
+            item.childNodes[0].textContent = errors[i].location;
+            item.childNodes[2].textContent = errors[i].command;
+            item.childNodes[4].textContent = errors[i].message;
+            errorsEl.appendChild(item);
+        }
+    }
+
+    function tick() {
+        if (window.PluginCommandRegistry) {
+            if (!panel) createPanel();
+            syncCommands();
+            syncErrors();
+        }
+        requestAnimationFrame(tick);
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', function() { requestAnimationFrame(tick); });
+    } else {
+        requestAnimationFrame(tick);
+    }
+
+})();
@@ -0,0 +1,368 @@
+//=============================================================================
+// PluginCommandRegistry.js - 플러그인 커맨드 통합 라우터
+//=============================================================================
+// 각 모듈이 Game_Interpreter.prototype.pluginCommand를 직접 감싸는 대신
+// 커맨드/서브커맨드와 인자 스키마(타입, 기본값, 도움말)를 등록하면
+// 여기서 인자를 파싱/검증한 뒤 run(values, interpreter)을 호출한다.
+//
+//   PluginCommandRegistry.register('Mode3D', {
+//       description: '3D 모드 카메라',
+//       subcommands: {
+//           tilt: {
+//               description: '카메라 기울기 변경',
+//               args: [
+//                   { name: 'deg', type: 'number' },
+//                   { name: 'duration', type: 'number', default: 0, min: 0 },
+//                   { name: 'ease', type: 'ease' }
+//               ],
+//               run: function(a, interpreter) { ... }
+//           }
+//       }
+//   });
+//
+// 인자 타입: number, int, string, bool(on/off/true/false/1/0), color(#rrggbb → 정수),
+//            enum(values 목록), ease(PluginTween 이징 이름)
+// 인자 옵션: default(있으면 생략 가능), optional, min, max, values, rest(남은 토큰 배열)
+// 서브커맨드 없이 args/run만 가진 커맨드도 등록 가능 (예: Weather <type> ...)
+//
+// 잘못된 호출(알 수 없는 서브커맨드, 인자 누락/형식 오류)은 맵/이벤트 ID, 페이지, 줄 번호와 함께
+// 콘솔 경고로 보고하고, 개발 모드(?dev=true)에서는 dev 패널 오류 목록에도 쌓는다.
+// 노트 태그 파서 등 인터프리터 밖의 오류도 addError(location, command, message)로 같은 경로에 보고한다.
+// 트윈 가능한 커맨드는 공용 TWEEN_ARGS([duration] [ease])를 인자 끝에 붙여 쓴다.
+// Help [Command] 플러그인 커맨드로 등록된 커맨드 도움말을 콘솔에 출력한다.
+//
+// 의존: Game_Interpreter (rpg_objects.js), PluginTween(선택, ease 타입 검증)
+//=============================================================================
+
+(function() {
+
+//=============================================================================
+// PluginCommandRegistry 전역 객체
+//=============================================================================
+
+var PluginCommandRegistry = {};
+window.PluginCommandRegistry = PluginCommandRegistry;
+
+PluginCommandRegistry.MAX_ERRORS = 50;
+
+// 트윈 가능한 커맨드 공용 꼬리 인자: [duration=0] [ease]
+PluginCommandRegistry.TWEEN_ARGS = [
+    { name: 'duration', type: 'number', default: 0, min: 0 },
+    { name: 'ease', type: 'ease', optional: true }
+];
+
+PluginCommandRegistry._commands = {};   // 커맨드 이름 → spec
+PluginCommandRegistry._aliases = {};    // 별칭 → 커맨드 이름
+PluginCommandRegistry._errors = [];     // 최근 오류 보고 (dev 패널 표시용)
+
+PluginCommandRegistry.isDevMode = function() {
+    return !window.__editorMode && /[?&]dev=true/.test(window.location.search);
+};
+
+//=============================================================================
+// 등록 / 조회
+//=============================================================================
+
+/**
+ * 커맨드 등록. 같은 이름을 다시 등록하면 덮어쓴다.
+ * @param {string} name 플러그인 커맨드 이름 (첫 토큰)
+ * @param {Object} spec { description, aliases, subcommands | args + run }
+ */
+PluginCommandRegistry.register = function(name, spec) {
+    spec.name = name;
+    this._commands[name] = spec;
+    (spec.aliases || []).forEach(function(alias) {
+        this._aliases[alias] = name;
+    }, this);
+};
+
+PluginCommandRegistry.get = function(name) {
+    return this._commands[name] || this._commands[this._aliases[name]] || null;
+};
+
+PluginCommandRegistry.names = function() {
+    return Object.keys(this._commands).sort();
+};
+
+//=============================================================================
+// 인자 파싱
+//=============================================================================
+
+// 토큰 하나를 타입에 맞게 변환. 실패하면 { error } 반환
+PluginCommandRegistry._parseValue = function(def, raw) {
+    var type = def.type || 'string';
+    var value;
+    switch (type) {
+        case 'number':
+        case 'int':
+            value = Number(raw);
+            if (raw === '' || isNaN(value)) return { error: '숫자가 아님' };
+            if (type === 'int' && Math.floor(value) !== value) return { error: '정수가 아님' };
+            if (def.min != null && value < def.min) return { error: def.min + ' 이상이어야 함' };
+            if (def.max != null && value > def.max) return { error: def.max + ' 이하여야 함' };
+            return { value: value };
+        case 'bool':
+            if (/^(on|true|1)$/i.test(raw)) return { value: true };
+            if (/^(off|false|0)$/i.test(raw)) return { value: false };
+            return { error: 'on/off 가 아님' };
+        case 'color':
+            value = parseInt(String(raw).replace(/^(#|0x)/i, ''), 16);
+            if (!/^(#|0x)?[0-9a-f]{6}$/i.test(raw) || isNaN(value)) return { error: '#rrggbb 색상이 아님' };
+            return { value: value };
+        case 'enum':
+            if (def.values.indexOf(raw) < 0) return { error: def.values.join('|') + ' 중 하나여야 함' };
+            return { value: raw };
+        case 'ease':
+            if (window.PluginTween && !PluginTween.Easing.hasOwnProperty(raw)) return { error: '알 수 없는 이징' };
+            return { value: raw };
+        default:
+            return { value: raw };
+    }
+};
+
+/**
+ * 인자 스키마에 따라 토큰 배열 파싱
+ * @param {Array} defs 인자 정의 목록
+ * @param {string[]} tokens
+ * @return {{ values: Object, error: string|null }}
+ */
+PluginCommandRegistry.parseArgs = function(defs, tokens) {
+    var values = {};
+    defs = defs || [];
+    for (var i = 0; i < defs.length; i++) {
+        var def = defs[i];
+        if (def.rest) {
+            values[def.name] = tokens.slice(i);
+            return { values: values, error: null };
+        }
+        var raw = tokens[i];
+        if (raw == null || raw === '') {
+            if (def.default === undefined && !def.optional) {
+                return { values: values, error: '인자 <' + def.name + '> 누락' };
+            }
+            values[def.name] = def.default;
+            continue;
+        }
+        var parsed = this._parseValue(def, raw);
+        if (parsed.error) {
+            return { values: values, error: '인자 <' + def.name + '> "' + raw + '": ' + parsed.error };
+        }
+        values[def.name] = parsed.value;
+    }
+    if (tokens.length > defs.length) {
+        return { values: values, error: '인자가 너무 많음 (' + tokens.slice(defs.length).join(' ') + ')' };
+    }
+    return { values: values, error: null };
+};
+
+//=============================================================================
+// 실행
+//=============================================================================
+
+/**
+ * 등록된 커맨드면 실행하고 true 반환. 등록되지 않은 커맨드는 false
+ * (다른 플러그인의 기존 pluginCommand 처리에 맡긴다)
+ */
+PluginCommandRegistry.dispatch = function(interpreter, command, args) {
+    var spec = this.get(command);
+    if (!spec) return false;
+    // 연속/끝 공백으로 생긴 빈 토큰 제거
+    args = args.filter(function(token) { return token !== ''; });
+
+    var target = spec;
+    var tokens = args;
+    var label = command;
+    if (spec.subcommands) {
+        var sub = args[0];
+        target = (sub != null && spec.subcommands.hasOwnProperty(sub)) ? spec.subcommands[sub] : null;
+        if (!target) {
+            var msg = sub == null ? '서브커맨드 누락' : '알 수 없는 서브커맨드 "' + sub + '"';
+            var guess = sub != null ? this._suggest(sub, Object.keys(spec.subcommands)) : null;
+            if (guess) msg += ' ("' + guess + '"?)';
+            this.report(interpreter, command, args, msg);
+            return true;
+        }
+        tokens = args.slice(1);
+        label = command + ' ' + sub;
+    }
+
+    var parsed = this.parseArgs(target.args, tokens);
+    if (parsed.error) {
+        this.report(interpreter, command, args, parsed.error + ' — 사용법: ' + this.usage(label, target));
+        return true;
+    }
+    try {
+        target.run.call(spec, parsed.values, interpreter);
+    } catch (e) {
+        this.report(interpreter, command, args, '실행 오류: ' + e.message);
+        console.error(e);
+    }
+    return true;
+};
+
+// 대소문자 무시 일치 또는 편집 거리 2 이하인 후보
+PluginCommandRegistry._suggest = function(word, candidates) {
+    var lower = word.toLowerCase();
+    var best = null;
+    var bestDist = 3;
+    candidates.forEach(function(c) {
+        var d = c.toLowerCase() === lower ? 0 : editDistance(lower, c.toLowerCase());
+        if (d < bestDist) {
+            bestDist = d;
+            best = c;
+        }
+    });
+    return best;
+};
+
+function editDistance(a, b) {
+    var prev = [];
+    var i, j;
+    for (j = 0; j <= b.length; j++) prev[j] = j;
+    for (i = 1; i <= a.length; i++) {
+        var cur = [i];
+        for (j = 1; j <= b.length; j++) {
+            cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1,
+                              prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        prev = cur;
+    }
+    return prev[b.length];
+}
+
+//=============================================================================
+// 오류 보고
+//=============================================================================
+
+// 인터프리터가 실행 중인 위치: 공통 이벤트 / 맵 이벤트 페이지 / 전투 이벤트 페이지 + 줄 번호
+PluginCommandRegistry.describeLocation = function(interpreter) {
+    if (!interpreter) return '(스크립트)';
+    var list = interpreter._list;
+    var line = ' 줄 ' + (interpreter._index + 1);
+    var i;
+    if (window.$dataCommonEvents) {
+        for (i = 1; i < $dataCommonEvents.length; i++) {
+            if ($dataCommonEvents[i] && $dataCommonEvents[i].list === list) {
+                return '공통 이벤트 ' + i + line;
+            }
+        }
+    }
+    var eventId = interpreter._eventId;
+    var event = eventId > 0 && window.$gameMap ? $gameMap.event(eventId) : null;
+    if (event && event.event()) {
+        var pages = event.event().pages;
+        for (i = 0; i < pages.length; i++) {
+            if (pages[i].list === list) {
+                return '맵 ' + interpreter._mapId + ' 이벤트 ' + eventId + ' 페이지 ' + (i + 1) + line;
+            }
+        }
+        return '맵 ' + interpreter._mapId + ' 이벤트 ' + eventId + line;
+    }
+    if (window.$gameParty && $gameParty.inBattle() && $gameTroop.troop()) {
+        var troopPages = $gameTroop.troop().pages;
+        for (i = 0; i < troopPages.length; i++) {
+            if (troopPages[i].list === list) {
+                return '적 그룹 ' + $gameTroop.troop().id + ' 페이지 ' + (i + 1) + line;
+            }
+        }
+    }
+    return '맵 ' + interpreter._mapId + line;
+};
+
+PluginCommandRegistry.report = function(interpreter, command, args, message) {
+    this.addError(this.describeLocation(interpreter), [command].concat(args).join(' '), message);
+};
+
+/**
+ * 오류 한 건 보고. 노트 태그 파서처럼 인터프리터 밖에서 쓰는 모듈도 같은 목록에 쌓는다
+ * @param {string} location 위치 설명 (예: '맵 3 이벤트 5 줄 2', '스킬 10 노트')
+ * @param {string} command 문제가 된 커맨드/태그 원문
+ * @param {string} message
+ */
+PluginCommandRegistry.addError = function(location, command, message) {
+    var entry = { location: location, command: command, message: message };
+    if (this.isDevMode()) {
+        this._errors.push(entry);
+        if (this._errors.length > this.MAX_ERRORS) this._errors.shift();
+    }
+    console.warn('[PluginCommand] ' + entry.location + ': "' + entry.command + '" — ' + message);
+};
+
+PluginCommandRegistry.errors = function() {
+    return this._errors;
+};
+
+PluginCommandRegistry.clearErrors = function() {
+    this._errors = [];
+};
+
+//=============================================================================
+// 도움말
+//=============================================================================
+
+PluginCommandRegistry._argUsage = function(def) {
+    var text = def.name;
+    if (def.type === 'enum') text += ':' + def.values.join('|');
+    else if (def.type && def.type !== 'string') text += ':' + def.type;
+    if (def.rest) return '[' + text + '...]';
+    if (def.default !== undefined && def.default !== null) text += '=' + def.default;
+    return (def.default !== undefined || def.optional) ? '[' + text + ']' : '<' + text + '>';
+};
+
+PluginCommandRegistry.usage = function(label, target) {
+    var parts = [label];
+    (target.args || []).forEach(function(def) {
+        parts.push(this._argUsage(def));
+    }, this);
+    return parts.join(' ');
+};
+
+/**
+ * 커맨드 도움말 줄 목록
+ * @param {string} name 커맨드 이름 또는 별칭
+ * @return {string[]}
+ */
+PluginCommandRegistry.helpLines = function(name) {
+    var spec = this.get(name);
+    if (!spec) return ['알 수 없는 커맨드: ' + name];
+    var lines = [];
+    lines.push(spec.name + (spec.aliases ? ' (' + spec.aliases.join(', ') + ')' : '') +
+               (spec.description ? ' - ' + spec.description : ''));
+    if (spec.subcommands) {
+        Object.keys(spec.subcommands).forEach(function(sub) {
+            var target = spec.subcommands[sub];
+            lines.push('  ' + this.usage(spec.name + ' ' + sub, target) +
+                       (target.description ? '  — ' + target.description : ''));
+        }, this);
+    } else {
+        lines.push('  ' + this.usage(spec.name, spec));
+    }
+    return lines;
+};
+
+//=============================================================================
+// Game_Interpreter 훅
+//=============================================================================
+
+var _Game_Interpreter_pluginCommand = Game_Interpreter.prototype.pluginCommand;
+Game_Interpreter.prototype.pluginCommand = function(command, args) {
+    _Game_Interpreter_pluginCommand.call(this, command, args);
+    PluginCommandRegistry.dispatch(this, command, args);
+};
+
+//=============================================================================
+// Help [Command] - 도움말 콘솔 출력 (생략 시 전체 목록)
+//=============================================================================
+
+PluginCommandRegistry.register('Help', {
+    description: '플러그인 커맨드 도움말을 콘솔에 출력',
+    args: [{ name: 'command', optional: true }],
+    run: function(a) {
+        var names = a.command ? [a.command] : PluginCommandRegistry.names();
+        names.forEach(function(name) {
+            console.log(PluginCommandRegistry.helpLines(name).join('\n'));
+        });
+    }
+});
+
+})();
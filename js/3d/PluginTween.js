@@ -5,6 +5,18 @@
  *   PluginTween.add({ target: obj, key: 'intensity', to: 0.5, duration: 2.0 });
  *   // duration: 초 단위. 0이면 즉시 적용.
  *
+ *   // 이징/지연/반복
+ *   PluginTween.add({ target: obj, key: 'x', to: 10, duration: 1.0,
+ *                     ease: 'backOut', delay: 0.5, repeat: 2, yoyo: true, name: 'shake' });
+ *
+ *   // 그룹 타임라인: 배열 요소는 tween 옵션, { parallel: [...] }, { sequence: [...] }, { wait: 초 }
+ *   PluginTween.sequence('intro', [
+ *       { target: a, key: 'x', to: 5, duration: 1 },
+ *       { parallel: [ { target: a, key: 'y', to: 3, duration: 1 }, { wait: 0.5 } ] }
+ *   ]);
+ *
+ * 이벤트 대기: 플러그인 커맨드 "Tween wait [name]" (이름 생략 시 모든 tween/그룹)
+ *
  * 매 프레임 update()를 호출해야 합니다.
  * RPG Maker MV의 SceneManager.update 루프에 자동 연결됩니다.
  */
@@ -17,57 +29,189 @@
 
     // 활성 tween 목록
     PluginTween._tweens = [];
+    // 활성 그룹 목록 ({ name, active })
+    PluginTween._groups = [];
+
+    //=========================================================================
+    // 이징 함수 (t: 0~1 → 0~1)
+    //=========================================================================
+
+    function bounceOut(t) {
+        if (t < 1 / 2.75) return 7.5625 * t * t;
+        if (t < 2 / 2.75) { t -= 1.5 / 2.75; return 7.5625 * t * t + 0.75; }
+        if (t < 2.5 / 2.75) { t -= 2.25 / 2.75; return 7.5625 * t * t + 0.9375; }
+        t -= 2.625 / 2.75;
+        return 7.5625 * t * t + 0.984375;
+    }
+
+    var BACK = 1.70158;
+    var ELASTIC_P = 0.3;
+
+    PluginTween.Easing = {
+        linear: function(t) { return t; },
+        // 기존 기본 보간 (smoothstep)
+        smooth: function(t) { return t * t * (3 - 2 * t); },
+
+        quadIn: function(t) { return t * t; },
+        quadOut: function(t) { return t * (2 - t); },
+        quadInOut: function(t) { return t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t; },
+
+        cubicIn: function(t) { return t * t * t; },
+        cubicOut: function(t) { var u = t - 1; return u * u * u + 1; },
+        cubicInOut: function(t) {
+            return t < 0.5 ? 4 * t * t * t : (t - 1) * (2 * t - 2) * (2 * t - 2) + 1;
+        },
+
+        expoIn: function(t) { return t === 0 ? 0 : Math.pow(2, 10 * (t - 1)); },
+        expoOut: function(t) { return t === 1 ? 1 : 1 - Math.pow(2, -10 * t); },
+        expoInOut: function(t) {
+            if (t === 0 || t === 1) return t;
+            return t < 0.5 ? Math.pow(2, 20 * t - 10) / 2 : (2 - Math.pow(2, -20 * t + 10)) / 2;
+        },
+
+        backIn: function(t) { return t * t * ((BACK + 1) * t - BACK); },
+        backOut: function(t) { var u = t - 1; return u * u * ((BACK + 1) * u + BACK) + 1; },
+        backInOut: function(t) {
+            var s = BACK * 1.525;
+            var u = t * 2;
+            if (u < 1) return 0.5 * (u * u * ((s + 1) * u - s));
+            u -= 2;
+            return 0.5 * (u * u * ((s + 1) * u + s) + 2);
+        },
+
+        elasticIn: function(t) {
+            if (t === 0 || t === 1) return t;
+            return -Math.pow(2, 10 * (t - 1)) * Math.sin((t - 1 - ELASTIC_P / 4) * (2 * Math.PI) / ELASTIC_P);
+        },
+        elasticOut: function(t) {
+            if (t === 0 || t === 1) return t;
+            return Math.pow(2, -10 * t) * Math.sin((t - ELASTIC_P / 4) * (2 * Math.PI) / ELASTIC_P) + 1;
+        },
+        elasticInOut: function(t) {
+            if (t === 0 || t === 1) return t;
+            var p = ELASTIC_P * 1.5;
+            var u = t * 2 - 1;
+            if (u < 0) return -0.5 * Math.pow(2, 10 * u) * Math.sin((u - p / 4) * (2 * Math.PI) / p);
+            return Math.pow(2, -10 * u) * Math.sin((u - p / 4) * (2 * Math.PI) / p) * 0.5 + 1;
+        },
+
+        bounceIn: function(t) { return 1 - bounceOut(1 - t); },
+        bounceOut: bounceOut,
+        bounceInOut: function(t) {
+            return t < 0.5 ? (1 - bounceOut(1 - 2 * t)) / 2 : (1 + bounceOut(2 * t - 1)) / 2;
+        }
+    };
+
+    // 별칭: easeIn/easeOut/easeInOut = quad 계열
+    PluginTween.Easing.easeIn = PluginTween.Easing.quadIn;
+    PluginTween.Easing.easeOut = PluginTween.Easing.quadOut;
+    PluginTween.Easing.easeInOut = PluginTween.Easing.quadInOut;
+
+    PluginTween.DEFAULT_EASE = 'smooth';
 
     /**
-     * 새 tween을 추가한다.
-     * @param {Object} opts
-     * @param {Object} opts.target - 값을 변경할 대상 객체
-     * @param {string} opts.key - 변경할 프로퍼티 키
-     * @param {number} opts.to - 목표 값
-     * @param {number} opts.duration - 보간 시간(초). 0이면 즉시 적용.
-     * @param {function} [opts.onUpdate] - 매 프레임 콜백(현재값)
-     * @param {function} [opts.onComplete] - 완료 콜백
+     * 이징 이름 → 함수. 알 수 없는 이름이면 기본(smooth).
+     * @param {string|function} [ease]
+     * @returns {function}
      */
-    PluginTween.add = function(opts) {
-        if (!opts.target || !opts.key) return;
+    PluginTween.getEasing = function(ease) {
+        if (typeof ease === 'function') return ease;
+        return this.Easing[ease] || this.Easing[this.DEFAULT_EASE];
+    };
 
-        var duration = opts.duration || 0;
-        var to = opts.to;
+    /**
+     * 플러그인 커맨드 인자가 이징 이름이면 그대로, 아니면 undefined.
+     * 각 커맨드의 마지막(선택) 인자로 이징을 받을 때 사용한다.
+     * @param {string} [arg]
+     * @returns {string|undefined}
+     */
+    PluginTween.parseEase = function(arg) {
+        return (arg && this.Easing.hasOwnProperty(arg)) ? arg : undefined;
+    };
 
-        // 같은 target+key에 대한 기존 tween 제거
+    //=========================================================================
+    // tween 추가 / 취소
+    //=========================================================================
+
+    // 같은 target+key의 기존 tween 제거 (overwrite). 취소된 tween의 그룹 대기는 해제된다.
+    PluginTween._removeConflicts = function(target, key) {
         for (var i = this._tweens.length - 1; i >= 0; i--) {
             var t = this._tweens[i];
-            if (t.target === opts.target && t.key === opts.key) {
+            if (t.target === target && t.key === key) {
                 this._tweens.splice(i, 1);
+                t._done = true;
+                if (t._onEnd) t._onEnd();
             }
         }
+    };
 
-        // duration 0이면 즉시 적용
-        if (duration <= 0) {
-            opts.target[opts.key] = to;
-            if (opts.onUpdate) opts.onUpdate(to);
-            if (opts.onComplete) opts.onComplete();
-            return;
-        }
+    PluginTween._create = function(opts, isColor) {
+        if (!opts.target || !opts.key) return null;
 
-        var from = opts.target[opts.key];
-        if (from === undefined || from === null) from = 0;
+        var duration = opts.duration || 0;
+        var delay = opts.delay || 0;
 
-        this._tweens.push({
+        if (opts.overwrite !== false) {
+            this._removeConflicts(opts.target, opts.key);
+        }
+
+        var tw = {
             target: opts.target,
             key: opts.key,
-            from: from,
-            to: to,
+            from: null,            // 시작 시점(지연 후)에 캡처
+            to: opts.to,
             duration: duration,
+            delay: delay,
             elapsed: 0,
+            ease: this.getEasing(opts.ease),
+            repeat: opts.repeat || 0,   // 추가 반복 횟수 (-1 = 무한)
+            yoyo: !!opts.yoyo,
+            name: opts.name || null,
+            isColor: !!isColor,
             onUpdate: opts.onUpdate || null,
             onComplete: opts.onComplete || null,
-        });
+            _onEnd: opts._onEnd || null,
+            _done: false
+        };
+
+        // duration 0, 지연 없음이면 즉시 적용
+        if (duration <= 0 && delay <= 0) {
+            tw.target[tw.key] = tw.to;
+            if (tw.onUpdate) tw.onUpdate(tw.to);
+            tw._done = true;
+            if (tw.onComplete) tw.onComplete();
+            if (tw._onEnd) tw._onEnd();
+            return tw;
+        }
+
+        this._tweens.push(tw);
+        return tw;
+    };
+
+    /**
+     * 새 tween을 추가한다.
+     * @param {Object} opts
+     * @param {Object} opts.target - 값을 변경할 대상 객체
+     * @param {string} opts.key - 변경할 프로퍼티 키
+     * @param {number} opts.to - 목표 값
+     * @param {number} opts.duration - 보간 시간(초). 0이면 즉시 적용.
+     * @param {string} [opts.ease] - 이징 이름 (PluginTween.Easing, 기본 'smooth')
+     * @param {number} [opts.delay] - 시작 지연(초)
+     * @param {number} [opts.repeat] - 추가 반복 횟수 (-1 = 무한)
+     * @param {boolean} [opts.yoyo] - 반복 시 왕복
+     * @param {string} [opts.name] - 대기/취소용 이름
+     * @param {boolean} [opts.overwrite] - false면 같은 target+key tween을 취소하지 않음
+     * @param {function} [opts.onUpdate] - 매 프레임 콜백(현재값)
+     * @param {function} [opts.onComplete] - 완료 콜백
+     * @returns {Object|null} tween 핸들
+     */
+    PluginTween.add = function(opts) {
+        return this._create(opts, false);
     };
 
     /**
      * 색상(hex number) tween을 추가한다.
-     * RGB 각 채널을 개별적으로 보간한다.
+     * RGB 각 채널을 개별적으로 보간한다. 옵션은 add()와 동일.
      * @param {Object} opts
      * @param {Object} opts.target - 대상 객체
      * @param {string} opts.key - hex 숫자를 담고 있는 프로퍼티 키
@@ -75,48 +219,183 @@
      * @param {number} opts.duration - 초
      * @param {function} [opts.onUpdate] - 매 프레임 콜백(현재 hex값)
      * @param {function} [opts.onComplete] - 완료 콜백
+     * @returns {Object|null} tween 핸들
      */
     PluginTween.addColor = function(opts) {
-        if (!opts.target || !opts.key) return;
-
-        var duration = opts.duration || 0;
-        var to = opts.to;
+        return this._create(opts, true);
+    };
 
-        // 같은 target+key에 대한 기존 tween 제거
+    /**
+     * tween 핸들 또는 이름으로 취소한다. (값은 현재 상태로 남는다)
+     * @param {Object|string} handleOrName
+     */
+    PluginTween.cancel = function(handleOrName) {
         for (var i = this._tweens.length - 1; i >= 0; i--) {
             var t = this._tweens[i];
-            if (t.target === opts.target && t.key === opts.key) {
+            if (t === handleOrName || (t.name && t.name === handleOrName)) {
                 this._tweens.splice(i, 1);
+                t._done = true;
+                if (t._onEnd) t._onEnd();
             }
         }
+        if (typeof handleOrName === 'string') {
+            for (var g = this._groups.length - 1; g >= 0; g--) {
+                if (this._groups[g].name === handleOrName) {
+                    this._groups[g].active = false;
+                    this._groups.splice(g, 1);
+                }
+            }
+        }
+    };
+
+    //=========================================================================
+    // 그룹 (parallel / sequence 타임라인)
+    //=========================================================================
 
-        if (duration <= 0) {
-            opts.target[opts.key] = to;
-            if (opts.onUpdate) opts.onUpdate(to);
-            if (opts.onComplete) opts.onComplete();
+    /**
+     * 단계들을 동시에 실행한다. 모든 단계가 끝나면 그룹 완료.
+     * @param {string} [name] - 대기용 이름
+     * @param {Array} steps - tween 옵션 | { parallel: [] } | { sequence: [] } | { wait: 초 } | { color: true, ...옵션 }
+     * @param {function} [onComplete]
+     */
+    PluginTween.parallel = function(name, steps, onComplete) {
+        return this._startGroup(name, 'parallel', steps, onComplete);
+    };
+
+    /**
+     * 단계들을 순서대로 실행한다.
+     * @param {string} [name]
+     * @param {Array} steps - parallel()과 동일
+     * @param {function} [onComplete]
+     */
+    PluginTween.sequence = function(name, steps, onComplete) {
+        return this._startGroup(name, 'sequence', steps, onComplete);
+    };
+
+    PluginTween._startGroup = function(name, mode, steps, onComplete) {
+        var self = this;
+        var group = { name: name || null, active: true };
+        this._groups.push(group);
+        this._runSteps(group, mode, steps || [], function() {
+            if (!group.active) return;
+            group.active = false;
+            var idx = self._groups.indexOf(group);
+            if (idx >= 0) self._groups.splice(idx, 1);
+            if (onComplete) onComplete();
+        });
+        return group;
+    };
+
+    PluginTween._runSteps = function(group, mode, steps, done) {
+        var self = this;
+        if (steps.length === 0) {
+            done();
             return;
         }
+        if (mode === 'parallel') {
+            var remaining = steps.length;
+            var finishOne = function() {
+                if (--remaining === 0) done();
+            };
+            for (var i = 0; i < steps.length; i++) {
+                this._startStep(group, steps[i], finishOne);
+            }
+        } else {
+            var index = 0;
+            var next = function() {
+                if (!group.active) return;
+                if (index >= steps.length) {
+                    done();
+                    return;
+                }
+                self._startStep(group, steps[index++], next);
+            };
+            next();
+        }
+    };
+
+    PluginTween._startStep = function(group, step, done) {
+        if (!group.active) return;
+        if (step.parallel) {
+            this._runSteps(group, 'parallel', step.parallel, done);
+        } else if (step.sequence) {
+            this._runSteps(group, 'sequence', step.sequence, done);
+        } else if (step.wait != null) {
+            this._create({ target: {}, key: 'wait', to: 1, duration: step.wait, name: group.name,
+                _onEnd: done }, false);
+        } else {
+            var opts = {};
+            for (var k in step) opts[k] = step[k];
+            if (!opts.name) opts.name = group.name;
+            opts._onEnd = done;
+            this._create(opts, !!step.color);
+        }
+    };
+
+    /**
+     * 이름이 주어지면 해당 이름의 tween/그룹이, 없으면 끝나는 tween이 하나라도 진행 중인지.
+     * 이름 없는 대기는 무한 반복(repeat -1) tween과 그것에 막혀 끝나지 않는 그룹을 제외한다.
+     * (진행 중인 그룹은 항상 현재 단계의 tween을 가지므로 유한 tween만 확인하면 된다)
+     * @param {string} [name]
+     * @returns {boolean}
+     */
+    PluginTween.isRunning = function(name) {
+        if (!name) {
+            for (var t = 0; t < this._tweens.length; t++) {
+                if (this._tweens[t].repeat >= 0) return true;
+            }
+            return false;
+        }
+        for (var i = 0; i < this._tweens.length; i++) {
+            if (this._tweens[i].name === name) return true;
+        }
+        for (var g = 0; g < this._groups.length; g++) {
+            if (this._groups[g].name === name) return true;
+        }
+        return false;
+    };
 
-        var from = opts.target[opts.key];
+    //=========================================================================
+    // 업데이트
+    //=========================================================================
+
+    PluginTween._captureFrom = function(tw) {
+        var from = tw.target[tw.key];
         if (from === undefined || from === null) from = 0;
+        tw.from = from;
+        if (tw.isColor) this._splitColor(tw);
+    };
 
-        this._tweens.push({
-            target: opts.target,
-            key: opts.key,
-            from: from,
-            to: to,
-            duration: duration,
-            elapsed: 0,
-            isColor: true,
-            fromR: (from >> 16) & 0xFF,
-            fromG: (from >> 8) & 0xFF,
-            fromB: from & 0xFF,
-            toR: (to >> 16) & 0xFF,
-            toG: (to >> 8) & 0xFF,
-            toB: to & 0xFF,
-            onUpdate: opts.onUpdate || null,
-            onComplete: opts.onComplete || null,
-        });
+    PluginTween._splitColor = function(tw) {
+        tw.fromR = (tw.from >> 16) & 0xFF;
+        tw.fromG = (tw.from >> 8) & 0xFF;
+        tw.fromB = tw.from & 0xFF;
+        tw.toR = (tw.to >> 16) & 0xFF;
+        tw.toG = (tw.to >> 8) & 0xFF;
+        tw.toB = tw.to & 0xFF;
+    };
+
+    PluginTween._apply = function(tw, t) {
+        if (tw.isColor) {
+            var r = Math.round(tw.fromR + (tw.toR - tw.fromR) * t).clamp(0, 255);
+            var g = Math.round(tw.fromG + (tw.toG - tw.fromG) * t).clamp(0, 255);
+            var b = Math.round(tw.fromB + (tw.toB - tw.fromB) * t).clamp(0, 255);
+            var hex = (r << 16) | (g << 8) | b;
+            tw.target[tw.key] = hex;
+            if (tw.onUpdate) tw.onUpdate(hex);
+        } else {
+            var value = tw.from + (tw.to - tw.from) * t;
+            tw.target[tw.key] = value;
+            if (tw.onUpdate) tw.onUpdate(value);
+        }
+    };
+
+    PluginTween._finish = function(tw) {
+        tw._done = true;
+        var idx = this._tweens.indexOf(tw);
+        if (idx >= 0) this._tweens.splice(idx, 1);
+        if (tw.onComplete) tw.onComplete();
+        if (tw._onEnd) tw._onEnd();
     };
 
     /**
@@ -125,39 +404,52 @@
     PluginTween.update = function(deltaSec) {
         if (this._tweens.length === 0) return;
 
-        for (var i = this._tweens.length - 1; i >= 0; i--) {
-            var tw = this._tweens[i];
-            tw.elapsed += deltaSec;
-
-            var progress = Math.min(tw.elapsed / tw.duration, 1.0);
-            // ease-in-out (smoothstep)
-            var t = progress * progress * (3 - 2 * progress);
-
-            if (tw.isColor) {
-                var r = Math.round(tw.fromR + (tw.toR - tw.fromR) * t);
-                var g = Math.round(tw.fromG + (tw.toG - tw.fromG) * t);
-                var b = Math.round(tw.fromB + (tw.toB - tw.fromB) * t);
-                var hex = (r << 16) | (g << 8) | b;
-                tw.target[tw.key] = hex;
-                if (tw.onUpdate) tw.onUpdate(hex);
-            } else {
-                var value = tw.from + (tw.to - tw.from) * t;
-                tw.target[tw.key] = value;
-                if (tw.onUpdate) tw.onUpdate(value);
+        // 콜백에서 tween이 추가/취소될 수 있으므로 스냅샷으로 순회
+        var list = this._tweens.slice();
+        for (var i = 0; i < list.length; i++) {
+            var tw = list[i];
+            if (tw._done) continue;
+
+            var dt = deltaSec;
+            if (tw.delay > 0) {
+                tw.delay -= dt;
+                if (tw.delay > 0) continue;
+                dt = -tw.delay;
+                tw.delay = 0;
             }
+            if (tw.from === null) this._captureFrom(tw);
+
+            tw.elapsed += dt;
+            var progress = tw.duration > 0 ? Math.min(tw.elapsed / tw.duration, 1.0) : 1.0;
+            this._apply(tw, tw.ease(progress));
 
             if (progress >= 1.0) {
-                if (tw.onComplete) tw.onComplete();
-                this._tweens.splice(i, 1);
+                if (tw.repeat !== 0) {
+                    if (tw.repeat > 0) tw.repeat--;
+                    tw.elapsed = 0;
+                    if (tw.yoyo) {
+                        var tmp = tw.from;
+                        tw.from = tw.to;
+                        tw.to = tmp;
+                        if (tw.isColor) this._splitColor(tw);
+                    } else {
+                        this._apply(tw, 0);
+                    }
+                } else {
+                    this._finish(tw);
+                }
             }
         }
     };
 
     /**
-     * 모든 tween을 제거한다.
+     * 모든 tween과 그룹을 제거한다. (완료 콜백은 호출하지 않음)
      */
     PluginTween.clear = function() {
+        for (var i = 0; i < this._tweens.length; i++) this._tweens[i]._done = true;
+        for (var g = 0; g < this._groups.length; g++) this._groups[g].active = false;
         this._tweens = [];
+        this._groups = [];
     };
 
     // SceneManager.update에 연결 (RPG Maker MV 런타임)
@@ -193,4 +485,44 @@
         });
     }
 
+    //=========================================================================
+    // Game_Interpreter - 'tween' 대기 모드
+    //=========================================================================
+    // Tween wait [name]   - 이름의 tween/그룹(생략 시 무한 반복을 제외한 전체)이 끝날 때까지 대기
+    // Tween cancel <name> - 이름의 tween/그룹 취소
+
+    if (typeof Game_Interpreter !== 'undefined') {
+        var _Game_Interpreter_updateWaitMode = Game_Interpreter.prototype.updateWaitMode;
+        Game_Interpreter.prototype.updateWaitMode = function() {
+            if (this._waitMode === 'tween') {
+                if (PluginTween.isRunning(this._waitTweenName)) return true;
+                this._waitMode = '';
+                this._waitTweenName = null;
+                return false;
+            }
+            return _Game_Interpreter_updateWaitMode.call(this);
+        };
+
+        if (window.PluginCommandRegistry) {
+            PluginCommandRegistry.register('Tween', {
+                description: 'PluginTween 대기/취소',
+                subcommands: {
+                    wait: {
+                        description: '이름의 tween/그룹(생략 시 무한 반복을 제외한 전체)이 끝날 때까지 대기',
+                        args: [{ name: 'name', optional: true }],
+                        run: function(a, interpreter) {
+                            interpreter._waitTweenName = a.name || null;
+                            interpreter.setWaitMode('tween');
+                        }
+                    },
+                    cancel: {
+                        description: '이름의 tween/그룹 취소',
+                        args: [{ name: 'name' }],
+                        run: function(a) { PluginTween.cancel(a.name); }
+                    }
+                }
+            });
+        }
+    }
+
 })();
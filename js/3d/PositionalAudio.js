@@ -0,0 +1,328 @@
+//=============================================================================
+// PositionalAudio.js - 이벤트/맵 오브젝트 위치 기반 사운드 (폭포, 대장간, NPC 잡담)
+//=============================================================================
+// 이벤트(페이지 코멘트 108/408 또는 이벤트 노트)와 $dataMap.objects에 사운드
+// 이미터를 붙이면 카메라와의 위치 관계에 따라 볼륨/패닝이 바뀐다.
+//   <sound name:Waterfall volume:80 distance:10>
+//   <sound name:Town1 volume:70 pitch:110 distance:6 interval:8>
+// - name: audio/bgs (반복 재생) 또는 audio/se (interval > 0 이면 interval초마다 1회)
+// - distance: 들리는 최대 거리 (타일), 이 거리에서 볼륨 0
+// 맵 오브젝트는 데이터에 sound: { name, volume, pitch, distance, interval } 객체로 지정
+//
+// - Mode3D: WebAudio PannerNode에 카메라 기준 상대 위치를 넣어 공간화.
+//   리스너는 카메라가 바라보는 화면 중심 바닥점이고 방향은 카메라 yaw를 따르므로
+//   TouchCameraControl로 카메라를 돌리면 소리의 좌우가 함께 돈다.
+//   (카메라 높이까지 거리에 넣으면 모든 소리가 감쇠하므로 바닥 평면 거리만 사용)
+// - 2D: 화면 중심과의 거리로 볼륨, 좌우 거리로 스테레오 pan만 조절
+//
+// 의존: AudioManager, WebAudio(spatial), Mode3D (선택)
+//=============================================================================
+
+(function() {
+
+var PositionalAudio = {};
+window.PositionalAudio = PositionalAudio;
+
+PositionalAudio.config = {
+    enabled: true,
+    maxEmitters: 12,        // 동시에 재생하는 이미터 최대 개수 (가까운 순)
+    refDistance: 1,         // 이 거리(타일) 이내는 최대 볼륨
+    defaultDistance: 8,     // distance 미지정 시 최대 거리 (타일)
+    panRange: 8             // 2D: 이 거리(타일)만큼 옆이면 pan ±100%
+};
+
+PositionalAudio._emitters = {};   // key('e1', 'o3') → emitter
+PositionalAudio._mapId = 0;
+
+//=============================================================================
+// 태그 파싱
+//=============================================================================
+
+/**
+ * <sound key:value ...> 태그 파싱 (없으면 null)
+ * 공백이 있는 파일명은 name:"Forge Hammer" 처럼 따옴표로 감싼다
+ */
+PositionalAudio.parseSoundTag = function(text) {
+    if (!text) return null;
+    var m = text.match(/<sound\s+([^>]*)>/i);
+    if (!m) return null;
+    var data = {};
+    var re = /(\w+)\s*:\s*("[^"]*"|\S+)/g;
+    var kv;
+    while ((kv = re.exec(m[1])) !== null) {
+        data[kv[1]] = kv[2].replace(/^"|"$/g, '');
+    }
+    return this.normalizeSettings(data);
+};
+
+/**
+ * 이미터 설정 정규화 (name이 없으면 null)
+ */
+PositionalAudio.normalizeSettings = function(data) {
+    if (!data || !data.name) return null;
+    var num = function(value, def) {
+        var n = parseFloat(value);
+        return isNaN(n) ? def : n;
+    };
+    return {
+        name: String(data.name),
+        volume: num(data.volume, 90),
+        pitch: num(data.pitch, 100),
+        distance: Math.max(0.5, num(data.distance, this.config.defaultDistance)),
+        interval: Math.max(0, num(data.interval, 0))
+    };
+};
+
+PositionalAudio._pageComments = function(page) {
+    var text = '';
+    var list = page ? page.list : null;
+    if (!list) return text;
+    for (var i = 0; i < list.length; i++) {
+        var cmd = list[i];
+        if (cmd.code === 108 || cmd.code === 408) {
+            text += cmd.parameters[0] + '\n';
+        }
+    }
+    return text;
+};
+
+// 페이지 데이터 / 맵 오브젝트 sound 데이터 → 정규화된 설정.
+// 세이브에 들어가지 않도록 Game_Event, Game_MapObject가 아닌 여기에 캐시
+PositionalAudio._settingsCache = new WeakMap();
+
+/**
+ * 현재 페이지의 사운드 설정 (없으면 null)
+ * 페이지 코멘트 우선, 없으면 이벤트 노트 태그. 페이지 데이터 기준으로 캐시
+ */
+Game_Event.prototype.soundSettings = function() {
+    if (this._pageIndex < 0) return null;
+    var page = this.page();
+    var cache = PositionalAudio._settingsCache;
+    if (!cache.has(page)) {
+        var data = PositionalAudio.parseSoundTag(PositionalAudio._pageComments(page));
+        if (!data && this.event()) data = PositionalAudio.parseSoundTag(this.event().note);
+        cache.set(page, data);
+    }
+    return cache.get(page);
+};
+
+Game_MapObject.prototype.soundSettings = function() {
+    var sound = this.data().sound;
+    if (!sound || typeof sound !== 'object') return null;
+    var cache = PositionalAudio._settingsCache;
+    if (!cache.has(sound)) cache.set(sound, PositionalAudio.normalizeSettings(sound));
+    return cache.get(sound);
+};
+
+//=============================================================================
+// 이미터 관리
+//=============================================================================
+
+PositionalAudio.isEnabled = function() {
+    return this.config.enabled && !!WebAudio._context;
+};
+
+PositionalAudio.is3D = function() {
+    return !!(window.Mode3D && ConfigManager.mode3d && Mode3D._active && Mode3D._perspCamera);
+};
+
+/**
+ * 사운드를 가진 이벤트/맵 오브젝트의 현재 위치 (화면 픽셀 좌표 = Mode3D 월드 XY)
+ * @returns {Array} [{ key, settings, x, y }]
+ */
+PositionalAudio._collectSources = function() {
+    var sources = [];
+    var tw = $gameMap.tileWidth();
+    var th = $gameMap.tileHeight();
+    var events = $gameMap.events();
+    for (var i = 0; i < events.length; i++) {
+        var ev = events[i];
+        var settings = ev.soundSettings();
+        if (!settings) continue;
+        sources.push({
+            key: 'e' + ev.eventId(), settings: settings,
+            x: ev.screenX(), y: ev.screenY() - th / 2
+        });
+    }
+    var objects = $gameMap.mapObjects();
+    for (var j = 0; j < objects.length; j++) {
+        var obj = objects[j];
+        var objSettings = obj.soundSettings();
+        if (!objSettings || !obj.isVisible()) continue;
+        // x는 왼쪽 열, y는 맨 아래 행 → 오브젝트 중심
+        var cx = obj.x() + obj.width() / 2;
+        var cy = obj.y() + 1 - obj.height() / 2;
+        sources.push({
+            key: 'o' + obj.id(), settings: objSettings,
+            x: $gameMap.adjustX(cx) * tw, y: $gameMap.adjustY(cy) * th
+        });
+    }
+    return sources;
+};
+
+/**
+ * 리스너 기준 축 (바닥 평면, 픽셀 좌표계 Y-down)
+ * right: 화면 오른쪽 방향, forward: 화면 위쪽(카메라가 바라보는) 방향
+ * Mode3D에서는 카메라의 x축을 바닥에 투영하여 yaw를 반영
+ */
+PositionalAudio._listenerAxes = function() {
+    var rx = 1, ry = 0;
+    if (this.is3D()) {
+        var e = Mode3D._perspCamera.matrixWorld.elements;
+        var len = Math.sqrt(e[0] * e[0] + e[1] * e[1]);
+        if (len > 1e-3) {
+            rx = e[0] / len;
+            ry = e[1] / len;
+        }
+    }
+    return { rx: rx, ry: ry, fx: ry, fy: -rx };
+};
+
+PositionalAudio._createEmitter = function(source) {
+    var settings = source.settings;
+    var folder = settings.interval > 0 ? 'se' : 'bgs';
+    return {
+        key: source.key,
+        settings: settings,
+        buffer: AudioManager.createBuffer(folder, settings.name),
+        spatial: { x: 0, y: 0, z: 0, refDistance: 1, maxDistance: 1, rolloffFactor: 1 },
+        timer: 0,
+        started: false
+    };
+};
+
+PositionalAudio._removeEmitter = function(key) {
+    var emitter = this._emitters[key];
+    if (emitter) {
+        emitter.buffer.stop();
+        delete this._emitters[key];
+    }
+};
+
+PositionalAudio.stopAll = function() {
+    for (var key in this._emitters) {
+        this._removeEmitter(key);
+    }
+};
+
+/**
+ * 매 프레임: 이미터 생성/제거, 위치에 따른 볼륨/패닝 갱신
+ * 들리는 거리 안의 이미터 중 가까운 maxEmitters개만 재생하고 나머지는 정지
+ */
+PositionalAudio.update = function() {
+    if (!this.isEnabled() || !$gameMap) {
+        this.stopAll();
+        return;
+    }
+    if (this._mapId !== $gameMap.mapId()) {
+        this.stopAll();
+        this._mapId = $gameMap.mapId();
+    }
+
+    var tw = $gameMap.tileWidth();
+    var cx = Graphics.width / 2;
+    var cy = Graphics.height / 2;
+    var sources = this._collectSources();
+    var audible = [];
+    for (var i = 0; i < sources.length; i++) {
+        var s = sources[i];
+        s.dx = (s.x - cx) / tw;
+        s.dy = (s.y - cy) / tw;
+        s.d = Math.sqrt(s.dx * s.dx + s.dy * s.dy);
+        if (s.d < s.settings.distance) audible.push(s);
+    }
+    audible.sort(function(a, b) { return a.d - b.d; });
+    audible.length = Math.min(audible.length, this.config.maxEmitters);
+
+    var keep = {};
+    var axes = this._listenerAxes();
+    var is3D = this.is3D();
+    for (var j = 0; j < audible.length; j++) {
+        var source = audible[j];
+        var emitter = this._emitters[source.key];
+        if (emitter && emitter.settings !== source.settings) {
+            this._removeEmitter(source.key);
+            emitter = null;
+        }
+        if (!emitter) {
+            emitter = this._createEmitter(source);
+            this._emitters[source.key] = emitter;
+        }
+        keep[source.key] = true;
+        this._updateEmitter(emitter, source, axes, is3D);
+    }
+    for (var key in this._emitters) {
+        if (!keep[key]) this._removeEmitter(key);
+    }
+};
+
+PositionalAudio._updateEmitter = function(emitter, source, axes, is3D) {
+    var settings = emitter.settings;
+    var buffer = emitter.buffer;
+    var oneShot = settings.interval > 0;
+    var configVolume = oneShot ? AudioManager.seVolume : AudioManager.bgsVolume;
+    var volume = configVolume * settings.volume / 10000;
+    var cfg = this.config;
+
+    if (is3D) {
+        // 리스너 좌표계: +x 오른쪽, -z 앞쪽 (거리 감쇠는 PannerNode linear 모델)
+        var spatial = emitter.spatial;
+        spatial.x = source.dx * axes.rx + source.dy * axes.ry;
+        spatial.z = -(source.dx * axes.fx + source.dy * axes.fy);
+        spatial.refDistance = Math.min(cfg.refDistance, settings.distance * 0.5);
+        spatial.maxDistance = settings.distance;
+        buffer.spatial = spatial;
+        buffer.volume = volume;
+    } else {
+        if (buffer.spatial) buffer.spatial = null;
+        var ref = Math.min(cfg.refDistance, settings.distance * 0.5);
+        var falloff = 1 - Math.max(0, source.d - ref) / (settings.distance - ref);
+        buffer.pan = Math.max(-1, Math.min(1, source.dx / cfg.panRange));
+        buffer.volume = volume * Math.max(0, falloff);
+    }
+    buffer.pitch = settings.pitch / 100;
+
+    if (oneShot) {
+        emitter.timer -= 1 / 60;
+        if (emitter.timer <= 0 && !buffer.isPlaying()) {
+            emitter.timer = settings.interval;
+            buffer.play(false, 0);
+        }
+    } else if (!emitter.started) {
+        emitter.started = true;
+        buffer.play(true, 0);
+    }
+};
+
+//=============================================================================
+// Scene_Map / AudioManager 통합
+//=============================================================================
+
+var _Scene_Map_update = Scene_Map.prototype.update;
+Scene_Map.prototype.update = function() {
+    _Scene_Map_update.call(this);
+    PositionalAudio.update();
+};
+
+// 메뉴/전투 등 맵을 벗어나면 정지 (맵으로 돌아오면 update에서 다시 재생)
+var _Scene_Map_terminate = Scene_Map.prototype.terminate;
+Scene_Map.prototype.terminate = function() {
+    _Scene_Map_terminate.call(this);
+    PositionalAudio.stopAll();
+};
+
+var _AudioManager_stopAll = AudioManager.stopAll;
+AudioManager.stopAll = function() {
+    _AudioManager_stopAll.call(this);
+    PositionalAudio.stopAll();
+};
+
+var _AudioManager_checkErrors = AudioManager.checkErrors;
+AudioManager.checkErrors = function() {
+    _AudioManager_checkErrors.call(this);
+    for (var key in PositionalAudio._emitters) {
+        this.checkWebAudioError(PositionalAudio._emitters[key].buffer);
+    }
+};
+
+})();
@@ -10,7 +10,7 @@
 // - PostProcessEffects 패스 관리 및 맵별 설정 로드
 // - 개발 모드 Debug UI
 //
-// 의존: THREE (global), Mode3D, ConfigManager, Graphics, Spriteset_Map
+// 의존: THREE (global), Mode3D, ConfigManager, Graphics, Spriteset_Map, Spriteset_Battle
 // 선택적 의존: PostProcessEffects.js, Scene_Map (런타임 게임 플레이어)
 //=============================================================================
 
@@ -337,7 +337,8 @@ MapRenderPass.prototype.render = function(renderer, writeBuffer /*, readBuffer,
 
     // Shadow Map: Pass 1에서만 갱신 (Sky/UI pass에서 비는 것 방지)
     // composer 전체가 autoUpdate=false로 실행되므로 여기서 needsUpdate 설정
-    renderer.shadowMap.needsUpdate = true;
+    // (빌보드 그림자가 필요하면 광원 방향 빌보드로 shadow pass를 먼저 렌더)
+    Mode3D._renderShadowPass(renderer, scene);
 
     // Pass 1: PerspectiveCamera - 맵(Spriteset_Map)만
     // FOW 메쉬를 숨김 — bloom/postprocess 전에 렌더되면 탐험영역의 bloom이 약해짐
@@ -394,6 +395,9 @@ MapRenderPass.prototype.render = function(renderer, writeBuffer /*, readBuffer,
         }
     }
 
+    // 물 반사: 맵 외 오브젝트가 숨겨진 상태에서 반사 카메라로 렌더
+    ThreeWaterShader.renderReflection(renderer, scene, this.perspCamera, skyMesh, stageObj);
+
     renderer.autoClear = !skyMesh;
     renderer.render(scene, this.perspCamera);
 
@@ -1642,15 +1646,15 @@ PostProcess._updateUniforms = function() {
     var targetBlurPower = this.config.blurPower;
     var transitionSpeed = 1.0;
 
-    if ($gameMap && $gameMap._activeCameraZoneId != null) {
-        var zone = $gameMap.getCameraZoneById($gameMap._activeCameraZoneId);
-        if (zone && zone.dofEnabled) {
+    var zone = this._activeCameraZone();
+    if (zone) {
+        if (zone.dofEnabled) {
             targetFocusY = zone.dofFocusY != null ? zone.dofFocusY : this.config.focusY;
             targetFocusRange = zone.dofFocusRange != null ? zone.dofFocusRange : this.config.focusRange;
             targetMaxBlur = zone.dofMaxBlur != null ? zone.dofMaxBlur : this.config.maxblur;
             targetBlurPower = zone.dofBlurPower != null ? zone.dofBlurPower : this.config.blurPower;
         }
-        if (zone) transitionSpeed = zone.transitionSpeed || 1.0;
+        transitionSpeed = zone.transitionSpeed || 1.0;
     }
 
     // 초기화 (최초 호출 시)
@@ -1782,12 +1786,14 @@ _ThreeStrategy.render = function(rendererObj, stage) {
         PostProcess._updateUniforms();
 
         // Composer 크기 동기화
+        // (ScreenshotManager 고해상도 캡처 중에는 _captureScale 배율 크기)
+        var captureScale = rendererObj._captureScale || 1;
         var composerNeedsResize = (
-            PostProcess._composer.renderTarget1.width !== w ||
-            PostProcess._composer.renderTarget1.height !== h
+            PostProcess._composer.renderTarget1.width !== w * captureScale ||
+            PostProcess._composer.renderTarget1.height !== h * captureScale
         );
         if (composerNeedsResize) {
-            PostProcess._composer.setSize(w, h);
+            PostProcess._composer.setSize(w * captureScale, h * captureScale);
         }
 
         // Shadow Map: multi-pass 렌더링에서 shadow map은 MapRenderPass의
@@ -1831,12 +1837,14 @@ _ThreeStrategy.render = function(rendererObj, stage) {
         // Composer 크기 동기화
         var w = rendererObj._width;
         var h = rendererObj._height;
+        // (ScreenshotManager 고해상도 캡처 중에는 _captureScale 배율 크기)
+        var captureScale = rendererObj._captureScale || 1;
         var composerNeedsResize = (
-            PostProcess._composer.renderTarget1.width !== w ||
-            PostProcess._composer.renderTarget1.height !== h
+            PostProcess._composer.renderTarget1.width !== w * captureScale ||
+            PostProcess._composer.renderTarget1.height !== h * captureScale
         );
         if (composerNeedsResize) {
-            PostProcess._composer.setSize(w, h);
+            PostProcess._composer.setSize(w * captureScale, h * captureScale);
         }
 
         PostProcess._composer.render();
@@ -1850,6 +1858,7 @@ _ThreeStrategy.render = function(rendererObj, stage) {
 var _Spriteset_Map_update_dof = Spriteset_Map.prototype.update;
 Spriteset_Map.prototype.update = function() {
     _Spriteset_Map_update_dof.call(this);
+    PostProcess.updatePreset();
 
     // 3D 모드이면 Debug UI 표시 (DoF ON/OFF와 무관)
     var shouldShowDebug = ConfigManager.mode3d;
@@ -1861,6 +1870,17 @@ Spriteset_Map.prototype.update = function() {
     }
 };
 
+//=============================================================================
+// Spriteset_Battle - 3D 전투에서도 bloom/DoF/프리셋 적용
+// (렌더는 Mode3D._spriteset이 전투 spriteset이면 같은 3D composer 경로를 탐)
+//=============================================================================
+
+var _Spriteset_Battle_update_pp = Spriteset_Battle.prototype.update;
+Spriteset_Battle.prototype.update = function() {
+    _Spriteset_Battle_update_pp.call(this);
+    PostProcess.updatePreset();
+};
+
 //=============================================================================
 // Scene_Map.onMapLoaded - 맵 데이터에서 bloomConfig, postProcessConfig 로드
 //=============================================================================
@@ -1905,6 +1925,290 @@ PostProcess._applyMapSettings = function() {
         // 모든 PP 패스 비활성화
         this.applyPostProcessConfig({});
     }
+
+    // 프리셋(커맨드/카메라존/맵 지정)이 있으면 맵 설정 위에 즉시 적용
+    this._cancelPresetTransition();
+    this._activePresetKey = null;
+    var presetKey = this._desiredPresetKey();
+    if (presetKey && !this.applyPreset(presetKey, 0)) this._activePresetKey = presetKey;
+};
+
+//=============================================================================
+// 포스트 프로세스 프리셋 - project_ext.json의 postProcessPresets
+//=============================================================================
+// project_ext.json 예:
+//   "postProcessPresets": {
+//     "dungeon": {
+//       "bloomConfig": { "threshold": 0.6, "strength": 0.4 },
+//       "dofConfig": { "focusY": 0.5, "maxblur": 0.08 },
+//       "postProcessConfig": {
+//         "vignette": { "enabled": true, "intensity": 0.9 },
+//         "colorGrading": { "enabled": true, "saturation": 0.6, "temperature": -0.3 },
+//         "filmGrain": { "enabled": true, "intensity": 0.15 },
+//         "fog": { "enabled": true, "density": 0.4 }
+//       }
+//     }
+//   }
+// bloomConfig/postProcessConfig 형식은 맵 _ext.json과 동일. 생략한 섹션은 현재 값을 유지한다.
+// data/project_ext.json에 샘플 프리셋(dungeon, dusk)이 들어 있다. description은 설명용이며 무시된다.
+//
+// 선택 우선순위: 플러그인 커맨드($gameSystem) → 활성 카메라존 postProcessPreset → $dataMap.postProcessPreset
+// 모두 없으면 맵 자체 bloomConfig/postProcessConfig로 돌아간다.
+// 전환 시 모든 수치 파라미터를 한 번에 크로스페이드한다. 새로 켜지는 이펙트는 neutral 값에서 시작하고,
+// 꺼지는 이펙트는 neutral 값까지 보간한 뒤 끈다.
+
+PostProcess.PRESET_TWEEN_NAME = 'postProcessPreset';   // "Tween wait postProcessPreset"로 대기
+PostProcess.ZONE_PRESET_DURATION = 1.0;                 // 카메라존 전환 시간(초), zone.transitionSpeed로 나눔
+
+var BLOOM_DEFAULTS = { threshold: 0.5, strength: 0.8, radius: 1.0 };
+var DOF_DEFAULTS = {
+    focusY: PostProcess.config.focusY,
+    focusRange: PostProcess.config.focusRange,
+    maxblur: PostProcess.config.maxblur,
+    blurPower: PostProcess.config.blurPower
+};
+// DoF config 키 → _updateUniforms lerp 상태 키
+var DOF_CURRENT_KEYS = {
+    focusY: '_currentFocusY', focusRange: '_currentFocusRange',
+    maxblur: '_currentMaxBlur', blurPower: '_currentBlurPower'
+};
+
+PostProcess._activePresetKey = null;   // 적용(또는 전환 중)된 프리셋 이름, null = 맵 기본 설정
+PostProcess._presetTween = null;
+
+PostProcess.presets = function() {
+    return ($dataProjectExt && $dataProjectExt.postProcessPresets) || {};
+};
+
+PostProcess.hasPreset = function(name) {
+    return Object.prototype.hasOwnProperty.call(this.presets(), name);
+};
+
+// 전투 중에는 맵의 카메라 존 설정을 적용하지 않음 (맵 기본 설정 사용)
+PostProcess._activeCameraZone = function() {
+    if ($gameParty && $gameParty.inBattle()) return null;
+    if (!$gameMap || $gameMap._activeCameraZoneId == null) return null;
+    return $gameMap.getCameraZoneById($gameMap._activeCameraZoneId);
+};
+
+// 현재 적용되어야 할 프리셋 이름 (null = 맵 기본 설정)
+PostProcess._desiredPresetKey = function() {
+    if ($gameSystem && $gameSystem._postProcessPreset) return $gameSystem._postProcessPreset;
+    var zone = this._activeCameraZone();
+    if (zone && zone.postProcessPreset) return zone.postProcessPreset;
+    return ($dataMap && $dataMap.postProcessPreset) || null;
+};
+
+PostProcess._presetData = function(name) {
+    if (name == null) {
+        return {
+            bloomConfig: ($dataMap && $dataMap.bloomConfig) || {},
+            dofConfig: {},
+            postProcessConfig: ($dataMap && $dataMap.postProcessConfig) || {}
+        };
+    }
+    return this.hasPreset(name) ? this.presets()[name] : null;
+};
+
+// 현재 bloom/DoF/PP 이펙트 상태 스냅샷
+PostProcess._capturePresetState = function() {
+    var state = { bloom: {}, dof: {}, effects: {} };
+    var k;
+    state.bloom.enabled = this._bloomPass ? this._bloomPass.enabled : true;
+    for (k in BLOOM_DEFAULTS) state.bloom[k] = this.bloomConfig[k];
+    for (k in DOF_DEFAULTS) state.dof[k] = this.config[k];
+
+    var PPE = window.PostProcessEffects;
+    if (!this._ppPasses || !PPE) return state;
+    for (var key in this._ppPasses) {
+        var pass = this._ppPasses[key];
+        var params = PPE.EFFECT_PARAMS[key] || [];
+        var values = {};
+        for (var i = 0; i < params.length; i++) {
+            var v = PPE.readParam(key, pass, params[i].key);
+            if (v !== undefined) values[params[i].key] = v;
+        }
+        state.effects[key] = { enabled: pass.enabled, values: values };
+    }
+    return state;
+};
+
+// 프리셋 데이터 → 목표 상태. 지정하지 않은 값은 from을 따른다.
+PostProcess._buildPresetState = function(preset, from) {
+    var bc = preset.bloomConfig;
+    var dc = preset.dofConfig;
+    var ppc = preset.postProcessConfig;
+    var state = {
+        bloom: Object.assign({}, from.bloom),
+        dof: Object.assign({}, from.dof),
+        effects: {}
+    };
+    var k;
+    if (bc) {
+        state.bloom.enabled = bc.enabled !== false;
+        for (k in BLOOM_DEFAULTS) state.bloom[k] = bc[k] != null ? bc[k] : BLOOM_DEFAULTS[k];
+    }
+    if (dc) {
+        for (k in DOF_DEFAULTS) state.dof[k] = dc[k] != null ? dc[k] : DOF_DEFAULTS[k];
+    }
+    for (var key in from.effects) {
+        var cur = from.effects[key];
+        var cfg = ppc ? ppc[key] : null;
+        var values = {};
+        for (k in cur.values) values[k] = (cfg && cfg[k] != null) ? cfg[k] : cur.values[k];
+        state.effects[key] = {
+            enabled: ppc ? !!(cfg && cfg.enabled) : cur.enabled,
+            values: values
+        };
+    }
+    return state;
+};
+
+// 켜짐/꺼짐이 바뀌는 이펙트는 꺼진 쪽의 값을 neutral로 바꿔 서서히 나타나고 사라지게 한다
+PostProcess._fillNeutralValues = function(from, to) {
+    if (from.bloom.enabled !== to.bloom.enabled) {
+        (from.bloom.enabled ? to : from).bloom.strength = 0;
+    }
+    var PPE = window.PostProcessEffects;
+    if (!PPE) return;
+    for (var key in to.effects) {
+        var f = from.effects[key];
+        var t = to.effects[key];
+        if (f.enabled === t.enabled) continue;
+        var off = f.enabled ? t : f;
+        var on = f.enabled ? f : t;
+        var params = PPE.EFFECT_PARAMS[key] || [];
+        for (var i = 0; i < params.length; i++) {
+            var p = params[i];
+            if (!(p.key in off.values)) continue;
+            off.values[p.key] = p.neutral != null ? p.neutral : on.values[p.key];
+        }
+    }
+};
+
+function lerpHexColor(a, b, t) {
+    var out = '#';
+    for (var i = 1; i < 7; i += 2) {
+        var ca = parseInt(a.substr(i, 2), 16);
+        var cb = parseInt(b.substr(i, 2), 16);
+        var h = Math.round(ca + (cb - ca) * t).toString(16);
+        out += h.length < 2 ? '0' + h : h;
+    }
+    return out;
+}
+
+PostProcess._applyPresetBlend = function(from, to, t) {
+    var k;
+    for (k in BLOOM_DEFAULTS) {
+        this.bloomConfig[k] = from.bloom[k] + (to.bloom[k] - from.bloom[k]) * t;
+    }
+    for (k in DOF_DEFAULTS) {
+        this.config[k] = from.dof[k] + (to.dof[k] - from.dof[k]) * t;
+        // _updateUniforms의 lerp를 바이패스
+        this[DOF_CURRENT_KEYS[k]] = this.config[k];
+    }
+
+    var PPE = window.PostProcessEffects;
+    if (!this._ppPasses || !PPE) return;
+    for (var key in to.effects) {
+        var f = from.effects[key];
+        var e = to.effects[key];
+        var pass = this._ppPasses[key];
+        if (!pass || (!f.enabled && !e.enabled)) continue;
+        var params = PPE.EFFECT_PARAMS[key] || [];
+        for (var i = 0; i < params.length; i++) {
+            var p = params[i];
+            if (!(p.key in e.values)) continue;
+            var a = f.values[p.key];
+            var b = e.values[p.key];
+            var v;
+            if (p.type === 'lut') {
+                PPE.setLutBlend(pass, a, b, t);
+                continue;
+            } else if (p.type === 'color') {
+                v = lerpHexColor(a, b, t);
+            } else if (p.type === 'select') {
+                v = t < 1 ? a : b;
+            } else {
+                v = a + (b - a) * t;
+            }
+            PPE.applyParam(key, pass, p.key, v);
+        }
+    }
+};
+
+// 전환 중에는 양쪽 중 하나라도 켜진 패스를 켜 두고, 완료 시 목표 상태로 맞춘다
+PostProcess._setPresetPassesEnabled = function(from, to, done) {
+    if (this._bloomPass) {
+        this._bloomPass.enabled = done ? to.bloom.enabled : (from.bloom.enabled || to.bloom.enabled);
+    }
+    if (!this._ppPasses) return;
+    var anyEnabled = false;
+    for (var key in to.effects) {
+        var pass = this._ppPasses[key];
+        if (!pass) continue;
+        pass.enabled = done ? to.effects[key].enabled : (from.effects[key].enabled || to.effects[key].enabled);
+        if (pass.enabled) anyEnabled = true;
+    }
+    this._ppNeedsTimeUpdate = anyEnabled;
+    if (this._ppPasses.godRays) {
+        this._ppPasses.godRays._baseDirty = true;
+    }
+    this._updateRenderToScreen();
+};
+
+PostProcess._cancelPresetTransition = function() {
+    if (this._presetTween) {
+        PluginTween.cancel(this._presetTween);
+        this._presetTween = null;
+    }
+};
+
+/**
+ * 프리셋으로 전환한다. bloom/DoF/PP 이펙트 파라미터를 한 번에 크로스페이드.
+ * @param {string|null} name - 프리셋 이름. null이면 맵 기본 설정
+ * @param {number} [duration] - 전환 시간(초). 0이면 즉시
+ * @param {string} [ease] - 이징 이름 (PluginTween.Easing)
+ * @returns {boolean} 프리셋이 없으면 false
+ */
+PostProcess.applyPreset = function(name, duration, ease) {
+    var preset = this._presetData(name);
+    if (!preset) return false;
+    this._activePresetKey = name;
+    this._cancelPresetTransition();
+
+    var from = this._capturePresetState();
+    var to = this._buildPresetState(preset, from);
+    this._fillNeutralValues(from, to);
+    this._setPresetPassesEnabled(from, to, false);
+
+    var self = this;
+    if (duration > 0 && window.PluginTween) {
+        var proxy = { t: 0 };
+        this._presetTween = PluginTween.add({
+            target: proxy, key: 't', to: 1, duration: duration, ease: ease,
+            name: this.PRESET_TWEEN_NAME,
+            onUpdate: function(v) { self._applyPresetBlend(from, to, v); },
+            onComplete: function() {
+                self._presetTween = null;
+                self._setPresetPassesEnabled(from, to, true);
+            }
+        });
+    } else {
+        this._applyPresetBlend(from, to, 1);
+        this._setPresetPassesEnabled(from, to, true);
+    }
+    return true;
+};
+
+// 카메라존/맵 프리셋 변경 감지 (매 프레임)
+PostProcess.updatePreset = function() {
+    var key = this._desiredPresetKey();
+    if (key === this._activePresetKey) return;
+    var zone = this._activeCameraZone();
+    var duration = this.ZONE_PRESET_DURATION / ((zone && zone.transitionSpeed) || 1.0);
+    // 없는 프리셋이면 매 프레임 재시도하지 않도록 키만 기록
+    if (!this.applyPreset(key, duration)) this._activePresetKey = key;
 };
 
 //=============================================================================
@@ -2049,84 +2353,177 @@ PostProcess._removeDebugUI = function() {
 // Plugin Commands
 //=============================================================================
 
-var _Game_Interpreter_pluginCommand_dof = Game_Interpreter.prototype.pluginCommand;
-Game_Interpreter.prototype.pluginCommand = function(command, args) {
-    _Game_Interpreter_pluginCommand_dof.call(this, command, args);
-
-    if (command === 'DoF' || command === 'DepthOfField' || command === 'PostProcess') {
-        if (args[0] === 'on') ConfigManager.depthOfField = true;
-        if (args[0] === 'off') ConfigManager.depthOfField = false;
-        var ppKeyMap = { focusY: '_currentFocusY', focusRange: '_currentFocusRange', maxblur: '_currentMaxBlur', blurPower: '_currentBlurPower' };
-        var ppKeys = ['focusY', 'focusRange', 'maxblur', 'blurPower'];
-        for (var pi = 0; pi < ppKeys.length; pi++) {
-            if (args[0] === ppKeys[pi] && args[1]) {
-                var ppVal = parseFloat(args[1]);
-                var ppDur = args[2] ? parseFloat(args[2]) : 0;
-                var currentKey = ppKeyMap[ppKeys[pi]];
-                if (ppDur > 0 && window.PluginTween) {
-                    (function(cfgKey, curKey) {
-                        PluginTween.add({
-                            target: PostProcess.config, key: cfgKey, to: ppVal, duration: ppDur,
-                            onUpdate: function(v) {
-                                // _updateUniforms의 lerp를 바이패스하기 위해 _current 값도 동기화
-                                PostProcess[curKey] = v;
-                            }
-                        });
-                    })(ppKeys[pi], currentKey);
-                } else {
-                    PostProcess.config[ppKeys[pi]] = ppVal;
-                    PostProcess[currentKey] = ppVal;
-                }
+var TWEEN_ARGS = PluginCommandRegistry.TWEEN_ARGS;
+
+// DoF on/off + focusY/focusRange/maxblur/blurPower <value> [duration] [ease]
+var dofSubcommands = {
+    on: {
+        description: '피사계 심도 켜기',
+        run: function() { ConfigManager.depthOfField = true; }
+    },
+    off: {
+        description: '피사계 심도 끄기',
+        run: function() { ConfigManager.depthOfField = false; }
+    }
+};
+Object.keys(DOF_CURRENT_KEYS).forEach(function(cfgKey) {
+    var curKey = DOF_CURRENT_KEYS[cfgKey];
+    dofSubcommands[cfgKey] = {
+        description: 'DoF ' + cfgKey + ' 값 변경',
+        args: [{ name: 'value', type: 'number' }].concat(TWEEN_ARGS),
+        run: function(a) {
+            if (a.duration > 0 && window.PluginTween) {
+                PluginTween.add({
+                    target: PostProcess.config, key: cfgKey, to: a.value, duration: a.duration, ease: a.ease,
+                    onUpdate: function(v) {
+                        // _updateUniforms의 lerp를 바이패스하기 위해 _current 값도 동기화
+                        PostProcess[curKey] = v;
+                    }
+                });
+            } else {
+                PostProcess.config[cfgKey] = a.value;
+                PostProcess[curKey] = a.value;
             }
         }
+    };
+});
+
+PluginCommandRegistry.register('DoF', {
+    aliases: ['DepthOfField'],
+    description: '피사계 심도(Tilt-Shift) 제어',
+    subcommands: dofSubcommands
+});
+
+// PostProcess preset <name> [duration] [ease] / reset [duration] [ease]
+// (DoF 서브커맨드도 그대로 받는다: PostProcess on, PostProcess focusY 0.5 ...)
+var presetSubcommands = {
+    preset: {
+        description: '포스트 프로세스 프리셋으로 크로스페이드 (project_ext.json postProcessPresets)',
+        args: [{ name: 'name' }].concat(TWEEN_ARGS),
+        run: function(a) {
+            if (!PostProcess.hasPreset(a.name)) {
+                throw new Error('알 수 없는 프리셋: ' + a.name +
+                                ' (' + Object.keys(PostProcess.presets()).join(', ') + ')');
+            }
+            $gameSystem._postProcessPreset = a.name;
+            PostProcess.applyPreset(a.name, a.duration, a.ease);
+        }
+    },
+    reset: {
+        description: '커맨드 프리셋 해제 (카메라존/맵 프리셋 또는 맵 기본 설정으로 복귀)',
+        args: TWEEN_ARGS,
+        run: function(a) {
+            $gameSystem._postProcessPreset = null;
+            PostProcess.applyPreset(PostProcess._desiredPresetKey(), a.duration, a.ease);
+        }
     }
+};
 
-    // PPEffect <effectKey> <on|off|paramKey> [value] [duration]
-    if (command === 'PPEffect') {
-        var effectKey = args[0];
-        var action = args[1];
-        var PPE = window.PostProcessEffects;
-        if (effectKey && action && PostProcess._ppPasses && PostProcess._ppPasses[effectKey]) {
-            var pass = PostProcess._ppPasses[effectKey];
-            if (action === 'on') {
-                pass.enabled = true;
-                PostProcess._updateRenderToScreen();
-            } else if (action === 'off') {
-                pass.enabled = false;
-                PostProcess._updateRenderToScreen();
-            } else if (args[2] != null && PPE) {
-                var ppEffVal = parseFloat(args[2]);
-                var ppEffDur = args[3] ? parseFloat(args[3]) : 0;
-                if (ppEffDur > 0 && window.PluginTween) {
-                    // 프록시 객체로 매 프레임 applyParam 호출
-                    var _ek = effectKey, _act = action, _pass = pass;
-                    if (!PostProcess._ppTweenProxies) PostProcess._ppTweenProxies = {};
-                    var proxyKey = _ek + '_' + _act;
-                    if (!PostProcess._ppTweenProxies[proxyKey]) {
-                        // 현재 유니폼 값을 시작값으로 사용
-                        var curVal = 0;
-                        var map = PPE._UNIFORM_MAP[_ek];
-                        if (map && map[_act] && _pass.uniforms[map[_act]]) {
-                            var u = _pass.uniforms[map[_act]];
-                            if (u.value && u.value.isVector2) {
-                                curVal = (_act.endsWith('X') || _act === 'lightPosX' || _act === 'centerX') ? u.value.x : u.value.y;
-                            } else {
-                                curVal = u.value;
-                            }
-                        }
-                        PostProcess._ppTweenProxies[proxyKey] = { value: curVal };
-                    }
-                    var proxy = PostProcess._ppTweenProxies[proxyKey];
-                    PluginTween.add({
-                        target: proxy, key: 'value', to: ppEffVal, duration: ppEffDur,
-                        onUpdate: function(v) { PPE.applyParam(_ek, _pass, _act, v); }
-                    });
+PluginCommandRegistry.register('PostProcess', {
+    description: '포스트 프로세스 프리셋 전환 및 피사계 심도 제어',
+    subcommands: Object.assign(presetSubcommands, dofSubcommands)
+});
+
+// LUT 전환: 이전 LUT에서 duration초 동안 크로스페이드 (로드 완료 후 시작)
+PostProcess.setLut = function(name, duration, ease) {
+    var PPE = window.PostProcessEffects;
+    var pass = this._ppPasses && this._ppPasses.lut;
+    if (!PPE || !pass) return;
+    if (!pass.enabled) {
+        pass.enabled = true;
+        this._updateRenderToScreen();
+    }
+    var from = PPE.currentLutName(pass);
+    PPE.loadLut(name, function() {
+        if (pass._lutTween) {
+            PluginTween.cancel(pass._lutTween);
+            pass._lutTween = null;
+        }
+        if (duration > 0 && window.PluginTween) {
+            pass._lutTween = PluginTween.add({
+                target: { t: 0 }, key: 't', to: 1, duration: duration, ease: ease,
+                onUpdate: function(v) { PPE.setLutBlend(pass, from, name, v); },
+                onComplete: function() { pass._lutTween = null; }
+            });
+        } else {
+            PPE.setLutBlend(pass, name, name, 1);
+        }
+    });
+};
+
+// PPEffect <effectKey> <on|off|paramKey> [value] [duration] [ease]
+// 이펙트 패스 on/off 또는 파라미터를 즉시/트윈으로 변경
+function runEffectCommand(effectKey, a) {
+    var PPE = window.PostProcessEffects;
+    var toggle = a.action === 'on' || a.action === 'off';
+    if (!toggle && a.value == null) throw new Error('값 누락');
+
+    var pass = PostProcess._ppPasses && PostProcess._ppPasses[effectKey];
+    if (!pass) return;
+    if (toggle) {
+        pass.enabled = a.action === 'on';
+        PostProcess._updateRenderToScreen();
+        return;
+    }
+    var map = PPE._UNIFORM_MAP[effectKey];
+    var action = a.action;
+    if (a.duration > 0 && window.PluginTween) {
+        // 프록시 객체로 매 프레임 applyParam 호출
+        if (!PostProcess._ppTweenProxies) PostProcess._ppTweenProxies = {};
+        var proxyKey = effectKey + '_' + action;
+        if (!PostProcess._ppTweenProxies[proxyKey]) {
+            // 현재 유니폼 값을 시작값으로 사용
+            var curVal = 0;
+            if (pass.uniforms[map[action]]) {
+                var u = pass.uniforms[map[action]];
+                if (u.value && u.value.isVector2) {
+                    curVal = (action.endsWith('X') || action === 'lightPosX' || action === 'centerX') ? u.value.x : u.value.y;
                 } else {
-                    PPE.applyParam(effectKey, pass, action, ppEffVal);
+                    curVal = u.value;
                 }
             }
+            PostProcess._ppTweenProxies[proxyKey] = { value: curVal };
         }
+        PluginTween.add({
+            target: PostProcess._ppTweenProxies[proxyKey], key: 'value', to: a.value,
+            duration: a.duration, ease: a.ease,
+            onUpdate: function(v) { PPE.applyParam(effectKey, pass, action, v); }
+        });
+    } else {
+        PPE.applyParam(effectKey, pass, action, a.value);
     }
-};
+}
 
+function effectSubcommand(effectKey, description) {
+    var params = Object.keys(window.PostProcessEffects._UNIFORM_MAP[effectKey]);
+    return {
+        description: description,
+        args: [
+            { name: 'action', type: 'enum', values: ['on', 'off'].concat(params) },
+            { name: 'value', type: 'number', optional: true }
+        ].concat(TWEEN_ARGS),
+        run: function(a) { runEffectCommand(effectKey, a); }
+    };
+}
+
+// PPEffect lut <name> [duration] [ease] - LUT 파일 전환 (img/luts/)
+// LUT 패스 자체의 on/off/intensity는 이름과 겹치지 않도록 lutPass 서브커맨드로 분리
+var ppEffectSubcommands = {};
+if (window.PostProcessEffects) {
+    Object.keys(PostProcessEffects._UNIFORM_MAP).forEach(function(effectKey) {
+        if (effectKey === 'lut') return;
+        ppEffectSubcommands[effectKey] = effectSubcommand(effectKey, effectKey + ' on/off 및 파라미터 변경');
+    });
+    ppEffectSubcommands.lut = {
+        description: 'LUT 파일로 크로스페이드 (img/luts/, 확장자 생략 시 .cube → .png)',
+        args: [{ name: 'name' }].concat(TWEEN_ARGS),
+        run: function(a) { PostProcess.setLut(a.name, a.duration, a.ease); }
+    };
+    ppEffectSubcommands.lutPass = effectSubcommand('lut', 'LUT 패스 on/off 및 intensity 변경');
+}
+
+PluginCommandRegistry.register('PPEffect', {
+    description: '포스트 프로세싱 이펙트 on/off 및 파라미터 변경',
+    subcommands: ppEffectSubcommands
+});
 })();
@@ -743,12 +743,342 @@ PostProcessEffects.createSSAOPass = function(params) {
     return pass;
 };
 
+//=============================================================================
+// 16. LUT (3D 컬러 룩업 테이블) - 외부 툴에서 만든 색보정 적용
+//=============================================================================
+// img/luts/ 폴더의 .cube 파일 또는 2D 스트립 PNG(가로 N*N × 세로 N, 블루 슬라이스가 가로로 나열)를 로드한다.
+// 이름에 확장자가 없으면 .cube → .png 순으로 찾는다.
+// WebGL2에서는 Data3DTexture, 그 외에는 2D 아틀라스 텍스처로 샘플링한다.
+// 두 LUT(A/B)를 uLutMix로 크로스페이드하고, uIntensity로 원본과 블렌딩한다.
+PostProcessEffects.LUT_FOLDER = 'img/luts/';
+PostProcessEffects.LUT_IDENTITY_SIZE = 16;
+PostProcessEffects._lutUse3D = null;
+
+// 실제 렌더러 컨텍스트가 WebGL2일 때만 3D 텍스처 사용 (렌더러 생성 전에는 판단 보류)
+PostProcessEffects.useLut3D = function() {
+    if (this._lutUse3D !== null) return this._lutUse3D;
+    var renderer = typeof Graphics !== 'undefined' && Graphics._renderer && Graphics._renderer.renderer;
+    if (!renderer || !renderer.capabilities) return false;
+    this._lutUse3D = !!renderer.capabilities.isWebGL2;
+    return this._lutUse3D;
+};
+
+PostProcessEffects.LutShader = {
+    uniforms: {
+        tColor:     { value: null },
+        uLutA:      { value: null },
+        uLutB:      { value: null },
+        uLutSizeA:  { value: 16 },
+        uLutSizeB:  { value: 16 },
+        uLutMix:    { value: 0.0 },
+        uIntensity: { value: 1.0 }
+    },
+    vertexShader: VERT,
+    fragmentShader: [
+        'uniform sampler2D tColor;',
+        '#ifdef LUT_3D',
+        'uniform sampler3D uLutA;',
+        'uniform sampler3D uLutB;',
+        '#else',
+        'uniform sampler2D uLutA;',
+        'uniform sampler2D uLutB;',
+        '#endif',
+        'uniform float uLutSizeA;',
+        'uniform float uLutSizeB;',
+        'uniform float uLutMix;',
+        'uniform float uIntensity;',
+        'varying vec2 vUv;',
+        '#ifdef LUT_3D',
+        'vec3 lutLookup(sampler3D lut, float size, vec3 c) {',
+        '    return texture(lut, c * ((size - 1.0) / size) + 0.5 / size).rgb;',
+        '}',
+        '#else',
+        // 아틀라스: 블루 슬라이스 두 장을 샘플링해 수동 보간
+        'vec3 lutLookup(sampler2D lut, float size, vec3 c) {',
+        '    float b = c.b * (size - 1.0);',
+        '    float b0 = floor(b);',
+        '    float b1 = min(b0 + 1.0, size - 1.0);',
+        '    vec2 rg = c.rg * ((size - 1.0) / size) + 0.5 / size;',
+        '    vec3 s0 = texture2D(lut, vec2((b0 + rg.x) / size, rg.y)).rgb;',
+        '    vec3 s1 = texture2D(lut, vec2((b1 + rg.x) / size, rg.y)).rgb;',
+        '    return mix(s0, s1, b - b0);',
+        '}',
+        '#endif',
+        'void main() {',
+        '    vec4 tex = texture2D(tColor, vUv);',
+        '    vec3 c = clamp(tex.rgb, 0.0, 1.0);',
+        '    vec3 graded = lutLookup(uLutA, uLutSizeA, c);',
+        '    if (uLutMix > 0.0) graded = mix(graded, lutLookup(uLutB, uLutSizeB, c), uLutMix);',
+        '    gl_FragColor = vec4(mix(tex.rgb, graded, uIntensity), tex.a);',
+        '}'
+    ].join('\n')
+};
+
+// 로드된 LUT 캐시: name → { size, texture, failed, callbacks }
+PostProcessEffects._luts = {};
+PostProcessEffects._identityLut = null;
+
+// RGBA 3D 데이터(r 가장 빠름, 그 다음 g, b) → 텍스처
+PostProcessEffects._createLutTexture = function(size, data) {
+    var tex;
+    if (this.useLut3D()) {
+        tex = new THREE.Data3DTexture(data, size, size, size);
+        tex.wrapR = THREE.ClampToEdgeWrapping;
+    } else {
+        // 아틀라스: 픽셀 (b*N + r, g)
+        var atlas = new Uint8Array(size * size * size * 4);
+        for (var b = 0; b < size; b++) {
+            for (var g = 0; g < size; g++) {
+                for (var r = 0; r < size; r++) {
+                    var src = (r + g * size + b * size * size) * 4;
+                    var dst = (b * size + r + g * size * size) * 4;
+                    atlas[dst] = data[src];
+                    atlas[dst + 1] = data[src + 1];
+                    atlas[dst + 2] = data[src + 2];
+                    atlas[dst + 3] = 255;
+                }
+            }
+        }
+        tex = new THREE.DataTexture(atlas, size * size, size);
+    }
+    tex.format = THREE.RGBAFormat;
+    tex.type = THREE.UnsignedByteType;
+    tex.minFilter = THREE.LinearFilter;
+    tex.magFilter = THREE.LinearFilter;
+    tex.wrapS = THREE.ClampToEdgeWrapping;
+    tex.wrapT = THREE.ClampToEdgeWrapping;
+    tex.generateMipmaps = false;
+    tex.needsUpdate = true;
+    return tex;
+};
+
+PostProcessEffects.identityLut = function() {
+    if (!this._identityLut) {
+        var size = this.LUT_IDENTITY_SIZE;
+        var data = new Uint8Array(size * size * size * 4);
+        for (var b = 0; b < size; b++) {
+            for (var g = 0; g < size; g++) {
+                for (var r = 0; r < size; r++) {
+                    var i = (r + g * size + b * size * size) * 4;
+                    data[i] = Math.round(r * 255 / (size - 1));
+                    data[i + 1] = Math.round(g * 255 / (size - 1));
+                    data[i + 2] = Math.round(b * 255 / (size - 1));
+                    data[i + 3] = 255;
+                }
+            }
+        }
+        this._identityLut = { size: size, texture: this._createLutTexture(size, data), failed: false, callbacks: [] };
+    }
+    return this._identityLut;
+};
+
+/**
+ * .cube 텍스트 파싱. TITLE/DOMAIN_MIN/DOMAIN_MAX 등 키워드 줄은 무시한다 (도메인 0~1 가정).
+ * @param {string} text
+ * @returns {{size: number, data: Uint8Array}}
+ */
+PostProcessEffects.parseCubeLut = function(text) {
+    var lines = text.split(/\r?\n/);
+    var size = 0;
+    var data = null;
+    var count = 0;
+    for (var i = 0; i < lines.length; i++) {
+        var line = lines[i].trim();
+        if (!line || line[0] === '#') continue;
+        if (/^LUT_3D_SIZE\s/.test(line)) {
+            size = parseInt(line.split(/\s+/)[1], 10);
+            data = new Uint8Array(size * size * size * 4);
+            continue;
+        }
+        if (/^[A-Za-z_]/.test(line) || !data) continue;
+        var parts = line.split(/\s+/);
+        if (count >= size * size * size) break;
+        for (var c = 0; c < 3; c++) {
+            var v = parseFloat(parts[c]);
+            data[count * 4 + c] = Math.round(Math.max(0, Math.min(1, v)) * 255);
+        }
+        data[count * 4 + 3] = 255;
+        count++;
+    }
+    if (!size || count !== size * size * size) {
+        throw new Error('LUT_3D_SIZE ' + size + '에 맞지 않는 데이터 (' + count + '개)');
+    }
+    return { size: size, data: data };
+};
+
+/**
+ * 2D 스트립 이미지(가로 N*N × 세로 N, 위쪽 행이 green 0) → 3D 데이터
+ * @param {HTMLImageElement} image
+ * @returns {{size: number, data: Uint8Array}}
+ */
+PostProcessEffects.parseStripLut = function(image) {
+    var size = image.height;
+    if (image.width !== size * size) {
+        throw new Error('스트립 LUT 크기가 N*N x N이 아님 (' + image.width + 'x' + image.height + ')');
+    }
+    var canvas = document.createElement('canvas');
+    canvas.width = image.width;
+    canvas.height = image.height;
+    var context = canvas.getContext('2d');
+    context.drawImage(image, 0, 0);
+    var pixels = context.getImageData(0, 0, image.width, image.height).data;
+    var data = new Uint8Array(size * size * size * 4);
+    for (var b = 0; b < size; b++) {
+        for (var g = 0; g < size; g++) {
+            for (var r = 0; r < size; r++) {
+                var src = (g * image.width + b * size + r) * 4;
+                var dst = (r + g * size + b * size * size) * 4;
+                data[dst] = pixels[src];
+                data[dst + 1] = pixels[src + 1];
+                data[dst + 2] = pixels[src + 2];
+                data[dst + 3] = 255;
+            }
+        }
+    }
+    return { size: size, data: data };
+};
+
+/**
+ * LUT를 로드한다 (캐시). 완료 또는 실패 시 callback(entry) 호출.
+ * @param {string} name - img/luts/ 기준 파일 이름 (확장자 생략 가능)
+ * @param {function} [callback]
+ * @returns {Object} 캐시 엔트리 { size, texture, failed }
+ */
+PostProcessEffects.loadLut = function(name, callback) {
+    var entry = this._luts[name];
+    if (!entry) {
+        entry = this._luts[name] = { size: 0, texture: null, failed: false, callbacks: [] };
+        if (/\.png$/i.test(name)) {
+            this._loadLutImage(entry, name);
+        } else {
+            this._loadLutCube(entry, /\.cube$/i.test(name) ? name : name + '.cube',
+                              /\.cube$/i.test(name) ? null : name + '.png');
+        }
+    }
+    if (callback) {
+        if (entry.texture || entry.failed) callback(entry);
+        else entry.callbacks.push(callback);
+    }
+    return entry;
+};
+
+PostProcessEffects._finishLut = function(entry, lut, error, file) {
+    if (lut) {
+        entry.size = lut.size;
+        entry.texture = this._createLutTexture(lut.size, lut.data);
+    } else {
+        entry.failed = true;
+        console.warn('[LUT] ' + this.LUT_FOLDER + file + ' 로드 실패:', error);
+    }
+    var callbacks = entry.callbacks;
+    entry.callbacks = [];
+    for (var i = 0; i < callbacks.length; i++) callbacks[i](entry);
+};
+
+PostProcessEffects._loadLutCube = function(entry, file, fallbackFile) {
+    var self = this;
+    var xhr = new XMLHttpRequest();
+    xhr.open('GET', this.LUT_FOLDER + file);
+    xhr.overrideMimeType('text/plain');
+    var fail = function(error) {
+        if (fallbackFile) self._loadLutImage(entry, fallbackFile);
+        else self._finishLut(entry, null, error, file);
+    };
+    xhr.onload = function() {
+        if (xhr.status >= 400) return fail('HTTP ' + xhr.status);
+        var lut;
+        try {
+            lut = self.parseCubeLut(xhr.responseText);
+        } catch (e) {
+            return self._finishLut(entry, null, e.message, file);
+        }
+        self._finishLut(entry, lut, null, file);
+    };
+    xhr.onerror = function() { fail('not found'); };
+    xhr.send();
+};
+
+PostProcessEffects._loadLutImage = function(entry, file) {
+    var self = this;
+    var image = new Image();
+    image.onload = function() {
+        var lut;
+        try {
+            lut = self.parseStripLut(image);
+        } catch (e) {
+            return self._finishLut(entry, null, e.message, file);
+        }
+        self._finishLut(entry, lut, null, file);
+    };
+    image.onerror = function() { self._finishLut(entry, null, 'not found', file); };
+    image.src = this.LUT_FOLDER + file;
+};
+
+// 이름 → 샘플링할 LUT 엔트리 (미로드/실패/빈 이름이면 항등 LUT)
+PostProcessEffects._lutEntry = function(name) {
+    if (!name) return this.identityLut();
+    var entry = this.loadLut(name);
+    return entry.texture ? entry : this.identityLut();
+};
+
+/**
+ * LUT A → B 크로스페이드 상태 지정. t >= 1이면 B로 확정한다.
+ * @param {Object} pass - createLutPass로 만든 패스
+ * @param {string} fromName
+ * @param {string} toName
+ * @param {number} t - 0~1
+ */
+PostProcessEffects.setLutBlend = function(pass, fromName, toName, t) {
+    fromName = fromName || '';
+    toName = toName || '';
+    if (t >= 1 || fromName === toName) {
+        pass._lutA = pass._lutB = toName;
+        pass.uniforms.uLutMix.value = 0;
+    } else {
+        pass._lutA = fromName;
+        pass._lutB = toName;
+        pass.uniforms.uLutMix.value = Math.max(0, t);
+    }
+    if (fromName) this.loadLut(fromName);
+    if (toName) this.loadLut(toName);
+};
+
+// 현재 화면에 주로 보이는 LUT 이름 (크로스페이드 중이면 비중이 큰 쪽)
+PostProcessEffects.currentLutName = function(pass) {
+    return pass.uniforms.uLutMix.value >= 0.5 ? pass._lutB : pass._lutA;
+};
+
+PostProcessEffects.createLutPass = function(params) {
+    var self = this;
+    var pass = createPass(this.LutShader);
+    if (this.useLut3D()) pass.material.defines.LUT_3D = '';
+    pass._lutA = '';
+    pass._lutB = '';
+    // 비동기 로드가 끝난 텍스처를 반영하기 위해 렌더 직전에 바인딩
+    var baseRender = pass.render;
+    pass.render = function(renderer, writeBuffer, readBuffer) {
+        var a = self._lutEntry(this._lutA);
+        var b = self._lutEntry(this._lutB);
+        this.uniforms.uLutA.value = a.texture;
+        this.uniforms.uLutSizeA.value = a.size;
+        this.uniforms.uLutB.value = b.texture;
+        this.uniforms.uLutSizeB.value = b.size;
+        baseRender.call(this, renderer, writeBuffer, readBuffer);
+    };
+    if (params) {
+        if (params.intensity != null) pass.uniforms.uIntensity.value = params.intensity;
+        if (params.name) this.setLutBlend(pass, params.name, params.name, 1);
+    }
+    return pass;
+};
+
 //=============================================================================
 // 이펙트 목록 레지스트리 (에디터 UI에서 사용)
 //=============================================================================
 PostProcessEffects.EFFECT_LIST = [
     { key: 'vignette',     name: '비네트',         create: 'createVignettePass' },
     { key: 'colorGrading', name: '색조 보정',      create: 'createColorGradingPass' },
+    { key: 'lut',          name: 'LUT 색보정',     create: 'createLutPass' },
     { key: 'chromatic',    name: '색수차',         create: 'createChromaticAberrationPass' },
     { key: 'filmGrain',    name: '필름 그레인',    create: 'createFilmGrainPass' },
     { key: 'toneMapping',  name: '톤 매핑',        create: 'createToneMappingPass' },
@@ -765,27 +1095,32 @@ PostProcessEffects.EFFECT_LIST = [
 ];
 
 // 이펙트별 파라미터 정의 (에디터 인스펙터용)
+// neutral: 화면에 영향을 주지 않는 값. 프리셋 크로스페이드에서 켜지거나 꺼지는 이펙트를 이 값에서/으로 보간한다.
 PostProcessEffects.EFFECT_PARAMS = {
     vignette: [
-        { key: 'intensity', label: '강도',    min: 0, max: 2,   step: 0.05, default: 0.5 },
+        { key: 'intensity', label: '강도',    min: 0, max: 2,   step: 0.05, default: 0.5, neutral: 0 },
         { key: 'softness',  label: '부드러움', min: 0, max: 0.5, step: 0.05, default: 0.3 },
         { key: 'radius',    label: '반경',    min: 0, max: 0.7, step: 0.05, default: 0.4 },
         { key: 'color',     label: '색상',    type: 'color', default: '#000000' }
     ],
     colorGrading: [
-        { key: 'brightness',  label: '밝기',    min: -0.5, max: 0.5, step: 0.01, default: 0 },
-        { key: 'contrast',    label: '대비',    min: 0.5,  max: 2,   step: 0.05, default: 1 },
-        { key: 'saturation',  label: '채도',    min: 0,    max: 3,   step: 0.05, default: 1 },
-        { key: 'temperature', label: '색온도',  min: -1,   max: 1,   step: 0.05, default: 0 },
-        { key: 'tint',        label: '틴트',    min: -1,   max: 1,   step: 0.05, default: 0 },
-        { key: 'gamma',       label: '감마',    min: 0.5,  max: 2.5, step: 0.05, default: 1 }
+        { key: 'brightness',  label: '밝기',    min: -0.5, max: 0.5, step: 0.01, default: 0, neutral: 0 },
+        { key: 'contrast',    label: '대비',    min: 0.5,  max: 2,   step: 0.05, default: 1, neutral: 1 },
+        { key: 'saturation',  label: '채도',    min: 0,    max: 3,   step: 0.05, default: 1, neutral: 1 },
+        { key: 'temperature', label: '색온도',  min: -1,   max: 1,   step: 0.05, default: 0, neutral: 0 },
+        { key: 'tint',        label: '틴트',    min: -1,   max: 1,   step: 0.05, default: 0, neutral: 0 },
+        { key: 'gamma',       label: '감마',    min: 0.5,  max: 2.5, step: 0.05, default: 1, neutral: 1 }
+    ],
+    lut: [
+        { key: 'name',      label: 'LUT',  type: 'lut', default: '' },
+        { key: 'intensity', label: '강도', min: 0, max: 1, step: 0.05, default: 1, neutral: 0 }
     ],
     chromatic: [
-        { key: 'strength', label: '강도', min: 0, max: 0.05, step: 0.001, default: 0.005 },
+        { key: 'strength', label: '강도', min: 0, max: 0.05, step: 0.001, default: 0.005, neutral: 0 },
         { key: 'radial',   label: '방사', min: 0, max: 3,    step: 0.1,   default: 1 }
     ],
     filmGrain: [
-        { key: 'intensity', label: '강도', min: 0, max: 0.5, step: 0.01, default: 0.1 },
+        { key: 'intensity', label: '강도', min: 0, max: 0.5, step: 0.01, default: 0.1, neutral: 0 },
         { key: 'size',      label: '크기', min: 0.5, max: 4, step: 0.1,  default: 1 }
     ],
     toneMapping: [
@@ -793,7 +1128,7 @@ PostProcessEffects.EFFECT_PARAMS = {
         { key: 'mode',     label: '모드', type: 'select', options: [{v:0,l:'ACES'},{v:1,l:'Reinhard'},{v:2,l:'Linear'}], default: 0 }
     ],
     fog: [
-        { key: 'density', label: '밀도',     min: 0, max: 1,   step: 0.05, default: 0.3 },
+        { key: 'density', label: '밀도',     min: 0, max: 1,   step: 0.05, default: 0.3, neutral: 0 },
         { key: 'start',   label: '시작',     min: 0, max: 1,   step: 0.05, default: 0 },
         { key: 'end',     label: '끝',       min: 0, max: 1,   step: 0.05, default: 1 },
         { key: 'color',   label: '안개 색상', type: 'color', default: '#ccd9e6' }
@@ -801,7 +1136,7 @@ PostProcessEffects.EFFECT_PARAMS = {
     godRays: [
         { key: 'lightPosX', label: '조명 X', min: 0, max: 1, step: 0.01, default: 0.5 },
         { key: 'lightPosY', label: '조명 Y', min: 0, max: 1, step: 0.01, default: 0 },
-        { key: 'exposure',  label: '노출',   min: 0, max: 1, step: 0.01, default: 0.3 },
+        { key: 'exposure',  label: '노출',   min: 0, max: 1, step: 0.01, default: 0.3, neutral: 0 },
         { key: 'decay',     label: '감쇠',   min: 0.8, max: 1, step: 0.005, default: 0.95 },
         { key: 'density',   label: '밀도',   min: 0, max: 2, step: 0.05, default: 0.8 },
         { key: 'weight',    label: '가중치', min: 0, max: 1, step: 0.05, default: 0.4 }
@@ -809,27 +1144,27 @@ PostProcessEffects.EFFECT_PARAMS = {
     radialBlur: [
         { key: 'centerX',  label: '중심 X', min: 0, max: 1, step: 0.01, default: 0.5 },
         { key: 'centerY',  label: '중심 Y', min: 0, max: 1, step: 0.01, default: 0.5 },
-        { key: 'strength', label: '강도',   min: 0, max: 0.5, step: 0.01, default: 0.1 }
+        { key: 'strength', label: '강도',   min: 0, max: 0.5, step: 0.01, default: 0.1, neutral: 0 }
     ],
     waveDistortion: [
-        { key: 'amplitude', label: '진폭',    min: 0, max: 0.1, step: 0.005, default: 0.03 },
+        { key: 'amplitude', label: '진폭',    min: 0, max: 0.1, step: 0.005, default: 0.03, neutral: 0 },
         { key: 'waveWidth', label: '파폭',    min: 0, max: 0.5, step: 0.01,  default: 0.15 },
         { key: 'speed',     label: '속도',    min: 0, max: 5,   step: 0.1,   default: 1.5 }
     ],
     anamorphic: [
         { key: 'threshold',    label: '임계값',  min: 0, max: 1,   step: 0.05, default: 0.7 },
-        { key: 'intensity',    label: '강도',    min: 0, max: 2,   step: 0.05, default: 0.5 },
+        { key: 'intensity',    label: '강도',    min: 0, max: 2,   step: 0.05, default: 0.5, neutral: 0 },
         { key: 'streakLength', label: '줄 길이', min: 0, max: 2,   step: 0.05, default: 0.5 }
     ],
     motionBlur: [
-        { key: 'velocityX', label: '속도 X', min: -0.05, max: 0.05, step: 0.001, default: 0 },
-        { key: 'velocityY', label: '속도 Y', min: -0.05, max: 0.05, step: 0.001, default: 0 }
+        { key: 'velocityX', label: '속도 X', min: -0.05, max: 0.05, step: 0.001, default: 0, neutral: 0 },
+        { key: 'velocityY', label: '속도 Y', min: -0.05, max: 0.05, step: 0.001, default: 0, neutral: 0 }
     ],
     pixelation: [
-        { key: 'pixelSize', label: '픽셀 크기', min: 1, max: 32, step: 1, default: 4 }
+        { key: 'pixelSize', label: '픽셀 크기', min: 1, max: 32, step: 1, default: 4, neutral: 1 }
     ],
     colorInversion: [
-        { key: 'strength', label: '강도', min: 0, max: 1, step: 0.05, default: 1 }
+        { key: 'strength', label: '강도', min: 0, max: 1, step: 0.05, default: 1, neutral: 0 }
     ],
     edgeDetection: [
         { key: 'strength',  label: '강도',    min: 0, max: 3, step: 0.1,  default: 1 },
@@ -838,7 +1173,7 @@ PostProcessEffects.EFFECT_PARAMS = {
     ],
     ssao: [
         { key: 'radius',    label: '반경', min: 1, max: 20, step: 0.5, default: 5 },
-        { key: 'intensity', label: '강도', min: 0, max: 2,  step: 0.05, default: 0.5 },
+        { key: 'intensity', label: '강도', min: 0, max: 2,  step: 0.05, default: 0.5, neutral: 0 },
         { key: 'bias',      label: '바이어스', min: 0, max: 0.2, step: 0.005, default: 0.05 }
     ]
 };
@@ -850,6 +1185,7 @@ PostProcessEffects._UNIFORM_MAP = {
     vignette:     { intensity: 'uIntensity', softness: 'uSoftness', radius: 'uRadius', color: 'uColor' },
     colorGrading: { brightness: 'uBrightness', contrast: 'uContrast', saturation: 'uSaturation',
                     temperature: 'uTemperature', tint: 'uTint', gamma: 'uGamma' },
+    lut:          { intensity: 'uIntensity' },
     chromatic:    { strength: 'uStrength', radial: 'uRadial' },
     filmGrain:    { intensity: 'uIntensity', size: 'uSize' },
     toneMapping:  { exposure: 'uExposure', mode: 'uMode' },
@@ -868,6 +1204,10 @@ PostProcessEffects._UNIFORM_MAP = {
 
 // 런타임에서 파라미터를 pass의 uniform에 적용
 PostProcessEffects.applyParam = function(effectKey, pass, paramKey, value) {
+    if (effectKey === 'lut' && paramKey === 'name') {
+        this.setLutBlend(pass, value, value, 1);
+        return;
+    }
     var map = this._UNIFORM_MAP[effectKey];
     if (!map) return;
     var uniformName = map[paramKey];
@@ -894,4 +1234,25 @@ PostProcessEffects.applyParam = function(effectKey, pass, paramKey, value) {
     }
 };
 
+// pass의 uniform에서 현재 파라미터 값을 읽는다 (applyParam의 역). 색상은 '#rrggbb' 문자열.
+PostProcessEffects.readParam = function(effectKey, pass, paramKey) {
+    if (effectKey === 'lut' && paramKey === 'name') return this.currentLutName(pass);
+    var map = this._UNIFORM_MAP[effectKey];
+    if (!map) return undefined;
+    var uniformName = map[paramKey];
+    if (!uniformName || !pass.uniforms[uniformName]) return undefined;
+
+    var u = pass.uniforms[uniformName];
+    if (u.value && u.value.isVector2) {
+        return paramKey.endsWith('X') ? u.value.x : u.value.y;
+    } else if (uniformName === 'uColor' && u.value && u.value.isVector3) {
+        var hex = function(c) {
+            var h = Math.round(Math.max(0, Math.min(1, c)) * 255).toString(16);
+            return h.length < 2 ? '0' + h : h;
+        };
+        return '#' + hex(u.value.x) + hex(u.value.y) + hex(u.value.z);
+    }
+    return u.value;
+};
+
 })();
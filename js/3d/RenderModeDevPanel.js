@@ -2,7 +2,7 @@
 // RenderModeDevPanel.js - 렌더 모드 제어 패널 (런타임 dev 패널)
 //=============================================================================
 // URL에 ?dev=true 시 활성화
-// 3D 모드, 그림자/광원, 피사계 심도(DoF) 토글
+// 3D 모드, 그림자/광원, 피사계 심도(DoF), 물 반사 토글
 // 의존: DevPanelUtils.js
 //=============================================================================
 
@@ -18,6 +18,7 @@
         { key: 'mode3d',        label: '3D 모드',      desc: 'Mode3D 원근 카메라' },
         { key: 'shadowLight',   label: '그림자/광원',  desc: 'ShadowAndLight 조명 시스템' },
         { key: 'depthOfField',  label: '피사계 심도',  desc: 'PostProcess DoF (Tilt-Shift)' },
+        { key: 'waterReflection', label: '물 반사',    desc: 'Mode3D 수면 평면 반사' },
     ];
 
     var btnMap = {}; // key -> HTMLButtonElement
@@ -0,0 +1,412 @@
+//=============================================================================
+// ScreenshotManager.js - 스크린샷 / 고해상도 캡처
+//=============================================================================
+// 후처리(PostProcess)까지 합성된 최종 프레임을 캡처합니다.
+// - 배율: 1x / 2x / 4x 슈퍼샘플링 (composer 렌더 타겟을 배율 크기로 렌더)
+// - 레이어: 'full'(전체), 'noUI'(맵만, 창 숨김), 'ui'(UI만, 투명 배경)
+// - 출력: canvas / PNG data URL / Blob
+// - 개발 모드(?dev=true) 단축키: F7 = 1x, Shift+F7 = 2x, Ctrl+F7 = UI 제외
+// - 포토 모드 플러그인 커맨드: UI를 숨기고 결정키로 촬영, 취소키로 종료
+// - 맵을 떠날 때 UI 제외 캡처를 보관하여 세이브 썸네일(축소 JPEG)에 사용
+//
+// 최종 출력(setRenderTarget(null))을 캡처용 렌더 타겟으로 가로채는 방식이라
+// Mode3D 멀티 패스, PostProcess composer, 색조 행렬 필터 경로를 그대로 사용한다.
+//
+// 의존: THREE (global), RendererStrategy, Graphics, SceneManager
+//=============================================================================
+
+(function() {
+
+//=============================================================================
+// ScreenshotManager 전역 객체
+//=============================================================================
+
+var ScreenshotManager = {};
+window.ScreenshotManager = ScreenshotManager;
+
+ScreenshotManager.SCALES = [1, 2, 4];
+ScreenshotManager.FOLDER = 'screenshots/';
+
+ScreenshotManager.config = {
+    thumbnailWidth: 200,      // 세이브 썸네일 가로 크기
+    thumbnailQuality: 0.7,    // 세이브 썸네일 JPEG 품질 (시작값)
+    thumbnailMaxBytes: 20000, // 세이브 썸네일 data URL 최대 길이 (localStorage 사용량 제한)
+    photoScale: 2             // 포토 모드 기본 배율
+};
+
+ScreenshotManager._mapSnapshot = null;  // 맵을 떠날 때 캡처한 UI 제외 canvas
+ScreenshotManager._photoMode = null;    // 포토 모드 상태 { scale, hidden }
+ScreenshotManager.lastCapture = null;   // 마지막으로 촬영한 canvas
+
+ScreenshotManager._normalizeScale = function(scale) {
+    scale = Number(scale) || 1;
+    var result = 1;
+    for (var i = 0; i < this.SCALES.length; i++) {
+        if (this.SCALES[i] <= scale) result = this.SCALES[i];
+    }
+    return result;
+};
+
+//=============================================================================
+// 캡처
+//=============================================================================
+
+/**
+ * 현재 씬을 캡처하여 canvas로 반환
+ * @param {Object} [options] { scale: 1|2|4, layer: 'full'|'noUI'|'ui' }
+ * @return {HTMLCanvasElement|null}
+ */
+ScreenshotManager.capture = function(options) {
+    options = options || {};
+    var rendererObj = Graphics._renderer;
+    var stage = SceneManager._scene;
+    if (!rendererObj || !rendererObj.renderer || !stage) return null;
+
+    var scale = this._normalizeScale(options.scale);
+    var layer = options.layer || 'full';
+    var w = rendererObj._width * scale;
+    var h = rendererObj._height * scale;
+    var rt = new THREE.WebGLRenderTarget(w, h, {
+        minFilter: THREE.LinearFilter,
+        magFilter: THREE.LinearFilter
+    });
+
+    var canvas = null;
+    try {
+        if (layer === 'ui') {
+            this._renderUIOnly(rendererObj, stage, rt);
+        } else {
+            this._renderComposited(rendererObj, stage, rt, scale, layer === 'noUI');
+        }
+        canvas = this._readCanvas(rendererObj.renderer, rt, w, h);
+    } catch (e) {
+        console.error('[ScreenshotManager] 캡처 실패:', e);
+    }
+    rt.dispose();
+    return canvas;
+};
+
+// 전체 파이프라인 렌더 — 최종 화면 출력을 rt로 가로챈다
+ScreenshotManager._renderComposited = function(rendererObj, stage, rt, scale, hideUI) {
+    var renderer = rendererObj.renderer;
+    var hidden = hideUI ? this._hideUI(stage) : [];
+    var prevSetRT = renderer.setRenderTarget;
+    renderer.setRenderTarget = function(target, activeCubeFace, activeMipmapLevel) {
+        return prevSetRT.call(renderer, target === null ? rt : target, activeCubeFace, activeMipmapLevel);
+    };
+    rendererObj._captureScale = scale;
+    try {
+        RendererStrategy.render(rendererObj, stage);
+    } finally {
+        renderer.setRenderTarget = prevSetRT;
+        rendererObj._captureScale = 1;
+        this._restoreVisibility(hidden);
+        renderer.setRenderTarget(null);
+    }
+};
+
+// UI만 렌더 — 맵(spriteset)과 scene 루트의 3D 오브젝트(하늘, 안개 등)를 숨기고
+// OrthographicCamera 단일 패스로 투명 배경에 그린다
+ScreenshotManager._renderUIOnly = function(rendererObj, stage, rt) {
+    var renderer = rendererObj.renderer;
+    var scene = rendererObj.scene;
+    var strategy = RendererStrategy._strategies['threejs'];
+
+    if (stage._threeObj && stage._threeObj.parent !== scene) {
+        if (scene._stageObj) scene.remove(scene._stageObj);
+        scene.add(stage._threeObj);
+        scene._stageObj = stage._threeObj;
+    }
+    var hidden = [];
+    if (stage._spriteset && stage._spriteset.visible) {
+        stage._spriteset.visible = false;
+        hidden.push(stage._spriteset);
+    }
+    rendererObj._drawOrderCounter = 0;
+    if (stage.updateTransform) stage.updateTransform();
+    strategy._syncHierarchy(rendererObj, stage);
+
+    var rootVisibility = [];
+    for (var i = 0; i < scene.children.length; i++) {
+        rootVisibility.push(scene.children[i].visible);
+        scene.children[i].visible = (scene.children[i] === stage._threeObj);
+    }
+    var prevClearColor = renderer.getClearColor(new THREE.Color());
+    var prevClearAlpha = renderer.getClearAlpha();
+    renderer.setRenderTarget(rt);
+    renderer.setClearColor(0x000000, 0);
+    renderer.clear();
+    renderer.render(scene, rendererObj.camera);
+    renderer.setRenderTarget(null);
+    renderer.setClearColor(prevClearColor, prevClearAlpha);
+
+    for (var j = 0; j < rootVisibility.length; j++) {
+        scene.children[j].visible = rootVisibility[j];
+    }
+    this._restoreVisibility(hidden);
+};
+
+// 맵 이외의 stage 자식(창 레이어 등) 숨김. 맵이 없는 씬은 창 레이어만 숨긴다
+ScreenshotManager._hideUI = function(stage) {
+    var hidden = [];
+    var children = stage.children || [];
+    for (var i = 0; i < children.length; i++) {
+        var child = children[i];
+        var isUI = stage._spriteset ? child !== stage._spriteset : child === stage._windowLayer;
+        if (isUI && child.visible) {
+            child.visible = false;
+            hidden.push(child);
+        }
+    }
+    return hidden;
+};
+
+ScreenshotManager._restoreVisibility = function(hidden) {
+    for (var i = 0; i < hidden.length; i++) {
+        hidden[i].visible = true;
+    }
+};
+
+// 렌더 타겟 픽셀 → canvas (WebGL은 아래→위 순서이므로 Y 반전)
+ScreenshotManager._readCanvas = function(renderer, rt, width, height) {
+    var pixels = new Uint8Array(width * height * 4);
+    renderer.readRenderTargetPixels(rt, 0, 0, width, height, pixels);
+    var canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    var context = canvas.getContext('2d');
+    var imageData = context.createImageData(width, height);
+    var rowBytes = width * 4;
+    for (var y = 0; y < height; y++) {
+        imageData.data.set(pixels.subarray((height - 1 - y) * rowBytes, (height - y) * rowBytes), y * rowBytes);
+    }
+    context.putImageData(imageData, 0, 0);
+    return canvas;
+};
+
+//=============================================================================
+// 출력
+//=============================================================================
+
+ScreenshotManager.captureDataURL = function(options) {
+    var canvas = this.capture(options);
+    return canvas ? canvas.toDataURL('image/png') : null;
+};
+
+ScreenshotManager.captureBlob = function(options, callback) {
+    var canvas = this.capture(options);
+    if (!canvas) {
+        callback(null);
+        return;
+    }
+    canvas.toBlob(callback, 'image/png');
+};
+
+// 가로 maxWidth로 축소한 canvas
+// (JPEG 변환 시 투명 영역이 임의 색이 되지 않도록 검은 배경을 깐다)
+ScreenshotManager.downscale = function(canvas, maxWidth) {
+    if (!canvas) return null;
+    var ratio = Math.min(1, maxWidth / canvas.width);
+    var out = document.createElement('canvas');
+    out.width = Math.round(canvas.width * ratio);
+    out.height = Math.round(canvas.height * ratio);
+    var context = out.getContext('2d');
+    context.imageSmoothingEnabled = true;
+    context.fillStyle = '#000000';
+    context.fillRect(0, 0, out.width, out.height);
+    context.drawImage(canvas, 0, 0, out.width, out.height);
+    return out;
+};
+
+// 파일로 저장: NW.js는 게임 폴더의 screenshots/, 브라우저는 다운로드
+ScreenshotManager.save = function(canvas, filename) {
+    if (!canvas) return;
+    filename = filename || this._defaultFilename();
+    if (Utils.isNwjs()) {
+        var fs = require('fs');
+        var path = require('path');
+        var dir = path.join(path.dirname(process.mainModule.filename), this.FOLDER);
+        if (!fs.existsSync(dir)) fs.mkdirSync(dir);
+        var base64 = canvas.toDataURL('image/png').replace(/^data:image\/png;base64,/, '');
+        fs.writeFileSync(path.join(dir, filename), base64, 'base64');
+    } else {
+        canvas.toBlob(function(blob) {
+            var url = URL.createObjectURL(blob);
+            var a = document.createElement('a');
+            a.href = url;
+            a.download = filename;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            setTimeout(function() { URL.revokeObjectURL(url); }, 1000);
+        }, 'image/png');
+    }
+};
+
+ScreenshotManager._defaultFilename = function() {
+    var d = new Date();
+    var pad = function(n) { return (n < 10 ? '0' : '') + n; };
+    return 'screenshot_' + d.getFullYear() + pad(d.getMonth() + 1) + pad(d.getDate()) + '_' +
+           pad(d.getHours()) + pad(d.getMinutes()) + pad(d.getSeconds()) + '.png';
+};
+
+ScreenshotManager.takeScreenshot = function(options) {
+    var canvas = this.capture(options);
+    if (canvas) {
+        this.lastCapture = canvas;
+        this.save(canvas);
+    }
+    return canvas;
+};
+
+//=============================================================================
+// 세이브 썸네일 — 맵에서 메뉴/세이브 화면으로 갈 때만 UI 제외 프레임 보관
+// (전투 진입 등 세이브로 이어지지 않는 전환에서는 추가 렌더/readPixels를 하지 않는다)
+//=============================================================================
+
+ScreenshotManager._needsMapSnapshot = function() {
+    var next = SceneManager._nextScene;
+    return SceneManager._scene instanceof Scene_Map &&
+        (next instanceof Scene_Menu || next instanceof Scene_Save);
+};
+
+var _SceneManager_snapForBackground = SceneManager.snapForBackground;
+SceneManager.snapForBackground = function() {
+    if (ScreenshotManager._needsMapSnapshot()) {
+        ScreenshotManager._mapSnapshot = ScreenshotManager.capture({ layer: 'noUI' });
+    }
+    _SceneManager_snapForBackground.call(this);
+};
+
+ScreenshotManager.mapSnapshot = function() {
+    return this._mapSnapshot;
+};
+
+// 축소 + JPEG 압축. 최대 길이를 넘으면 품질을 낮춰 다시 인코딩한다
+ScreenshotManager.thumbnailDataURL = function() {
+    var thumb = this.downscale(this._mapSnapshot, this.config.thumbnailWidth);
+    if (!thumb) return null;
+    var quality = this.config.thumbnailQuality;
+    var url = thumb.toDataURL('image/jpeg', quality);
+    while (url.length > this.config.thumbnailMaxBytes && quality > 0.3) {
+        quality -= 0.15;
+        url = thumb.toDataURL('image/jpeg', quality);
+    }
+    return url.length <= this.config.thumbnailMaxBytes ? url : null;
+};
+
+var _DataManager_makeSavefileInfo = DataManager.makeSavefileInfo;
+DataManager.makeSavefileInfo = function() {
+    var info = _DataManager_makeSavefileInfo.call(this);
+    var thumbnail = ScreenshotManager.thumbnailDataURL();
+    if (thumbnail) info.thumbnail = thumbnail;
+    return info;
+};
+
+//=============================================================================
+// 포토 모드 — UI를 숨기고 결정키로 촬영, 취소키로 종료
+//=============================================================================
+
+ScreenshotManager.startPhotoMode = function(scale) {
+    if (this._photoMode) return;
+    this._photoMode = { scale: this._normalizeScale(scale || this.config.photoScale), hidden: [] };
+};
+
+ScreenshotManager.endPhotoMode = function() {
+    if (!this._photoMode) return;
+    this._restoreVisibility(this._photoMode.hidden);
+    this._photoMode = null;
+};
+
+ScreenshotManager.isPhotoMode = function() {
+    return !!this._photoMode;
+};
+
+var _Scene_Map_update = Scene_Map.prototype.update;
+Scene_Map.prototype.update = function() {
+    _Scene_Map_update.call(this);
+    var pm = ScreenshotManager._photoMode;
+    if (!pm) return;
+    // 매 프레임 UI 숨김 유지 (이 사이에 새로 보이게 된 창 포함)
+    pm.hidden = pm.hidden.concat(ScreenshotManager._hideUI(this));
+    if (Input.isTriggered('ok') || TouchInput.isTriggered()) {
+        ScreenshotManager.takeScreenshot({ scale: pm.scale, layer: 'noUI' });
+        SoundManager.playOk();
+    } else if (Input.isTriggered('cancel') || TouchInput.isCancelled()) {
+        ScreenshotManager.endPhotoMode();
+        SoundManager.playCancel();
+    }
+};
+
+var _Scene_Map_terminate = Scene_Map.prototype.terminate;
+Scene_Map.prototype.terminate = function() {
+    ScreenshotManager.endPhotoMode();
+    _Scene_Map_terminate.call(this);
+};
+
+// 포토 모드 중 메뉴 호출 차단
+var _Scene_Map_isMenuEnabled = Scene_Map.prototype.isMenuEnabled;
+Scene_Map.prototype.isMenuEnabled = function() {
+    return !ScreenshotManager._photoMode && _Scene_Map_isMenuEnabled.call(this);
+};
+
+//=============================================================================
+// Game_Interpreter - 포토 모드 대기
+//=============================================================================
+
+var _Game_Interpreter_updateWaitMode = Game_Interpreter.prototype.updateWaitMode;
+Game_Interpreter.prototype.updateWaitMode = function() {
+    if (this._waitMode === 'photoMode') {
+        if (ScreenshotManager.isPhotoMode()) return true;
+        this._waitMode = '';
+        return false;
+    }
+    return _Game_Interpreter_updateWaitMode.call(this);
+};
+
+//=============================================================================
+// 개발 모드 단축키
+//=============================================================================
+
+if (!window.__editorMode && /[?&]dev=true/.test(window.location.search)) {
+    document.addEventListener('keydown', function(e) {
+        if (e.keyCode !== 118) return;  // F7
+        e.preventDefault();
+        ScreenshotManager.takeScreenshot({
+            scale: e.shiftKey ? 2 : 1,
+            layer: e.ctrlKey ? 'noUI' : 'full'
+        });
+    });
+}
+
+//=============================================================================
+// Plugin Commands
+//=============================================================================
+// Screenshot take [scale] [full|noUI|ui]  - 즉시 촬영하여 저장
+// Screenshot photo [scale]                 - 포토 모드 시작 (종료될 때까지 대기)
+
+PluginCommandRegistry.register('Screenshot', {
+    description: '스크린샷 촬영 / 포토 모드',
+    subcommands: {
+        take: {
+            description: '즉시 촬영하여 저장',
+            args: [
+                { name: 'scale', type: 'enum', values: ['1', '2', '4'], default: '1' },
+                { name: 'layer', type: 'enum', values: ['full', 'noUI', 'ui'], default: 'full' }
+            ],
+            run: function(a) {
+                ScreenshotManager.takeScreenshot({ scale: Number(a.scale), layer: a.layer });
+            }
+        },
+        photo: {
+            description: '포토 모드 시작 (종료될 때까지 대기)',
+            args: [{ name: 'scale', type: 'enum', values: ['1', '2', '4'], optional: true }],
+            run: function(a, interpreter) {
+                ScreenshotManager.startPhotoMode(a.scale ? Number(a.scale) : null);
+                interpreter.setWaitMode('photoMode');
+            }
+        }
+    }
+});
+
+})();
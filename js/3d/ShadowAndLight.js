@@ -5,11 +5,15 @@
 //
 // - 그림자: DirectionalLight 방향 기반 planar shadow projection
 //   (캐릭터 메시를 바닥 평면에 투영한 별도 shadow mesh)
+//   또는 shadow map 경로 (그림자 품질 옵션: 평면/낮음/높음)
+//   → 빌보드/맵 오브젝트가 customDepthMaterial로 타일맵(고저차 포함)에 그림자를 드리움
+//     PCF 소프트 엣지 + 플레이어 주변 가시 영역에 맞춘(fitted) shadow camera
 // - 광원: DirectionalLight + AmbientLight + PointLight(캐릭터/이벤트)
 //   material을 MeshLambertMaterial로 교체하여 실제 3D 조명을 받음
 //   (MeshStandardMaterial은 타일맵 텍스처와 호환 문제가 있어 Lambert 사용)
 //
-// 게임 옵션에서 ON/OFF 가능
+// 게임 옵션에서 ON/OFF 및 그림자 품질 선택 가능
+// (모바일/저사양 기기는 평면 그림자로 fallback)
 //=============================================================================
 
 (function() {
@@ -73,12 +77,18 @@ if (typeof THREE !== 'undefined' && THREE.ShaderChunk) {
 // ConfigManager - 그림자/광원 설정 추가
 //=============================================================================
 
+// 그림자 품질: 0=평면(planar projection), 1=낮음, 2=높음 (shadow map)
+// 기본값: 모바일은 평면, 그 외는 높음
+var SHADOW_QUALITY_DEFAULT = Utils.isMobileDevice() ? 0 : 2;
+
 ConfigManager.shadowLight = false;
+ConfigManager.shadowQuality = SHADOW_QUALITY_DEFAULT;
 
 var _ConfigManager_makeData = ConfigManager.makeData;
 ConfigManager.makeData = function() {
     var config = _ConfigManager_makeData.call(this);
     config.shadowLight = this.shadowLight;
+    config.shadowQuality = this.shadowQuality;
     return config;
 };
 
@@ -86,6 +96,62 @@ var _ConfigManager_applyData = ConfigManager.applyData;
 ConfigManager.applyData = function(config) {
     _ConfigManager_applyData.call(this, config);
     this.shadowLight = this.readFlag(config, 'shadowLight');
+    var quality = config.shadowQuality;
+    this.shadowQuality = typeof quality === 'number' ? Math.round(quality).clamp(0, 2) : SHADOW_QUALITY_DEFAULT;
+};
+
+//=============================================================================
+// Window_Options - 그림자 품질 (좌우/확인으로 순환)
+//=============================================================================
+
+var SHADOW_QUALITY_LABELS = ['평면', '낮음', '높음'];
+
+var _Window_Options_addGeneralOptions = Window_Options.prototype.addGeneralOptions;
+Window_Options.prototype.addGeneralOptions = function() {
+    _Window_Options_addGeneralOptions.call(this);
+    this.addCommand('그림자 품질', 'shadowQuality');
+};
+
+var _Window_Options_statusText = Window_Options.prototype.statusText;
+Window_Options.prototype.statusText = function(index) {
+    if (this.commandSymbol(index) === 'shadowQuality') {
+        return SHADOW_QUALITY_LABELS[ConfigManager.shadowQuality] || '';
+    }
+    return _Window_Options_statusText.call(this, index);
+};
+
+Window_Options.prototype.shiftShadowQuality = function(step, wrap) {
+    var count = SHADOW_QUALITY_LABELS.length;
+    var value = ConfigManager.shadowQuality + step;
+    value = wrap ? (value + count) % count : value.clamp(0, count - 1);
+    this.changeValue('shadowQuality', value);
+};
+
+var _Window_Options_processOk = Window_Options.prototype.processOk;
+Window_Options.prototype.processOk = function() {
+    if (this.commandSymbol(this.index()) === 'shadowQuality') {
+        this.shiftShadowQuality(1, true);
+        return;
+    }
+    _Window_Options_processOk.call(this);
+};
+
+var _Window_Options_cursorRight = Window_Options.prototype.cursorRight;
+Window_Options.prototype.cursorRight = function(wrap) {
+    if (this.commandSymbol(this.index()) === 'shadowQuality') {
+        this.shiftShadowQuality(1, false);
+        return;
+    }
+    _Window_Options_cursorRight.call(this, wrap);
+};
+
+var _Window_Options_cursorLeft = Window_Options.prototype.cursorLeft;
+Window_Options.prototype.cursorLeft = function(wrap) {
+    if (this.commandSymbol(this.index()) === 'shadowQuality') {
+        this.shiftShadowQuality(-1, false);
+        return;
+    }
+    _Window_Options_cursorLeft.call(this, wrap);
 };
 
 //=============================================================================
@@ -109,6 +175,11 @@ ShadowLight._pointLightIndex = 0;    // 현재 프레임 사용 인덱스
 ShadowLight._playerSpotLight = null;
 ShadowLight._playerSpotTarget = null;
 
+// TimeSystem(낮/밤)이 매 프레임 설정하는 시간대 조명 (null이면 editorLights/config 사용)
+// { direction: THREE.Vector3, directionalColor, directionalIntensity, ambientColor, ambientIntensity }
+ShadowLight._timeOfDay = null;
+ShadowLight._timeOfDaySaved = null;  // 시간대 조명 적용 전 디렉셔널 상태 (해제 시 복원)
+
 // 그림자
 ShadowLight._shadowMeshes = [];      // 캐릭터별 shadow mesh
 ShadowLight._shadowMaterial = null;
@@ -171,8 +242,16 @@ ShadowLight.config = {
     shadowNear: 1,
     shadowFar: 5000,
 
+    // shadow map 경로 (그림자 품질 낮음/높음)
+    shadowFitMargin: 96,              // 화면 밖 캐스터(키 큰 오브젝트)를 위한 피팅 여유 (px)
+    shadowFitMaxDistance: 1200,       // 플레이어로부터 피팅 최대 거리 (지평선 방향 무한 확장 방지)
+
     // 프록시 박스 라이팅
     probeEmissiveFactor: 0.3,          // 측면 라이팅 강도 (0~1)
+
+    // 이벤트 라이트 (<light> 코멘트/노트 태그)
+    eventLightMaxCount: 8,             // 동시에 켜지는 이벤트 라이트 최대 개수
+    eventLightCullRadius: 480,         // 플레이어(화면 중심)로부터 이 거리 + 라이트 범위 밖이면 컬링
 };
 
 //=============================================================================
@@ -1172,6 +1251,7 @@ function sunUVToDirection(u, v) {
     // SkyBox.js rotation.x = PI/2 적용: (lx, ly, lz) → (lx, -lz, ly)
     return { x: lx, y: -lz, z: ly };
 }
+ShadowLight.sunUVToDirection = sunUVToDirection;
 
 //=============================================================================
 // Scene에 조명 추가/제거
@@ -1432,6 +1512,12 @@ ShadowLight._updateCameraZoneAmbient = function() {
         baseIntensity = this.config.ambientIntensity;
         baseColor = this.config.ambientColor;
     }
+    // 시간대 조명: 맵 글로벌 값 대신 사용 (카메라 존 값은 여전히 우선)
+    if (this._timeOfDay && !elGlobalOff) {
+        ambEnabled = true;
+        baseIntensity = this._timeOfDay.ambientIntensity;
+        baseColor = this._timeOfDay.ambientColor;
+    }
 
     // 타겟 값 결정: 활성 카메라존 → 맵 editorLights 글로벌
     var targetIntensity = ambEnabled ? baseIntensity : 0;
@@ -1563,12 +1649,82 @@ ShadowLight._updateSunLightDirections = function() {
     }
 };
 
+//=============================================================================
+// 시간대 조명 (TimeSystem 연동)
+// _timeOfDay가 설정되면 메인 디렉셔널의 방향/색/강도를 시간대 값으로 덮어쓰고
+// sunLights는 숨긴다. 해제되면 적용 전 상태로 복원한다.
+//=============================================================================
+ShadowLight._applyTimeOfDay = function() {
+    var dl = this._directionalLight;
+    if (!dl) return;
+    var tod = this._timeOfDay;
+    var i;
+    if (tod && !this._debugDirectionalOverride) {
+        if (!this._timeOfDaySaved) {
+            this._timeOfDaySaved = {
+                direction: this.config.lightDirection.clone(),
+                color: dl.color.getHex(),
+                intensity: dl.intensity,
+                visible: dl.visible,
+                castShadow: dl.castShadow
+            };
+        }
+        this.config.lightDirection.copy(tod.direction);
+        dl.color.setHex(tod.directionalColor);
+        dl.intensity = tod.directionalIntensity;
+        dl.visible = true;
+        dl.castShadow = true;
+        for (i = 0; i < this._sunLights.length; i++) this._sunLights[i].visible = false;
+    } else if (this._timeOfDaySaved) {
+        var saved = this._timeOfDaySaved;
+        this.config.lightDirection.copy(saved.direction);
+        dl.color.setHex(saved.color);
+        dl.intensity = saved.intensity;
+        dl.visible = saved.visible;
+        dl.castShadow = saved.castShadow;
+        for (i = 0; i < this._sunLights.length; i++) this._sunLights[i].visible = true;
+        this._timeOfDaySaved = null;
+    }
+};
+
+//=============================================================================
+// 번개 강도 증폭 (Weather3D가 _lightningBoost를 매 프레임 설정)
+// 디렉셔널이 꺼져 있으면 라이트 개수 변경(셰이더 재컴파일)을 피하려고 환경광을 올린다.
+// 디렉셔널 강도는 다른 곳(TimeSystem, 커맨드)에서 바꾸지 않았을 때만 기준값으로 복원.
+//=============================================================================
+ShadowLight._lightningBoost = 0;
+ShadowLight._lightningBase = 0;
+ShadowLight._lightningWritten = null;
+
+ShadowLight._applyLightningBoost = function() {
+    var dl = this._directionalLight;
+    if (!dl) return;
+    if (this._lightningWritten !== null && dl.intensity === this._lightningWritten) {
+        dl.intensity = this._lightningBase;
+    }
+    this._lightningWritten = null;
+    if (this._lightningBoost <= 0) return;
+    if (dl.visible) {
+        this._lightningBase = dl.intensity;
+        dl.intensity = this._lightningBase + this._lightningBoost;
+        this._lightningWritten = dl.intensity;
+    } else if (this._ambientLight) {
+        // 환경광은 _updateCameraZoneAmbient가 매 프레임 다시 쓰므로 복원 불필요
+        this._ambientLight.intensity += this._lightningBoost * 0.5;
+    }
+};
+
 ShadowLight._removeLightsFromScene = function(scene) {
     if (this._ambientLight) {
         scene.remove(this._ambientLight);
         this._ambientLight = null;
     }
     if (this._directionalLight) {
+        this._lightningWritten = null;
+        if (this._timeOfDaySaved) {
+            this.config.lightDirection.copy(this._timeOfDaySaved.direction);
+            this._timeOfDaySaved = null;
+        }
         scene.remove(this._directionalLight.target);
         scene.remove(this._directionalLight);
         this._directionalLight = null;
@@ -1857,6 +2013,235 @@ ShadowLight._updateShadowMesh = function(shadowMesh, charSprite) {
         (charSprite.worldAlpha || 1);
 };
 
+//=============================================================================
+// Shadow Map 경로 (그림자 품질 낮음/높음)
+// planar shadow mesh 대신 실제 shadow map으로 빌보드/맵 오브젝트 그림자를
+// 타일맵 메시(고저차 타일, 벽 포함)에 드리움. 렌더러 shadowMap은 PCFShadowMap이며
+// shadow.radius로 PCF 필터 반경(소프트 엣지)을 조절
+//=============================================================================
+
+// 품질별 shadow map 해상도 / PCF 반경 (index = ConfigManager.shadowQuality)
+ShadowLight.SHADOW_QUALITY_PRESETS = [
+    null,                               // 0: 평면 (planar projection)
+    { mapSize: 1024, radius: 2 },       // 1: 낮음
+    { mapSize: 2048, radius: 4 },       // 2: 높음
+];
+
+// 피팅 범위를 이 단위로 올림하여 매 프레임 texel 크기가 흔들리지 않게 함
+var SHADOW_FIT_STEP = 64;
+
+ShadowLight._maxShadowQuality = -1;
+
+/**
+ * 기기가 감당할 수 있는 최대 그림자 품질
+ * 최대 텍스처 크기가 품질 해상도보다 작으면 한 단계씩 낮춤 (0 = 평면 fallback)
+ */
+ShadowLight.maxShadowQuality = function() {
+    if (this._maxShadowQuality >= 0) return this._maxShadowQuality;
+    var renderer = typeof Graphics !== 'undefined' && Graphics._renderer && Graphics._renderer.renderer;
+    if (!renderer || !renderer.capabilities) return 0;
+    var maxTex = renderer.capabilities.maxTextureSize || 0;
+    var q = this.SHADOW_QUALITY_PRESETS.length - 1;
+    while (q > 0 && this.SHADOW_QUALITY_PRESETS[q].mapSize > maxTex) q--;
+    this._maxShadowQuality = q;
+    return q;
+};
+
+/**
+ * 현재 적용되는 그림자 품질 (옵션 값을 기기 한계로 제한)
+ */
+ShadowLight.shadowQuality = function() {
+    return Math.min(ConfigManager.shadowQuality || 0, this.maxShadowQuality());
+};
+
+ShadowLight.isShadowMapMode = function() {
+    return this._active && this.shadowQuality() > 0;
+};
+
+/**
+ * 빌보드를 광원 쪽으로 회전시켜 별도 shadow pass를 렌더해야 하는 광원
+ * SpotLight가 우선, 없으면 shadow map 모드의 DirectionalLight (없으면 null)
+ */
+ShadowLight.billboardShadowLight = function() {
+    if (!this._active) return null;
+    if (this._playerSpotLight && this.config.spotLightEnabled && this._playerSpotLight.visible) {
+        return this._playerSpotLight;
+    }
+    var dl = this._directionalLight;
+    if (this.shadowQuality() > 0 && dl && dl.visible && dl.castShadow) return dl;
+    return null;
+};
+
+ShadowLight._shadowCastingLights = function() {
+    var lights = [];
+    if (this._directionalLight) lights.push(this._directionalLight);
+    var suns = this._sunLights || [];
+    for (var i = 0; i < suns.length; i++) {
+        lights.push(suns[i]);
+    }
+    return lights;
+};
+
+ShadowLight._setShadowResolution = function(light, mapSize, radius) {
+    var shadow = light.shadow;
+    if (shadow.mapSize.width !== mapSize || shadow.mapSize.height !== mapSize) {
+        shadow.mapSize.set(mapSize, mapSize);
+        if (shadow.map) {
+            shadow.map.dispose();
+            shadow.map = null; // 다시 생성되도록
+        }
+    }
+    shadow.radius = radius;
+};
+
+/**
+ * 품질에 맞게 그림자 광원의 해상도/PCF 반경을 적용
+ * shadow map 모드 진입 시 평면 모드 값을 userData에 보관했다가 복귀 시 복원
+ */
+ShadowLight._applyShadowQuality = function(quality) {
+    var preset = this.SHADOW_QUALITY_PRESETS[quality];
+    var lights = this._shadowCastingLights();
+    for (var i = 0; i < lights.length; i++) {
+        var light = lights[i];
+        var cam = light.shadow.camera;
+        var saved = light.userData.planarShadow;
+        if (preset) {
+            if (!saved) {
+                light.userData.planarShadow = {
+                    mapSize: light.shadow.mapSize.width, radius: light.shadow.radius,
+                    left: cam.left, right: cam.right, top: cam.top, bottom: cam.bottom
+                };
+            }
+            this._setShadowResolution(light, preset.mapSize, preset.radius);
+        } else if (saved) {
+            this._setShadowResolution(light, saved.mapSize, saved.radius);
+            cam.left = saved.left;
+            cam.right = saved.right;
+            cam.top = saved.top;
+            cam.bottom = saved.bottom;
+            cam.updateProjectionMatrix();
+            delete light.userData.planarShadow;
+        }
+    }
+};
+
+var _fitRayNear = new THREE.Vector3();
+var _fitRayFar = new THREE.Vector3();
+var _fitPoint = new THREE.Vector3();
+
+/**
+ * shadow camera가 덮어야 할 바닥(z=0) 영역의 꼭짓점 목록
+ * - Mode3D: 원근 카메라의 화면 네 모서리 광선과 바닥의 교점
+ *   (플레이어로부터 shadowFitMaxDistance 이내로 제한 — 지평선 방향 무한 확장 방지)
+ * - 2D: 화면 사각형
+ * @param {Object} focus - 플레이어 위치 {x, y}
+ * @returns {Array} [{x, y}, ...]
+ */
+ShadowLight._shadowFitPoints = function(focus) {
+    var w = Graphics._width || 816;
+    var h = Graphics._height || 624;
+    var camera = window.Mode3D && Mode3D._active ? Mode3D._perspCamera : null;
+    if (!camera) {
+        return [{ x: 0, y: 0 }, { x: w, y: 0 }, { x: 0, y: h }, { x: w, y: h }];
+    }
+
+    var maxDist = this.config.shadowFitMaxDistance;
+    var corners = [[-1, -1], [1, -1], [-1, 1], [1, 1]];
+    var points = [];
+    camera.updateMatrixWorld(true);
+    for (var i = 0; i < corners.length; i++) {
+        _fitRayNear.set(corners[i][0], corners[i][1], -1).unproject(camera);
+        _fitRayFar.set(corners[i][0], corners[i][1], 1).unproject(camera);
+        _fitRayFar.sub(_fitRayNear);
+        var t = Math.abs(_fitRayFar.z) > 1e-6 ? -_fitRayNear.z / _fitRayFar.z : -1;
+        var px, py;
+        if (t > 0 && t <= 1) {
+            px = _fitRayNear.x + _fitRayFar.x * t;
+            py = _fitRayNear.y + _fitRayFar.y * t;
+        } else {
+            // 바닥에 닿지 않는 광선(지평선 위): 광선의 수평 방향으로 최대 거리
+            px = focus.x + _fitRayFar.x;
+            py = focus.y + _fitRayFar.y;
+        }
+        var dx = px - focus.x;
+        var dy = py - focus.y;
+        var dist = Math.sqrt(dx * dx + dy * dy);
+        if (dist > maxDist) {
+            px = focus.x + dx / dist * maxDist;
+            py = focus.y + dy / dist * maxDist;
+        }
+        points.push({ x: px, y: py });
+    }
+    points.push({ x: focus.x, y: focus.y });
+    return points;
+};
+
+/**
+ * DirectionalLight shadow camera의 ortho 범위를 가시 영역에 맞춤 (fitted shadow camera)
+ * - 광원 position/target은 호출 전에 설정되어 있어야 함
+ * - 범위는 SHADOW_FIT_STEP 단위로 올림한 정사각형, 중심은 texel 단위로 스냅하여
+ *   카메라 이동 시 그림자 가장자리가 반짝이는(shimmering) 현상 완화
+ * @param {THREE.DirectionalLight} light
+ * @param {Array} points - _shadowFitPoints() 결과
+ */
+ShadowLight._fitShadowCamera = function(light, points) {
+    var cam = light.shadow.camera;
+    // DirectionalLightShadow.updateMatrices()와 동일하게 광원 시점 배치
+    light.updateMatrixWorld();
+    light.target.updateMatrixWorld();
+    cam.position.setFromMatrixPosition(light.matrixWorld);
+    _fitPoint.setFromMatrixPosition(light.target.matrixWorld);
+    cam.lookAt(_fitPoint);
+    cam.updateMatrixWorld();
+
+    var minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+    for (var i = 0; i < points.length; i++) {
+        _fitPoint.set(points[i].x, points[i].y, 0).applyMatrix4(cam.matrixWorldInverse);
+        if (_fitPoint.x < minX) minX = _fitPoint.x;
+        if (_fitPoint.x > maxX) maxX = _fitPoint.x;
+        if (_fitPoint.y < minY) minY = _fitPoint.y;
+        if (_fitPoint.y > maxY) maxY = _fitPoint.y;
+    }
+
+    var margin = this.config.shadowFitMargin;
+    var size = Math.max(maxX - minX, maxY - minY) + margin * 2;
+    size = Math.ceil(size / SHADOW_FIT_STEP) * SHADOW_FIT_STEP;
+    var texel = size / light.shadow.mapSize.width;
+    var cx = Math.round((minX + maxX) / 2 / texel) * texel;
+    var cy = Math.round((minY + maxY) / 2 / texel) * texel;
+
+    cam.left = cx - size / 2;
+    cam.right = cx + size / 2;
+    cam.bottom = cy - size / 2;
+    cam.top = cy + size / 2;
+    cam.near = this.config.shadowNear;
+    cam.far = this.config.shadowFar;
+    cam.updateProjectionMatrix();
+};
+
+/**
+ * shadow map 모드: 디렉셔널/태양 광원의 shadow camera를 플레이어 주변 가시 영역에 맞춤
+ * @param {Array} characterSprites
+ */
+ShadowLight._fitShadowCameras = function(characterSprites) {
+    var focus = { x: (Graphics._width || 816) / 2, y: (Graphics._height || 624) / 2 };
+    if (characterSprites && typeof $gamePlayer !== 'undefined') {
+        for (var i = 0; i < characterSprites.length; i++) {
+            var sp = characterSprites[i];
+            if (sp._character === $gamePlayer && sp._threeObj) {
+                focus.x = sp._threeObj.position.x;
+                focus.y = sp._threeObj.position.y;
+                break;
+            }
+        }
+    }
+    var points = this._shadowFitPoints(focus);
+    var lights = this._shadowCastingLights();
+    for (var j = 0; j < lights.length; j++) {
+        if (lights[j].castShadow) this._fitShadowCamera(lights[j], points);
+    }
+};
+
 //=============================================================================
 // Spriteset_Map 통합
 //=============================================================================
@@ -1907,35 +2292,35 @@ Spriteset_Map.prototype._updateShadowLight = function() {
 
     if (!enabled) return;
 
+    // 시간대 조명 (TimeSystem) 적용/해제
+    ShadowLight._applyTimeOfDay();
+
+    // 그림자 품질 (0=평면 shadow mesh, 1~2=shadow map)
+    var shadowQuality = ShadowLight.shadowQuality();
+    ShadowLight._applyShadowQuality(shadowQuality);
+
     // DirectionalLight shadow camera를 화면 중심으로 추적
-    if (ShadowLight._directionalLight) {
-        var vw = Graphics._width || 816;
-        var vh = Graphics._height || 624;
-        var cx = vw / 2;
-        var cy = vh / 2;
-        var dir = ShadowLight.config.lightDirection;
-        ShadowLight._directionalLight.position.set(
-            cx - dir.x * 1000,
-            cy - dir.y * 1000,
-            -dir.z * 1000
-        );
-        ShadowLight._directionalLight.target.position.set(cx, cy, 0);
-        ShadowLight._directionalLight.target.updateMatrixWorld();
-        ShadowLight._directionalLight.shadow.camera.updateProjectionMatrix();
+    ShadowLight._centerDirectionalLight();
+    if (shadowQuality > 0) {
+        ShadowLight._fitShadowCameras(this._characterSprites);
     }
 
     // customDepthMaterial.map 동기화 (텍스처 로드 후 stale 방지)
     ShadowLight._syncCustomDepthMaps(this._characterSprites);
     ShadowLight._syncCustomDepthMaps(this._objectSprites);
 
-    // shadow mesh 업데이트
+    // shadow mesh 업데이트 (shadow map 모드에서는 실제 그림자가 대신하므로 숨김)
     if (this._shadowMeshes) {
         for (var i = 0; i < this._characterSprites.length; i++) {
             if (i < this._shadowMeshes.length) {
-                ShadowLight._updateShadowMesh(
-                    this._shadowMeshes[i],
-                    this._characterSprites[i]
-                );
+                if (shadowQuality > 0) {
+                    this._shadowMeshes[i].visible = false;
+                } else {
+                    ShadowLight._updateShadowMesh(
+                        this._shadowMeshes[i],
+                        this._characterSprites[i]
+                    );
+                }
             }
         }
     }
@@ -1954,6 +2339,28 @@ Spriteset_Map.prototype._updateShadowLight = function() {
 
     // sunLights 방향을 스카이 스피어 회전에 동기화
     ShadowLight._updateSunLightDirections();
+
+    // 번개 (Weather3D) - 환경광 lerp 이후에 적용
+    ShadowLight._applyLightningBoost();
+};
+
+/**
+ * DirectionalLight를 화면 중심 기준으로 배치 (shadow camera가 화면을 따라감)
+ */
+ShadowLight._centerDirectionalLight = function() {
+    var light = this._directionalLight;
+    if (!light) return;
+    var cx = (Graphics._width || 816) / 2;
+    var cy = (Graphics._height || 624) / 2;
+    var dir = this.config.lightDirection;
+    light.position.set(
+        cx - dir.x * 1000,
+        cy - dir.y * 1000,
+        -dir.z * 1000
+    );
+    light.target.position.set(cx, cy, 0);
+    light.target.updateMatrixWorld();
+    light.shadow.camera.updateProjectionMatrix();
 };
 
 Spriteset_Map.prototype._activateShadowLight = function() {
@@ -2132,28 +2539,8 @@ Spriteset_Map.prototype._updatePointLights = function() {
         ShadowLight._playerSpotLight.visible = false;
     }
 
-    // 이벤트 라이트 (<light> 노트 태그)
-    var events = $gameMap.events();
-    for (var i = 0; i < events.length; i++) {
-        var ev = events[i];
-        if (!ev || ev.isTransparent()) continue;
-        var note = ev.event() ? ev.event().note || '' : '';
-        var lightMatch = note.match(/<light(?:\s*:\s*(\d+)(?:\s*,\s*#?([0-9a-fA-F]{6}))?)?>/i);
-        if (lightMatch) {
-            var evSprite = this._getEventSprite(ev);
-            if (evSprite) {
-                var light = ShadowLight._getPointLight();
-                var dist = lightMatch[1] ? parseInt(lightMatch[1]) : 150;
-                var color = lightMatch[2] ? parseInt(lightMatch[2], 16) : 0xffcc88;
-                light.color.setHex(color);
-                light.intensity = 1.0;
-                light.distance = dist;
-                light.decay = ShadowLight._debugDecay !== undefined ? ShadowLight._debugDecay : 0;
-                var wp = ShadowLight._getWrapperWorldPos(evSprite);
-                light.position.set(wp.x, wp.y - 24, ShadowLight.config.playerLightZ);
-            }
-        }
-    }
+    // 이벤트 라이트 (<light> 코멘트/노트 태그)
+    this._updateEventLights(playerWp);
 
     // 에디터에서 배치한 포인트 라이트 ($dataMap.editorLights.points)
     var elRaw2 = (typeof $dataMap !== 'undefined' && $dataMap) ? $dataMap.editorLights : null;
@@ -2186,6 +2573,78 @@ Spriteset_Map.prototype._updatePointLights = function() {
     }
 };
 
+/**
+ * 이벤트 라이트 배치
+ * 플레이어(없으면 화면 중심)에서 가까운 순으로 eventLightMaxCount개까지만 켠다.
+ * 라이트 개수가 바뀌면 셰이더 재컴파일이 일어나므로, 컬링된 슬롯은
+ * intensity 0으로 유지하여 화면 이동 중에도 PointLight 개수를 고정한다.
+ */
+Spriteset_Map.prototype._updateEventLights = function(playerWp) {
+    var cfg = ShadowLight.config;
+    var maxCount = Math.max(0, cfg.eventLightMaxCount | 0);
+    var center = playerWp || { x: (Graphics._width || 816) / 2, y: (Graphics._height || 624) / 2 };
+    var tw = $gameMap.tileWidth();
+    var time = Graphics.frameCount / 60;
+    var decay = ShadowLight._debugDecay !== undefined ? ShadowLight._debugDecay : 0;
+
+    var total = 0;
+    var candidates = [];
+    var events = $gameMap.events();
+    for (var i = 0; i < events.length; i++) {
+        var ev = events[i];
+        var data = ev && ev.lightSettings();
+        if (!data) continue;
+        total++;
+        if (ev.isTransparent()) continue;
+        var evSprite = this._getEventSprite(ev);
+        if (!evSprite) continue;
+        var wp = ShadowLight._getWrapperWorldPos(evSprite);
+        var dist = data.unit === 'tile' ? data.distance * tw : data.distance;
+        var dx = wp.x - center.x;
+        var dy = wp.y - center.y;
+        var d = Math.sqrt(dx * dx + dy * dy);
+        if (d - dist > cfg.eventLightCullRadius) continue;
+        candidates.push({ event: ev, data: data, x: wp.x, y: wp.y, distance: dist, d: d });
+    }
+    candidates.sort(function(a, b) { return a.d - b.d; });
+
+    var slots = Math.min(total, maxCount);
+    for (var j = 0; j < slots; j++) {
+        var light = ShadowLight._getPointLight();
+        var c = candidates[j];
+        if (!c) {
+            light.intensity = 0;
+            continue;
+        }
+        light.color.setHex(c.data.color);
+        light.intensity = c.data.intensity * ShadowLight._eventLightFactor(c.data, c.event.eventId(), time);
+        light.distance = c.distance;
+        light.decay = c.data.decay != null ? c.data.decay : decay;
+        light.position.set(c.x, c.y - 24 + c.data.offsetY, c.data.z != null ? c.data.z : cfg.playerLightZ);
+    }
+};
+
+/**
+ * flicker/pulse 애니메이션 배율 계산
+ * flicker: 불규칙한 흔들림 (횃불), pulse: period초 주기의 사인 맥동 (발광체)
+ * 이벤트마다 위상을 달리하여 여러 횃불이 동시에 깜빡이지 않도록 함
+ */
+ShadowLight._eventLightFactor = function(data, eventId, time) {
+    var factor = 1;
+    var phase = eventId * 1.618;
+    if (data.flicker > 0) {
+        var n = Math.sin(time * 7.3 + phase) * 0.5 +
+                Math.sin(time * 13.7 + phase * 2.3) * 0.3 +
+                Math.sin(time * 23.1 + phase * 0.7) * 0.2;
+        factor *= 1 + n * data.flicker;
+    }
+    if (data.pulse > 0) {
+        var period = data.period > 0 ? data.period : 2;
+        factor *= 1 + Math.sin(time * Math.PI * 2 / period + phase) * data.pulse;
+    }
+    return Math.max(0, factor);
+};
+
 /**
  * 타일맵 MeshLambertMaterial의 needsUpdate를 설정하여 셰이더 재컴파일 트리거
  * (scene의 라이트 구성이 변경되면 셰이더에 새 라이트를 반영해야 함)
@@ -2233,6 +2692,196 @@ Spriteset_Map.prototype._getEventSprite = function(event) {
     return null;
 };
 
+//=============================================================================
+// Game_Event - <light> 태그 파싱
+// 활성 페이지의 코멘트(108/408)에 선언하면 페이지 전환에 따라 켜지고 꺼진다.
+//   <light color:#ffaa55 intensity:1.5 distance:6 flicker:0.3>
+//   <light color:#88ccff distance:4 pulse:0.4 period:1.5 z:60>
+// distance는 타일 단위. 이벤트 노트의 기존 형식 <light:150,#ffcc88>(픽셀 단위)도 지원
+//=============================================================================
+
+ShadowLight.parseLightTag = function(text) {
+    if (!text) return null;
+    var m = text.match(/<light(?:\s*:\s*(\d+)(?:\s*,\s*#?([0-9a-fA-F]{6}))?)?>/i);
+    if (m) {
+        return {
+            color: m[2] ? parseInt(m[2], 16) : 0xffcc88,
+            intensity: 1.0,
+            distance: m[1] ? parseInt(m[1]) : 150,
+            unit: 'pixel',
+            decay: null, z: null, offsetY: 0,
+            flicker: 0, pulse: 0, period: 2
+        };
+    }
+    m = text.match(/<light\s+([^>]*)>/i);
+    if (!m) return null;
+    var data = {
+        color: 0xffcc88, intensity: 1.0, distance: 4, unit: 'tile',
+        decay: null, z: null, offsetY: 0,
+        flicker: 0, pulse: 0, period: 2
+    };
+    var pairs = m[1].split(/\s+/);
+    for (var i = 0; i < pairs.length; i++) {
+        var kv = pairs[i].split(':');
+        if (kv.length < 2) continue;
+        var key = kv[0];
+        var val = kv.slice(1).join(':');
+        if (key === 'color') {
+            var hex = parseInt(val.replace('#', ''), 16);
+            if (!isNaN(hex)) data.color = hex;
+        } else if (data.hasOwnProperty(key) && key !== 'unit') {
+            var num = parseFloat(val);
+            if (!isNaN(num)) data[key] = num;
+        }
+    }
+    return data;
+};
+
+ShadowLight._pageComments = function(page) {
+    var text = '';
+    var list = page ? page.list : null;
+    if (!list) return text;
+    for (var i = 0; i < list.length; i++) {
+        var cmd = list[i];
+        if (cmd.code === 108 || cmd.code === 408) {
+            text += cmd.parameters[0] + '\n';
+        }
+    }
+    return text;
+};
+
+// 페이지 데이터 → 파싱된 라이트 설정. 세이브에 들어가지 않도록 Game_Event가 아닌 여기에 캐시
+ShadowLight._pageLightCache = new WeakMap();
+
+/**
+ * 현재 페이지의 라이트 설정 (없으면 null)
+ * 페이지 코멘트 우선, 없으면 이벤트 노트 태그. 페이지 데이터 기준으로 캐시
+ */
+Game_Event.prototype.lightSettings = function() {
+    if (this._pageIndex < 0) return null;
+    var page = this.page();
+    var cache = ShadowLight._pageLightCache;
+    if (!cache.has(page)) {
+        var data = ShadowLight.parseLightTag(ShadowLight._pageComments(page));
+        if (!data && this.event()) data = ShadowLight.parseLightTag(this.event().note);
+        cache.set(page, data);
+    }
+    return cache.get(page);
+};
+
+//=============================================================================
+// Spriteset_Battle 통합 (Mode3D 전투)
+// 맵에서 켠 조명(환경광/디렉셔널)을 그대로 사용하여 배틀백과 배틀러를 조명 material로 바꾸고
+// 배틀러마다 평면 그림자(그림자 품질 0) 또는 shadow map 그림자를 드리움.
+// 플레이어를 따라다니는 포인트/스포트 라이트는 전투 중 끔 (맵으로 돌아가면 맵 갱신에서 다시 켜짐)
+//=============================================================================
+
+var _Spriteset_Battle_update = Spriteset_Battle.prototype.update;
+Spriteset_Battle.prototype.update = function() {
+    _Spriteset_Battle_update.call(this);
+    this._updateBattleShadowLight();
+};
+
+/**
+ * 조명을 받는 전투 스프라이트 (배틀백 + 배틀러 본체/무기)
+ */
+Spriteset_Battle.prototype._litBattleSprites = function() {
+    var sprites = [this._back1Sprite, this._back2Sprite];
+    for (var i = 0; i < this._enemySprites.length; i++) {
+        sprites.push(this._enemySprites[i]);
+    }
+    for (var j = 0; j < this._actorSprites.length; j++) {
+        sprites.push(this._actorSprites[j]._weaponSprite);
+        sprites.push(this._actorSprites[j]._mainSprite);
+    }
+    return sprites;
+};
+
+Spriteset_Battle.prototype._updateBattleShadowLight = function() {
+    var enabled = ShadowLight._active && !!ConfigManager.mode3d;
+    var sprites = this._litBattleSprites();
+    var i;
+    if (!enabled) {
+        if (this._battleLightActive) {
+            for (i = 0; i < sprites.length; i++) ShadowLight._revertMaterial(sprites[i]);
+            this._hideBattleShadows();
+            this._battleLightActive = false;
+        }
+        return;
+    }
+    this._battleLightActive = true;
+
+    // 새로 생성/교체된 material도 변환 (이미 변환된 것은 건너뜀)
+    for (i = 0; i < sprites.length; i++) {
+        ShadowLight._convertMaterial(sprites[i]);
+    }
+    // 배틀백은 그림자를 받기만 함
+    this._back1Sprite._threeObj.castShadow = false;
+    this._back1Sprite._threeObj.receiveShadow = true;
+    this._back2Sprite._threeObj.castShadow = false;
+    this._back2Sprite._threeObj.receiveShadow = true;
+
+    ShadowLight._pointLightIndex = 0;
+    ShadowLight._hideUnusedPointLights();
+    if (ShadowLight._playerSpotLight) {
+        ShadowLight._playerSpotLight.visible = false;
+    }
+
+    var shadowQuality = ShadowLight.shadowQuality();
+    ShadowLight._applyShadowQuality(shadowQuality);
+    ShadowLight._centerDirectionalLight();
+    if (shadowQuality > 0) {
+        ShadowLight._fitShadowCameras(null);
+        this._hideBattleShadows();
+    } else {
+        this._updateBattleShadows();
+    }
+    // 아군의 2D 발밑 그림자(Shadow2)는 실제 그림자와 겹치므로 숨김 (Sprite_Actor.updateShadow가 매 프레임 복원)
+    for (i = 0; i < this._actorSprites.length; i++) {
+        this._actorSprites[i]._shadowSprite.visible = false;
+    }
+    ShadowLight._syncCustomDepthMaps(sprites);
+    // 배틀백(앞 2개)은 큰 평면이라 프록시 박스 라이팅에서 제외
+    ShadowLight._updateProxyBoxLighting(sprites.slice(2));
+};
+
+/**
+ * 배틀러 평면 그림자 갱신
+ * 그림자 mesh는 battleField에 두고, 아군은 본체(_mainSprite)가 컨테이너 로컬 좌표이므로
+ * 컨테이너 위치를 더해 줌. 배틀백(바닥) 바로 다음에 그려지도록 renderOrder 지정
+ */
+Spriteset_Battle.prototype._updateBattleShadows = function() {
+    var battlers = this.battlerSprites();
+    var field = this._battleField._threeObj;
+    if (!this._battleShadowMeshes) this._battleShadowMeshes = [];
+    for (var i = 0; i < battlers.length; i++) {
+        var battlerSprite = battlers[i];
+        var body = battlerSprite._mainSprite || battlerSprite;
+        var mesh = this._battleShadowMeshes[i];
+        if (!mesh) {
+            mesh = this._battleShadowMeshes[i] = ShadowLight._createShadowMesh();
+            field.add(mesh);
+        }
+        if (!battlerSprite.visible || !battlerSprite._battler) {
+            mesh.visible = false;
+            continue;
+        }
+        ShadowLight._updateShadowMesh(mesh, body);
+        if (body !== battlerSprite) {
+            mesh.position.x += battlerSprite._threeObj.position.x;
+            mesh.position.y += battlerSprite._threeObj.position.y;
+        }
+        mesh.renderOrder = this._back1Sprite._threeObj.renderOrder + 0.5;
+    }
+};
+
+Spriteset_Battle.prototype._hideBattleShadows = function() {
+    var meshes = this._battleShadowMeshes || [];
+    for (var i = 0; i < meshes.length; i++) {
+        meshes[i].visible = false;
+    }
+};
+
 //=============================================================================
 // Sprite_Character - 새로 생성된 캐릭터도 material 교체
 //=============================================================================
@@ -3089,101 +3738,112 @@ ShadowLight._removeDebugUI = function() {
 // Plugin Commands
 //=============================================================================
 
-var _Game_Interpreter_pluginCommand = Game_Interpreter.prototype.pluginCommand;
-Game_Interpreter.prototype.pluginCommand = function(command, args) {
-    _Game_Interpreter_pluginCommand.call(this, command, args);
-
-    if (command === 'ShadowLight') {
-        if (args[0] === 'on') ConfigManager.shadowLight = true;
-        if (args[0] === 'off') ConfigManager.shadowLight = false;
-        if (args[0] === 'ambient' && args[1]) {
-            var ambVal = parseFloat(args[1]);
-            var ambDur = args[2] ? parseFloat(args[2]) : 0;
-            // editorLights.ambient도 함께 업데이트 (_updateCameraZoneAmbient가 이 값을 target으로 사용)
-            var _el = (typeof $dataMap !== 'undefined' && $dataMap) ? $dataMap.editorLights : null;
-            if (ambDur > 0 && window.PluginTween) {
-                PluginTween.add({
-                    target: ShadowLight.config, key: 'ambientIntensity', to: ambVal, duration: ambDur,
-                    onUpdate: function(v) {
-                        if (_el && _el.ambient) _el.ambient.intensity = v;
-                        ShadowLight._currentAmbientIntensity = v;
-                        if (ShadowLight._ambientLight) ShadowLight._ambientLight.intensity = v;
-                    }
-                });
-            } else {
-                ShadowLight.config.ambientIntensity = ambVal;
-                if (_el && _el.ambient) _el.ambient.intensity = ambVal;
-                ShadowLight._currentAmbientIntensity = ambVal;
-                if (ShadowLight._ambientLight) ShadowLight._ambientLight.intensity = ambVal;
+// ambient 색상 적용 (editorLights.ambient도 함께 업데이트 — _updateCameraZoneAmbient가 이 값을 target으로 사용)
+function setAmbientColor(el, hex) {
+    if (el && el.ambient) el.ambient.color = '#' + ('000000' + (hex >>> 0).toString(16)).slice(-6);
+    ShadowLight._currentAmbientR = ((hex >> 16) & 0xFF) / 255;
+    ShadowLight._currentAmbientG = ((hex >> 8) & 0xFF) / 255;
+    ShadowLight._currentAmbientB = (hex & 0xFF) / 255;
+    if (ShadowLight._ambientLight) ShadowLight._ambientLight.color.setHex(hex);
+}
+
+function setAmbientIntensity(el, v) {
+    if (el && el.ambient) el.ambient.intensity = v;
+    ShadowLight._currentAmbientIntensity = v;
+    if (ShadowLight._ambientLight) ShadowLight._ambientLight.intensity = v;
+}
+
+function editorLights() {
+    return (typeof $dataMap !== 'undefined' && $dataMap) ? $dataMap.editorLights : null;
+}
+
+var TWEEN_ARGS = PluginCommandRegistry.TWEEN_ARGS;
+
+PluginCommandRegistry.register('ShadowLight', {
+    description: '그림자/광원 시스템 제어',
+    subcommands: {
+        on: {
+            description: '그림자/광원 켜기',
+            run: function() { ConfigManager.shadowLight = true; }
+        },
+        off: {
+            description: '그림자/광원 끄기',
+            run: function() { ConfigManager.shadowLight = false; }
+        },
+        ambient: {
+            description: '환경광 세기 변경',
+            args: [{ name: 'intensity', type: 'number', min: 0 }].concat(TWEEN_ARGS),
+            run: function(a) {
+                var el = editorLights();
+                if (a.duration > 0 && window.PluginTween) {
+                    PluginTween.add({
+                        target: ShadowLight.config, key: 'ambientIntensity', to: a.intensity,
+                        duration: a.duration, ease: a.ease,
+                        onUpdate: function(v) { setAmbientIntensity(el, v); }
+                    });
+                } else {
+                    ShadowLight.config.ambientIntensity = a.intensity;
+                    setAmbientIntensity(el, a.intensity);
+                }
             }
-        }
-        if (args[0] === 'ambientColor' && args[1]) {
-            var hex = parseInt(args[1].replace('#', ''), 16);
-            var colorDur = args[2] ? parseFloat(args[2]) : 0;
-            // editorLights.ambient도 함께 업데이트 (_updateCameraZoneAmbient가 이 값을 target으로 사용)
-            var _el2 = (typeof $dataMap !== 'undefined' && $dataMap) ? $dataMap.editorLights : null;
-            if (!isNaN(hex)) {
-                if (colorDur > 0 && window.PluginTween) {
+        },
+        ambientColor: {
+            description: '환경광 색상 변경',
+            args: [{ name: 'color', type: 'color' }].concat(TWEEN_ARGS),
+            run: function(a) {
+                var el = editorLights();
+                if (a.duration > 0 && window.PluginTween) {
                     PluginTween.addColor({
-                        target: ShadowLight.config, key: 'ambientColor', to: hex, duration: colorDur,
-                        onUpdate: function(v) {
-                            // editorLights.ambient.color도 동기화
-                            if (_el2 && _el2.ambient) _el2.ambient.color = '#' + ('000000' + (v >>> 0).toString(16)).slice(-6);
-                            var r = ((v >> 16) & 0xFF) / 255;
-                            var g = ((v >> 8) & 0xFF) / 255;
-                            var b = (v & 0xFF) / 255;
-                            ShadowLight._currentAmbientR = r;
-                            ShadowLight._currentAmbientG = g;
-                            ShadowLight._currentAmbientB = b;
-                            if (ShadowLight._ambientLight) ShadowLight._ambientLight.color.setHex(v);
-                        }
+                        target: ShadowLight.config, key: 'ambientColor', to: a.color,
+                        duration: a.duration, ease: a.ease,
+                        onUpdate: function(v) { setAmbientColor(el, v); }
                     });
                 } else {
-                    ShadowLight.config.ambientColor = hex;
-                    if (_el2 && _el2.ambient) _el2.ambient.color = '#' + ('000000' + (hex >>> 0).toString(16)).slice(-6);
-                    var r2 = ((hex >> 16) & 0xFF) / 255;
-                    var g2 = ((hex >> 8) & 0xFF) / 255;
-                    var b2 = (hex & 0xFF) / 255;
-                    ShadowLight._currentAmbientR = r2;
-                    ShadowLight._currentAmbientG = g2;
-                    ShadowLight._currentAmbientB = b2;
-                    if (ShadowLight._ambientLight) ShadowLight._ambientLight.color.setHex(hex);
+                    ShadowLight.config.ambientColor = a.color;
+                    setAmbientColor(el, a.color);
                 }
             }
-        }
-        if (args[0] === 'direction' && args.length >= 4) {
-            ShadowLight.config.lightDirection = new THREE.Vector3(
-                parseFloat(args[1]), parseFloat(args[2]), parseFloat(args[3])
-            ).normalize();
-        }
-        // ShadowLight pointLight <id> <property> <value> [duration]
-        if (args[0] === 'pointLight' && args[1] && args[2]) {
-            var plId = parseInt(args[1]);
-            var plProp = args[2];
-            var plVal = args[3];
-            var plDur = args[4] ? parseFloat(args[4]) : 0;
-            var el = (typeof $dataMap !== 'undefined' && $dataMap) ? $dataMap.editorLights : null;
-            if (el && el.points) {
+        },
+        direction: {
+            description: '방향광 방향 벡터 변경',
+            args: [{ name: 'x', type: 'number' }, { name: 'y', type: 'number' }, { name: 'z', type: 'number' }],
+            run: function(a) {
+                ShadowLight.config.lightDirection = new THREE.Vector3(a.x, a.y, a.z).normalize();
+            }
+        },
+        // ShadowLight pointLight <id> <property> <value> [duration] [ease]
+        pointLight: {
+            description: '에디터 포인트 라이트 속성 변경 (color는 즉시 적용)',
+            args: [
+                { name: 'id', type: 'int' },
+                { name: 'property', type: 'enum', values: ['color', 'intensity', 'distance', 'decay', 'z'] },
+                { name: 'value' }
+            ].concat(TWEEN_ARGS),
+            run: function(a) {
+                var el = editorLights();
+                if (!el || !el.points) return;
                 var plObj = null;
-                for (var pli = 0; pli < el.points.length; pli++) {
-                    if (el.points[pli].id === plId) { plObj = el.points[pli]; break; }
+                for (var i = 0; i < el.points.length; i++) {
+                    if (el.points[i].id === a.id) { plObj = el.points[i]; break; }
                 }
-                if (plObj) {
-                    if (plProp === 'color' && plVal) {
-                        var plHex = parseInt(plVal.replace('#', ''), 16);
-                        if (!isNaN(plHex)) plObj.color = '#' + plHex.toString(16).padStart(6, '0');
-                    } else if (plProp === 'intensity' || plProp === 'distance' || plProp === 'decay' || plProp === 'z') {
-                        var numVal = parseFloat(plVal);
-                        if (plDur > 0 && window.PluginTween) {
-                            PluginTween.add({ target: plObj, key: plProp, to: numVal, duration: plDur });
-                        } else {
-                            plObj[plProp] = numVal;
-                        }
-                    }
+                if (!plObj) throw new Error('포인트 라이트 ' + a.id + ' 없음');
+                if (a.property === 'color') {
+                    var hex = parseInt(a.value.replace('#', ''), 16);
+                    if (isNaN(hex)) throw new Error('색상 값이 아님: ' + a.value);
+                    plObj.color = '#' + hex.toString(16).padStart(6, '0');
+                    return;
+                }
+                var numVal = parseFloat(a.value);
+                if (isNaN(numVal)) throw new Error('숫자 값이 아님: ' + a.value);
+                if (a.duration > 0 && window.PluginTween) {
+                    PluginTween.add({ target: plObj, key: a.property, to: numVal, duration: a.duration,
+                        ease: a.ease });
+                } else {
+                    plObj[a.property] = numVal;
                 }
             }
         }
     }
-};
+});
 
 })();
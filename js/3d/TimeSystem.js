@@ -0,0 +1,418 @@
+//=============================================================================
+// TimeSystem.js - 게임 내 시간(낮/밤) 시스템
+//=============================================================================
+// 게임 변수에 시/분을 저장하는 게임 시계를 진행시키고, 키프레임 스케줄에서
+// 현재 시각의 환경을 보간하여 적용합니다.
+// - 태양 방향, 디렉셔널 색/강도, 환경광 색/강도 → ShadowLight._timeOfDay
+// - 하늘 색조(skyTint), 파노라마 간 블렌드(sky) → SkyBox (_skyBoxSetTint/_skyBoxSetTimeBlend)
+// - ColorGrading PP 패스 (맵 postProcessConfig 값 위에 가산/승산으로 합성)
+//
+// 시계는 항상 진행되고(맵 화면에서만), 조명 연동은 'TimeSystem on'으로 켠다.
+// 시각은 게임 변수(hourVariableId, minuteVariableId)가 기준이므로
+// 이벤트에서 변수를 직접 바꿔도 즉시 반영된다.
+//
+// 스케줄 키:
+//   { "hour": 6, "sunDirection": [-1, -0.2, -0.4] (또는 "sun": [u, v] 스카이 UV),
+//     "directionalColor": "#ffb070", "directionalIntensity": 0.3,
+//     "ambientColor": "#8a7a8a", "ambientIntensity": 0.35,
+//     "skyTint": "#ffc8a0", "sky": "dawn.png",
+//     "colorGrading": { "brightness": 0, "saturation": 1, "temperature": 0.3 } }
+//
+// 맵 _ext.json 오버라이드 (실내 맵 등):
+//   "timeSystem": { "enabled": false }          - 이 맵에서는 조명 연동 안 함
+//   "timeSystem": { "enabled": true }           - 전역 off여도 이 맵은 연동
+//   "timeSystem": { "hour": 12 }                - 조명을 고정 시각으로 평가
+//   "timeSystem": { "pauseClock": true }        - 이 맵에서는 시계 정지
+//   "timeSystem": { "schedule": [ ... ] }       - 맵 전용 스케줄
+//
+// 의존: THREE (global), ShadowLight, PostProcess, SkyBox 플러그인(선택), $gameVariables
+//=============================================================================
+
+(function() {
+
+//=============================================================================
+// TimeSystem 전역 객체
+//=============================================================================
+
+var TimeSystem = {};
+window.TimeSystem = TimeSystem;
+
+TimeSystem.config = {
+    hourVariableId: 19,       // 시(0~23)를 저장하는 게임 변수
+    minuteVariableId: 20,     // 분(0~59)을 저장하는 게임 변수
+    minutesPerSecond: 1,      // 실제 1초당 진행되는 게임 분 (기본: 하루 = 24분)
+    startHour: 8              // 새 게임 시작 시각
+};
+
+// 기본 스케줄 (시각 오름차순, 24시에서 0시로 순환)
+TimeSystem.DEFAULT_SCHEDULE = [
+    { hour: 0,  sunDirection: [0.3, -0.5, -2],  directionalColor: '#6a7cb0', directionalIntensity: 0.08,
+      ambientColor: '#2c3a5c', ambientIntensity: 0.3, skyTint: '#39415e',
+      colorGrading: { brightness: -0.05, saturation: 0.65, temperature: -0.4 } },
+    { hour: 5,  sunDirection: [-1, -0.3, -0.3], directionalColor: '#8a7cb0', directionalIntensity: 0.1,
+      ambientColor: '#4a4a6a', ambientIntensity: 0.3, skyTint: '#7a7090',
+      colorGrading: { brightness: -0.03, saturation: 0.8, temperature: -0.2 } },
+    { hour: 7,  sunDirection: [-1, -0.2, -0.5], directionalColor: '#ffb070', directionalIntensity: 0.3,
+      ambientColor: '#8a7a80', ambientIntensity: 0.4, skyTint: '#ffd0b0',
+      colorGrading: { brightness: 0, saturation: 1, temperature: 0.3 } },
+    { hour: 12, sunDirection: [-0.3, -0.4, -2], directionalColor: '#fff8ee', directionalIntensity: 0.3,
+      ambientColor: '#aab0bb', ambientIntensity: 0.55, skyTint: '#ffffff',
+      colorGrading: { brightness: 0, saturation: 1, temperature: 0 } },
+    { hour: 17, sunDirection: [0.8, -0.3, -0.8], directionalColor: '#ffe0b0', directionalIntensity: 0.3,
+      ambientColor: '#a09a90', ambientIntensity: 0.45, skyTint: '#fff0d8',
+      colorGrading: { brightness: 0, saturation: 1.05, temperature: 0.2 } },
+    { hour: 19, sunDirection: [1, -0.2, -0.3],  directionalColor: '#ff8a50', directionalIntensity: 0.25,
+      ambientColor: '#7a5a6a', ambientIntensity: 0.35, skyTint: '#e08a70',
+      colorGrading: { brightness: -0.02, saturation: 0.9, temperature: 0.45 } },
+    { hour: 21, sunDirection: [0.3, -0.5, -2],  directionalColor: '#6a7cb0', directionalIntensity: 0.08,
+      ambientColor: '#2c3a5c', ambientIntensity: 0.3, skyTint: '#39415e',
+      colorGrading: { brightness: -0.05, saturation: 0.65, temperature: -0.4 } }
+];
+
+TimeSystem.GRADING_KEYS = ['brightness', 'contrast', 'saturation', 'temperature', 'tint', 'gamma'];
+TimeSystem.GRADING_DEFAULTS = { brightness: 0, contrast: 1, saturation: 1, temperature: 0, tint: 0, gamma: 1 };
+
+TimeSystem._schedule = null;       // setSchedule로 교체한 전역 스케줄 (null이면 기본)
+TimeSystem._gradingDriven = false; // colorGrading 패스를 제어 중인지
+TimeSystem._skyDriven = false;     // SkyBox 색조/블렌드를 제어 중인지
+
+//=============================================================================
+// 시계 상태 (세이브에 포함: $gameSystem._timeSystem)
+//=============================================================================
+
+Game_System.prototype.timeSystemState = function() {
+    if (!this._timeSystem) {
+        this._timeSystem = { enabled: false, paused: false, speed: 1, frac: 0 };
+    }
+    return this._timeSystem;
+};
+
+TimeSystem._state = function() {
+    return $gameSystem ? $gameSystem.timeSystemState() : null;
+};
+
+// 하루 중 경과 분 (0 ~ 1439.x, 분 이하 소수 포함)
+TimeSystem.minutesOfDay = function() {
+    if (!$gameVariables) return 0;
+    var h = Number($gameVariables.value(this.config.hourVariableId)) || 0;
+    var m = Number($gameVariables.value(this.config.minuteVariableId)) || 0;
+    var state = this._state();
+    var total = h * 60 + m + (state ? state.frac : 0);
+    return ((total % 1440) + 1440) % 1440;
+};
+
+TimeSystem.hour = function() {
+    return Math.floor(this.minutesOfDay() / 60);
+};
+
+TimeSystem.minute = function() {
+    return Math.floor(this.minutesOfDay() % 60);
+};
+
+TimeSystem.setTime = function(hour, minute) {
+    var total = Math.round((hour || 0) * 60 + (minute || 0));
+    total = ((total % 1440) + 1440) % 1440;
+    $gameVariables.setValue(this.config.hourVariableId, Math.floor(total / 60));
+    $gameVariables.setValue(this.config.minuteVariableId, total % 60);
+    var state = this._state();
+    if (state) state.frac = 0;
+};
+
+TimeSystem.addMinutes = function(minutes) {
+    var state = this._state();
+    var total = this.minutesOfDay() + minutes;
+    var whole = Math.floor(total);
+    this.setTime(0, whole);
+    if (state) state.frac = total - whole;
+};
+
+TimeSystem.setEnabled = function(enabled) {
+    this._state().enabled = !!enabled;
+};
+
+TimeSystem.setPaused = function(paused) {
+    this._state().paused = !!paused;
+};
+
+TimeSystem.setSpeed = function(speed) {
+    this._state().speed = Math.max(0, speed);
+};
+
+// 맵 오버라이드 ($dataMap.timeSystem)
+TimeSystem._mapSettings = function() {
+    return (typeof $dataMap !== 'undefined' && $dataMap && $dataMap.timeSystem) || null;
+};
+
+// 현재 맵에서 조명 연동 여부
+TimeSystem.isActive = function() {
+    var state = this._state();
+    if (!state) return false;
+    var ms = this._mapSettings();
+    if (ms && ms.enabled != null) return !!ms.enabled;
+    return state.enabled;
+};
+
+TimeSystem.setSchedule = function(schedule) {
+    this._schedule = schedule ? schedule.slice().sort(function(a, b) { return a.hour - b.hour; }) : null;
+};
+
+TimeSystem.schedule = function() {
+    var ms = this._mapSettings();
+    if (ms && ms.schedule && ms.schedule.length > 0) return ms.schedule;
+    return this._schedule || this.DEFAULT_SCHEDULE;
+};
+
+// 시계 진행 (dt: 초)
+TimeSystem.advance = function(dt) {
+    var state = this._state();
+    if (!state || state.paused || !$gameVariables) return;
+    var ms = this._mapSettings();
+    if (ms && ms.pauseClock) return;
+    state.frac += dt * this.config.minutesPerSecond * state.speed;
+    if (state.frac >= 1) {
+        var whole = Math.floor(state.frac);
+        var frac = state.frac - whole;
+        state.frac = 0;
+        this.addMinutes(whole);
+        state.frac = frac;
+    }
+};
+
+//=============================================================================
+// 스케줄 보간
+//=============================================================================
+
+TimeSystem._parseColor = function(c) {
+    if (typeof c === 'number') return c;
+    return parseInt(String(c).replace('#', ''), 16) || 0;
+};
+
+TimeSystem._lerpColor = function(a, b, t) {
+    var r = ((a >> 16) & 0xFF) + (((b >> 16) & 0xFF) - ((a >> 16) & 0xFF)) * t;
+    var g = ((a >> 8) & 0xFF) + (((b >> 8) & 0xFF) - ((a >> 8) & 0xFF)) * t;
+    var bl = (a & 0xFF) + ((b & 0xFF) - (a & 0xFF)) * t;
+    return (Math.round(r) << 16) | (Math.round(g) << 8) | Math.round(bl);
+};
+
+TimeSystem._keyDirection = function(key) {
+    if (key.sunDirection) {
+        return new THREE.Vector3(key.sunDirection[0], key.sunDirection[1], key.sunDirection[2]).normalize();
+    }
+    if (key.sun) {
+        var d = ShadowLight.sunUVToDirection(key.sun[0], key.sun[1]);
+        return new THREE.Vector3(d.x, d.y, d.z).normalize();
+    }
+    return ShadowLight.config.lightDirection.clone();
+};
+
+// minutes 시각을 감싸는 두 키와 구간 비율 (24시 → 0시 순환)
+TimeSystem._segment = function(schedule, minutes) {
+    var hour = minutes / 60;
+    var n = schedule.length;
+    var ai = n - 1;
+    for (var i = 0; i < n; i++) {
+        if (schedule[i].hour <= hour) ai = i;
+    }
+    var bi = (ai + 1) % n;
+    var a = schedule[ai], b = schedule[bi];
+    var start = a.hour;
+    var end = b.hour;
+    var h = hour;
+    if (end <= start) end += 24;
+    if (h < start) h += 24;
+    var t = end > start ? (h - start) / (end - start) : 0;
+    if (b.ease) t = PluginTween.getEasing(b.ease)(Math.max(0, Math.min(1, t)));
+    return { a: a, b: b, t: t };
+};
+
+// 현재 시각의 환경 값 계산
+TimeSystem.evaluate = function(minutes) {
+    var schedule = this.schedule();
+    if (!schedule || schedule.length === 0) return null;
+    var seg = this._segment(schedule, minutes);
+    var a = seg.a, b = seg.b, t = seg.t;
+    var cfg = ShadowLight.config;
+
+    var dirA = this._keyDirection(a);
+    var dirB = this._keyDirection(b);
+    var result = {
+        direction: dirA.lerp(dirB, t).normalize(),
+        directionalColor: this._lerpColor(
+            this._parseColor(a.directionalColor != null ? a.directionalColor : cfg.directionalColor),
+            this._parseColor(b.directionalColor != null ? b.directionalColor : cfg.directionalColor), t),
+        directionalIntensity: this._lerpNum(a.directionalIntensity, b.directionalIntensity, cfg.directionalIntensity, t),
+        ambientColor: this._lerpColor(
+            this._parseColor(a.ambientColor != null ? a.ambientColor : cfg.ambientColor),
+            this._parseColor(b.ambientColor != null ? b.ambientColor : cfg.ambientColor), t),
+        ambientIntensity: this._lerpNum(a.ambientIntensity, b.ambientIntensity, cfg.ambientIntensity, t),
+        skyTint: this._lerpColor(
+            this._parseColor(a.skyTint != null ? a.skyTint : 0xffffff),
+            this._parseColor(b.skyTint != null ? b.skyTint : 0xffffff), t),
+        skyA: a.sky || null,
+        skyB: b.sky || null,
+        skyBlend: t,
+        colorGrading: null
+    };
+
+    if (a.colorGrading || b.colorGrading) {
+        var ga = a.colorGrading || {}, gb = b.colorGrading || {};
+        var grading = {};
+        for (var i = 0; i < this.GRADING_KEYS.length; i++) {
+            var k = this.GRADING_KEYS[i];
+            grading[k] = this._lerpNum(ga[k], gb[k], this.GRADING_DEFAULTS[k], t);
+        }
+        result.colorGrading = grading;
+    }
+    return result;
+};
+
+TimeSystem._lerpNum = function(a, b, fallback, t) {
+    if (a == null) a = fallback;
+    if (b == null) b = fallback;
+    return a + (b - a) * t;
+};
+
+//=============================================================================
+// 적용 / 해제
+//=============================================================================
+
+TimeSystem.update = function(dt) {
+    this.advance(dt);
+    if (!this.isActive()) {
+        this._release();
+        return;
+    }
+    var ms = this._mapSettings();
+    var minutes = (ms && ms.hour != null) ? ms.hour * 60 : this.minutesOfDay();
+    var env = this.evaluate(minutes);
+    if (!env) {
+        this._release();
+        return;
+    }
+    ShadowLight._timeOfDay = env;
+    this._applySky(env);
+    this._applyColorGrading(env.colorGrading);
+};
+
+TimeSystem._release = function() {
+    ShadowLight._timeOfDay = null;
+    if (this._skyDriven) {
+        if (window._skyBoxSetTint) window._skyBoxSetTint(0xffffff);
+        if (window._skyBoxSetTimeBlend) window._skyBoxSetTimeBlend(null, null, 0);
+        this._skyDriven = false;
+    }
+    this._applyColorGrading(null);
+};
+
+TimeSystem._applySky = function(env) {
+    if (!window._skyBoxSetTint) return;
+    window._skyBoxSetTint(env.skyTint);
+    if (window._skyBoxSetTimeBlend) window._skyBoxSetTimeBlend(env.skyA, env.skyB, env.skyBlend);
+    this._skyDriven = true;
+};
+
+// 맵 postProcessConfig의 colorGrading 값(없으면 기본값) 위에 시간대 값을 합성
+// brightness/temperature/tint는 가산, contrast/saturation/gamma는 승산
+TimeSystem._applyColorGrading = function(grading) {
+    var PPE = window.PostProcessEffects;
+    var pass = window.PostProcess && PostProcess._ppPasses ? PostProcess._ppPasses.colorGrading : null;
+    if (!PPE || !pass) return;
+    var ppc = (typeof $dataMap !== 'undefined' && $dataMap) ? $dataMap.postProcessConfig : null;
+    var mapCfg = ppc && ppc.colorGrading && ppc.colorGrading.enabled ? ppc.colorGrading : null;
+
+    if (!grading) {
+        if (!this._gradingDriven) return;
+        this._gradingDriven = false;
+        pass.enabled = !!mapCfg;
+        for (var j = 0; j < this.GRADING_KEYS.length; j++) {
+            var rk = this.GRADING_KEYS[j];
+            var rv = mapCfg && mapCfg[rk] != null ? mapCfg[rk] : this.GRADING_DEFAULTS[rk];
+            PPE.applyParam('colorGrading', pass, rk, rv);
+        }
+        PostProcess._updateRenderToScreen();
+        return;
+    }
+
+    for (var i = 0; i < this.GRADING_KEYS.length; i++) {
+        var k = this.GRADING_KEYS[i];
+        var base = mapCfg && mapCfg[k] != null ? mapCfg[k] : this.GRADING_DEFAULTS[k];
+        var additive = (k === 'brightness' || k === 'temperature' || k === 'tint');
+        PPE.applyParam('colorGrading', pass, k, additive ? base + grading[k] : base * grading[k]);
+    }
+    if (!pass.enabled) {
+        pass.enabled = true;
+        PostProcess._updateRenderToScreen();
+    }
+    this._gradingDriven = true;
+};
+
+//=============================================================================
+// 게임 흐름 연동
+//=============================================================================
+
+var _DataManager_setupNewGame = DataManager.setupNewGame;
+DataManager.setupNewGame = function() {
+    _DataManager_setupNewGame.call(this);
+    TimeSystem.setTime(TimeSystem.config.startHour, 0);
+};
+
+// 맵 화면에서만 시계 진행 (메뉴/전투 중 정지)
+var _Scene_Map_update = Scene_Map.prototype.update;
+Scene_Map.prototype.update = function() {
+    _Scene_Map_update.call(this);
+    TimeSystem.update(1 / 60);
+};
+
+//=============================================================================
+// Plugin Commands
+//=============================================================================
+// TimeSystem on / off            - 조명 연동 켜기/끄기 (맵 오버라이드가 우선)
+// TimeSystem set <hour> [minute] - 시각 설정 (18:30 형식도 가능)
+// TimeSystem add <minutes>       - 시각 진행 (음수면 되돌림)
+// TimeSystem pause / resume      - 시계 정지/재개
+// TimeSystem speed <배율>         - 시계 속도 배율 (1 = minutesPerSecond)
+
+PluginCommandRegistry.register('TimeSystem', {
+    description: '게임 내 시계와 낮/밤 조명',
+    subcommands: {
+        on: {
+            description: '조명 연동 켜기',
+            run: function() { TimeSystem.setEnabled(true); }
+        },
+        off: {
+            description: '조명 연동 끄기',
+            run: function() { TimeSystem.setEnabled(false); }
+        },
+        set: {
+            description: '시각 설정 (18:30 형식도 가능)',
+            args: [{ name: 'hour' }, { name: 'minute', type: 'number', default: 0, min: 0, max: 59 }],
+            run: function(a) {
+                var parts = a.hour.split(':');
+                var h = Number(parts[0]);
+                var m = parts.length > 1 ? Number(parts[1]) : a.minute;
+                if (isNaN(h) || isNaN(m)) throw new Error('시각 형식이 아님: ' + a.hour);
+                TimeSystem.setTime(h, m);
+            }
+        },
+        add: {
+            description: '시각 진행 (분, 음수면 되돌림)',
+            args: [{ name: 'minutes', type: 'number' }],
+            run: function(a) { TimeSystem.addMinutes(a.minutes); }
+        },
+        pause: {
+            description: '시계 정지',
+            run: function() { TimeSystem.setPaused(true); }
+        },
+        resume: {
+            description: '시계 재개',
+            run: function() { TimeSystem.setPaused(false); }
+        },
+        speed: {
+            description: '시계 속도 배율',
+            args: [{ name: 'rate', type: 'number', min: 0 }],
+            run: function(a) { TimeSystem.setSpeed(a.rate); }
+        }
+    }
+});
+
+})();
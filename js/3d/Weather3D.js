@@ -0,0 +1,566 @@
+//=============================================================================
+// Weather3D.js - Mode3D 3D 파티클 날씨 (비/폭풍/눈/낙엽)
+//=============================================================================
+// 기본 Weather(rpg_core)는 화면 2D 오버레이라 기울어진 PerspectiveCamera에서
+// 어색하게 보인다. Mode3D에서는 카메라 주변 월드 공간에 파티클을 배치한다.
+// - 비/폭풍: 빗줄기(LineSegments) + 바닥 충돌 시 물튀김(Points)
+// - 눈/낙엽: 흔들리며 떨어지는 Points (낙엽은 회전 + 색상 팔레트)
+// - 폭풍: 번개 — 화면 플래시 + ShadowLight 디렉셔널 강도 순간 증폭
+// - 비가 오면 타일 material에 젖은 표면 specular를 서서히 적용/건조
+//
+// Game_Screen.changeWeather를 그대로 사용하므로 기존 이벤트 커맨드(날씨 효과 설정)가
+// 2D/3D 모두에서 동작한다. 2D 모드에서는 기본 Weather 스프라이트가 그려지고,
+// 3D 모드에서는 기본 스프라이트 대신 3D 파티클을 그린다 (화면 어둡게 하는 dimmer는 공용).
+// 'leaves'는 추가 타입으로 플러그인 커맨드 'Weather leaves <power> <duration>'로 설정한다.
+//
+// 의존: THREE (global), Mode3D, ShadowLight (번개/젖은 표면, 선택)
+//=============================================================================
+
+(function() {
+
+//=============================================================================
+// Weather3D 전역 객체
+//=============================================================================
+
+var Weather3D = {};
+window.Weather3D = Weather3D;
+
+Weather3D.config = {
+    enabled: true,
+    areaScale: 1.6,           // 파티클 영역 (화면 크기 배율, yaw 회전 시에도 덮도록 여유)
+    height: 360,              // 파티클 생성 높이 (z, 픽셀)
+    rainPerPower: 120,        // power 1당 빗줄기 수
+    snowPerPower: 60,
+    leavesPerPower: 12,
+    splashCount: 256,         // 물튀김 풀 크기
+    wind: 1.2,                // x 방향 바람 (픽셀/프레임)
+    lightning: true,
+    lightningInterval: [120, 480],  // 번개 간격 (프레임, 최소~최대)
+    lightningBoost: 2.5,      // 번개 시 디렉셔널 강도 증가량
+    wetSpecular: 0.35,        // 최대 젖음 시 specular 밝기
+    wetShininess: 60          // 최대 젖음 시 shininess
+};
+
+Weather3D.LEAF_COLORS = [0xc8642a, 0xd89a30, 0x9a4a20, 0x8a9a30, 0xb07830];
+
+Weather3D._group = null;
+Weather3D._rain = null;       // { mesh, data(Float32Array x,y,z,speed), count }
+Weather3D._flakes = null;     // 눈/낙엽 공용 { mesh, data, count, type }
+Weather3D._splash = null;     // { mesh, data(x,y,life), next }
+Weather3D._originX = null;    // 스크롤 보정용 이전 표시 원점
+Weather3D._originY = null;
+Weather3D._wet = 0;           // 젖음 정도 (0~1)
+Weather3D._wetApplied = -1;   // 마지막으로 타일에 적용한 젖음 값
+Weather3D._flash = 0;         // 번개 밝기 (0~1)
+Weather3D._lightningTimer = 0;
+Weather3D._secondStrike = 0;  // 이중 번개 대기 프레임
+Weather3D._wetColor = new THREE.Color();  // _applyWetness 재사용
+
+Weather3D.isActive = function() {
+    return !!(this.config.enabled && ConfigManager.mode3d && Mode3D._active);
+};
+
+//=============================================================================
+// 메시 생성
+//=============================================================================
+
+// 눈/낙엽/물튀김 공용 포인트 셰이더 (원근 크기 감쇠, 정점별 크기/알파/회전/색)
+// uShape: 0 = 부드러운 원(눈), 1 = 고리(물튀김), 2 = 잎 모양
+Weather3D._createPointsMaterial = function(shape) {
+    return new THREE.ShaderMaterial({
+        uniforms: {
+            uShape: { value: shape },
+            uScale: { value: 500 }
+        },
+        vertexShader: [
+            'attribute float aSize;',
+            'attribute float aAlpha;',
+            'attribute float aRot;',
+            'attribute vec3 aColor;',
+            'uniform float uScale;',
+            'varying float vAlpha;',
+            'varying float vRot;',
+            'varying vec3 vColor;',
+            'void main() {',
+            '    vAlpha = aAlpha;',
+            '    vRot = aRot;',
+            '    vColor = aColor;',
+            '    vec4 mv = modelViewMatrix * vec4(position, 1.0);',
+            '    gl_PointSize = aSize * uScale / max(-mv.z, 1.0);',
+            '    gl_Position = projectionMatrix * mv;',
+            '}'
+        ].join('\n'),
+        fragmentShader: [
+            'uniform float uShape;',
+            'varying float vAlpha;',
+            'varying float vRot;',
+            'varying vec3 vColor;',
+            'void main() {',
+            '    vec2 p = gl_PointCoord - 0.5;',
+            '    float a;',
+            '    if (uShape < 0.5) {',
+            '        a = 1.0 - smoothstep(0.2, 0.5, length(p));',
+            '    } else if (uShape < 1.5) {',
+            '        float d = length(p);',
+            '        a = smoothstep(0.28, 0.38, d) * (1.0 - smoothstep(0.42, 0.5, d));',
+            '    } else {',
+            '        float c = cos(vRot), s = sin(vRot);',
+            '        vec2 q = vec2(c * p.x - s * p.y, s * p.x + c * p.y);',
+            '        a = 1.0 - smoothstep(0.9, 1.0, (q.x * q.x) / 0.2 + (q.y * q.y) / 0.04);',
+            '    }',
+            '    if (a * vAlpha < 0.01) discard;',
+            '    gl_FragColor = vec4(vColor, a * vAlpha);',
+            '}'
+        ].join('\n'),
+        transparent: true,
+        depthWrite: false
+    });
+};
+
+Weather3D._createPoints = function(max, shape) {
+    var geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(max * 3), 3));
+    geometry.setAttribute('aSize', new THREE.BufferAttribute(new Float32Array(max), 1));
+    geometry.setAttribute('aAlpha', new THREE.BufferAttribute(new Float32Array(max), 1));
+    geometry.setAttribute('aRot', new THREE.BufferAttribute(new Float32Array(max), 1));
+    geometry.setAttribute('aColor', new THREE.BufferAttribute(new Float32Array(max * 3), 3));
+    geometry.setDrawRange(0, 0);
+    var mesh = new THREE.Points(geometry, this._createPointsMaterial(shape));
+    mesh.frustumCulled = false;
+    mesh.renderOrder = 9000;
+    return mesh;
+};
+
+Weather3D._ensureGroup = function() {
+    if (this._group) return;
+    var cfg = this.config;
+    this._group = new THREE.Group();
+    this._group._isWeather3D = true;
+    this._group.renderOrder = 9000;
+
+    // 빗줄기: 방울당 선분 1개 (머리/꼬리 2정점)
+    var rainMax = cfg.rainPerPower * 9;
+    var rainGeo = new THREE.BufferGeometry();
+    rainGeo.setAttribute('position', new THREE.BufferAttribute(new Float32Array(rainMax * 6), 3));
+    rainGeo.setDrawRange(0, 0);
+    var rainMesh = new THREE.LineSegments(rainGeo, new THREE.LineBasicMaterial({
+        color: 0xaabbcc, transparent: true, opacity: 0.45, depthWrite: false
+    }));
+    rainMesh.frustumCulled = false;
+    rainMesh.renderOrder = 9000;
+    this._rain = { mesh: rainMesh, data: new Float32Array(rainMax * 4), count: 0, max: rainMax };
+
+    var flakeMax = Math.max(cfg.snowPerPower, cfg.leavesPerPower) * 9;
+    this._flakes = { mesh: this._createPoints(flakeMax, 0), data: new Float32Array(flakeMax * 6),
+                     count: 0, max: flakeMax, type: '' };
+
+    this._splash = { mesh: this._createPoints(cfg.splashCount, 1),
+                     data: new Float32Array(cfg.splashCount * 3), next: 0, max: cfg.splashCount };
+
+    this._group.add(rainMesh);
+    this._group.add(this._flakes.mesh);
+    this._group.add(this._splash.mesh);
+};
+
+// Spriteset_Map의 _threeObj 아래에 붙여 Pass 1(PerspectiveCamera)에서만 렌더되게 한다
+Weather3D._attach = function(spriteset) {
+    this._ensureGroup();
+    var parent = spriteset && spriteset._threeObj;
+    if (parent && this._group.parent !== parent) {
+        if (this._group.parent) this._group.parent.remove(this._group);
+        parent.add(this._group);
+    }
+    this._originX = null;
+    this._originY = null;
+};
+
+//=============================================================================
+// 파티클 업데이트
+//=============================================================================
+
+Weather3D._area = function() {
+    var w = Graphics.width, h = Graphics.height;
+    var r = Math.max(w, h) * this.config.areaScale / 2;
+    return { cx: w / 2, cy: h / 2, r: r };
+};
+
+Weather3D._randomIn = function(area, out, idx) {
+    out[idx] = area.cx + (Math.random() * 2 - 1) * area.r;
+    out[idx + 1] = area.cy + (Math.random() * 2 - 1) * area.r;
+};
+
+// 영역 밖으로 나간 좌표를 반대편으로 순환
+Weather3D._wrap = function(v, center, r) {
+    var size = r * 2;
+    var min = center - r;
+    if (v < min) return v + size;
+    if (v >= min + size) return v - size;
+    return v;
+};
+
+Weather3D._updateRain = function(area, count, storm, dx, dy) {
+    var rain = this._rain;
+    var cfg = this.config;
+    var d = rain.data;
+    var pos = rain.mesh.geometry.attributes.position.array;
+    var height = cfg.height;
+    var wind = cfg.wind * (storm ? 3 : 1);
+    var len = storm ? 3.2 : 2.4;
+    count = Math.min(count, rain.max);
+
+    for (var i = rain.count; i < count; i++) {
+        this._randomIn(area, d, i * 4);
+        d[i * 4 + 2] = Math.random() * height;
+        d[i * 4 + 3] = (storm ? 16 : 12) + Math.random() * 4;
+    }
+    rain.count = count;
+
+    for (var j = 0; j < count; j++) {
+        var k = j * 4;
+        var speed = d[k + 3];
+        d[k] = this._wrap(d[k] - dx + wind, area.cx, area.r);
+        d[k + 1] = this._wrap(d[k + 1] - dy, area.cy, area.r);
+        d[k + 2] -= speed;
+        if (d[k + 2] <= 0) {
+            this._spawnSplash(d[k], d[k + 1]);
+            this._randomIn(area, d, k);
+            d[k + 2] = height * (0.7 + Math.random() * 0.3);
+        }
+        var p = j * 6;
+        pos[p] = d[k];
+        pos[p + 1] = d[k + 1];
+        pos[p + 2] = d[k + 2];
+        pos[p + 3] = d[k] - wind * len;
+        pos[p + 4] = d[k + 1];
+        pos[p + 5] = d[k + 2] + speed * len;
+    }
+    rain.mesh.geometry.setDrawRange(0, count * 2);
+    rain.mesh.geometry.attributes.position.needsUpdate = true;
+};
+
+Weather3D._spawnSplash = function(x, y) {
+    var sp = this._splash;
+    var i = sp.next;
+    sp.next = (sp.next + 1) % sp.max;
+    sp.data[i * 3] = x;
+    sp.data[i * 3 + 1] = y;
+    sp.data[i * 3 + 2] = 1;
+};
+
+Weather3D._updateSplash = function(dx, dy) {
+    var sp = this._splash;
+    var attrs = sp.mesh.geometry.attributes;
+    var d = sp.data;
+    for (var i = 0; i < sp.max; i++) {
+        var life = d[i * 3 + 2];
+        if (life > 0) {
+            life = Math.max(0, life - 0.1);
+            d[i * 3 + 2] = life;
+            d[i * 3] -= dx;
+            d[i * 3 + 1] -= dy;
+        }
+        attrs.position.array[i * 3] = d[i * 3];
+        attrs.position.array[i * 3 + 1] = d[i * 3 + 1];
+        attrs.position.array[i * 3 + 2] = 1;
+        attrs.aSize.array[i] = 4 + (1 - life) * 10;
+        attrs.aAlpha.array[i] = life * 0.6;
+        attrs.aColor.array[i * 3] = 0.8;
+        attrs.aColor.array[i * 3 + 1] = 0.87;
+        attrs.aColor.array[i * 3 + 2] = 0.95;
+    }
+    sp.mesh.geometry.setDrawRange(0, sp.max);
+    attrs.position.needsUpdate = true;
+    attrs.aSize.needsUpdate = true;
+    attrs.aAlpha.needsUpdate = true;
+    attrs.aColor.needsUpdate = true;
+};
+
+// 눈/낙엽: data = x, y, z, phase, rot, colorIndex
+Weather3D._updateFlakes = function(area, count, type, dx, dy) {
+    var fl = this._flakes;
+    var cfg = this.config;
+    var d = fl.data;
+    var attrs = fl.mesh.geometry.attributes;
+    var leaves = type === 'leaves';
+    var time = Graphics.frameCount / 60;
+    count = Math.min(count, fl.max);
+
+    if (fl.type !== type) {
+        fl.type = type;
+        fl.count = 0;
+        fl.mesh.material.uniforms.uShape.value = leaves ? 2 : 0;
+    }
+    for (var i = fl.count; i < count; i++) {
+        this._randomIn(area, d, i * 6);
+        d[i * 6 + 2] = Math.random() * cfg.height;
+        d[i * 6 + 3] = Math.random() * Math.PI * 2;
+        d[i * 6 + 4] = Math.random() * Math.PI * 2;
+        d[i * 6 + 5] = Math.floor(Math.random() * this.LEAF_COLORS.length);
+    }
+    fl.count = count;
+
+    for (var j = 0; j < count; j++) {
+        var k = j * 6;
+        var phase = d[k + 3];
+        var sway = Math.sin(time * (leaves ? 1.3 : 0.9) + phase) * (leaves ? 1.5 : 0.5);
+        d[k] = this._wrap(d[k] - dx + sway + cfg.wind * (leaves ? 0.8 : 0.3), area.cx, area.r);
+        d[k + 1] = this._wrap(d[k + 1] - dy, area.cy, area.r);
+        d[k + 2] -= (leaves ? 0.8 : 1.0) + (phase % 1) * 0.6;
+        d[k + 4] += leaves ? 0.05 + Math.sin(phase) * 0.03 : 0;
+        if (d[k + 2] <= 0) {
+            this._randomIn(area, d, k);
+            d[k + 2] = cfg.height;
+        }
+        attrs.position.array[j * 3] = d[k];
+        attrs.position.array[j * 3 + 1] = d[k + 1];
+        attrs.position.array[j * 3 + 2] = d[k + 2];
+        attrs.aSize.array[j] = leaves ? 14 : 6 + (phase % 1) * 4;
+        attrs.aAlpha.array[j] = Math.min(1, d[k + 2] / 20) * (leaves ? 1 : 0.9);
+        attrs.aRot.array[j] = d[k + 4];
+        var color = leaves ? this.LEAF_COLORS[d[k + 5]] : 0xffffff;
+        attrs.aColor.array[j * 3] = ((color >> 16) & 0xFF) / 255;
+        attrs.aColor.array[j * 3 + 1] = ((color >> 8) & 0xFF) / 255;
+        attrs.aColor.array[j * 3 + 2] = (color & 0xFF) / 255;
+    }
+    fl.mesh.geometry.setDrawRange(0, count);
+    attrs.position.needsUpdate = true;
+    attrs.aSize.needsUpdate = true;
+    attrs.aAlpha.needsUpdate = true;
+    attrs.aRot.needsUpdate = true;
+    attrs.aColor.needsUpdate = true;
+};
+
+//=============================================================================
+// 번개 / 젖은 표면
+//=============================================================================
+
+Weather3D._updateLightning = function(storm, power) {
+    var cfg = this.config;
+    if (storm && cfg.lightning && power > 0) {
+        if (this._lightningTimer <= 0) {
+            var range = cfg.lightningInterval;
+            this._lightningTimer = range[0] + Math.random() * (range[1] - range[0]);
+            this._strike(power);
+            if (Math.random() < 0.35) this._secondStrike = 6 + Math.floor(Math.random() * 6);
+        } else {
+            this._lightningTimer -= power / 9;
+        }
+        if (this._secondStrike > 0 && --this._secondStrike === 0) {
+            this._strike(power * 0.7);
+        }
+    } else {
+        this._lightningTimer = cfg.lightningInterval[0];
+        this._secondStrike = 0;
+    }
+    this._flash *= 0.85;
+    if (this._flash < 0.01) this._flash = 0;
+    if (window.ShadowLight) ShadowLight._lightningBoost = this._flash * cfg.lightningBoost;
+};
+
+// 2D 모드 / Weather3D 비활성: 번개 상태와 ShadowLight 증폭을 해제
+Weather3D._resetLightning = function() {
+    this._flash = 0;
+    this._lightningTimer = this.config.lightningInterval[0];
+    this._secondStrike = 0;
+    if (window.ShadowLight) ShadowLight._lightningBoost = 0;
+};
+
+Weather3D._strike = function(power) {
+    this._flash = 1;
+    if ($gameScreen) {
+        $gameScreen.startFlash([255, 255, 255, Math.min(200, 60 + power * 14)], 12);
+    }
+};
+
+// 비가 오는 동안 서서히 젖고, 그치면 서서히 마른다
+Weather3D._updateWetness = function(type, power, tilemap) {
+    var target = (type === 'rain' || type === 'storm') ? Math.min(1, power / 6) : 0;
+    var rate = target > this._wet ? 1 / 300 : 1 / 900;
+    if (Math.abs(target - this._wet) <= rate) this._wet = target;
+    else this._wet += target > this._wet ? rate : -rate;
+
+    // 값이 바뀌었거나 젖은 동안 주기적으로 (새로 생성된 타일 메시 반영)
+    var changed = Math.abs(this._wet - this._wetApplied) > 0.01;
+    if (changed || (this._wet > 0 && Graphics.frameCount % 60 === 0)) {
+        this._applyWetness(tilemap, this._wet);
+        this._wetApplied = this._wet;
+    }
+};
+
+// 타일맵 MeshPhongMaterial(ShadowLight 활성 시)의 specular/shininess 조절
+Weather3D._applyWetness = function(tilemap, wet) {
+    if (!tilemap || !window.ShadowLight || !ShadowLight._active) return;
+    var cfg = this.config;
+    var wetColor = this._wetColor.setRGB(cfg.wetSpecular, cfg.wetSpecular, cfg.wetSpecular);
+    var zLayers = [tilemap.lowerZLayer, tilemap.upperZLayer];
+    for (var z = 0; z < zLayers.length; z++) {
+        var zLayer = zLayers[z];
+        if (!zLayer || !zLayer.children) continue;
+        for (var c = 0; c < zLayer.children.length; c++) {
+            var composite = zLayer.children[c];
+            if (!composite || !composite.children) continue;
+            for (var r = 0; r < composite.children.length; r++) {
+                var rectLayer = composite.children[r];
+                if (!rectLayer || !rectLayer._meshes) continue;
+                for (var key in rectLayer._meshes) {
+                    var mesh = rectLayer._meshes[key];
+                    var mat = mesh && mesh.material;
+                    if (!mat || !mat.isMeshPhongMaterial) continue;
+                    // 타일 기본 specular는 0x000000이므로 falsy 검사 대신 undefined로 판단
+                    if (mat.userData.drySpecular === undefined) {
+                        mat.userData.drySpecular = mat.specular.getHex();
+                        mat.userData.dryShininess = mat.shininess;
+                    }
+                    mat.specular.setHex(mat.userData.drySpecular);
+                    mat.specular.lerp(wetColor, wet);
+                    mat.shininess = mat.userData.dryShininess + (cfg.wetShininess - mat.userData.dryShininess) * wet;
+                }
+            }
+        }
+    }
+};
+
+//=============================================================================
+// 매 프레임 업데이트
+//=============================================================================
+
+Weather3D.update = function(spriteset) {
+    var type = $gameScreen.weatherType();
+    var power = $gameScreen.weatherPower();
+    var storm = type === 'storm';
+
+    if (this.isActive()) this._updateLightning(storm, power);
+    else this._resetLightning();
+    this._updateWetness(type, power, spriteset._tilemap);
+
+    var active = this.isActive() && type !== 'none' && power > 0;
+    if (this._group) this._group.visible = active;
+    if (!active) {
+        this._originX = null;
+        if (this._rain) this._rain.count = 0;
+        if (this._flakes) this._flakes.count = 0;
+        return;
+    }
+    if (!this._group || !this._group.parent) this._attach(spriteset);
+
+    // 맵 스크롤만큼 파티클을 반대로 이동 (월드에 고정된 것처럼)
+    var ox = $gameMap.displayX() * $gameMap.tileWidth();
+    var oy = $gameMap.displayY() * $gameMap.tileHeight();
+    var dx = this._originX === null ? 0 : ox - this._originX;
+    var dy = this._originY === null ? 0 : oy - this._originY;
+    // 루프 맵 경계 등 큰 점프는 보정하지 않음
+    if (Math.abs(dx) > Graphics.width || Math.abs(dy) > Graphics.height) dx = dy = 0;
+    this._originX = ox;
+    this._originY = oy;
+
+    var area = this._area();
+    var cfg = this.config;
+    if (type === 'rain' || storm) {
+        this._updateRain(area, Math.floor(power * cfg.rainPerPower * (storm ? 1.5 : 1)), storm, dx, dy);
+        this._flakes.mesh.geometry.setDrawRange(0, 0);
+        this._flakes.count = 0;
+    } else {
+        this._rain.mesh.geometry.setDrawRange(0, 0);
+        this._rain.count = 0;
+        var perPower = type === 'leaves' ? cfg.leavesPerPower : cfg.snowPerPower;
+        this._updateFlakes(area, Math.floor(power * perPower), type, dx, dy);
+    }
+    this._updateSplash(dx, dy);
+
+    // 포인트 크기 기준: 카메라 ~ 주시점 거리에서 aSize 픽셀이 되도록
+    var cam = Mode3D._perspCamera;
+    if (cam) {
+        var scale = cam.position.distanceTo(new THREE.Vector3(area.cx, area.cy, 0));
+        this._flakes.mesh.material.uniforms.uScale.value = scale;
+        this._splash.mesh.material.uniforms.uScale.value = scale;
+    }
+};
+
+//=============================================================================
+// Spriteset_Map / Weather 연동
+//=============================================================================
+
+var _Spriteset_Map_createWeather = Spriteset_Map.prototype.createWeather;
+Spriteset_Map.prototype.createWeather = function() {
+    _Spriteset_Map_createWeather.call(this);
+    Weather3D._attach(this);
+};
+
+var _Spriteset_Map_updateWeather = Spriteset_Map.prototype.updateWeather;
+Spriteset_Map.prototype.updateWeather = function() {
+    _Spriteset_Map_updateWeather.call(this);
+    this._weather._use3D = Weather3D.isActive();
+    Weather3D.update(this);
+};
+
+// 3D 모드에서는 2D 파티클 스프라이트를 만들지 않음 (dimmer는 유지)
+var _Weather_updateAllSprites = Weather.prototype._updateAllSprites;
+Weather.prototype._updateAllSprites = function() {
+    if (this._use3D) {
+        while (this._sprites.length > 0) {
+            this._removeSprite();
+        }
+        return;
+    }
+    _Weather_updateAllSprites.call(this);
+};
+
+// 2D 낙엽: 흔들리며 떨어지는 작은 잎
+var _Weather_createBitmaps = Weather.prototype._createBitmaps;
+Weather.prototype._createBitmaps = function() {
+    _Weather_createBitmaps.call(this);
+    this._leafBitmap = new Bitmap(8, 5);
+    this._leafBitmap.drawCircle(4, 2.5, 2.5, '#c8642a');
+};
+
+var _Weather_updateSprite = Weather.prototype._updateSprite;
+Weather.prototype._updateSprite = function(sprite) {
+    if (this.type === 'leaves') {
+        sprite.bitmap = this._leafBitmap;
+        sprite.rotation += 0.05;
+        sprite.ax += Math.sin(sprite.rotation) * 1.5 - 0.5;
+        sprite.ay += 1.5;
+        sprite.opacity -= 2;
+        if (sprite.opacity < 40) {
+            this._rebornSprite(sprite);
+        }
+        return;
+    }
+    _Weather_updateSprite.call(this, sprite);
+};
+
+//=============================================================================
+// Plugin Commands
+//=============================================================================
+// Weather <none|rain|storm|snow|leaves> [power 1~9] [duration 프레임] [wait]
+// Weather3D on / off   - 3D 파티클 사용 여부 (off면 3D 모드에서도 기본 2D 날씨)
+
+PluginCommandRegistry.register('Weather', {
+    description: '날씨 변경',
+    args: [
+        { name: 'type', type: 'enum', values: ['none', 'rain', 'storm', 'snow', 'leaves'] },
+        { name: 'power', type: 'number', default: 5, min: 0, max: 9 },
+        { name: 'duration', type: 'int', default: 0, min: 0 },
+        { name: 'wait', type: 'enum', values: ['wait'], optional: true }
+    ],
+    run: function(a, interpreter) {
+        $gameScreen.changeWeather(a.type, a.power, a.duration);
+        if (a.wait && a.duration > 0) interpreter.wait(a.duration);
+    }
+});
+
+PluginCommandRegistry.register('Weather3D', {
+    description: '3D 날씨 파티클 사용 여부',
+    subcommands: {
+        on: {
+            description: '3D 모드에서 3D 파티클 사용',
+            run: function() { Weather3D.config.enabled = true; }
+        },
+        off: {
+            description: '3D 모드에서도 기본 2D 날씨 사용',
+            run: function() { Weather3D.config.enabled = false; }
+        }
+    }
+});
+
+})();
@@ -616,8 +616,10 @@
         if (colorMatrix) {
             _ensureColorMatrixPass(rendererObj);
 
-            var w = rendererObj._width;
-            var h = rendererObj._height;
+            // ScreenshotManager 고해상도 캡처 중에는 배율 크기로 렌더
+            var captureScale = rendererObj._captureScale || 1;
+            var w = rendererObj._width * captureScale;
+            var h = rendererObj._height * captureScale;
             var renderer = rendererObj.renderer;
 
             // Create or reuse render target
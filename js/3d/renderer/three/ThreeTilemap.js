@@ -61,6 +61,9 @@ function ThreeTilemapRectLayer() {
     // 그리기 z 레이어 데이터 (setNumber별)
     this._drawZData = {};  // { setNumber: [] }  z layer per rect (0~3)
     this._currentDrawZ = 0;
+    // 타일 높이 데이터 (setNumber별, tileLayerElevation 높이맵)
+    this._elevData = {};   // { setNumber: [] }  [높이px, 경사 방향, 타일 원점 x, y, 타일 크기] | null per rect
+    this._currentElevation = null;
 }
 
 Object.defineProperties(ThreeTilemapRectLayer.prototype, {
@@ -114,6 +117,9 @@ ThreeTilemapRectLayer.prototype.clear = function() {
     for (var key in this._drawZData) {
         this._drawZData[key].length = 0;
     }
+    for (var key in this._elevData) {
+        this._elevData[key].length = 0;
+    }
     this._needsRebuild = true;
 };
 
@@ -140,6 +146,7 @@ ThreeTilemapRectLayer.prototype.addRect = function(setNumber, u, v, x, y, w, h,
         this._animData[setNumber] = [];
         this._kindData[setNumber] = [];
         this._drawZData[setNumber] = [];
+        this._elevData[setNumber] = [];
     }
 
     var data = this._rectData[setNumber];
@@ -194,11 +201,31 @@ ThreeTilemapRectLayer.prototype.addRect = function(setNumber, u, v, x, y, w, h,
     this._kindData[setNumber].push(a1Kind != null ? a1Kind : -1);
     // 그리기 z 레이어 (0~3, _paintTiles에서 설정)
     this._drawZData[setNumber].push(this._currentDrawZ || 0);
+    // 타일 높이 (_paintTiles에서 설정)
+    this._elevData[setNumber].push(this._currentElevation || null);
 
     data.count++;
     this._needsRebuild = true;
 };
 
+/**
+ * 타일 높이 → 버텍스 z 오프셋 (픽셀). 경사 타일은 올라가는 방향으로 타일 크기만큼 상승
+ * @param {Array|null} elev - [높이px, 경사 방향(2/4/6/8), 타일 원점 x, y, 타일 크기]
+ * @param {Number} vx - 버텍스 x (레이어 좌표)
+ * @param {Number} vy - 버텍스 y (레이어 좌표)
+ */
+ThreeTilemapRectLayer._elevationZ = function(elev, vx, vy) {
+    if (!elev) return 0;
+    var size = elev[4];
+    switch (elev[1]) {
+        case 2: return elev[0] + (vy - elev[3]);
+        case 8: return elev[0] + (elev[3] + size - vy);
+        case 4: return elev[0] + (elev[2] + size - vx);
+        case 6: return elev[0] + (vx - elev[2]);
+        default: return elev[0];
+    }
+};
+
 /**
  * 축적된 쿼드 데이터로 Three.js 메시 빌드
  */
@@ -345,6 +372,7 @@ ThreeTilemapRectLayer.prototype._buildNormalMesh = function(setNumber, data, ani
     // 물 rect를 제외한 일반 rect만 수집 (enabled=false인 kind는 일반으로 포함)
     // filterDrawZ가 지정되면 해당 drawZ만 포함
     var drawZArr = this._drawZData[origSetNumber] || [];
+    var elevArr = this._elevData[origSetNumber] || [];
     var normalIndices = [];
     if (hasWater) {
         var kindArr = this._kindData[origSetNumber] || [];
@@ -391,11 +419,13 @@ ThreeTilemapRectLayer.prototype._buildNormalMesh = function(setNumber, data, ani
         var _is3DZ = typeof ConfigManager !== 'undefined' && ConfigManager.mode3d;
         var _drawZStep = (window.DepthDebugConfig && window.DepthDebugConfig.drawZStep) || -0.001;
         var zOffset = (_is3DZ || elevationEnabled) ? drawZ * _drawZStep : 0;
+        var elev = _is3DZ ? elevArr[i] : null;
 
         for (var j = 0; j < 6; j++) {
             posArray[posOff + j * 3]     = data.positions[srcOff + j * 2];
             posArray[posOff + j * 3 + 1] = data.positions[srcOff + j * 2 + 1];
-            posArray[posOff + j * 3 + 2] = zOffset;
+            posArray[posOff + j * 3 + 2] = zOffset + ThreeTilemapRectLayer._elevationZ(elev,
+                data.positions[srcOff + j * 2], data.positions[srcOff + j * 2 + 1]);
 
             normalArray[posOff + j * 3]     = 0;
             normalArray[posOff + j * 3 + 1] = 0;
@@ -644,10 +674,12 @@ ThreeTilemapRectLayer.prototype._buildWaterTypeMesh = function(setNumber, meshKe
         var _is3DZ = typeof ConfigManager !== 'undefined' && ConfigManager.mode3d;
         var _drawZStep = (window.DepthDebugConfig && window.DepthDebugConfig.drawZStep) || -0.001;
         var zOffset = (_is3DZ || elevationEnabled) ? drawZ * _drawZStep : 0;
+        var elev = _is3DZ ? (this._elevData[setNumber] || [])[i] : null;
         for (var j = 0; j < 6; j++) {
             posArray[posOff + j * 3]     = data.positions[srcOff + j * 2];
             posArray[posOff + j * 3 + 1] = data.positions[srcOff + j * 2 + 1];
-            posArray[posOff + j * 3 + 2] = zOffset;
+            posArray[posOff + j * 3 + 2] = zOffset + ThreeTilemapRectLayer._elevationZ(elev,
+                data.positions[srcOff + j * 2], data.positions[srcOff + j * 2 + 1]);
 
             normalArray[posOff + j * 3]     = 0;
             normalArray[posOff + j * 3 + 1] = 0;
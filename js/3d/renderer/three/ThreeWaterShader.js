@@ -4,6 +4,7 @@
 // 물 타일(A1)에 물결 UV 왜곡, 투명도, fragment-only specular 반사 적용.
 // ShadowLight 활성 시 onBeforeCompile로 Phong 셰이더에 주입,
 // 비활성 시 standalone ShaderMaterial 사용.
+// Mode3D에서는 수면 평면 반사(캐릭터/맵 오브젝트/하늘)를 합성한다.
 //=============================================================================
 
 var ThreeWaterShader = {};
@@ -14,6 +15,8 @@ ThreeWaterShader._time = 0;
 ThreeWaterShader._hasWaterMesh = false;
 // kind별 셰이더 설정 (에디터 인스펙터에서 설정)
 ThreeWaterShader._kindSettings = {};
+// 현재 tilemap의 물 메시 목록 (updateAllWaterMeshes에서 매 프레임 수집)
+ThreeWaterShader._waterMeshes = [];
 
 /**
  * kind별 셰이더 설정 저장
@@ -60,6 +63,8 @@ ThreeWaterShader.getUniformsForKind = function(kind) {
             uSpecularStrength: s.specularStrength,
             uEmissive: s.emissive || 0,
             uEmissiveColor: this._hexToVec3(s.emissiveColor || '#ffffff'),
+            uReflectionStrength: s.reflectionStrength,
+            uReflectionDistortion: s.reflectionDistortion,
         };
     }
     return null;
@@ -114,6 +119,26 @@ ThreeWaterShader._WAVE_NORMAL_GLSL = [
     '}',
 ].join('\n');
 
+//-----------------------------------------------------------------------------
+// 공통 GLSL: 평면 반사 합성
+// vReflCoord = 반사 카메라 기준 투영 좌표, 물결 법선 xy로 반사 UV를 흔든다
+//-----------------------------------------------------------------------------
+
+ThreeWaterShader._REFLECTION_GLSL = [
+    'uniform sampler2D uReflectionMap;',
+    'uniform float uReflectionActive;',
+    'uniform float uReflectionStrength;',
+    'uniform float uReflectionDistortion;',
+    'varying vec4 vReflCoord;',
+    '',
+    'vec3 applyWaterReflection(vec3 color, vec3 waveN, float fade) {',
+    '    if (uReflectionActive < 0.5 || uReflectionStrength <= 0.0) return color;',
+    '    vec2 reflUV = vReflCoord.xy / vReflCoord.w + waveN.xy * 0.1 * uReflectionDistortion;',
+    '    vec4 refl = texture2D(uReflectionMap, clamp(reflUV, 0.0, 1.0));',
+    '    return mix(color, refl.rgb, refl.a * uReflectionStrength * fade);',
+    '}',
+].join('\n');
+
 //-----------------------------------------------------------------------------
 // GLSL 코드 조각 (onBeforeCompile용 - Phong material에 주입)
 //-----------------------------------------------------------------------------
@@ -121,6 +146,8 @@ ThreeWaterShader._WAVE_NORMAL_GLSL = [
 ThreeWaterShader.VERTEX_PARS = [
     'attribute vec4 aUvBounds;',
     'uniform float uTime;',
+    'uniform mat4 uReflectionMatrix;',
+    'varying vec4 vReflCoord;',
     'varying vec2 vWorldPos;',
     'varying mat3 vNormalMat;',
     'varying vec4 vUvBounds;',
@@ -129,6 +156,7 @@ ThreeWaterShader.VERTEX_PARS = [
 ThreeWaterShader.VERTEX_MAIN = [
     'vec4 worldPos4 = modelMatrix * vec4(transformed, 1.0);',
     'vWorldPos = worldPos4.xy;',
+    'vReflCoord = uReflectionMatrix * worldPos4;',
     'vNormalMat = normalMatrix;',
     'vUvBounds = aUvBounds;',
 ].join('\n');
@@ -146,6 +174,8 @@ ThreeWaterShader.FRAGMENT_PARS = [
     'varying mat3 vNormalMat;',
     'varying vec4 vUvBounds;',
     '',
+    ThreeWaterShader._REFLECTION_GLSL,
+    '',
     'vec2 waterWaveUV(vec2 uv, vec2 worldPos, float time) {',
     '    float waveX = sin(worldPos.y * uWaveFrequency + time * uWaveSpeed) * uWaveAmplitude;',
     '    float waveY = cos(worldPos.x * uWaveFrequency * 0.8 + time * uWaveSpeed * 0.7) * uWaveAmplitude * 0.6;',
@@ -190,6 +220,7 @@ ThreeWaterShader.SPECULAR_INJECT = [
     '        vec3 waveN = computeWaveNormal(vWorldPos, uTime, uWaveFrequency, uWaveSpeed);',
     '        vec3 flatN = vec3(0.0, 0.0, 1.0);',
     '        vec3 blendedN = normalize(mix(flatN, waveN, shoreFade));',
+    '        gl_FragColor.rgb = applyWaterReflection(gl_FragColor.rgb, blendedN, shoreFade);',
     '        vec3 specN = normalize(vNormalMat * blendedN);',
     '        vec3 viewDir = normalize(vViewPosition);',
     '',
@@ -247,13 +278,16 @@ ThreeWaterShader._STANDALONE_VERTEX = [
     'varying vec2 vWorldPos;',
     'varying vec3 vViewDir;',
     'varying vec4 vUvBounds;',
+    'varying vec4 vReflCoord;',
     'uniform float uTime;',
+    'uniform mat4 uReflectionMatrix;',
     '',
     'void main() {',
     '    vUv = uv;',
     '    vUvBounds = aUvBounds;',
     '    vec4 worldPos4 = modelMatrix * vec4(position, 1.0);',
     '    vWorldPos = worldPos4.xy;',
+    '    vReflCoord = uReflectionMatrix * worldPos4;',
     '    vec4 mvPos = modelViewMatrix * vec4(position, 1.0);',
     '    vViewDir = normalize(-mvPos.xyz);',
     '    gl_Position = projectionMatrix * mvPos;',
@@ -286,6 +320,8 @@ ThreeWaterShader._STANDALONE_FRAGMENT_WATER = [
     '',
     ThreeWaterShader._WAVE_NORMAL_GLSL,
     '',
+    ThreeWaterShader._REFLECTION_GLSL,
+    '',
     'void main() {',
     '    // 주변 텍셀 alpha 최솟값으로 해변 경계 감지 → wave 왜곡 감쇠',
     '    vec2 texSize = vec2(textureSize(map, 0));',
@@ -309,6 +345,7 @@ ThreeWaterShader._STANDALONE_FRAGMENT_WATER = [
     '    vec3 waveN = computeWaveNormal(vWorldPos, uTime, uWaveFrequency, uWaveSpeed);',
     '    vec3 flatN = vec3(0.0, 0.0, 1.0);',
     '    vec3 N = normalize(mix(flatN, waveN, shoreFade));',
+    '    color.rgb = applyWaterReflection(color.rgb, N, shoreFade);',
     '    vec3 L = normalize(uLightDir);',
     '    vec3 V = normalize(vViewDir);',
     '    vec3 H = normalize(L + V);',
@@ -385,6 +422,8 @@ ThreeWaterShader.DEFAULT_UNIFORMS = {
     uLightDir:          [0.0, 0.0, 1.0],
     uEmissive:          0.0,
     uEmissiveColor:     [1.0, 1.0, 1.0],
+    uReflectionStrength:   0.35,
+    uReflectionDistortion: 1.0,
 };
 
 //-----------------------------------------------------------------------------
@@ -423,6 +462,11 @@ ThreeWaterShader.createStandaloneMaterial = function(texture, isWaterfall, kindS
                 ks.uEmissiveColor ? ks.uEmissiveColor[1] : d.uEmissiveColor[1],
                 ks.uEmissiveColor ? ks.uEmissiveColor[2] : d.uEmissiveColor[2]
             ) },
+            uReflectionStrength:   { value: ks.uReflectionStrength != null ? ks.uReflectionStrength : d.uReflectionStrength },
+            uReflectionDistortion: { value: ks.uReflectionDistortion != null ? ks.uReflectionDistortion : d.uReflectionDistortion },
+            uReflectionMap:        this.reflectionUniforms.uReflectionMap,
+            uReflectionMatrix:     this.reflectionUniforms.uReflectionMatrix,
+            uReflectionActive:     this.reflectionUniforms.uReflectionActive,
         },
         vertexShader: this._STANDALONE_VERTEX,
         fragmentShader: fragShader,
@@ -458,6 +502,11 @@ ThreeWaterShader.applyToPhongMaterial = function(material, isWaterfall, kindSett
             ks.uEmissiveColor ? ks.uEmissiveColor[1] : d.uEmissiveColor[1],
             ks.uEmissiveColor ? ks.uEmissiveColor[2] : d.uEmissiveColor[2]
         ) },
+        uReflectionStrength:   { value: ks.uReflectionStrength != null ? ks.uReflectionStrength : d.uReflectionStrength },
+        uReflectionDistortion: { value: ks.uReflectionDistortion != null ? ks.uReflectionDistortion : d.uReflectionDistortion },
+        uReflectionMap:        this.reflectionUniforms.uReflectionMap,
+        uReflectionMatrix:     this.reflectionUniforms.uReflectionMatrix,
+        uReflectionActive:     this.reflectionUniforms.uReflectionActive,
     };
 
     material.onBeforeCompile = function(shader) {
@@ -511,6 +560,9 @@ ThreeWaterShader.updateTime = function(mesh, time) {
 ThreeWaterShader.updateAllWaterMeshes = function(tilemap, time) {
     if (!tilemap) return;
     this._hasWaterMesh = false;
+    this._waterMeshes.length = 0;
+    // 반사 패스(renderReflection)가 이번 프레임에 다시 켠다. 2D 모드에서는 꺼진 채 유지
+    this.reflectionUniforms.uReflectionActive.value = 0;
     // ShaderTilemap → ZLayer(children) → CompositeLayer(children) → RectLayer(children)
     var zLayers = tilemap.children || [];
     for (var zi = 0; zi < zLayers.length; zi++) {
@@ -525,6 +577,7 @@ ThreeWaterShader.updateAllWaterMeshes = function(tilemap, time) {
                     if (mesh && mesh.userData && mesh.userData.isWaterMesh) {
                         this.updateTime(mesh, time);
                         this._hasWaterMesh = true;
+                        this._waterMeshes.push(mesh);
                         // kind별 설정 실시간 동기화
                         if (mesh.userData.a1Kinds && mesh.userData.a1Kinds.length > 0) {
                             this._syncKindUniforms(mesh);
@@ -556,6 +609,7 @@ ThreeWaterShader._syncKindUniforms = function(mesh) {
         if (u.uSpecularStrength) u.uSpecularStrength.value = ks.uSpecularStrength;
         if (u.uEmissive) u.uEmissive.value = ks.uEmissive;
         if (u.uEmissiveColor) u.uEmissiveColor.value.set(ks.uEmissiveColor[0], ks.uEmissiveColor[1], ks.uEmissiveColor[2]);
+        this._syncReflectionUniforms(u, ks);
     } else if (mesh.material.userData && mesh.material.userData.waterUniforms) {
         var wu = mesh.material.userData.waterUniforms;
         if (wu.uWaveAmplitude) wu.uWaveAmplitude.value = ks.uWaveAmplitude;
@@ -565,6 +619,18 @@ ThreeWaterShader._syncKindUniforms = function(mesh) {
         if (wu.uSpecularStrength) wu.uSpecularStrength.value = ks.uSpecularStrength;
         if (wu.uEmissive) wu.uEmissive.value = ks.uEmissive;
         if (wu.uEmissiveColor) wu.uEmissiveColor.value.set(ks.uEmissiveColor[0], ks.uEmissiveColor[1], ks.uEmissiveColor[2]);
+        this._syncReflectionUniforms(wu, ks);
+    }
+};
+
+// 반사 설정은 예전 animTileSettings에 없을 수 있으므로 값이 있을 때만 반영
+ThreeWaterShader._syncReflectionUniforms = function(u, ks) {
+    var d = this.DEFAULT_UNIFORMS;
+    if (u.uReflectionStrength) {
+        u.uReflectionStrength.value = ks.uReflectionStrength != null ? ks.uReflectionStrength : d.uReflectionStrength;
+    }
+    if (u.uReflectionDistortion) {
+        u.uReflectionDistortion.value = ks.uReflectionDistortion != null ? ks.uReflectionDistortion : d.uReflectionDistortion;
     }
 };
 
@@ -625,4 +691,232 @@ ThreeWaterShader.isWaterfallRect = function(animX, animY) {
     return (animY > 0);
 };
 
+//-----------------------------------------------------------------------------
+// 평면 반사 (Mode3D 전용)
+//-----------------------------------------------------------------------------
+// 수면(z)을 기준으로 카메라를 뒤집은 가상 카메라로 맵을 저해상도 렌더 타겟에 그리고,
+// 물 셰이더가 월드 좌표를 그 카메라로 투영해 샘플링한다 (three.js Reflector와 같은 방식).
+// 빌보드 스프라이트는 반사 패스 동안 똑바로 세워 거꾸로 선 모습이 비치게 한다.
+// kind별 animTileSettings: reflectionStrength (0이면 반사 없음), reflectionDistortion (물결 법선이 반사를 흔드는 정도)
+// ConfigManager.waterReflection 또는 $dataMap.waterReflection === false이면 패스 자체를 건너뛴다.
+
+ThreeWaterShader.REFLECTION_SCALE = 0.5;        // 화면 대비 반사 렌더 타겟 해상도
+ThreeWaterShader.REFLECTION_CLIP_OFFSET = 1;    // 수면보다 이만큼(px) 위부터 반사 (바닥 타일 제외)
+
+// 모든 물 재질이 공유하는 uniform (값만 갱신)
+ThreeWaterShader.reflectionUniforms = {
+    uReflectionMap:    { value: null },
+    uReflectionMatrix: { value: new THREE.Matrix4() },
+    uReflectionActive: { value: 0.0 },
+};
+
+ThreeWaterShader._reflectionTarget = null;
+ThreeWaterShader._reflectionCamera = null;
+
+// 반사 패스 계산용 임시 객체 (매 프레임 할당하지 않도록 재사용)
+ThreeWaterShader._tmp = {
+    camPos: new THREE.Vector3(),
+    normal: new THREE.Vector3(0, 0, 1),
+    planePoint: new THREE.Vector3(),
+    rotation: new THREE.Matrix4(),
+    view: new THREE.Vector3(),
+    lookAt: new THREE.Vector3(),
+    target: new THREE.Vector3(),
+    clipPoint: new THREE.Vector3(),
+    plane: new THREE.Plane(),
+    clip: new THREE.Vector4(),
+    q: new THREE.Vector4(),
+    skyDir: new THREE.Vector3(),
+    planePos: new THREE.Vector3(),
+    size: new THREE.Vector2(),
+    clearColor: new THREE.Color(),
+    hidden: []
+};
+
+ThreeWaterShader.isReflectionEnabled = function() {
+    if (typeof ConfigManager !== 'undefined' && ConfigManager.waterReflection === false) return false;
+    if (typeof $dataMap !== 'undefined' && $dataMap && $dataMap.waterReflection === false) return false;
+    return true;
+};
+
+ThreeWaterShader._meshUniforms = function(mesh) {
+    if (mesh.material.isShaderMaterial) return mesh.material.uniforms;
+    return mesh.material.userData && mesh.material.userData.waterUniforms;
+};
+
+// 반사를 그릴 물 메시 (폭포 제외, 반사 강도 > 0) 중 첫 번째 - 수면 높이 기준
+ThreeWaterShader._findReflectiveMesh = function() {
+    for (var i = 0; i < this._waterMeshes.length; i++) {
+        var mesh = this._waterMeshes[i];
+        if (!mesh.visible || mesh.userData.isWaterfall) continue;
+        var u = this._meshUniforms(mesh);
+        if (u && u.uReflectionStrength && u.uReflectionStrength.value > 0) return mesh;
+    }
+    return null;
+};
+
+ThreeWaterShader.disposeReflection = function() {
+    if (this._reflectionTarget) {
+        this._reflectionTarget.dispose();
+        this._reflectionTarget = null;
+    }
+    this.reflectionUniforms.uReflectionMap.value = null;
+    this.reflectionUniforms.uReflectionActive.value = 0;
+};
+
+ThreeWaterShader._ensureReflectionTarget = function(renderer) {
+    var size = renderer.getDrawingBufferSize(this._tmp.size);
+    var w = Math.max(1, Math.floor(size.x * this.REFLECTION_SCALE));
+    var h = Math.max(1, Math.floor(size.y * this.REFLECTION_SCALE));
+    if (!this._reflectionTarget) {
+        this._reflectionTarget = new THREE.WebGLRenderTarget(w, h);
+    } else if (this._reflectionTarget.width !== w || this._reflectionTarget.height !== h) {
+        this._reflectionTarget.setSize(w, h);
+    }
+    return this._reflectionTarget;
+};
+
+/**
+ * 수면 z에 대해 반전된 반사 카메라 갱신 + 텍스처 투영 행렬 계산.
+ * 카메라가 수면 아래면 null.
+ */
+ThreeWaterShader._updateReflectionCamera = function(camera, planeZ) {
+    var tmp = this._tmp;
+    camera.updateMatrixWorld();
+    var camPos = tmp.camPos.setFromMatrixPosition(camera.matrixWorld);
+    if (camPos.z <= planeZ) return null;
+
+    if (!this._reflectionCamera) this._reflectionCamera = new THREE.PerspectiveCamera();
+    var mirror = this._reflectionCamera;
+    var normal = tmp.normal;
+    var planePoint = tmp.planePoint.set(0, 0, planeZ);
+    var rotation = tmp.rotation.extractRotation(camera.matrixWorld);
+
+    // 위치: 수면에 대해 대칭
+    var view = tmp.view.subVectors(planePoint, camPos).reflect(normal).negate().add(planePoint);
+    // 시선 목표점도 대칭
+    var lookAt = tmp.lookAt.set(0, 0, -1).applyMatrix4(rotation).add(camPos);
+    var target = tmp.target.subVectors(planePoint, lookAt).reflect(normal).negate().add(planePoint);
+
+    mirror.position.copy(view);
+    mirror.up.set(0, 1, 0).applyMatrix4(rotation).reflect(normal);
+    mirror.lookAt(target);
+    mirror.near = camera.near;
+    mirror.far = camera.far;
+    mirror.updateMatrixWorld();
+    mirror.projectionMatrix.copy(camera.projectionMatrix);
+
+    // 월드 좌표 → 반사 텍스처 UV (0~1)
+    var texMatrix = this.reflectionUniforms.uReflectionMatrix.value;
+    texMatrix.set(
+        0.5, 0.0, 0.0, 0.5,
+        0.0, 0.5, 0.0, 0.5,
+        0.0, 0.0, 0.5, 0.5,
+        0.0, 0.0, 0.0, 1.0
+    );
+    texMatrix.multiply(mirror.projectionMatrix);
+    texMatrix.multiply(mirror.matrixWorldInverse);
+
+    // oblique near plane: 수면(+오프셋) 아래를 잘라낸다
+    var clipPoint = tmp.clipPoint.set(0, 0, planeZ + this.REFLECTION_CLIP_OFFSET);
+    var plane = tmp.plane.setFromNormalAndCoplanarPoint(normal, clipPoint);
+    plane.applyMatrix4(mirror.matrixWorldInverse);
+    var clip = tmp.clip.set(plane.normal.x, plane.normal.y, plane.normal.z, plane.constant);
+    var e = mirror.projectionMatrix.elements;
+    // Mode3D 투영은 Y-down 대응으로 m[5]가 음수이므로 모서리 부호에 축 부호를 곱한다
+    var q = tmp.q.set(
+        (Math.sign(clip.x) * Math.sign(e[0]) + e[8]) / e[0],
+        (Math.sign(clip.y) * Math.sign(e[5]) + e[9]) / e[5],
+        -1.0,
+        (1.0 + e[10]) / e[14]
+    );
+    clip.multiplyScalar(2.0 / clip.dot(q));
+    e[2] = clip.x;
+    e[6] = clip.y;
+    e[10] = clip.z + 1.0;
+    e[14] = clip.w;
+    mirror.projectionMatrixInverse.copy(mirror.projectionMatrix).invert();
+    return mirror;
+};
+
+// sky mesh를 주어진 카메라 기준으로 배치 (Mode3D Pass 0과 동일 규칙)
+ThreeWaterShader._placeSky = function(skyMesh, cam) {
+    if (skyMesh._isSkyMeshSphere) {
+        skyMesh.position.copy(cam.position);
+    } else {
+        var skyDir = this._tmp.skyDir.set(0, 0, -1).applyQuaternion(cam.quaternion);
+        skyMesh.position.copy(cam.position).addScaledVector(skyDir, cam.far * 0.8);
+        skyMesh.quaternion.copy(cam.quaternion);
+    }
+};
+
+/**
+ * 반사 렌더 타겟 갱신. Mode3D Pass 1 직전(맵 외 오브젝트를 숨긴 상태)에 호출한다.
+ * @param {THREE.WebGLRenderer} renderer
+ * @param {THREE.Scene} scene
+ * @param {THREE.PerspectiveCamera} camera - 메인 원근 카메라
+ * @param {THREE.Mesh|null} skyMesh - parallax sky (숨겨진 상태)
+ * @param {THREE.Object3D|null} stageObj - sky 렌더 시 숨길 stage
+ */
+ThreeWaterShader.renderReflection = function(renderer, scene, camera, skyMesh, stageObj) {
+    var ru = this.reflectionUniforms;
+    ru.uReflectionActive.value = 0;
+    if (!this.isReflectionEnabled()) {
+        if (this._reflectionTarget) this.disposeReflection();
+        return;
+    }
+    var planeMesh = camera ? this._findReflectiveMesh() : null;
+    if (!planeMesh) return;
+
+    var planeZ = this._tmp.planePos.setFromMatrixPosition(planeMesh.matrixWorld).z;
+    var mirror = this._updateReflectionCamera(camera, planeZ);
+    if (!mirror) return;
+
+    var rt = this._ensureReflectionTarget(renderer);
+    var prevTarget = renderer.getRenderTarget();
+    var prevAutoClear = renderer.autoClear;
+    var prevShadowUpdate = renderer.shadowMap.needsUpdate;
+    var prevClearColor = renderer.getClearColor(this._tmp.clearColor);
+    var prevClearAlpha = renderer.getClearAlpha();
+
+    // 물 메시(자기 자신 샘플링 방지)와 FOW는 반사에서 제외
+    var hidden = this._tmp.hidden;
+    var i;
+    hidden.length = 0;
+    for (i = 0; i < this._waterMeshes.length; i++) {
+        if (this._waterMeshes[i].visible) hidden.push(this._waterMeshes[i]);
+    }
+    for (i = 0; i < scene.children.length; i++) {
+        if (scene.children[i]._isFogOfWar && scene.children[i].visible) hidden.push(scene.children[i]);
+    }
+    for (i = 0; i < hidden.length; i++) hidden[i].visible = false;
+    if (window.Mode3D) Mode3D._applyBillboards(Math.PI / 2);
+
+    // shadow map은 Pass 1에서 갱신되도록 플래그를 소비하지 않는다
+    renderer.shadowMap.needsUpdate = false;
+    renderer.setRenderTarget(rt);
+    renderer.setClearColor(0x000000, 0);
+    renderer.autoClear = false;
+    renderer.clear();
+    if (skyMesh) {
+        this._placeSky(skyMesh, mirror);
+        if (stageObj) stageObj.visible = false;
+        skyMesh.visible = true;
+        renderer.render(scene, mirror);
+        skyMesh.visible = false;
+        if (stageObj) stageObj.visible = true;
+    }
+    renderer.render(scene, mirror);
+
+    renderer.setRenderTarget(prevTarget);
+    renderer.setClearColor(prevClearColor, prevClearAlpha);
+    renderer.autoClear = prevAutoClear;
+    renderer.shadowMap.needsUpdate = prevShadowUpdate;
+    for (i = 0; i < hidden.length; i++) hidden[i].visible = true;
+    if (window.Mode3D) Mode3D._applyBillboards();
+
+    ru.uReflectionMap.value = rt.texture;
+    ru.uReflectionActive.value = 1;
+};
+
 window.ThreeWaterShader = ThreeWaterShader;
@@ -4552,6 +4552,15 @@ Tilemap.prototype.initialize = function() {
      */
     this.verticalWrap = false;
 
+    /**
+     * Returns [height, rampDirection] of a map tile in tiles (tileLayerElevation).
+     * The 3D tilemap raises each tile by this height.
+     *
+     * @property tileElevation
+     * @type Function
+     */
+    this.tileElevation = null;
+
     this._createLayers();
     this.refresh();
 };
@@ -5670,6 +5679,13 @@ ShaderTilemap.prototype._paintTiles = function(startX, startY, x, y) {
     var lowerLayer = this.lowerLayer.children[0];
     var upperLayer = this.upperLayer.children[0];
 
+    // 타일 높이: [높이(px), 경사 방향, 타일 원점 x, y, 타일 크기]
+    var elevation = this.tileElevation ? this.tileElevation(mx, my) : null;
+    var elevationData = (elevation && (elevation[0] || elevation[1])) ?
+        [elevation[0] * this._tileHeight, elevation[1], dx, dy, this._tileHeight] : null;
+    lowerLayer._currentElevation = elevationData;
+    upperLayer._currentElevation = elevationData;
+
     lowerLayer._currentDrawZ = 0;
     upperLayer._currentDrawZ = 0;
     if (this._isHigherTile(tileId0)) {
@@ -7912,6 +7928,8 @@ WebAudio.prototype.clear = function() {
     this._volume = 1;
     this._pitch = 1;
     this._pan = 0;
+    this._spatial = null;
+    this._destination = null;
     this._endTimer = null;
     this._loadListeners = [];
     this._stopListeners = [];
@@ -7989,6 +8007,48 @@ Object.defineProperty(WebAudio.prototype, 'pan', {
     configurable: true
 });
 
+/**
+ * The position of the audio relative to the listener, or null for the
+ * normal stereo pan. The listener faces -z with +x to the right.
+ * { x, y, z, refDistance, maxDistance, rolloffFactor }
+ *
+ * @property spatial
+ * @type Object
+ */
+Object.defineProperty(WebAudio.prototype, 'spatial', {
+    get: function() {
+        return this._spatial;
+    },
+    set: function(value) {
+        this._spatial = value;
+        this._updatePanner();
+    },
+    configurable: true
+});
+
+/**
+ * The node the audio is connected to, or null for the master gain node.
+ * Used to route the audio through a shared bus (e.g. a zone filter).
+ *
+ * @property destination
+ * @type AudioNode
+ */
+Object.defineProperty(WebAudio.prototype, 'destination', {
+    get: function() {
+        return this._destination;
+    },
+    set: function(value) {
+        if (this._destination !== value) {
+            this._destination = value;
+            if (this._pannerNode) {
+                this._pannerNode.disconnect();
+                this._pannerNode.connect(this._outputNode());
+            }
+        }
+    },
+    configurable: true
+});
+
 /**
  * Checks whether the audio data is ready to play.
  *
@@ -8224,7 +8284,16 @@ WebAudio.prototype._createNodes = function() {
 WebAudio.prototype._connectNodes = function() {
     this._sourceNode.connect(this._gainNode);
     this._gainNode.connect(this._pannerNode);
-    this._pannerNode.connect(WebAudio._masterGainNode);
+    this._pannerNode.connect(this._outputNode());
+};
+
+/**
+ * @method _outputNode
+ * @return {AudioNode}
+ * @private
+ */
+WebAudio.prototype._outputNode = function() {
+    return this._destination || WebAudio._masterGainNode;
 };
 
 /**
@@ -8271,9 +8340,18 @@ WebAudio.prototype._removeEndTimer = function() {
  */
 WebAudio.prototype._updatePanner = function() {
     if (this._pannerNode) {
-        var x = this._pan;
-        var z = 1 - Math.abs(x);
-        this._pannerNode.setPosition(x, 0, z);
+        var spatial = this._spatial;
+        if (spatial) {
+            this._pannerNode.distanceModel = 'linear';
+            this._pannerNode.refDistance = spatial.refDistance || 1;
+            this._pannerNode.maxDistance = Math.max(spatial.maxDistance || 10000, this._pannerNode.refDistance + 0.001);
+            this._pannerNode.rolloffFactor = spatial.rolloffFactor != null ? spatial.rolloffFactor : 1;
+            this._pannerNode.setPosition(spatial.x || 0, spatial.y || 0, spatial.z || 0);
+        } else {
+            var x = this._pan;
+            var z = 1 - Math.abs(x);
+            this._pannerNode.setPosition(x, 0, z);
+        }
     }
 };
 
@@ -26,6 +26,7 @@ var $dataCommonEvents = null;
 var $dataSystem       = null;
 var $dataMapInfos     = null;
 var $dataMap          = null;
+var $dataProjectExt   = null;
 var $gameTemp         = null;
 var $gameSystem       = null;
 var $gameScreen       = null;
@@ -73,6 +74,28 @@ DataManager.loadDatabase = function() {
     if (this.isEventTest()) {
         this.loadDataFile('$testEvent', prefix + 'Event.json');
     }
+    this._loadProjectExtFile();
+};
+
+// project_ext.json: 프로젝트 전역 확장 데이터 (포스트 프로세스 프리셋 등). 없으면 빈 객체.
+DataManager._loadProjectExtFile = function() {
+    var xhr = new XMLHttpRequest();
+    xhr.open('GET', 'data/project_ext.json');
+    xhr.overrideMimeType('application/json');
+    xhr.onload = function() {
+        var extData = null;
+        if (xhr.status < 400) {
+            try {
+                extData = JSON.parse(xhr.responseText);
+            } catch (e) {}
+        }
+        $dataProjectExt = extData || {};
+    };
+    xhr.onerror = function() {
+        $dataProjectExt = {};
+    };
+    $dataProjectExt = null;
+    xhr.send();
 };
 
 DataManager.loadDataFile = function(name, src) {
@@ -100,7 +123,7 @@ DataManager.isDatabaseLoaded = function() {
             return false;
         }
     }
-    return true;
+    return !!$dataProjectExt;
 };
 
 DataManager.loadMapData = function(mapId) {
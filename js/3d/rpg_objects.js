@@ -5427,6 +5427,11 @@ Game_Map.prototype.initialize = function() {
     this._parallaxY = 0;
     this._battleback1Name = null;
     this._battleback2Name = null;
+    this._cameraZoneChanges = {};
+    this._cameraZoneVersion = 0;
+    this._mapObjectStates = {};
+    this._elevationChanges = {};
+    this._elevationVersion = 0;
     this.createVehicles();
 };
 
@@ -5975,6 +5980,9 @@ Game_Map.prototype.autotileType = function(x, y, z) {
 };
 
 Game_Map.prototype.isPassable = function(x, y, d) {
+    // 맵 오브젝트: 막는 셀은 통행불가, walkable 오브젝트(다리 등) 위는 타일과 무관하게 통행 가능
+    var objectPassage = this.mapObjectPassage(x, y);
+    if (objectPassage !== null) return objectPassage;
     if (!this.checkPassage(x, y, (1 << (d / 2 - 1)) & 0x0f)) return false;
     // customPassage: 맵 단위 커스텀 통행불가
     var cp = $dataMap.customPassage;
@@ -5985,21 +5993,6 @@ Game_Map.prototype.isPassable = function(x, y, d) {
             if (cpVal & bit) return false;
         }
     }
-    var objects = $dataMap.objects;
-    if (objects) {
-        for (var i = 0; i < objects.length; i++) {
-            var obj = objects[i];
-            if (!obj || !obj.passability) continue;
-            if (obj.visible === false) continue;
-            var col = x - obj.x;
-            var row = y - (obj.y - obj.height + 1);
-            if (col >= 0 && col < obj.width && row >= 0 && row < obj.height) {
-                if (obj.passability[row] && obj.passability[row][col] === false) {
-                    return false;
-                }
-            }
-        }
-    }
     return true;
 };
 
@@ -6072,6 +6065,7 @@ Game_Map.prototype.update = function(sceneActive) {
         this.updateInterpreter();
     }
     this.updateScroll();
+    this.updateMapObjects();
     this.updateEvents();
     this.updateVehicles();
     this.updateParallax();
@@ -6138,8 +6132,126 @@ Game_Map.prototype.updateParallax = function() {
 
 // === Camera Zone ===
 
+// 런타임 변경 사항 (맵별): { mapId: { overrides: { zoneId: {...} }, added: [zone] } }
+// $dataMap.cameraZones는 건드리지 않고 Game_Map에 보관 → 세이브 파일에 포함된다.
+Game_Map.prototype._cameraZoneChangesFor = function(mapId) {
+    if (!this._cameraZoneChanges) this._cameraZoneChanges = {};
+    var id = mapId != null ? mapId : this._mapId;
+    if (!this._cameraZoneChanges[id]) {
+        this._cameraZoneChanges[id] = { overrides: {}, added: [] };
+    }
+    return this._cameraZoneChanges[id];
+};
+
+// 정적 존($dataMap) + 오버라이드 + 런타임 추가 존을 합친 목록
+// 결과는 $dataMap에 캐시 (변경 시 _cameraZoneVersion 증가로 무효화)
+Game_Map.prototype.cameraZones = function() {
+    if (!$dataMap) return [];
+    var version = this._cameraZoneVersion || 0;
+    var changes = this._cameraZoneChanges && this._cameraZoneChanges[this._mapId];
+    var cache = $dataMap._cameraZoneCache;
+    if (cache && cache.version === version && cache.mapId === this._mapId &&
+            cache.changes === changes) {
+        return cache.list;
+    }
+
+    var base = $dataMap.cameraZones || [];
+    var list = [];
+    for (var i = 0; i < base.length; i++) {
+        var ov = changes && changes.overrides[base[i].id];
+        if (ov) {
+            if (ov.removed) continue;
+            list.push(Object.assign({}, base[i], ov));
+        } else {
+            list.push(base[i]);
+        }
+    }
+    if (changes) {
+        for (var j = 0; j < changes.added.length; j++) list.push(changes.added[j]);
+    }
+    $dataMap._cameraZoneCache = { version: version, mapId: this._mapId, changes: changes, list: list };
+    return list;
+};
+
+Game_Map.prototype._invalidateCameraZones = function() {
+    this._cameraZoneVersion = (this._cameraZoneVersion || 0) + 1;
+    // 존 구성이 바뀌었으므로 다음 업데이트에서 lerp 재시작
+    this._prevCameraZoneIds = null;
+};
+
+Game_Map.prototype._findAddedCameraZone = function(id) {
+    var added = this._cameraZoneChangesFor().added;
+    for (var i = 0; i < added.length; i++) {
+        if (added[i].id === id) return added[i];
+    }
+    return null;
+};
+
+// 존 속성 변경 (enabled, x, y, width, height, tilt, fov, yaw, zoom,
+// ambientColor, ambientIntensity, transitionSpeed 등)
+Game_Map.prototype.setCameraZoneProps = function(id, props) {
+    var added = this._findAddedCameraZone(id);
+    if (added) {
+        Object.assign(added, props);
+    } else {
+        var overrides = this._cameraZoneChangesFor().overrides;
+        overrides[id] = Object.assign(overrides[id] || {}, props);
+    }
+    this._invalidateCameraZones();
+};
+
+// 런타임 임시 존 추가. id를 생략하면 기존 최대 id + 1
+Game_Map.prototype.addCameraZone = function(zone) {
+    var zones = this.cameraZones();
+    if (zone.id == null) {
+        var maxId = 0;
+        for (var i = 0; i < zones.length; i++) maxId = Math.max(maxId, zones[i].id || 0);
+        zone.id = maxId + 1;
+    } else if (this.getCameraZoneById(zone.id)) {
+        this.removeCameraZone(zone.id);
+    }
+    var z = Object.assign({
+        name: 'Runtime ' + zone.id,
+        x: 0, y: 0, width: 1, height: 1,
+        enabled: true,
+        transitionSpeed: 1.0
+    }, zone);
+    this._cameraZoneChangesFor().added.push(z);
+    this._invalidateCameraZones();
+    return z;
+};
+
+Game_Map.prototype.removeCameraZone = function(id) {
+    var changes = this._cameraZoneChangesFor();
+    var added = changes.added;
+    for (var i = added.length - 1; i >= 0; i--) {
+        if (added[i].id === id) {
+            added.splice(i, 1);
+            this._invalidateCameraZones();
+            return;
+        }
+    }
+    changes.overrides[id] = Object.assign(changes.overrides[id] || {}, { removed: true });
+    this._invalidateCameraZones();
+};
+
+// id 지정 시 해당 존만, 생략 시 현재 맵의 모든 런타임 변경을 되돌린다
+Game_Map.prototype.resetCameraZones = function(id) {
+    var changes = this._cameraZoneChangesFor();
+    if (id == null) {
+        changes.overrides = {};
+        changes.added = [];
+    } else {
+        delete changes.overrides[id];
+        for (var i = changes.added.length - 1; i >= 0; i--) {
+            if (changes.added[i].id === id) changes.added.splice(i, 1);
+        }
+    }
+    this._invalidateCameraZones();
+};
+
 Game_Map.prototype.findCameraZonesAt = function(tx, ty) {
-    var zones = $dataMap && $dataMap.cameraZones;
+    var zones = this.cameraZones();
     if (!zones) return [];
     var result = [];
     for (var i = 0; i < zones.length; i++) {
@@ -6153,7 +6265,7 @@ Game_Map.prototype.findCameraZonesAt = function(tx, ty) {
 };
 
 Game_Map.prototype.getCameraZoneById = function(id) {
-    var zones = $dataMap && $dataMap.cameraZones;
+    var zones = this.cameraZones();
     if (!zones) return null;
     for (var i = 0; i < zones.length; i++) {
         if (zones[i].id === id) return zones[i];
@@ -6162,12 +6274,12 @@ Game_Map.prototype.getCameraZoneById = function(id) {
 };
 
 Game_Map.prototype._hasCameraZones = function() {
-    var zones = $dataMap && $dataMap.cameraZones;
+    var zones = this.cameraZones();
     return !!(zones && zones.length > 0);
 };
 
 Game_Map.prototype.updateCameraZone = function() {
-    var zones = $dataMap && $dataMap.cameraZones;
+    var zones = this.cameraZones();
     if (!zones || zones.length === 0) return;
 
     var halfScreenX = this.screenTileX() / 2;
@@ -6281,6 +6393,226 @@ Game_Map.prototype.updateCameraZone = function() {
     this._parallaxY += this._displayY - oldDisplayY;
 };
 
+// === Map Object ===
+
+// 맵 오브젝트 런타임 상태 (맵별): { mapId: { objectId: Game_MapObject } }
+// $dataMap.objects는 건드리지 않고 Game_Map에 보관 → 세이브 파일에 포함된다.
+Game_Map.prototype._mapObjectStatesFor = function(mapId) {
+    if (!this._mapObjectStates) this._mapObjectStates = {};
+    var id = mapId != null ? mapId : this._mapId;
+    if (!this._mapObjectStates[id]) {
+        this._mapObjectStates[id] = {};
+    }
+    return this._mapObjectStates[id];
+};
+
+// id → $dataMap.objects 원본 / 런타임 모델 목록
+// 결과는 $dataMap에 캐시 (에디터에서 오브젝트가 추가/삭제되면 무효화)
+Game_Map.prototype._mapObjectIndex = function() {
+    var objects = $dataMap && $dataMap.objects;
+    if (!objects || !Array.isArray(objects)) return null;
+    var states = this._mapObjectStatesFor();
+    var cache = $dataMap._mapObjectIndex;
+    if (cache && cache.objects === objects && cache.length === objects.length &&
+            cache.states === states) {
+        return cache;
+    }
+    cache = { objects: objects, length: objects.length, states: states, data: {}, list: [] };
+    $dataMap._mapObjectIndex = cache;
+    for (var i = 0; i < objects.length; i++) {
+        var obj = objects[i];
+        if (!obj) continue;
+        cache.data[obj.id] = obj;
+        if (!states[obj.id]) states[obj.id] = new Game_MapObject(obj.id);
+        cache.list.push(states[obj.id]);
+    }
+    return cache;
+};
+
+Game_Map.prototype.mapObjectData = function(id) {
+    var index = this._mapObjectIndex();
+    return (index && index.data[id]) || null;
+};
+
+Game_Map.prototype.mapObjects = function() {
+    var index = this._mapObjectIndex();
+    return index ? index.list : [];
+};
+
+Game_Map.prototype.mapObject = function(id) {
+    if (!this.mapObjectData(id)) return null;
+    return this._mapObjectStatesFor()[id];
+};
+
+Game_Map.prototype.isMapObjectMoving = function(id) {
+    var obj = this.mapObject(id);
+    return !!(obj && obj.isMoving());
+};
+
+// 오브젝트 통행 판정: false = 막힘, true = 걸을 수 있는 오브젝트(다리/발판) 위, null = 영향 없음
+// 막는 셀이 하나라도 있으면 막힘이 우선한다.
+Game_Map.prototype.mapObjectPassage = function(x, y) {
+    var objects = this.mapObjects();
+    var result = null;
+    for (var i = 0; i < objects.length; i++) {
+        var obj = objects[i];
+        if (!obj.isVisible()) continue;
+        var cell = obj.passabilityAt(x, y);
+        if (cell === false) return false;
+        if (cell === true && obj.isWalkable()) result = true;
+    }
+    return result;
+};
+
+// 오브젝트 위에 서 있는 캐릭터 (이동 발판 carry 대상)
+Game_Map.prototype.mapObjectRiders = function(mapObject) {
+    var characters = this.events().concat($gamePlayer.followers().visibleFollowers());
+    if (!$gamePlayer.isInVehicle()) characters.push($gamePlayer);
+    return characters.filter(function(character) {
+        return !character.isJumping() && mapObject.passabilityAt(character.x, character.y) === true;
+    });
+};
+
+// 세이브 시점에 진행 중이던 연출(임시 셰이더 패스, 셰이더 숨김)은 tween이 저장되지 않으므로 정리
+Game_Map.prototype.onAfterLoad = function() {
+    var states = this._mapObjectStates || {};
+    for (var mapId in states) {
+        for (var id in states[mapId]) {
+            states[mapId][id].clearTransient();
+        }
+    }
+};
+
+Game_Map.prototype.updateMapObjects = function() {
+    var objects = this.mapObjects();
+    for (var i = 0; i < objects.length; i++) {
+        objects[i].update();
+    }
+};
+
+// === Elevation ===
+
+// tileLayerElevation 맵의 타일 높이맵 (타일 단위)
+//   $dataMap.tileHeights: [width * height] 바닥 높이 (0 = 기본 바닥)
+//   $dataMap.tileRamps:   [width * height] 경사/계단 방향 (0 = 평지, 2/4/6/8 = 올라가는 방향)
+//     경사 타일은 낮은 쪽 가장자리가 tileHeights, 올라가는 쪽 가장자리가 +1
+// 런타임 변경(무너지는 바닥 등)은 맵별로 Game_Map에 보관 → 세이브 파일에 포함된다.
+Game_Map.ELEVATION_STEP = 0.5;   // 걸어서 오르내릴 수 있는 최대 높이 차
+
+Game_Map.prototype.hasElevation = function() {
+    return !!($dataMap && $dataMap.tileLayerElevation);
+};
+
+Game_Map.prototype._elevationChangesFor = function(mapId) {
+    if (!this._elevationChanges) this._elevationChanges = {};
+    var id = mapId != null ? mapId : this._mapId;
+    if (!this._elevationChanges[id]) {
+        this._elevationChanges[id] = { heights: {}, ramps: {} };
+    }
+    return this._elevationChanges[id];
+};
+
+// 변경 시 증가 → Spriteset_Map이 타일맵을 다시 그린다
+Game_Map.prototype.elevationVersion = function() {
+    return this._elevationVersion || 0;
+};
+
+Game_Map.prototype._elevationValue = function(key, dataKey, x, y) {
+    if (!this.hasElevation() || !this.isValid(x, y)) return 0;
+    var index = y * this.width() + x;
+    var changes = this._elevationChanges && this._elevationChanges[this._mapId];
+    if (changes && changes[key].hasOwnProperty(index)) return changes[key][index];
+    var data = $dataMap[dataKey];
+    return (data && data[index]) || 0;
+};
+
+Game_Map.prototype.elevation = function(x, y) {
+    return this._elevationValue('heights', 'tileHeights', x, y);
+};
+
+Game_Map.prototype.rampDirection = function(x, y) {
+    return this._elevationValue('ramps', 'tileRamps', x, y);
+};
+
+// 캐릭터 좌표(_realX/_realY, 소수) 위치의 바닥 높이. 경사 타일은 보간
+Game_Map.prototype.elevationAt = function(realX, realY) {
+    var x = this.roundX(Math.round(realX));
+    var y = this.roundY(Math.round(realY));
+    var height = this.elevation(x, y);
+    var t;
+    switch (this.rampDirection(x, y)) {
+    case 2:
+        t = realY - Math.round(realY) + 0.5;
+        break;
+    case 4:
+        t = Math.round(realX) - realX + 0.5;
+        break;
+    case 6:
+        t = realX - Math.round(realX) + 0.5;
+        break;
+    case 8:
+        t = Math.round(realY) - realY + 0.5;
+        break;
+    default:
+        return height;
+    }
+    return height + t.clamp(0, 1);
+};
+
+// 타일 (x, y)의 방향 d 쪽 가장자리 높이
+Game_Map.prototype.edgeElevation = function(x, y, d) {
+    var height = this.elevation(x, y);
+    var ramp = this.rampDirection(x, y);
+    if (!ramp) return height;
+    if (d === ramp) return height + 1;
+    if (d === 10 - ramp) return height;
+    return height + 0.5;
+};
+
+// (x, y)에서 방향 d로 걸어서 이동할 수 있는 높이 차인지
+Game_Map.prototype.isElevationPassable = function(x, y, d) {
+    if (!this.hasElevation()) return true;
+    var x2 = this.roundXWithDirection(x, d);
+    var y2 = this.roundYWithDirection(y, d);
+    if (!this.isValid(x2, y2)) return true;
+    var from = this.edgeElevation(x, y, d);
+    var to = this.edgeElevation(x2, y2, 10 - d);
+    return Math.abs(from - to) <= Game_Map.ELEVATION_STEP;
+};
+
+Game_Map.prototype._setElevationValue = function(key, x, y, value) {
+    if (!this.isValid(x, y)) return;
+    this._elevationChangesFor()[key][y * this.width() + x] = value;
+    this._elevationVersion = this.elevationVersion() + 1;
+};
+
+Game_Map.prototype.setElevation = function(x, y, height) {
+    this._setElevationValue('heights', x, y, height);
+};
+
+Game_Map.prototype.setRampDirection = function(x, y, direction) {
+    this._setElevationValue('ramps', x, y, direction);
+};
+
+// 현재 맵의 런타임 높이 변경을 모두 되돌린다
+Game_Map.prototype.resetElevation = function() {
+    var changes = this._elevationChangesFor();
+    changes.heights = {};
+    changes.ramps = {};
+    this._elevationVersion = this.elevationVersion() + 1;
+};
+
+// === Pathfinding ===
+
+// 현재 맵의 공유 경로 탐색기 (터치 이동, 경로 화살표, 이동 루트 MOVE_TO)
+// $dataMap에 캐시하므로 세이브에 포함되지 않고 맵이 바뀌면 새로 만들어진다.
+Game_Map.prototype.pathfinder = function() {
+    if (!$dataMap._pathfinder) {
+        $dataMap._pathfinder = new Game_Pathfinder();
+    }
+    return $dataMap._pathfinder;
+};
+
 Game_Map.prototype.changeTileset = function(tilesetId) {
     this._tilesetId = tilesetId;
     this.refresh();
@@ -6384,6 +6716,582 @@ Game_Map.prototype.isAnyEventStarting = function() {
     });
 };
 
+//-----------------------------------------------------------------------------
+// Game_MapObject
+//
+// The game object class for the runtime state of a map object ($dataMap.objects).
+// 변경된 속성만 보관하고 나머지는 $dataMap 원본을 읽는다 (에디터 Inspector 수정도 반영).
+// 위치 x는 왼쪽 열, y는 맨 아래 행 (타일 단위, 이동 중에는 소수).
+
+function Game_MapObject() {
+    this.initialize.apply(this, arguments);
+}
+
+Game_MapObject.prototype.initialize = function(id) {
+    this._id = id;
+    this._x = null;
+    this._y = null;
+    this._visible = null;
+    this._fadingOut = false;
+    this._zHeight = null;
+    this._opacity = 255;
+    this._tone = null;
+    this._scale = null;
+    this._anchorY = null;
+    this._walkable = null;
+    this._passability = null;
+    this._tileIds = null;
+    this._tilesVersion = 0;
+    this._shaderData = null;
+    this._animationPlaying = true;
+    this._route = null;
+};
+
+Game_MapObject.prototype.data = function() {
+    return $gameMap.mapObjectData(this._id) || {};
+};
+
+Game_MapObject.prototype.id = function() {
+    return this._id;
+};
+
+Game_MapObject.prototype.x = function() {
+    return this._x != null ? this._x : (this.data().x || 0);
+};
+
+Game_MapObject.prototype.y = function() {
+    return this._y != null ? this._y : (this.data().y || 0);
+};
+
+Game_MapObject.prototype.width = function() {
+    return this.data().width || 1;
+};
+
+Game_MapObject.prototype.height = function() {
+    return this.data().height || 1;
+};
+
+Game_MapObject.prototype.setPosition = function(x, y) {
+    this._x = x;
+    this._y = y;
+};
+
+Game_MapObject.prototype.isVisible = function() {
+    return this._visible != null ? this._visible : this.data().visible !== false;
+};
+
+Game_MapObject.prototype.setVisible = function(visible) {
+    this._visible = visible;
+    this._fadingOut = false;
+};
+
+// hideWithShader: 판정은 즉시 숨김, 스프라이트는 셰이더 연출이 끝날 때까지 표시
+Game_MapObject.prototype.isFadingOut = function() {
+    return this._fadingOut;
+};
+
+Game_MapObject.prototype.setFadingOut = function(fadingOut) {
+    this._fadingOut = fadingOut;
+};
+
+Game_MapObject.prototype.zHeight = function() {
+    return this._zHeight != null ? this._zHeight : (this.data().zHeight || 0);
+};
+
+Game_MapObject.prototype.setZHeight = function(zHeight) {
+    this._zHeight = zHeight;
+};
+
+Game_MapObject.prototype.opacity = function() {
+    return this._opacity;
+};
+
+Game_MapObject.prototype.setOpacity = function(opacity) {
+    this._opacity = opacity.clamp(0, 255);
+};
+
+// [red, green, blue, gray] (Sprite.setColorTone 형식), 없으면 null
+Game_MapObject.prototype.tone = function() {
+    return this._tone;
+};
+
+Game_MapObject.prototype.setTone = function(tone) {
+    this._tone = tone ? tone.clone() : null;
+};
+
+Game_MapObject.prototype.scale = function() {
+    var data = this.data();
+    return this._scale != null ? this._scale : (data.imageScale != null ? data.imageScale : 1);
+};
+
+Game_MapObject.prototype.setScale = function(scale) {
+    this._scale = scale;
+};
+
+Game_MapObject.prototype.anchorY = function() {
+    var data = this.data();
+    return this._anchorY != null ? this._anchorY : (data.anchorY != null ? data.anchorY : 1);
+};
+
+Game_MapObject.prototype.setAnchorY = function(anchorY) {
+    this._anchorY = anchorY;
+};
+
+// walkable: 통행 가능한 셀이 아래 타일 통행 설정을 덮어쓴다 (다리, 이동 발판)
+Game_MapObject.prototype.isWalkable = function() {
+    return this._walkable != null ? this._walkable : !!this.data().walkable;
+};
+
+Game_MapObject.prototype.setWalkable = function(walkable) {
+    this._walkable = walkable;
+};
+
+Game_MapObject.prototype.passability = function() {
+    return this._passability || this.data().passability || null;
+};
+
+Game_MapObject.prototype.setPassable = function(passable) {
+    var grid = [];
+    for (var row = 0; row < this.height(); row++) {
+        grid[row] = [];
+        for (var col = 0; col < this.width(); col++) {
+            grid[row][col] = passable;
+        }
+    }
+    this._passability = grid;
+};
+
+Game_MapObject.prototype.setCellPassable = function(col, row, passable) {
+    if (!this._passability) {
+        var base = this.data().passability;
+        if (base) {
+            this._passability = JsonEx.makeDeepCopy(base);
+        } else {
+            this.setPassable(true);
+        }
+    }
+    if (!this._passability[row]) this._passability[row] = [];
+    this._passability[row][col] = passable;
+};
+
+/**
+ * 맵 타일 (x, y)의 셀 통행: false = 막힘, true = 통행 가능, null = 오브젝트 밖
+ * 이동 중에는 가장 가까운 타일 위치로 판정한다.
+ */
+Game_MapObject.prototype.passabilityAt = function(x, y) {
+    var col = x - Math.round(this.x());
+    var row = y - (Math.round(this.y()) - this.height() + 1);
+    if (col < 0 || col >= this.width() || row < 0 || row >= this.height()) return null;
+    var grid = this.passability();
+    return !(grid && grid[row] && grid[row][col] === false);
+};
+
+Game_MapObject.prototype.tileIds = function() {
+    return this._tileIds || this.data().tileIds || [];
+};
+
+// 타일 교체 시 증가 → Spriteset_Map이 컨테이너를 다시 만든다
+Game_MapObject.prototype.tilesVersion = function() {
+    return this._tilesVersion;
+};
+
+Game_MapObject.prototype.setTileIds = function(tileIds) {
+    this._tileIds = JsonEx.makeDeepCopy(tileIds);
+    this._tilesVersion++;
+};
+
+// cell: 타일 ID 또는 레이어 배열
+Game_MapObject.prototype.setTile = function(col, row, cell) {
+    if (!this._tileIds) this._tileIds = JsonEx.makeDeepCopy(this.data().tileIds || []);
+    if (!this._tileIds[row]) this._tileIds[row] = [];
+    this._tileIds[row][col] = cell;
+    this._tilesVersion++;
+};
+
+Game_MapObject.prototype.shaderData = function() {
+    return this._shaderData || this.data().shaderData || [];
+};
+
+// 수정용 셰이더 목록 (처음 수정 시 원본을 복사)
+Game_MapObject.prototype.editableShaderData = function() {
+    if (!this._shaderData) this._shaderData = JsonEx.makeDeepCopy(this.data().shaderData || []);
+    return this._shaderData;
+};
+
+Game_MapObject.prototype.findShader = function(type) {
+    var list = this.shaderData();
+    for (var i = 0; i < list.length; i++) {
+        if (list[i].type === type) return list[i];
+    }
+    return null;
+};
+
+// transient: showWithShader/hideWithShader 연출용 임시 패스 (로드 시 제거)
+Game_MapObject.prototype.addShader = function(type, params, transient) {
+    var entry = { type: type, enabled: true, params: params || {} };
+    if (transient) entry.transient = true;
+    this.editableShaderData().push(entry);
+    return entry;
+};
+
+Game_MapObject.prototype.removeShader = function(typeOrEntry) {
+    this._shaderData = this.editableShaderData().filter(function(s) {
+        return typeOrEntry !== 'all' && s !== typeOrEntry && s.type !== typeOrEntry;
+    });
+};
+
+// 세이브 로드/맵 재진입 시 끝나지 못한 연출 상태 정리
+Game_MapObject.prototype.clearTransient = function() {
+    if (this._shaderData) {
+        this._shaderData = this._shaderData.filter(function(s) { return !s.transient; });
+    }
+    this._fadingOut = false;
+};
+
+Game_MapObject.prototype.isAnimationPlaying = function() {
+    return this._animationPlaying;
+};
+
+Game_MapObject.prototype.playAnimation = function() {
+    this._animationPlaying = true;
+};
+
+Game_MapObject.prototype.stopAnimation = function() {
+    this._animationPlaying = false;
+};
+
+// === Route ===
+
+/**
+ * 경로 이동 시작. 구간마다 직선으로 이동한다.
+ * @param {Array} points [{x, y}] 타일 좌표 (정수)
+ * @param {number} speed 초당 타일 수
+ * @param {Object} [options] { loop: 끝나면 처음 지점부터 반복, carry: 위에 선 캐릭터를 함께 이동 }
+ */
+Game_MapObject.prototype.startRoute = function(points, speed, options) {
+    options = options || {};
+    this._x = Math.round(this.x());
+    this._y = Math.round(this.y());
+    this._route = {
+        points: points,
+        index: 0,
+        speed: speed,
+        loop: !!options.loop,
+        carry: !!options.carry,
+        moving: false,
+        stopping: false
+    };
+};
+
+// 현재 구간 끝에서 정지 (carry 중인 캐릭터와 어긋나지 않도록)
+Game_MapObject.prototype.stopRoute = function() {
+    if (this._route) this._route.stopping = true;
+};
+
+Game_MapObject.prototype.isMoving = function() {
+    return !!this._route;
+};
+
+Game_MapObject.prototype.isLoopRoute = function() {
+    return !!(this._route && this._route.loop);
+};
+
+Game_MapObject.prototype.update = function() {
+    var route = this._route;
+    if (!route) return;
+    if (!route.moving) {
+        this.startRouteSegment();
+    }
+    var target = route.points[route.index];
+    var distance = route.speed / 60;
+    var dx = target.x - this._x;
+    var dy = target.y - this._y;
+    var length = Math.sqrt(dx * dx + dy * dy);
+    if (length <= distance) {
+        this._x = target.x;
+        this._y = target.y;
+        this.advanceRoute();
+    } else {
+        this._x += dx / length * distance;
+        this._y += dy / length * distance;
+    }
+};
+
+Game_MapObject.prototype.startRouteSegment = function() {
+    var route = this._route;
+    var target = route.points[route.index];
+    route.moving = true;
+    if (route.carry) {
+        var dx = target.x - this._x;
+        var dy = target.y - this._y;
+        if (dx !== 0 || dy !== 0) {
+            $gameMap.mapObjectRiders(this).forEach(function(character) {
+                character.startCarry(this._id, dx, dy, route.speed / 60);
+            }, this);
+        }
+    }
+};
+
+Game_MapObject.prototype.advanceRoute = function() {
+    var route = this._route;
+    route.moving = false;
+    if (route.stopping) {
+        this._route = null;
+        return;
+    }
+    route.index++;
+    if (route.index >= route.points.length) {
+        if (route.loop) {
+            route.index = 0;
+        } else {
+            this._route = null;
+        }
+    }
+};
+
+//-----------------------------------------------------------------------------
+// Game_Pathfinder
+//
+// The shared A* pathfinding service for the current map.
+// 통행은 캐릭터의 canPass/isMapPassable 기준 → customPassage, 맵 오브젝트, 높이맵이 반영된다.
+// 이벤트(충돌하는 캐릭터)는 막힌 칸이 아니라 추가 비용으로 취급: 돌아갈 길이 있으면 피하고,
+// 없으면 통과 경로를 내서 부딪힌 곳에서 기다리거나 접촉 이벤트를 실행한다.
+// 인스턴스는 $dataMap에 캐시 (세이브 제외, 맵 이동 시 새로 만들어진다).
+
+function Game_Pathfinder() {
+    this.initialize.apply(this, arguments);
+}
+
+Game_Pathfinder.EVENT_COST = 8;      // 이벤트가 서 있는 칸을 지나는 추가 비용 (타일 수)
+Game_Pathfinder.CACHE_SIZE = 16;     // 캐릭터/목적지별로 보관할 경로 수
+
+Game_Pathfinder.prototype.initialize = function() {
+    this._cache = {};
+    this._cacheKeys = [];
+    this._characterIds = new WeakMap();  // 캐릭터 → 캐시 키용 번호
+    this._nextCharacterId = 1;
+    this._size = 0;                      // 탐색용 버퍼 크기 (맵 칸 수)
+    this._gScore = null;
+    this._parent = null;
+    this._parentDir = null;
+    this._closed = null;
+    this._heap = [];
+    this._heapF = [];
+};
+
+Game_Pathfinder.prototype.clear = function() {
+    this._cache = {};
+    this._cacheKeys = [];
+};
+
+/**
+ * 현재 위치에서 (goalX, goalY)까지의 경로. 시작 칸은 제외하고 [{ x, y, d }] 순서로 반환.
+ * 도달할 수 없으면 목표에 가장 가까운 칸까지의 경로 (마지막 칸으로 도달 여부 판단).
+ * 같은 목적지로 가는 중이면 캐시된 경로의 남은 부분을 재사용한다.
+ */
+Game_Pathfinder.prototype.findPath = function(character, goalX, goalY) {
+    if (character.x === goalX && character.y === goalY) return [];
+    var key = this.characterId(character) + ':' + this.passageKey(character) + ':' + goalX + ',' + goalY;
+    var entry = this._cache[key];
+    var path = entry ? this.remainingPath(entry, character) : null;
+    if (!path) {
+        path = this.search(character, goalX, goalY);
+        this.store(key, {
+            path: path,
+            startX: character.x,
+            startY: character.y,
+            version: $gameMap.elevationVersion()
+        });
+    }
+    return path;
+};
+
+// 캐릭터 종류별 통행 규칙 (탈것은 물/하늘 통행이 다르다)
+Game_Pathfinder.prototype.passageKey = function(character) {
+    if (character.isThrough() || character.isDebugThrough()) return 'through';
+    if (character === $gamePlayer && character.isInVehicle()) return character.vehicle()._type;
+    return 'walk';
+};
+
+// 캐시 키용 캐릭터 번호. 같은 목적지라도 출발 위치/충돌 대상이 다르므로 캐릭터마다 따로 캐시한다
+Game_Pathfinder.prototype.characterId = function(character) {
+    var id = this._characterIds.get(character);
+    if (!id) {
+        id = this._nextCharacterId++;
+        this._characterIds.set(character, id);
+    }
+    return id;
+};
+
+Game_Pathfinder.prototype.store = function(key, entry) {
+    if (!this._cache[key]) {
+        this._cacheKeys.push(key);
+        if (this._cacheKeys.length > Game_Pathfinder.CACHE_SIZE) {
+            delete this._cache[this._cacheKeys.shift()];
+        }
+    }
+    this._cache[key] = entry;
+};
+
+/**
+ * 캐시된 경로 위에 있으면 남은 경로, 다시 탐색해야 하면 null.
+ * 남은 칸의 지형 통행을 다시 확인하고, 바로 앞 칸이 캐릭터에 막혔으면 그 자리에서 한 번 재탐색한다.
+ */
+Game_Pathfinder.prototype.remainingPath = function(entry, character) {
+    if (entry.version !== $gameMap.elevationVersion()) return null;
+    var path = entry.path;
+    var index = -1;
+    if (character.x !== entry.startX || character.y !== entry.startY) {
+        for (index = 0; index < path.length; index++) {
+            if (path[index].x === character.x && path[index].y === character.y) break;
+        }
+        if (index >= path.length) return null;
+    }
+    var rest = path.slice(index + 1);
+    var through = this.passageKey(character) === 'through';
+    var x = character.x;
+    var y = character.y;
+    for (var i = 0; i < rest.length; i++) {
+        if (!through && !character.isMapPassable(x, y, rest[i].d)) return null;
+        x = rest[i].x;
+        y = rest[i].y;
+    }
+    if (rest.length > 0 && !character.canPass(character.x, character.y, rest[0].d)) {
+        // 재탐색해도 같은 결과면 비용만 드므로 탐색한 위치에서는 그대로 둔다
+        if (character.x !== entry.startX || character.y !== entry.startY) return null;
+    }
+    return rest;
+};
+
+// 충돌하는 캐릭터가 서 있는 칸 (y * width + x → true). 탐색 중 매 칸 이벤트를 훑지 않도록 미리 모은다
+Game_Pathfinder.prototype.occupiedTiles = function(character) {
+    var occupied = {};
+    if (this.passageKey(character) === 'through') return occupied;
+    var width = $gameMap.width();
+    var others = $gameMap.events().concat($gameMap.vehicles(), [$gamePlayer],
+                                           $gamePlayer.followers().visibleFollowers());
+    others.forEach(function(other) {
+        if (other === character) return;
+        var index = other.y * width + other.x;
+        if (!occupied[index] && $gameMap.isValid(other.x, other.y) &&
+                character.isCollidedWithCharacters(other.x, other.y)) {
+            occupied[index] = true;
+        }
+    });
+    return occupied;
+};
+
+// 맵 크기만큼의 탐색 버퍼를 재사용 (크기가 바뀔 때만 새로 할당하고 매 탐색마다 초기화)
+Game_Pathfinder.prototype.resetBuffers = function(size) {
+    if (this._size !== size) {
+        this._size = size;
+        this._gScore = new Float64Array(size);
+        this._parent = new Int32Array(size);
+        this._parentDir = new Uint8Array(size);
+        this._closed = new Uint8Array(size);
+    }
+    this._gScore.fill(Infinity);
+    this._parent.fill(-1);
+    this._parentDir.fill(0);
+    this._closed.fill(0);
+    this._heap.length = 0;
+    this._heapF.length = 0;
+};
+
+Game_Pathfinder.prototype.search = function(character, goalX, goalY) {
+    var width = $gameMap.width();
+    var size = width * $gameMap.height();
+    var through = this.passageKey(character) === 'through';
+    var occupied = this.occupiedTiles(character);
+    this.resetBuffers(size);
+    var gScore = this._gScore;
+    var parent = this._parent;
+    var parentDir = this._parentDir;
+    var closed = this._closed;
+    var heap = this._heap;
+    var heapF = this._heapF;
+    var start = character.y * width + character.x;
+    var goal = goalY * width + goalX;
+    var best = start;
+    var bestH = $gameMap.distance(character.x, character.y, goalX, goalY);
+
+    // 최소 힙 (f 기준)
+    function push(index, f) {
+        var i = heap.length;
+        heap.push(index);
+        heapF.push(f);
+        while (i > 0) {
+            var p = (i - 1) >> 1;
+            if (heapF[p] <= f) break;
+            heap[i] = heap[p];
+            heapF[i] = heapF[p];
+            i = p;
+        }
+        heap[i] = index;
+        heapF[i] = f;
+    }
+    function pop() {
+        var top = heap[0];
+        var lastIndex = heap.pop();
+        var lastF = heapF.pop();
+        var n = heap.length;
+        if (n > 0) {
+            var i = 0;
+            for (;;) {
+                var c = i * 2 + 1;
+                if (c >= n) break;
+                if (c + 1 < n && heapF[c + 1] < heapF[c]) c++;
+                if (heapF[c] >= lastF) break;
+                heap[i] = heap[c];
+                heapF[i] = heapF[c];
+                i = c;
+            }
+            heap[i] = lastIndex;
+            heapF[i] = lastF;
+        }
+        return top;
+    }
+
+    gScore[start] = 0;
+    push(start, bestH);
+    while (heap.length > 0) {
+        var current = pop();
+        if (closed[current]) continue;
+        closed[current] = 1;
+        if (current === goal) {
+            best = goal;
+            break;
+        }
+        var x1 = current % width;
+        var y1 = (current - x1) / width;
+        for (var d = 2; d <= 8; d += 2) {
+            var x2 = $gameMap.roundXWithDirection(x1, d);
+            var y2 = $gameMap.roundYWithDirection(y1, d);
+            if (!$gameMap.isValid(x2, y2)) continue;
+            var next = y2 * width + x2;
+            if (closed[next]) continue;
+            if (!through && !character.isMapPassable(x1, y1, d)) continue;
+            var g = gScore[current] + 1 + (occupied[next] ? Game_Pathfinder.EVENT_COST : 0);
+            if (g >= gScore[next]) continue;
+            gScore[next] = g;
+            parent[next] = current;
+            parentDir[next] = d;
+            var h = $gameMap.distance(x2, y2, goalX, goalY);
+            if (h < bestH) {
+                best = next;
+                bestH = h;
+            }
+            push(next, g + h);
+        }
+    }
+
+    var path = [];
+    for (var node = best; node !== start && node >= 0; node = parent[node]) {
+        path.unshift({ x: node % width, y: Math.floor(node / width), d: parentDir[node] });
+    }
+    return path;
+};
+
 //-----------------------------------------------------------------------------
 // Game_CommonEvent
 //
@@ -6481,6 +7389,12 @@ Game_CharacterBase.prototype.initMembers = function() {
     this._jumpCount = 0;
     this._jumpPeak = 0;
     this._movementSuccess = true;
+    this._carriedBy = 0;
+    this._carrySpeed = 0;
+    this._elevation = 0;
+    this._fallSpeed = 0;
+    this._jumpElevation = 0;
+    this._ignoreElevation = false;
 };
 
 Game_CharacterBase.prototype.pos = function(x, y) {
@@ -6618,6 +7532,9 @@ Game_CharacterBase.prototype.isMapPassable = function(x, y, d) {
     var x2 = $gameMap.roundXWithDirection(x, d);
     var y2 = $gameMap.roundYWithDirection(y, d);
     var d2 = this.reverseDir(d);
+    if (!this._ignoreElevation && !$gameMap.isElevationPassable(x, y, d)) {
+        return false;
+    }
     return $gameMap.isPassable(x, y, d) && $gameMap.isPassable(x2, y2, d2);
 };
 
@@ -6652,7 +7569,10 @@ Game_CharacterBase.prototype.copyPosition = function(character) {
 };
 
 Game_CharacterBase.prototype.locate = function(x, y) {
+    this._carriedBy = 0;
     this.setPosition(x, y);
+    this._elevation = $gameMap.elevationAt(x, y);
+    this._fallSpeed = 0;
     this.straighten();
     this.refreshBushDepth();
 };
@@ -6696,7 +7616,7 @@ Game_CharacterBase.prototype.screenX = function() {
 Game_CharacterBase.prototype.screenY = function() {
     var th = $gameMap.tileHeight();
     return Math.round(this.scrolledY() * th + th -
-                      this.shiftY() - this.jumpHeight());
+                      this.shiftY() - this.jumpHeight() - this.airHeight());
 };
 
 Game_CharacterBase.prototype.screenZ = function() {
@@ -6722,6 +7642,7 @@ Game_CharacterBase.prototype.update = function() {
     } else if (this.isMoving()) {
         this.updateMove();
     }
+    this.updateElevation();
     this.updateAnimation();
 };
 
@@ -6741,6 +7662,10 @@ Game_CharacterBase.prototype.updateJump = function() {
 };
 
 Game_CharacterBase.prototype.updateMove = function() {
+    if (this.isCarried()) {
+        this.updateCarry();
+        return;
+    }
     if (this._x < this._realX) {
         this._realX = Math.max(this._realX - this.distancePerFrame(), this._x);
     }
@@ -6758,6 +7683,99 @@ Game_CharacterBase.prototype.updateMove = function() {
     }
 };
 
+// 이동하는 맵 오브젝트(발판)에 실려 이동: 목표 타일을 먼저 옮기고 오브젝트와 같은 속도로 따라간다
+Game_CharacterBase.prototype.startCarry = function(objectId, dx, dy, speed) {
+    this._x += dx;
+    this._y += dy;
+    this._carriedBy = objectId;
+    this._carrySpeed = speed;
+};
+
+Game_CharacterBase.prototype.isCarried = function() {
+    return !!this._carriedBy;
+};
+
+Game_CharacterBase.prototype.updateCarry = function() {
+    var dx = this._x - this._realX;
+    var dy = this._y - this._realY;
+    var length = Math.sqrt(dx * dx + dy * dy);
+    if (length <= this._carrySpeed) {
+        this._realX = this._x;
+        this._realY = this._y;
+        this._carriedBy = 0;
+        this.refreshBushDepth();
+    } else {
+        this._realX += dx / length * this._carrySpeed;
+        this._realY += dy / length * this._carrySpeed;
+    }
+};
+
+// === Elevation (Game_Map 높이맵) ===
+
+Game_CharacterBase.GRAVITY = 0.015;        // 타일/프레임²
+Game_CharacterBase.MAX_FALL_SPEED = 0.5;   // 타일/프레임
+
+// 현재 높이 (타일 단위, 점프/낙하 중에는 공중)
+Game_CharacterBase.prototype.elevation = function() {
+    return this._elevation;
+};
+
+Game_CharacterBase.prototype.floorElevation = function() {
+    return $gameMap.elevationAt(this._realX, this._realY);
+};
+
+Game_CharacterBase.prototype.isFalling = function() {
+    return this._fallSpeed > 0;
+};
+
+// 바닥보다 떠 있는 높이 (픽셀). 2D 화면에서는 jumpHeight처럼 위로 올려 그린다
+Game_CharacterBase.prototype.airHeight = function() {
+    if (this.isJumping()) return 0;
+    var air = this._elevation - this.floorElevation();
+    return air > 0 ? air * $gameMap.tileHeight() : 0;
+};
+
+Game_CharacterBase.prototype.updateElevation = function() {
+    if (!$gameMap.hasElevation()) {
+        this._elevation = 0;
+        this._fallSpeed = 0;
+        return;
+    }
+    if (this.isJumping()) {
+        // 출발 높이 → 착지 타일 높이로 보간 (포물선은 jumpHeight)
+        var rate = 1 - this._jumpCount / (this._jumpPeak * 2);
+        var landing = $gameMap.elevationAt(this._x, this._y);
+        this._elevation = this._jumpElevation + (landing - this._jumpElevation) * rate;
+        return;
+    }
+    var floor = this.floorElevation();
+    var air = this._elevation - floor;
+    if (air > Game_Map.ELEVATION_STEP || (air > 0 && this.isFalling())) {
+        this._fallSpeed = Math.min(this._fallSpeed + Game_CharacterBase.GRAVITY,
+                                   Game_CharacterBase.MAX_FALL_SPEED);
+        this._elevation = Math.max(this._elevation - this._fallSpeed, floor);
+        if (this._elevation === floor) {
+            this._fallSpeed = 0;
+        }
+    } else {
+        // 경사/계단과 작은 단차는 바로 따라간다
+        this._elevation = floor;
+        this._fallSpeed = 0;
+    }
+};
+
+// 현재 바닥에서 height(타일)만큼 띄운 뒤 떨어뜨린다
+Game_CharacterBase.prototype.drop = function(height) {
+    this._elevation = this.floorElevation() + height;
+};
+
+// 높이 차를 무시하고 한 칸 이동 (낭떠러지에서 뛰어내리기). 이동 후 바닥으로 낙하
+Game_CharacterBase.prototype.stepOff = function(d) {
+    this._ignoreElevation = true;
+    this.moveStraight(d);
+    this._ignoreElevation = false;
+};
+
 Game_CharacterBase.prototype.updateAnimation = function() {
     this.updateAnimationCount();
     if (this._animationCount >= this.animationWait()) {
@@ -6771,7 +7789,7 @@ Game_CharacterBase.prototype.animationWait = function() {
 };
 
 Game_CharacterBase.prototype.updateAnimationCount = function() {
-    if (this.isMoving() && this.hasWalkAnime()) {
+    if (this.isMoving() && !this.isCarried() && this.hasWalkAnime()) {
         this._animationCount += 1.5;
     } else if (this.hasStepAnime() || !this.isOriginalPattern()) {
         this._animationCount++;
@@ -6929,6 +7947,8 @@ Game_CharacterBase.prototype.jump = function(xPlus, yPlus) {
     }
     this._x += xPlus;
     this._y += yPlus;
+    this._jumpElevation = this._elevation;
+    this._fallSpeed = 0;
     var distance = Math.round(Math.sqrt(xPlus * xPlus + yPlus * yPlus));
     this._jumpPeak = 10 + distance - this._moveSpeed;
     this._jumpCount = this._jumpPeak * 2;
@@ -7080,6 +8100,23 @@ Game_Character.ROUTE_CHANGE_OPACITY    = 42;
 Game_Character.ROUTE_CHANGE_BLEND_MODE = 43;
 Game_Character.ROUTE_PLAY_SE           = 44;
 Game_Character.ROUTE_SCRIPT            = 45;
+Game_Character.ROUTE_MOVE_TO           = 46;  // [x, y] 경로 탐색으로 도착할 때까지 이동
+
+// MOVE_TO 커맨드 하나로 된 이동 루트. 에디터의 이동 루트 설정에는 없는 코드이므로
+// 플러그인 커맨드 'MoveTo' 또는 스크립트에서 사용한다.
+//   $gameMap.event(3).forceMoveRoute(Game_Character.moveToRoute(10, 5, { skippable: true }));
+Game_Character.moveToRoute = function(x, y, options) {
+    options = options || {};
+    return {
+        list: [
+            { code: Game_Character.ROUTE_MOVE_TO, parameters: [x, y] },
+            { code: Game_Character.ROUTE_END, parameters: [] }
+        ],
+        repeat: false,
+        skippable: !!options.skippable,
+        wait: !!options.wait
+    };
+};
 
 Game_Character.prototype.initialize = function() {
     Game_CharacterBase.prototype.initialize.call(this);
@@ -7288,6 +8325,12 @@ Game_Character.prototype.processMoveCommand = function(command) {
     case gc.ROUTE_SCRIPT:
         eval(params[0]);
         break;
+    case gc.ROUTE_MOVE_TO:
+        // 도착 전까지 같은 커맨드를 반복 (막히면 스킵 설정에 따라 대기/건너뜀)
+        if (this.moveTowardPoint(params[0], params[1]) && !this.pos(params[0], params[1])) {
+            this._moveRouteIndex--;
+        }
+        break;
     }
 };
 
@@ -7322,6 +8365,20 @@ Game_Character.prototype.moveTowardCharacter = function(character) {
     }
 };
 
+// (x, y)를 향해 경로 탐색으로 한 걸음. 이미 도착했으면 true
+Game_Character.prototype.moveTowardPoint = function(x, y) {
+    if (this.pos(x, y)) {
+        return true;
+    }
+    var direction = this.findDirectionTo(x, y);
+    if (direction > 0) {
+        this.moveStraight(direction);
+    } else {
+        this.setMovementSuccess(false);
+    }
+    return this.isMovementSucceeded();
+};
+
 Game_Character.prototype.moveAwayFromCharacter = function(character) {
     var sx = this.deltaXFrom(character.x);
     var sy = this.deltaYFrom(character.y);
@@ -7465,106 +8522,15 @@ Game_Character.prototype.swap = function(character) {
     this.locate(newX, newY);
 };
 
+// $gameMap.pathfinder()의 A* 경로에서 첫 걸음 방향. 더 다가갈 수 없으면 목표 쪽 방향
 Game_Character.prototype.findDirectionTo = function(goalX, goalY) {
-    var searchLimit = this.searchLimit();
-    var mapWidth = $gameMap.width();
-    var nodeList = [];
-    var openList = [];
-    var closedList = [];
-    var start = {};
-    var best = start;
-
     if (this.x === goalX && this.y === goalY) {
         return 0;
     }
 
-    start.parent = null;
-    start.x = this.x;
-    start.y = this.y;
-    start.g = 0;
-    start.f = $gameMap.distance(start.x, start.y, goalX, goalY);
-    nodeList.push(start);
-    openList.push(start.y * mapWidth + start.x);
-
-    while (nodeList.length > 0) {
-        var bestIndex = 0;
-        for (var i = 0; i < nodeList.length; i++) {
-            if (nodeList[i].f < nodeList[bestIndex].f) {
-                bestIndex = i;
-            }
-        }
-
-        var current = nodeList[bestIndex];
-        var x1 = current.x;
-        var y1 = current.y;
-        var pos1 = y1 * mapWidth + x1;
-        var g1 = current.g;
-
-        nodeList.splice(bestIndex, 1);
-        openList.splice(openList.indexOf(pos1), 1);
-        closedList.push(pos1);
-
-        if (current.x === goalX && current.y === goalY) {
-            best = current;
-            break;
-        }
-
-        if (g1 >= searchLimit) {
-            continue;
-        }
-
-        for (var j = 0; j < 4; j++) {
-            var direction = 2 + j * 2;
-            var x2 = $gameMap.roundXWithDirection(x1, direction);
-            var y2 = $gameMap.roundYWithDirection(y1, direction);
-            var pos2 = y2 * mapWidth + x2;
-
-            if (closedList.contains(pos2)) {
-                continue;
-            }
-            if (!this.canPass(x1, y1, direction)) {
-                continue;
-            }
-
-            var g2 = g1 + 1;
-            var index2 = openList.indexOf(pos2);
-
-            if (index2 < 0 || g2 < nodeList[index2].g) {
-                var neighbor;
-                if (index2 >= 0) {
-                    neighbor = nodeList[index2];
-                } else {
-                    neighbor = {};
-                    nodeList.push(neighbor);
-                    openList.push(pos2);
-                }
-                neighbor.parent = current;
-                neighbor.x = x2;
-                neighbor.y = y2;
-                neighbor.g = g2;
-                neighbor.f = g2 + $gameMap.distance(x2, y2, goalX, goalY);
-                if (!best || neighbor.f - neighbor.g < best.f - best.g) {
-                    best = neighbor;
-                }
-            }
-        }
-    }
-
-    var node = best;
-    while (node.parent && node.parent !== start) {
-        node = node.parent;
-    }
-
-    var deltaX1 = $gameMap.deltaX(node.x, start.x);
-    var deltaY1 = $gameMap.deltaY(node.y, start.y);
-    if (deltaY1 > 0) {
-        return 2;
-    } else if (deltaX1 < 0) {
-        return 4;
-    } else if (deltaX1 > 0) {
-        return 6;
-    } else if (deltaY1 < 0) {
-        return 8;
+    var path = $gameMap.pathfinder().findPath(this, goalX, goalY);
+    if (path.length > 0) {
+        return path[0].d;
     }
 
     var deltaX2 = this.deltaXFrom(goalX);
@@ -7843,6 +8809,9 @@ Game_Player.prototype.canMove = function() {
     if (this._vehicleGettingOn || this._vehicleGettingOff) {
         return false;
     }
+    if (this.isFalling()) {
+        return false;
+    }
     if (this.isInVehicle() && !this.vehicle().canMove()) {
         return false;
     }
@@ -9097,6 +10066,13 @@ Game_Interpreter.prototype.updateWaitMode = function() {
     case 'image':
         waiting = !ImageManager.isReady();
         break;
+    case 'mapObject':
+        waiting = $gameMap.isMapObjectMoving(this._waitMapObjectId);
+        break;
+    case 'elevation':
+        waiting = this._character.isMoving() || this._character.isJumping() ||
+            this._character.isFalling();
+        break;
     }
     if (!waiting) {
         this._waitMode = '';
@@ -1743,6 +1743,7 @@ Scene_Load.prototype.terminate = function() {
     Scene_File.prototype.terminate.call(this);
     if (this._loadSuccess) {
         $gameSystem.onAfterLoad();
+        $gameMap.onAfterLoad();
     }
 };
 
@@ -2304,6 +2304,11 @@ Spriteset_Map.prototype.createTilemap = function() {
     this._tilemap.setData($gameMap.width(), $gameMap.height(), $gameMap.data());
     this._tilemap.horizontalWrap = $gameMap.isLoopHorizontal();
     this._tilemap.verticalWrap = $gameMap.isLoopVertical();
+    this._tilemap.tileElevation = $gameMap.hasElevation() ? function(x, y) {
+        var rx = $gameMap.roundX(x), ry = $gameMap.roundY(y);
+        return [$gameMap.elevation(rx, ry), $gameMap.rampDirection(rx, ry)];
+    } : null;
+    this._elevationVersion = $gameMap.elevationVersion();
     this.loadTileset();
     this._baseSprite.addChild(this._tilemap);
 };
@@ -2615,245 +2620,277 @@ Spriteset_Map.prototype.createMapObjects = function() {
     this._objectSprites = [];
     var objects = $dataMap.objects;
     if (!objects || !Array.isArray(objects)) return;
+    if (!$gameMap.tileset()) return;
+
+    for (var i = 0; i < objects.length; i++) {
+        if (objects[i]) {
+            this._objectSprites.push(this.createMapObject(objects[i]));
+        }
+    }
+};
+
+/**
+ * 맵 오브젝트 하나의 컨테이너 스프라이트를 만들어 타일맵에 추가한다.
+ * 위치/표시/셰이더 등 런타임 상태는 updateMapObjects에서 Game_MapObject로부터 동기화.
+ */
+Spriteset_Map.prototype.createMapObject = function(obj) {
     var tw = $gameMap.tileWidth();
     var th = $gameMap.tileHeight();
     var tileset = $gameMap.tileset();
-    if (!tileset) return;
-
-    for (var i = 0; i < objects.length; i++) {
-        var obj = objects[i];
-        if (!obj) continue;
-        // Create a container sprite for the entire object
-        var container = new Sprite();
-        // Store map tile coordinates for scroll-based position update
-        container._mapObjX = obj.x;
-        container._mapObjY = obj.y;
-        container._mapObjW = obj.width;
-        container._mapObjH = obj.height;
-        container._mapObjId = obj.id;
-        container._mapObjName = obj.name || '';
-        container._mapObjVisible = obj.visible !== false;
-        container.visible = obj.visible !== false;
-        container.z = 5; // above upper tiles (z=4), same as upper characters
-        container._heightOffset = (obj.zHeight || 0) * th;
-
-        if (obj.animationId && $dataAnimations && $dataAnimations[obj.animationId]) {
-            // 애니메이션 기반 오브젝트
-            var anim = $dataAnimations[obj.animationId];
-            var playInEditor = obj.animationPlayInEditor !== false;
-            if (playInEditor) {
-                var targetSprite = new Sprite();
-                targetSprite.x = 0;
-                targetSprite.y = 0;
-                targetSprite.setBlendColor = targetSprite.setBlendColor || function() {};
-                targetSprite.show = targetSprite.show || function() { this.visible = true; };
-                targetSprite.hide = targetSprite.hide || function() { this.visible = false; };
-                container.addChild(targetSprite);
-
-                var animSprite = new Sprite_Animation();
-                animSprite.setup(targetSprite, anim, false, 0);
-                // 컨테이너(z=5) 자식이므로 z=0 (누적 방지: animSprite.z=8 기본값이 world.z를 더 내려가게 함)
-                animSprite.z = 0;
-                // 오브젝트 크기에 맞게 스케일 조절 (기본 4x4 타일 = 192px)
-                var animScaleX = (obj.width * tw) / 192;
-                var animScaleY = (obj.height * th) / 192;
-                animSprite.scale.x = animScaleX;
-                animSprite.scale.y = animScaleY;
-                if (!obj.animationSe) {
-                    animSprite.processTimingData = function(timing) {
-                        // SE 재생 차단: flashScope만 처리
-                        var duration = timing.flashDuration * this._rate;
-                        switch (timing.flashScope) {
-                        case 1: this._target.setBlendColor(timing.flashColor); this._flashDuration = duration; break;
-                        case 2: this._screenFlashDuration = duration; if (this._screenFlashSprite) { this._screenFlashSprite.setColor(timing.flashColor[0], timing.flashColor[1], timing.flashColor[2]); this._screenFlashSprite.opacity = timing.flashColor[3]; } break;
-                        case 3: this.startHiding(duration); break;
-                        }
-                    };
-                }
-                container.addChild(animSprite);
-
-                container._mapObjAnimId = obj.animationId;
-                container._mapObjAnimLoop = obj.animationLoop || 'forward';
-                container._mapObjAnimSe = !!obj.animationSe;
-                container._mapObjAnimSprite = animSprite;
-                container._mapObjAnimTarget = targetSprite;
-                container._mapObjAnimReverse = false;
-                container._mapObjAnimScaleX = animScaleX;
-                container._mapObjAnimScaleY = animScaleY;
-            }
-        } else if (obj.imageName) {
-            // 이미지 기반 오브젝트: pictures 폴더에서 이미지 로드
-            var imgSprite = new Sprite();
-            imgSprite.bitmap = ImageManager.loadPicture(obj.imageName);
-            var objAnchorY = obj.anchorY != null ? obj.anchorY : 1.0;
-            imgSprite.anchor.set(0.5, objAnchorY);
-            imgSprite.x = 0;
-            imgSprite.y = obj.height * th / 2;
-            // anchorY < 1.0이면 ShadowLight material 변환 후 shader clipping 적용
-            if (objAnchorY < 1.0) {
-                imgSprite._needsAnchorClip = true;
+    var model = $gameMap.mapObject(obj.id);
+    // 타일 교체(MapObject tiles) 반영
+    var tileIds = model ? model.tileIds() : obj.tileIds;
+    // Create a container sprite for the entire object
+    var container = new Sprite();
+    // Store map tile coordinates for scroll-based position update
+    container._mapObjX = obj.x;
+    container._mapObjY = obj.y;
+    container._mapObjW = obj.width;
+    container._mapObjH = obj.height;
+    container._mapObjId = obj.id;
+    container._mapObjName = obj.name || '';
+    container._mapObjVisible = obj.visible !== false;
+    container._mapObjTilesVersion = model ? model.tilesVersion() : 0;
+    container.visible = obj.visible !== false;
+    container.z = 5; // above upper tiles (z=4), same as upper characters
+    container._heightOffset = (obj.zHeight || 0) * th;
+
+    if (obj.animationId && $dataAnimations && $dataAnimations[obj.animationId]) {
+        // 애니메이션 기반 오브젝트
+        var anim = $dataAnimations[obj.animationId];
+        var playInEditor = obj.animationPlayInEditor !== false;
+        if (playInEditor) {
+            var targetSprite = new Sprite();
+            targetSprite.x = 0;
+            targetSprite.y = 0;
+            targetSprite.setBlendColor = targetSprite.setBlendColor || function() {};
+            targetSprite.show = targetSprite.show || function() { this.visible = true; };
+            targetSprite.hide = targetSprite.hide || function() { this.visible = false; };
+            container.addChild(targetSprite);
+
+            var animSprite = new Sprite_Animation();
+            animSprite.setup(targetSprite, anim, false, 0);
+            // 컨테이너(z=5) 자식이므로 z=0 (누적 방지: animSprite.z=8 기본값이 world.z를 더 내려가게 함)
+            animSprite.z = 0;
+            // 오브젝트 크기에 맞게 스케일 조절 (기본 4x4 타일 = 192px)
+            var animScaleX = (obj.width * tw) / 192;
+            var animScaleY = (obj.height * th) / 192;
+            animSprite.scale.x = animScaleX;
+            animSprite.scale.y = animScaleY;
+            if (!obj.animationSe) {
+                animSprite.processTimingData = function(timing) {
+                    // SE 재생 차단: flashScope만 처리
+                    var duration = timing.flashDuration * this._rate;
+                    switch (timing.flashScope) {
+                    case 1: this._target.setBlendColor(timing.flashColor); this._flashDuration = duration; break;
+                    case 2: this._screenFlashDuration = duration; if (this._screenFlashSprite) { this._screenFlashSprite.setColor(timing.flashColor[0], timing.flashColor[1], timing.flashColor[2]); this._screenFlashSprite.opacity = timing.flashColor[3]; } break;
+                    case 3: this.startHiding(duration); break;
+                    }
+                };
             }
-            // imageScale 적용
-            var imgScale = obj.imageScale != null ? obj.imageScale : 1.0;
-            if (imgScale !== 1.0) {
-                imgSprite.scale.set(imgScale, imgScale);
+            container.addChild(animSprite);
+
+            container._mapObjAnimId = obj.animationId;
+            container._mapObjAnimLoop = obj.animationLoop || 'forward';
+            container._mapObjAnimSe = !!obj.animationSe;
+            container._mapObjAnimSprite = animSprite;
+            container._mapObjAnimTarget = targetSprite;
+            container._mapObjAnimReverse = false;
+            container._mapObjAnimScaleX = animScaleX;
+            container._mapObjAnimScaleY = animScaleY;
+        }
+    } else if (obj.imageName) {
+        // 이미지 기반 오브젝트: pictures 폴더에서 이미지 로드
+        var imgSprite = new Sprite();
+        imgSprite.bitmap = ImageManager.loadPicture(obj.imageName);
+        var objAnchorY = obj.anchorY != null ? obj.anchorY : 1.0;
+        imgSprite.anchor.set(0.5, objAnchorY);
+        imgSprite.x = 0;
+        imgSprite.y = obj.height * th / 2;
+        // anchorY < 1.0이면 ShadowLight material 변환 후 shader clipping 적용
+        if (objAnchorY < 1.0) {
+            imgSprite._needsAnchorClip = true;
+        }
+        // imageScale 적용
+        var imgScale = obj.imageScale != null ? obj.imageScale : 1.0;
+        if (imgScale !== 1.0) {
+            imgSprite.scale.set(imgScale, imgScale);
+        }
+        container.addChild(imgSprite);
+        container._mapObjImage = imgSprite;
+        // 이미지 로드 완료 시 repaint
+        var tilemap = this._tilemap;
+        imgSprite.bitmap.addLoadListener(function(bmp) {
+            // 텍스처 변경 강제 감지를 위해 _textureUpdateID 리셋
+            imgSprite._textureUpdateID = -1;
+            var count = 0;
+            function forceRepaint() {
+                if (tilemap) tilemap._needsRepaint = true;
+                if (++count < 10) requestAnimationFrame(forceRepaint);
             }
-            container.addChild(imgSprite);
-            // 이미지 로드 완료 시 repaint
-            var tilemap = this._tilemap;
-            imgSprite.bitmap.addLoadListener(function(bmp) {
-                // 텍스처 변경 강제 감지를 위해 _textureUpdateID 리셋
-                imgSprite._textureUpdateID = -1;
-                var count = 0;
-                function forceRepaint() {
-                    if (tilemap) tilemap._needsRepaint = true;
-                    if (++count < 10) requestAnimationFrame(forceRepaint);
-                }
-                forceRepaint();
-            });
-        } else {
-            for (var row = 0; row < obj.height; row++) {
-                for (var col = 0; col < obj.width; col++) {
-                    var tileRow = obj.tileIds[row];
-                    if (!tileRow) continue;
-                    var cell = tileRow[col];
-                    // cell: number[] (layered) or number (legacy)
-                    var layers = Array.isArray(cell) ? cell : [cell];
-                    for (var li = 0; li < layers.length; li++) {
-                        var tileId = layers[li];
-                        if (!tileId || tileId === 0) continue;
-
-                        if (Tilemap.isAutotile(tileId)) {
-                            var info = Spriteset_Map._calcAutotileInfo(tileId);
-                            var tilesetName = tileset.tilesetNames[info.setNumber];
-                            if (!tilesetName) continue;
-                            var table = info.autotileTable[info.shape];
-                            var w1 = tw / 2, h1 = th / 2;
-
-                            // 물/폭포 타일 → Three.js Mesh + WaterShader
-                            var isWater = typeof ThreeWaterShader !== 'undefined' &&
-                                ThreeWaterShader.isWaterRect(info.animX, info.animY) &&
-                                (info.kind < 0 || ThreeWaterShader.isKindEnabled(info.kind));
-
-                            if (isWater) {
-                                this._createObjectWaterMesh(
-                                    container, tilesetName, info,
-                                    table, col, row, obj, tw, th
-                                );
-                            } else {
-                                // 비물 오토타일 → Sprite + 애니메이션 정보 저장
-                                for (var qi = 0; qi < 4; qi++) {
-                                    var qsx = table[qi][0];
-                                    var qsy = table[qi][1];
-                                    var sx1 = (info.bx * 2 + qsx) * w1;
-                                    var sy1 = (info.by * 2 + qsy) * h1;
-
-                                    var qSprite = new Sprite();
-                                    qSprite.bitmap = ImageManager.loadTileset(tilesetName);
-                                    qSprite.setFrame(sx1, sy1, w1, h1);
-                                    qSprite.x = col * tw + (qi % 2) * w1 - obj.width * tw / 2;
-                                    qSprite.y = (row - obj.height) * th + Math.floor(qi / 2) * h1 + obj.height * th / 2;
-                                    // 타일 이동 애니메이션 정보
-                                    if (info.animX > 0 || info.animY > 0) {
-                                        qSprite._tileAnimX = info.animX;
-                                        qSprite._tileAnimY = info.animY;
-                                        qSprite._baseFrameX = sx1;
-                                        qSprite._baseFrameY = sy1;
-                                    }
-                                    container.addChild(qSprite);
+            forceRepaint();
+        });
+    } else {
+        for (var row = 0; row < obj.height; row++) {
+            for (var col = 0; col < obj.width; col++) {
+                var tileRow = tileIds[row];
+                if (!tileRow) continue;
+                var cell = tileRow[col];
+                // cell: number[] (layered) or number (legacy)
+                var layers = Array.isArray(cell) ? cell : [cell];
+                for (var li = 0; li < layers.length; li++) {
+                    var tileId = layers[li];
+                    if (!tileId || tileId === 0) continue;
+
+                    if (Tilemap.isAutotile(tileId)) {
+                        var info = Spriteset_Map._calcAutotileInfo(tileId);
+                        var tilesetName = tileset.tilesetNames[info.setNumber];
+                        if (!tilesetName) continue;
+                        var table = info.autotileTable[info.shape];
+                        var w1 = tw / 2, h1 = th / 2;
+
+                        // 물/폭포 타일 → Three.js Mesh + WaterShader
+                        var isWater = typeof ThreeWaterShader !== 'undefined' &&
+                            ThreeWaterShader.isWaterRect(info.animX, info.animY) &&
+                            (info.kind < 0 || ThreeWaterShader.isKindEnabled(info.kind));
+
+                        if (isWater) {
+                            this._createObjectWaterMesh(
+                                container, tilesetName, info,
+                                table, col, row, obj, tw, th
+                            );
+                        } else {
+                            // 비물 오토타일 → Sprite + 애니메이션 정보 저장
+                            for (var qi = 0; qi < 4; qi++) {
+                                var qsx = table[qi][0];
+                                var qsy = table[qi][1];
+                                var sx1 = (info.bx * 2 + qsx) * w1;
+                                var sy1 = (info.by * 2 + qsy) * h1;
+
+                                var qSprite = new Sprite();
+                                qSprite.bitmap = ImageManager.loadTileset(tilesetName);
+                                qSprite.setFrame(sx1, sy1, w1, h1);
+                                qSprite.x = col * tw + (qi % 2) * w1 - obj.width * tw / 2;
+                                qSprite.y = (row - obj.height) * th + Math.floor(qi / 2) * h1 + obj.height * th / 2;
+                                // 타일 이동 애니메이션 정보
+                                if (info.animX > 0 || info.animY > 0) {
+                                    qSprite._tileAnimX = info.animX;
+                                    qSprite._tileAnimY = info.animY;
+                                    qSprite._baseFrameX = sx1;
+                                    qSprite._baseFrameY = sy1;
                                 }
+                                container.addChild(qSprite);
                             }
+                        }
+                    } else {
+                        // 일반 타일 (B~E, A5)
+                        var setNumber;
+                        if (Tilemap.isTileA5(tileId)) {
+                            setNumber = 4;
                         } else {
-                            // 일반 타일 (B~E, A5)
-                            var setNumber;
-                            if (Tilemap.isTileA5(tileId)) {
-                                setNumber = 4;
-                            } else {
-                                setNumber = 5 + Math.floor(tileId / 256);
-                            }
-                            var tilesetName = tileset.tilesetNames[setNumber];
-                            if (!tilesetName) continue;
-
-                            var tileSprite = new Sprite();
-                            tileSprite.bitmap = ImageManager.loadTileset(tilesetName);
-                            var sx = (Math.floor(tileId / 128) % 2 * 8 + tileId % 8) * tw;
-                            var sy = Math.floor(tileId % 256 / 8) % 16 * th;
-                            tileSprite.setFrame(sx, sy, tw, th);
-                            tileSprite.x = col * tw - obj.width * tw / 2;
-                            tileSprite.y = (row - obj.height) * th + obj.height * th / 2;
-                            container.addChild(tileSprite);
+                            setNumber = 5 + Math.floor(tileId / 256);
                         }
+                        var tilesetName = tileset.tilesetNames[setNumber];
+                        if (!tilesetName) continue;
+
+                        var tileSprite = new Sprite();
+                        tileSprite.bitmap = ImageManager.loadTileset(tilesetName);
+                        var sx = (Math.floor(tileId / 128) % 2 * 8 + tileId % 8) * tw;
+                        var sy = Math.floor(tileId % 256 / 8) % 16 * th;
+                        tileSprite.setFrame(sx, sy, tw, th);
+                        tileSprite.x = col * tw - obj.width * tw / 2;
+                        tileSprite.y = (row - obj.height) * th + obj.height * th / 2;
+                        container.addChild(tileSprite);
                     }
                 }
             }
         }
+    }
 
-        this._tilemap.addChild(container);
-        this._objectSprites.push(container);
-
-        // Register as billboard for 3D mode
-        // 이미지 오브젝트: imgSprite를 빌보드로 등록 (anchor 기준 회전)
-        // 타일/애니메이션 오브젝트: container를 빌보드로 등록
-        if (typeof Mode3D !== 'undefined') {
-            if (obj.imageName && container.children && container.children[0]) {
-                // 이미지 오브젝트: imgSprite의 anchor 기준으로 회전하도록
-                Mode3D.registerBillboard(container.children[0]);
-            } else {
-                Mode3D.registerBillboard(container);
-            }
-        }
+    this._tilemap.addChild(container);
 
-        // ShadowLight 활성 상태이면 material을 MeshPhongMaterial로 변환
-        // (물 placeholder와 물 메시는 자체 셰이더 사용하므로 제외)
-        if (typeof ShadowLight !== 'undefined' && ShadowLight._active) {
-            ShadowLight._convertMaterial(container);
-            if (container.children) {
-                for (var ci = 0; ci < container.children.length; ci++) {
-                    if (!container.children[ci]._isWaterPlaceholder) {
-                        ShadowLight._convertMaterial(container.children[ci]);
-                    }
-                }
-            }
+    // Register as billboard for 3D mode
+    // 이미지 오브젝트: imgSprite를 빌보드로 등록 (anchor 기준 회전)
+    // 타일/애니메이션 오브젝트: container를 빌보드로 등록
+    if (typeof Mode3D !== 'undefined') {
+        if (obj.imageName && container.children && container.children[0]) {
+            // 이미지 오브젝트: imgSprite의 anchor 기준으로 회전하도록
+            Mode3D.registerBillboard(container.children[0]);
+        } else {
+            Mode3D.registerBillboard(container);
         }
+    }
 
-        // anchorY shader clipping: material 변환 후 최종 material에 적용
+    // ShadowLight 활성 상태이면 material을 MeshPhongMaterial로 변환
+    // (물 placeholder와 물 메시는 자체 셰이더 사용하므로 제외)
+    if (typeof ShadowLight !== 'undefined' && ShadowLight._active) {
+        ShadowLight._convertMaterial(container);
         if (container.children) {
             for (var ci = 0; ci < container.children.length; ci++) {
-                var child = container.children[ci];
-                if (child._needsAnchorClip && child._material) {
-                    child._material.onBeforeCompile = function(shader) {
-                        shader.vertexShader = shader.vertexShader.replace(
-                            'void main() {',
-                            'varying float vLocalY;\nvoid main() {\n  vLocalY = position.y;'
-                        );
-                        shader.fragmentShader = shader.fragmentShader.replace(
-                            'void main() {',
-                            'varying float vLocalY;\nvoid main() {\n  if (vLocalY > 0.0) discard;'
-                        );
-                    };
-                    child._material.customProgramCacheKey = function() {
-                        return 'mapobj-clip-anchor';
-                    };
-                    child._material.needsUpdate = true;
+                if (!container.children[ci]._isWaterPlaceholder) {
+                    ShadowLight._convertMaterial(container.children[ci]);
                 }
             }
         }
+    }
 
-        // 이미지 오브젝트 셰이더 적용 (PictureShader 멀티패스)
-        if (obj.imageName && obj.shaderData && Array.isArray(obj.shaderData) && obj.shaderData.length > 0
-            && typeof PictureShader !== 'undefined') {
-            var imgChild = container.children[0];
-            if (imgChild) {
-                imgChild._objShaderData = obj.shaderData;
-                imgChild._objShaderPasses = [];
-                imgChild._objShaderRTs = [];
-                imgChild._objShaderKey = '';
-                imgChild._objOutputMaterial = null;
-                imgChild._objShakeOffsetX = 0;
-                imgChild._objShakeOffsetY = 0;
+    // anchorY shader clipping: material 변환 후 최종 material에 적용
+    if (container.children) {
+        for (var ci = 0; ci < container.children.length; ci++) {
+            var child = container.children[ci];
+            if (child._needsAnchorClip && child._material) {
+                child._material.onBeforeCompile = function(shader) {
+                    shader.vertexShader = shader.vertexShader.replace(
+                        'void main() {',
+                        'varying float vLocalY;\nvoid main() {\n  vLocalY = position.y;'
+                    );
+                    shader.fragmentShader = shader.fragmentShader.replace(
+                        'void main() {',
+                        'varying float vLocalY;\nvoid main() {\n  if (vLocalY > 0.0) discard;'
+                    );
+                };
+                child._material.customProgramCacheKey = function() {
+                    return 'mapobj-clip-anchor';
+                };
+                child._material.needsUpdate = true;
             }
         }
     }
+
+    // 이미지 오브젝트 셰이더 적용 (PictureShader 멀티패스)
+    // 셰이더가 없어도 런타임에 추가될 수 있으므로 상태를 초기화해 둔다
+    if (obj.imageName && typeof PictureShader !== 'undefined') {
+        var imgChild = container.children[0];
+        if (imgChild) {
+            imgChild._objShaderData = model ? model.shaderData() : obj.shaderData;
+            imgChild._objShaderPasses = [];
+            imgChild._objShaderRTs = [];
+            imgChild._objShaderKey = '';
+            imgChild._objOutputMaterial = null;
+            imgChild._objShakeOffsetX = 0;
+            imgChild._objShakeOffsetY = 0;
+        }
+    }
+    return container;
+};
+
+// 타일 교체 후 컨테이너 재생성 (같은 인덱스에 교체)
+Spriteset_Map.prototype._rebuildMapObject = function(index) {
+    var old = this._objectSprites[index];
+    var obj = $gameMap.mapObjectData(old._mapObjId);
+    if (!obj) return;
+    if (typeof Mode3D !== 'undefined') {
+        Mode3D.unregisterBillboard(old);
+        if (old.children[0]) Mode3D.unregisterBillboard(old.children[0]);
+    }
+    if (old._waterMeshes) {
+        old._waterMeshes.forEach(function(mesh) {
+            if (mesh.parent) mesh.parent.remove(mesh);
+            mesh.geometry.dispose();
+        });
+    }
+    old.destroy();
+    this._objectSprites[index] = this.createMapObject(obj);
 };
 
 Spriteset_Map.prototype.findObjectSprite = function(id) {
@@ -2879,28 +2916,19 @@ Spriteset_Map.prototype.updateMapObjects = function() {
 
     for (var i = 0; i < this._objectSprites.length; i++) {
         var container = this._objectSprites[i];
+        // 런타임 상태(Game_MapObject) 동기화
+        var model = $gameMap.mapObject(container._mapObjId);
+        if (model) {
+            if (this._mapObjectNeedsRebuild(container, model)) {
+                this._rebuildMapObject(i);
+                container = this._objectSprites[i];
+            }
+            this._syncMapObject(container, model);
+        }
         // Update position based on map scroll (same as character screenX/Y)
         container.x = Math.round($gameMap.adjustX(container._mapObjX) * tw + container._mapObjW * tw / 2);
         container.y = Math.round($gameMap.adjustY(container._mapObjY) * th + th - container._mapObjH * th / 2);
 
-        // zHeight 동적 반영 (타일 단위 → 픽셀 단위 변환)
-        // 우선순위: 플러그인 커맨드(_mapObjZHeight) > $dataMap.objects의 zHeight
-        if (container._mapObjZHeight != null) {
-            var zPx = container._mapObjZHeight * th;
-            if (container._heightOffset !== zPx) {
-                container._heightOffset = zPx;
-            }
-        } else {
-            // Inspector에서 obj.zHeight를 직접 수정한 경우 반영
-            var obj = $dataMap.objects[i];
-            if (obj) {
-                var dataZPx = (obj.zHeight || 0) * th;
-                if (container._heightOffset !== dataZPx) {
-                    container._heightOffset = dataZPx;
-                }
-            }
-        }
-
         // 애니메이션 오브젝트 루프 처리
         if (container._mapObjAnimSprite) {
             var animSpr = container._mapObjAnimSprite;
@@ -2932,24 +2960,7 @@ Spriteset_Map.prototype.updateMapObjects = function() {
                     animSpr.parent.removeChild(animSpr);
                 }
                 if (animData) {
-                    // 새 애니메이션 스프라이트 생성
-                    var newAnimSpr = new Sprite_Animation();
-                    newAnimSpr.setup(container._mapObjAnimTarget, animData, false, 0);
-                    if (!container._mapObjAnimSe) {
-                        newAnimSpr.processTimingData = function(timing) {
-                            var duration = timing.flashDuration * this._rate;
-                            switch (timing.flashScope) {
-                            case 1: this._target.setBlendColor(timing.flashColor); this._flashDuration = duration; break;
-                            case 2: this._screenFlashDuration = duration; if (this._screenFlashSprite) { this._screenFlashSprite.setColor(timing.flashColor[0], timing.flashColor[1], timing.flashColor[2]); this._screenFlashSprite.opacity = timing.flashColor[3]; } break;
-                            case 3: this.startHiding(duration); break;
-                            }
-                        };
-                    }
-                    if (container._mapObjAnimScaleX) newAnimSpr.scale.x = container._mapObjAnimScaleX;
-                    if (container._mapObjAnimScaleY) newAnimSpr.scale.y = container._mapObjAnimScaleY;
-                    newAnimSpr.z = 0;  // 컨테이너 자식이므로 z=0
-                    container.addChild(newAnimSpr);
-                    container._mapObjAnimSprite = newAnimSpr;
+                    this._createMapObjectAnimSprite(container, animData);
                 } else {
                     // 'once' 모드: 재생 완료 후 참조 정리
                     container._mapObjAnimSprite = null;
@@ -2994,6 +3005,91 @@ Spriteset_Map.prototype.updateMapObjects = function() {
     }
 };
 
+// 타일 교체, 또는 셰이더 패스가 모두 제거된 경우 (출력 material을 원래대로 되돌리기 위해) 재생성
+Spriteset_Map.prototype._mapObjectNeedsRebuild = function(container, model) {
+    if (container._mapObjTilesVersion !== model.tilesVersion()) return true;
+    var img = container._mapObjImage;
+    if (img && img._objOutputMaterial) {
+        return !model.shaderData().some(function(s) { return s.enabled; });
+    }
+    return false;
+};
+
+/**
+ * Game_MapObject의 런타임 상태(위치, 표시, 높이, 투명도, 색조, 스케일, 셰이더, 애니메이션)를 컨테이너에 반영
+ */
+Spriteset_Map.prototype._syncMapObject = function(container, model) {
+    container._mapObjX = model.x();
+    container._mapObjY = model.y();
+    container._mapObjVisible = model.isVisible();
+    container.visible = container._mapObjVisible || model.isFadingOut();
+    // 오브젝트 하단(x, y) 타일의 높이맵 높이 위에 놓는다
+    container._heightOffset = (model.zHeight() + $gameMap.elevationAt(model.x(), model.y())) *
+                              $gameMap.tileHeight();
+    container.opacity = model.opacity();
+
+    var tone = model.tone();
+    var toneKey = tone ? tone.join(',') : '';
+    if (container._mapObjToneKey !== toneKey) {
+        container._mapObjToneKey = toneKey;
+        var colorTone = tone || [0, 0, 0, 0];
+        container.children.forEach(function(child) {
+            if (child.bitmap && child.setColorTone) child.setColorTone(colorTone);
+        });
+    }
+
+    var img = container._mapObjImage;
+    if (img) {
+        var scale = model.scale();
+        if (img.scale.x !== scale || img.scale.y !== scale) img.scale.set(scale, scale);
+        var anchorY = model.anchorY();
+        if (img.anchor.y !== anchorY) img.anchor.y = anchorY;
+        var shaderData = model.shaderData();
+        if (img._objShaderPasses && img._objShaderData !== shaderData) {
+            img._objShaderData = shaderData;
+            img._objShaderKey = '';
+        }
+    }
+
+    // 애니메이션 정지/재생 (재생 시 처음부터)
+    if (container._mapObjAnimTarget) {
+        if (!model.isAnimationPlaying()) {
+            if (!container._mapObjAnimStopped) {
+                container._mapObjAnimStopped = true;
+                if (container._mapObjAnimSprite) {
+                    container._mapObjAnimSprite.destroy();
+                    container._mapObjAnimSprite = null;
+                }
+            }
+        } else if (container._mapObjAnimStopped) {
+            container._mapObjAnimStopped = false;
+            container._mapObjAnimReverse = false;
+            var anim = $dataAnimations[container._mapObjAnimId];
+            if (anim) this._createMapObjectAnimSprite(container, anim);
+        }
+    }
+};
+
+Spriteset_Map.prototype._createMapObjectAnimSprite = function(container, animData) {
+    var animSprite = new Sprite_Animation();
+    animSprite.setup(container._mapObjAnimTarget, animData, false, 0);
+    if (!container._mapObjAnimSe) {
+        animSprite.processTimingData = function(timing) {
+            var duration = timing.flashDuration * this._rate;
+            switch (timing.flashScope) {
+            case 1: this._target.setBlendColor(timing.flashColor); this._flashDuration = duration; break;
+            case 2: this._screenFlashDuration = duration; if (this._screenFlashSprite) { this._screenFlashSprite.setColor(timing.flashColor[0], timing.flashColor[1], timing.flashColor[2]); this._screenFlashSprite.opacity = timing.flashColor[3]; } break;
+            case 3: this.startHiding(duration); break;
+            }
+        };
+    }
+    if (container._mapObjAnimScaleX) animSprite.scale.x = container._mapObjAnimScaleX;
+    if (container._mapObjAnimScaleY) animSprite.scale.y = container._mapObjAnimScaleY;
+    animSprite.z = 0;  // 컨테이너 자식이므로 z=0
+    container.addChild(animSprite);
+    container._mapObjAnimSprite = animSprite;
+};
+
 /**
  * 물 메시 텍스처 준비 여부 확인 후 빌드 시도
  */
@@ -3095,6 +3191,8 @@ Spriteset_Map.prototype._updateObjectShader = function(sprite) {
 
     // 셰이더 키 계산 (변경 감지 - ShadowLight 상태도 포함)
     var passes = shaderData.filter(function(s) { return s.enabled; });
+    // 활성 패스가 없으면 원래 material 유지 (패스가 모두 꺼지면 updateMapObjects에서 재생성)
+    if (passes.length === 0) return;
     var is3D = typeof ShadowLight !== 'undefined' && ShadowLight._active;
     var key = (is3D ? '3d:' : '2d:') + passes.map(function(s) { return s.type; }).join(',');
 
@@ -3551,6 +3649,11 @@ Spriteset_Map.prototype._updateParallaxSkyPlane = function() {
 Spriteset_Map.prototype.updateTilemap = function() {
     this._tilemap.origin.x = $gameMap.displayX() * $gameMap.tileWidth();
     this._tilemap.origin.y = $gameMap.displayY() * $gameMap.tileHeight();
+    // Elevation 커맨드로 높이맵이 바뀌면 타일 재구성
+    if (this._elevationVersion !== $gameMap.elevationVersion()) {
+        this._elevationVersion = $gameMap.elevationVersion();
+        this._tilemap.refresh();
+    }
 };
 
 Spriteset_Map.prototype.updateShadow = function() {
@@ -3842,231 +3945,424 @@ Spriteset_Battle.prototype.isBusy = function() {
 };
 
 //=============================================================================
-// MapObject Plugin Command Handler
+// MapObject Plugin Commands
 //=============================================================================
+// 상태는 Game_MapObject($gameMap.mapObject(id))에 기록 → 통행 판정과 세이브에 반영되고
+// Spriteset_Map.updateMapObjects가 매 프레임 스프라이트에 동기화한다.
+//
+//   MapObject route 3 2 +4,0 -4,0 loop carry   ← 위에 선 캐릭터를 태우고 왕복하는 발판
+//   MapObject hideWithShader 5 dissolve 1.5    ← 무너지는 벽 (판정은 즉시 통행 가능)
+//   MapObject walkable 7 on                    ← 내려온 도개교 위를 걸을 수 있게
 
 (function() {
-    var _Game_Interpreter_pluginCommand = Game_Interpreter.prototype.pluginCommand;
-    Game_Interpreter.prototype.pluginCommand = function(command, args) {
-        _Game_Interpreter_pluginCommand.call(this, command, args);
-
-        if (command !== 'MapObject') return;
-
-        var subCmd = args[0];
-        var objectId = parseInt(args[1]);
-        if (isNaN(objectId)) return;
-
-        // spriteset 접근
-        var scene = SceneManager._scene;
-        var spriteset = scene && scene._spriteset;
-        if (!spriteset || !spriteset.findObjectSprite) return;
-
-        var container = spriteset.findObjectSprite(objectId);
-        if (!container) return;
-
-        var imgChild = container.children && container.children[0];
-
-        // $dataMap.objects의 visible 동기화 (isPassable 등에서 참조)
-        var syncDataVisible = function(vis) {
-            var objs = $dataMap.objects;
-            if (!objs) return;
-            for (var j = 0; j < objs.length; j++) {
-                if (objs[j] && objs[j].id === objectId) {
-                    objs[j].visible = vis;
-                    break;
-                }
-            }
-        };
+    if (!window.PluginCommandRegistry) return;
 
-        switch (subCmd) {
-            case 'show':
-                container.visible = true;
-                container._mapObjVisible = true;
-                syncDataVisible(true);
-                break;
-
-            case 'hide':
-                container.visible = false;
-                container._mapObjVisible = false;
-                syncDataVisible(false);
-                break;
-
-            case 'showWithShader': {
-                var shaderType = args[2] || 'dissolve';
-                var dur = parseFloat(args[3]) || 1.0;
-                container.visible = true;
-                container._mapObjVisible = true;
-                syncDataVisible(true);
-                if (imgChild && typeof PictureShader !== 'undefined' && window.PluginTween) {
-                    // fade: threshold 0→1 (투명→불투명), 나머지: threshold 1→0
-                    var isFade = shaderType === 'fade';
-                    var startVal = isFade ? 0.0 : 1.0;
-                    var endVal = isFade ? 1.0 : 0.0;
-                    var tempShader = { type: shaderType, enabled: true, params: { threshold: startVal, animSpeed: 0 } };
-                    if (!imgChild._objShaderData) imgChild._objShaderData = [];
-                    imgChild._objShaderData.push(tempShader);
-                    imgChild._objShaderKey = '';
-                    PluginTween.add({
-                        target: tempShader.params, key: 'threshold', to: endVal, duration: dur,
-                        onComplete: function() {
-                            var idx = imgChild._objShaderData.indexOf(tempShader);
-                            if (idx >= 0) imgChild._objShaderData.splice(idx, 1);
-                            imgChild._objShaderKey = '';
-                        }
-                    });
-                }
-                break;
-            }
+    var OBJECT_ID = { name: 'id', type: 'int' };
+    var TWEEN_ARGS = PluginCommandRegistry.TWEEN_ARGS;
 
-            case 'hideWithShader': {
-                var shaderType2 = args[2] || 'dissolve';
-                var dur2 = parseFloat(args[3]) || 1.0;
-                if (imgChild && typeof PictureShader !== 'undefined' && window.PluginTween) {
-                    // fade: threshold 1→0 (불투명→투명), 나머지: threshold 0→1
-                    var isFade2 = shaderType2 === 'fade';
-                    var startVal2 = isFade2 ? 1.0 : 0.0;
-                    var endVal2 = isFade2 ? 0.0 : 1.0;
-                    var tempShader2 = { type: shaderType2, enabled: true, params: { threshold: startVal2, animSpeed: 0 } };
-                    if (!imgChild._objShaderData) imgChild._objShaderData = [];
-                    imgChild._objShaderData.push(tempShader2);
-                    imgChild._objShaderKey = '';
-                    PluginTween.add({
-                        target: tempShader2.params, key: 'threshold', to: endVal2, duration: dur2,
-                        onComplete: function() {
-                            container.visible = false;
-                            container._mapObjVisible = false;
-                            syncDataVisible(false);
-                            var idx = imgChild._objShaderData.indexOf(tempShader2);
-                            if (idx >= 0) imgChild._objShaderData.splice(idx, 1);
-                            imgChild._objShaderKey = '';
-                        }
-                    });
-                } else {
-                    container.visible = false;
-                    container._mapObjVisible = false;
-                    syncDataVisible(false);
-                }
-                break;
-            }
+    function mapObjectOf(id) {
+        var obj = $gameMap.mapObject(id);
+        if (!obj) throw new Error('맵 오브젝트 없음: ' + id);
+        return obj;
+    }
 
-            case 'move': {
-                var mx = parseFloat(args[2]) || 0;
-                var my = parseFloat(args[3]) || 0;
-                var mDur = parseFloat(args[4]) || 0;
-                if (mDur > 0 && window.PluginTween) {
-                    PluginTween.add({ target: container, key: '_mapObjX', to: mx, duration: mDur });
-                    PluginTween.add({ target: container, key: '_mapObjY', to: my, duration: mDur });
-                } else {
-                    container._mapObjX = mx;
-                    container._mapObjY = my;
-                }
-                break;
+    function tweenOrSet(target, key, to, a) {
+        if (a.duration > 0 && window.PluginTween) {
+            PluginTween.add({ target: target, key: key, to: to, duration: a.duration, ease: a.ease });
+        } else {
+            target[key] = to;
+        }
+    }
+
+    // 셰이더 전환 연출은 PictureShader 이미지 오브젝트에서만 가능
+    function canShaderTransition(obj) {
+        return !!(obj.data().imageName && typeof PictureShader !== 'undefined' && window.PluginTween);
+    }
+
+    // fade: threshold 0→1 (투명→불투명), 나머지: threshold 1→0 (show 기준, hide는 반대)
+    function shaderTransition(obj, a, show, onComplete) {
+        var isFade = a.type === 'fade';
+        var from = (isFade === show) ? 0.0 : 1.0;
+        var entry = obj.addShader(a.type, { threshold: from, animSpeed: 0 }, true);
+        PluginTween.add({
+            target: entry.params, key: 'threshold', to: 1.0 - from, duration: a.duration, ease: a.ease,
+            onComplete: function() {
+                obj.removeShader(entry);
+                if (onComplete) onComplete();
             }
+        });
+    }
 
-            case 'scale': {
-                var sv = parseFloat(args[2]) || 1;
-                var sDur = parseFloat(args[3]) || 0;
-                if (imgChild) {
-                    if (sDur > 0 && window.PluginTween) {
-                        PluginTween.add({ target: imgChild.scale, key: 'x', to: sv, duration: sDur });
-                        PluginTween.add({ target: imgChild.scale, key: 'y', to: sv, duration: sDur });
-                    } else {
-                        imgChild.scale.set(sv, sv);
+    var TRANSITION_ARGS = [
+        OBJECT_ID,
+        { name: 'type', default: 'dissolve' },
+        { name: 'duration', type: 'number', default: 1, min: 0 },
+        { name: 'ease', type: 'ease', optional: true }
+    ];
+
+    // "x,y" 절대 좌표 / "+dx,dy" "-dx,dy" (부호로 시작) 이전 지점 기준 상대 좌표
+    function parseRoutePoint(token, prev) {
+        var m = /^([+-]?\d+),([+-]?\d+)$/.exec(token);
+        if (!m) return null;
+        if (/^[+-]/.test(token)) {
+            return { x: prev.x + Number(m[1]), y: prev.y + Number(m[2]) };
+        }
+        return { x: Number(m[1]), y: Number(m[2]) };
+    }
+
+    PluginCommandRegistry.register('MapObject', {
+        description: '맵 오브젝트 표시/이동/연출/통행 제어 (세이브에 저장)',
+        subcommands: {
+            show: {
+                description: '표시',
+                args: [OBJECT_ID],
+                run: function(a) { mapObjectOf(a.id).setVisible(true); }
+            },
+            hide: {
+                description: '숨김 (통행 판정에서도 제외)',
+                args: [OBJECT_ID],
+                run: function(a) { mapObjectOf(a.id).setVisible(false); }
+            },
+            showWithShader: {
+                description: '셰이더 전환으로 표시 (dissolve, fade 등)',
+                args: TRANSITION_ARGS,
+                run: function(a) {
+                    var obj = mapObjectOf(a.id);
+                    obj.setVisible(true);
+                    if (canShaderTransition(obj)) shaderTransition(obj, a, true);
+                }
+            },
+            hideWithShader: {
+                description: '셰이더 전환으로 숨김 (통행은 즉시 해제)',
+                args: TRANSITION_ARGS,
+                run: function(a) {
+                    var obj = mapObjectOf(a.id);
+                    obj.setVisible(false);
+                    if (canShaderTransition(obj)) {
+                        obj.setFadingOut(true);
+                        shaderTransition(obj, a, false, function() { obj.setFadingOut(false); });
                     }
                 }
-                break;
-            }
-
-            case 'zHeight': {
-                var zh = parseFloat(args[2]) || 0;
-                var zDur = parseFloat(args[3]) || 0;
-                if (container._mapObjZHeight == null) container._mapObjZHeight = 0;
-                if (zDur > 0 && window.PluginTween) {
-                    PluginTween.add({ target: container, key: '_mapObjZHeight', to: zh, duration: zDur });
-                } else {
-                    container._mapObjZHeight = zh;
+            },
+            move: {
+                description: '위치(타일, 왼쪽 열/아래 행) 이동',
+                args: [OBJECT_ID, { name: 'x', type: 'number' }, { name: 'y', type: 'number' }].concat(TWEEN_ARGS),
+                run: function(a) {
+                    var obj = mapObjectOf(a.id);
+                    obj.setPosition(obj.x(), obj.y());
+                    tweenOrSet(obj, '_x', a.x, a);
+                    tweenOrSet(obj, '_y', a.y, a);
                 }
-                break;
-            }
-
-            case 'anchorY': {
-                var ay = parseFloat(args[2]) || 1;
-                var aDur = parseFloat(args[3]) || 0;
-                if (imgChild && imgChild.anchor) {
-                    if (aDur > 0 && window.PluginTween) {
-                        PluginTween.add({ target: imgChild.anchor, key: 'y', to: ay, duration: aDur });
+            },
+            route: {
+                description: '경로 이동 (초당 타일 수, x,y 또는 +dx,dy 지점, loop, carry, wait)',
+                args: [OBJECT_ID, { name: 'speed', type: 'number', min: 0.01 }, { name: 'points', rest: true }],
+                run: function(a, interpreter) {
+                    var obj = mapObjectOf(a.id);
+                    var options = {};
+                    var wait = false;
+                    var points = [];
+                    var prev = { x: Math.round(obj.x()), y: Math.round(obj.y()) };
+                    for (var i = 0; i < a.points.length; i++) {
+                        var token = a.points[i];
+                        if (token === 'loop') options.loop = true;
+                        else if (token === 'carry') options.carry = true;
+                        else if (token === 'wait') wait = true;
+                        else {
+                            var point = parseRoutePoint(token, prev);
+                            if (!point) throw new Error('알 수 없는 지점/옵션: ' + token);
+                            points.push(point);
+                            prev = point;
+                        }
+                    }
+                    if (points.length === 0) throw new Error('지점이 없음');
+                    obj.startRoute(points, a.speed, options);
+                    // loop 경로는 끝나지 않으므로 wait 무시
+                    if (wait && !options.loop) {
+                        interpreter._waitMapObjectId = a.id;
+                        interpreter.setWaitMode('mapObject');
+                    }
+                }
+            },
+            stop: {
+                description: '경로 이동 정지 (현재 구간 끝에서)',
+                args: [OBJECT_ID],
+                run: function(a) { mapObjectOf(a.id).stopRoute(); }
+            },
+            zHeight: {
+                description: '높이(타일) 변경',
+                args: [OBJECT_ID, { name: 'value', type: 'number' }].concat(TWEEN_ARGS),
+                run: function(a) {
+                    var obj = mapObjectOf(a.id);
+                    obj.setZHeight(obj.zHeight());
+                    tweenOrSet(obj, '_zHeight', a.value, a);
+                }
+            },
+            opacity: {
+                description: '불투명도 (0~255)',
+                args: [OBJECT_ID, { name: 'value', type: 'number', min: 0, max: 255 }].concat(TWEEN_ARGS),
+                run: function(a) { tweenOrSet(mapObjectOf(a.id), '_opacity', a.value, a); }
+            },
+            tint: {
+                description: '색조 (red/green/blue -255~255, gray 0~255)',
+                args: [
+                    OBJECT_ID,
+                    { name: 'red', type: 'number', min: -255, max: 255 },
+                    { name: 'green', type: 'number', min: -255, max: 255 },
+                    { name: 'blue', type: 'number', min: -255, max: 255 },
+                    { name: 'gray', type: 'number', default: 0, min: 0, max: 255 }
+                ].concat(TWEEN_ARGS),
+                run: function(a) {
+                    var obj = mapObjectOf(a.id);
+                    var to = [a.red, a.green, a.blue, a.gray];
+                    if (a.duration > 0 && window.PluginTween) {
+                        obj.setTone(obj.tone() || [0, 0, 0, 0]);
+                        // PluginTween은 key가 falsy면 무시하므로 인덱스를 문자열로
+                        for (var i = 0; i < 4; i++) tweenOrSet(obj._tone, String(i), to[i], a);
                     } else {
-                        imgChild.anchor.y = ay;
+                        obj.setTone(to);
                     }
                 }
-                break;
-            }
-
-            case 'passability': {
-                var passVal = args[2] === '1' || args[2] === 'true';
-                if ($dataMap && $dataMap.objects) {
-                    for (var pi = 0; pi < $dataMap.objects.length; pi++) {
-                        var pobj = $dataMap.objects[pi];
-                        if (pobj && pobj.id === objectId && pobj.passability) {
-                            for (var pk in pobj.passability) {
-                                pobj.passability[pk] = passVal;
-                            }
-                        }
+            },
+            scale: {
+                description: '이미지 스케일 변경',
+                args: [OBJECT_ID, { name: 'value', type: 'number', min: 0 }].concat(TWEEN_ARGS),
+                run: function(a) {
+                    var obj = mapObjectOf(a.id);
+                    obj.setScale(obj.scale());
+                    tweenOrSet(obj, '_scale', a.value, a);
+                }
+            },
+            anchorY: {
+                description: '이미지 anchorY 변경',
+                args: [OBJECT_ID, { name: 'value', type: 'number' }].concat(TWEEN_ARGS),
+                run: function(a) {
+                    var obj = mapObjectOf(a.id);
+                    obj.setAnchorY(obj.anchorY());
+                    tweenOrSet(obj, '_anchorY', a.value, a);
+                }
+            },
+            anim: {
+                description: '애니메이션 오브젝트 재생/정지',
+                args: [OBJECT_ID, { name: 'action', type: 'enum', values: ['play', 'stop'] }],
+                run: function(a) {
+                    var obj = mapObjectOf(a.id);
+                    if (a.action === 'play') obj.playAnimation();
+                    else obj.stopAnimation();
+                }
+            },
+            tiles: {
+                description: '타일 교체 (셀 열/행, 타일 ID 또는 id,id 레이어)',
+                args: [
+                    OBJECT_ID,
+                    { name: 'col', type: 'int', min: 0 },
+                    { name: 'row', type: 'int', min: 0 },
+                    { name: 'tileIds' }
+                ],
+                run: function(a) {
+                    var obj = mapObjectOf(a.id);
+                    if (a.col >= obj.width() || a.row >= obj.height()) {
+                        throw new Error('셀 범위 밖: ' + a.col + ',' + a.row);
                     }
+                    var layers = a.tileIds.split(',').map(Number);
+                    if (layers.some(isNaN)) throw new Error('타일 ID가 아님: ' + a.tileIds);
+                    obj.setTile(a.col, a.row, layers.length > 1 ? layers : layers[0]);
+                }
+            },
+            passability: {
+                description: '전체 셀 통행 가능 여부',
+                args: [OBJECT_ID, { name: 'passable', type: 'bool' }],
+                run: function(a) { mapObjectOf(a.id).setPassable(a.passable); }
+            },
+            cell: {
+                description: '셀 하나의 통행 가능 여부',
+                args: [
+                    OBJECT_ID,
+                    { name: 'col', type: 'int', min: 0 },
+                    { name: 'row', type: 'int', min: 0 },
+                    { name: 'passable', type: 'bool' }
+                ],
+                run: function(a) { mapObjectOf(a.id).setCellPassable(a.col, a.row, a.passable); }
+            },
+            walkable: {
+                description: '통행 가능한 셀이 아래 타일 통행을 덮어씀 (다리, 발판)',
+                args: [OBJECT_ID, { name: 'enabled', type: 'bool' }],
+                run: function(a) { mapObjectOf(a.id).setWalkable(a.enabled); }
+            },
+            shader_add: {
+                description: '셰이더 패스 추가',
+                args: [OBJECT_ID, { name: 'type' }],
+                run: function(a) { mapObjectOf(a.id).addShader(a.type, {}); }
+            },
+            shader_remove: {
+                description: '셰이더 패스 제거 (type 또는 all)',
+                args: [OBJECT_ID, { name: 'type' }],
+                run: function(a) { mapObjectOf(a.id).removeShader(a.type); }
+            },
+            shader_param: {
+                description: '셰이더 파라미터 변경',
+                args: [OBJECT_ID, { name: 'type' }, { name: 'key' }, { name: 'value', type: 'number' }].concat(TWEEN_ARGS),
+                run: function(a) {
+                    var obj = mapObjectOf(a.id);
+                    obj.editableShaderData();
+                    var entry = obj.findShader(a.type);
+                    if (!entry) throw new Error('셰이더 패스 없음: ' + a.type);
+                    if (!entry.params) entry.params = {};
+                    if (entry.params[a.key] == null) entry.params[a.key] = 0;
+                    tweenOrSet(entry.params, a.key, a.value, a);
                 }
-                break;
             }
+        }
+    });
+})();
 
-            case 'shader_add': {
-                var saType = args[2];
-                if (imgChild && saType) {
-                    if (!imgChild._objShaderData) imgChild._objShaderData = [];
-                    imgChild._objShaderData.push({ type: saType, enabled: true, params: {} });
-                    imgChild._objShaderKey = '';
-                }
-                break;
+//=============================================================================
+// Elevation Plugin Commands
+//=============================================================================
+// tileLayerElevation 맵의 타일 높이맵(tileHeights/tileRamps, 타일 단위)을 런타임에 바꾸고
+// 캐릭터를 높이 차가 있는 곳으로 점프/낙하시킨다. 높이 변경은 세이브에 저장된다.
+// character: -1 플레이어, 0 이 이벤트, 1 이상 이벤트 ID
+//
+//   Elevation raise 10 5 -3 2 2      ← 발밑 2x2 바닥이 무너져 위에 선 캐릭터가 떨어짐
+//   Elevation ramp 4 8 8             ← 위쪽으로 올라가는 경사로
+//   Elevation fall -1 2 wait         ← 플레이어가 낭떠러지 아래로 뛰어내림
+
+(function() {
+    if (!window.PluginCommandRegistry) return;
+
+    var AREA_ARGS = [
+        { name: 'x', type: 'int', min: 0 },
+        { name: 'y', type: 'int', min: 0 }
+    ];
+    var SIZE_ARGS = [
+        { name: 'w', type: 'int', default: 1, min: 1 },
+        { name: 'h', type: 'int', default: 1, min: 1 }
+    ];
+    var CHARACTER = { name: 'character', type: 'int' };
+    var WAIT = { name: 'wait', type: 'enum', values: ['wait'], optional: true };
+
+    function characterOf(interpreter, id) {
+        var character = interpreter.character(id);
+        if (!character) throw new Error('캐릭터 없음: ' + id);
+        return character;
+    }
+
+    function forEachTile(a, callback) {
+        for (var y = a.y; y < a.y + a.h; y++) {
+            for (var x = a.x; x < a.x + a.w; x++) {
+                callback(x, y);
             }
+        }
+    }
 
-            case 'shader_remove': {
-                var srType = args[2];
-                if (imgChild && imgChild._objShaderData) {
-                    if (srType === 'all') {
-                        imgChild._objShaderData = [];
-                    } else {
-                        imgChild._objShaderData = imgChild._objShaderData.filter(function(s) {
-                            return s.type !== srType;
-                        });
+    function waitFor(interpreter, character, a) {
+        if (a.wait) {
+            interpreter._character = character;
+            interpreter.setWaitMode('elevation');
+        }
+    }
+
+    PluginCommandRegistry.register('Elevation', {
+        description: '타일 높이맵 변경 / 높이 차 점프·낙하 (tileLayerElevation 맵)',
+        subcommands: {
+            set: {
+                description: '영역 높이(타일) 설정',
+                args: AREA_ARGS.concat([{ name: 'height', type: 'number' }], SIZE_ARGS),
+                run: function(a) {
+                    forEachTile(a, function(x, y) { $gameMap.setElevation(x, y, a.height); });
+                }
+            },
+            raise: {
+                description: '영역 높이를 delta만큼 올림 (음수면 내림 → 위 캐릭터 낙하)',
+                args: AREA_ARGS.concat([{ name: 'delta', type: 'number' }], SIZE_ARGS),
+                run: function(a) {
+                    forEachTile(a, function(x, y) {
+                        $gameMap.setElevation(x, y, $gameMap.elevation(x, y) + a.delta);
+                    });
+                }
+            },
+            ramp: {
+                description: '경사로 방향 설정 (올라가는 방향 2/4/6/8, 0은 평지)',
+                args: AREA_ARGS.concat([{ name: 'direction', type: 'enum', values: ['0', '2', '4', '6', '8'] }]),
+                run: function(a) { $gameMap.setRampDirection(a.x, a.y, Number(a.direction)); }
+            },
+            reset: {
+                description: '현재 맵의 높이 변경을 모두 되돌림',
+                run: function() { $gameMap.resetElevation(); }
+            },
+            jump: {
+                description: '높이 차를 무시하고 점프 (dx, dy 타일)',
+                args: [CHARACTER, { name: 'dx', type: 'int' }, { name: 'dy', type: 'int' }, WAIT],
+                run: function(a, interpreter) {
+                    var character = characterOf(interpreter, a.character);
+                    character.jump(a.dx, a.dy);
+                    waitFor(interpreter, character, a);
+                }
+            },
+            fall: {
+                description: '낭떠러지 쪽으로 한 칸 내딛고 낙하 (방향 2/4/6/8 생략 시 바라보는 방향, wait)',
+                args: [CHARACTER, { name: 'options', rest: true }],
+                run: function(a, interpreter) {
+                    var character = characterOf(interpreter, a.character);
+                    var direction = character.direction();
+                    for (var i = 0; i < a.options.length; i++) {
+                        var token = a.options[i];
+                        if (token === 'wait') a.wait = true;
+                        else if (/^[2468]$/.test(token)) direction = Number(token);
+                        else throw new Error('알 수 없는 방향/옵션: ' + token);
                     }
-                    imgChild._objShaderKey = '';
+                    character.stepOff(direction);
+                    waitFor(interpreter, character, a);
+                }
+            },
+            drop: {
+                description: '현재 위치에서 height(타일) 위로 띄운 뒤 떨어뜨림',
+                args: [CHARACTER, { name: 'height', type: 'number', min: 0 }, WAIT],
+                run: function(a, interpreter) {
+                    var character = characterOf(interpreter, a.character);
+                    character.drop(a.height);
+                    waitFor(interpreter, character, a);
                 }
-                break;
             }
+        }
+    });
+})();
 
-            case 'shader_param': {
-                var spType = args[2];
-                var spKey = args[3];
-                var spVal = parseFloat(args[4]);
-                var spDur = parseFloat(args[5]) || 0;
-                if (imgChild && imgChild._objShaderData && spType && spKey && !isNaN(spVal)) {
-                    var shaderEntry = null;
-                    for (var si = 0; si < imgChild._objShaderData.length; si++) {
-                        if (imgChild._objShaderData[si].type === spType) {
-                            shaderEntry = imgChild._objShaderData[si];
-                            break;
-                        }
-                    }
-                    if (shaderEntry) {
-                        if (!shaderEntry.params) shaderEntry.params = {};
-                        if (spDur > 0 && window.PluginTween) {
-                            if (shaderEntry.params[spKey] == null) shaderEntry.params[spKey] = 0;
-                            PluginTween.add({ target: shaderEntry.params, key: spKey, to: spVal, duration: spDur });
-                        } else {
-                            shaderEntry.params[spKey] = spVal;
-                        }
-                    }
-                }
-                break;
+//=============================================================================
+// MoveTo Plugin Command
+//=============================================================================
+// 이동 루트 MOVE_TO(Game_Character.ROUTE_MOVE_TO)를 강제 이동 루트로 실행한다.
+// 경로 탐색으로 한 걸음씩 (x, y)까지 이동하며, 막히면 skip이 없을 때는 길이 열릴 때까지 대기한다.
+// character: -1 플레이어, 0 이 이벤트, 1 이상 이벤트 ID
+//
+//   MoveTo 0 12 7 wait               ← 이 이벤트가 (12, 7)까지 걸어간 뒤 진행
+//   MoveTo -1 3 4 skip               ← 플레이어 이동, 막히면 건너뜀
+
+(function() {
+    if (!window.PluginCommandRegistry) return;
+
+    PluginCommandRegistry.register('MoveTo', {
+        description: '경로 탐색으로 (x, y)까지 이동 (wait: 도착까지 대기, skip: 막히면 건너뜀)',
+        args: [
+            { name: 'character', type: 'int' },
+            { name: 'x', type: 'int', min: 0 },
+            { name: 'y', type: 'int', min: 0 },
+            { name: 'options', rest: true }
+        ],
+        run: function(a, interpreter) {
+            var character = interpreter.character(a.character);
+            if (!character) throw new Error('캐릭터 없음: ' + a.character);
+            var options = {};
+            for (var i = 0; i < a.options.length; i++) {
+                if (a.options[i] === 'wait') options.wait = true;
+                else if (a.options[i] === 'skip') options.skippable = true;
+                else throw new Error('알 수 없는 옵션: ' + a.options[i]);
+            }
+            character.forceMoveRoute(Game_Character.moveToRoute(a.x, a.y, options));
+            if (options.wait) {
+                interpreter._character = character;
+                interpreter.setWaitMode('route');
             }
         }
-    };
+    });
 })();
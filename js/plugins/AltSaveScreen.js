@@ -3,10 +3,15 @@
 //=============================================================================
 
 /*:
- * @plugindesc Alternative save/load screen layout.
+ * @plugindesc 썸네일·맵 이름·위치를 보여주는 세이브/로드 화면 레이아웃
  * @author Yoji Ojima
  *
  * @help This plugin does not provide plugin commands.
+ *
+ * Each save stores a thumbnail of the map view (taken by ScreenshotManager),
+ * the map display name, the location and the play time. The thumbnail is
+ * shown in the file list and as a larger preview in the status pane.
+ * Saves made before this version are displayed without them.
  */
 
 /*:ja
@@ -14,10 +19,70 @@
  * @author Yoji Ojima
  *
  * @help このプラグインには、プラグインコマンドはありません。
+ *
+ * セーブ時にマップ画面のサムネイル（ScreenshotManager）、マップ表示名、
+ * 現在地、プレイ時間を記録し、ファイル一覧とステータス欄に表示します。
+ * 以前のセーブデータはこれらの情報なしで表示されます。
  */
 
 (function() {
 
+    var _DataManager_makeSavefileInfo = DataManager.makeSavefileInfo;
+    DataManager.makeSavefileInfo = function() {
+        var info = _DataManager_makeSavefileInfo.call(this);
+        var mapId = $gameMap.mapId();
+        if (mapId > 0) {
+            var mapInfo = $dataMapInfos[mapId];
+            info.mapName = $gameMap.displayName() || (mapInfo ? mapInfo.name : '');
+            info.location = {
+                mapId: mapId,
+                name: mapInfo ? mapInfo.name : '',
+                x: $gamePlayer.x,
+                y: $gamePlayer.y
+            };
+        }
+        return info;
+    };
+
+    // Thumbnails are data URLs kept in the global info; decode each one once
+    // and reuse the bitmap until the save slot is overwritten.
+    var thumbnailCache = {};
+
+    function loadThumbnail(id, info, onLoad) {
+        if (!info || !info.thumbnail) {
+            return null;
+        }
+        var cache = thumbnailCache[id];
+        if (!cache || cache.timestamp !== info.timestamp) {
+            cache = { timestamp: info.timestamp, bitmap: null, listeners: [] };
+            thumbnailCache[id] = cache;
+            var image = new Image();
+            image.onload = function() {
+                var bitmap = new Bitmap(image.width, image.height);
+                bitmap.context.drawImage(image, 0, 0);
+                bitmap._setDirty();
+                cache.bitmap = bitmap;
+                cache.listeners.forEach(function(listener) {
+                    listener();
+                });
+                cache.listeners = [];
+            };
+            image.src = info.thumbnail;
+        }
+        if (!cache.bitmap && onLoad && cache.listeners.indexOf(onLoad) < 0) {
+            cache.listeners.push(onLoad);
+        }
+        return cache.bitmap;
+    }
+
+    function locationText(info) {
+        var location = info.location;
+        if (!location) {
+            return '';
+        }
+        return location.name + ' (' + location.x + ', ' + location.y + ')';
+    }
+
     var _Scene_File_create = Scene_File.prototype.create;
     Scene_File.prototype.create = function() {
         _Scene_File_create.call(this);
@@ -60,6 +125,37 @@
         return this.lineHeight() * 2;
     };
 
+    Window_SavefileList.prototype.drawContents = function(info, rect, valid) {
+        var thumbnail = loadThumbnail(this._thumbnailId, info, this._onThumbnailLoad());
+        var textWidth = rect.width;
+        if (thumbnail) {
+            var height = rect.height;
+            var width = Math.floor(thumbnail.width * height / thumbnail.height);
+            textWidth -= width + 4;
+            this.contents.blt(thumbnail, 0, 0, thumbnail.width, thumbnail.height,
+                              rect.x + rect.width - width, rect.y, width, height);
+        }
+        var y2 = rect.y + rect.height - this.lineHeight();
+        this.drawPlaytime(info, rect.x, y2, textWidth);
+    };
+
+    var _Window_SavefileList_drawItem = Window_SavefileList.prototype.drawItem;
+    Window_SavefileList.prototype.drawItem = function(index) {
+        this._thumbnailId = index + 1;
+        _Window_SavefileList_drawItem.call(this, index);
+    };
+
+    Window_SavefileList.prototype._onThumbnailLoad = function() {
+        if (!this._thumbnailListener) {
+            this._thumbnailListener = function() {
+                if (this.contents) {
+                    this.refresh();
+                }
+            }.bind(this);
+        }
+        return this._thumbnailListener;
+    };
+
     var _Window_SavefileList_callUpdateHelp =
             Window_SavefileList.prototype.callUpdateHelp;
     Window_SavefileList.prototype.callUpdateHelp = function() {
@@ -79,6 +175,7 @@
     Window_SavefileStatus.prototype.initialize = function(x, y, width, height) {
         Window_Base.prototype.initialize.call(this, x, y, width, height);
         this._id = 1;
+        this._thumbnailListener = this.refresh.bind(this);
     };
 
     Window_SavefileStatus.prototype.setMode = function(mode) {
@@ -113,20 +210,50 @@
     };
 
     Window_SavefileStatus.prototype.drawContents = function(info, rect, valid) {
+        var lineHeight = this.lineHeight();
         var bottom = rect.y + rect.height;
-        var playtimeY = bottom - this.lineHeight();
-        this.drawText(info.title, rect.x + 192, rect.y, rect.width - 192);
+        var playtimeY = bottom - lineHeight;
+        var width = rect.width - this.drawPreview(info, rect);
+        this.drawText(info.title, rect.x + 192, rect.y, width - 192);
+        if (info.mapName === undefined) {
+            if (valid) {
+                this.drawPartyfaces(info, rect.x, bottom - 144, width, 144);
+            }
+            this.drawText(info.playtime, rect.x, playtimeY, width, 'right');
+            return;
+        }
+        var infoWidth = 240;
+        this.drawText(info.mapName, rect.x, rect.y + lineHeight, infoWidth);
+        this.drawText(locationText(info), rect.x, rect.y + lineHeight * 2, infoWidth);
+        this.drawText(info.playtime, rect.x, playtimeY, infoWidth);
         if (valid) {
-            this.drawPartyfaces(info, rect.x, bottom - 144);
+            var facesX = rect.x + infoWidth + 12;
+            this.drawPartyfaces(info, facesX, rect.y + lineHeight,
+                                rect.x + width - facesX, rect.height - lineHeight);
+        }
+    };
+
+    // Draws the thumbnail at the right edge and returns the width it used.
+    Window_SavefileStatus.prototype.drawPreview = function(info, rect) {
+        var thumbnail = loadThumbnail(this._id, info, this._thumbnailListener);
+        if (!thumbnail) {
+            return 0;
         }
-        this.drawText(info.playtime, rect.x, playtimeY, rect.width, 'right');
+        var height = rect.height;
+        var width = Math.floor(thumbnail.width * height / thumbnail.height);
+        this.contents.blt(thumbnail, 0, 0, thumbnail.width, thumbnail.height,
+                          rect.x + rect.width - width, rect.y, width, height);
+        return width + 12;
     };
 
-    Window_SavefileStatus.prototype.drawPartyfaces = function(info, x, y) {
-        if (info && info.faces) {
+    Window_SavefileStatus.prototype.drawPartyfaces = function(info, x, y, width, height) {
+        if (info && info.faces && info.faces.length > 0) {
+            var spacing = Math.min(150, Math.floor(width / info.faces.length));
+            var faceWidth = Math.min(Window_Base._faceWidth, spacing - 6);
+            var faceHeight = Math.min(Window_Base._faceHeight, height);
             for (var i = 0; i < info.faces.length; i++) {
                 var data = info.faces[i];
-                this.drawFace(data[0], data[1], x + i * 150, y);
+                this.drawFace(data[0], data[1], x + i * spacing, y, faceWidth, faceHeight);
             }
         }
     };
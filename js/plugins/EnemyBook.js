@@ -53,31 +53,47 @@
     var parameters = PluginManager.parameters('EnemyBook');
     var unknownData = String(parameters['Unknown Data'] || '??????');
 
-    var _Game_Interpreter_pluginCommand =
-            Game_Interpreter.prototype.pluginCommand;
-    Game_Interpreter.prototype.pluginCommand = function(command, args) {
-        _Game_Interpreter_pluginCommand.call(this, command, args);
-        if (command === 'EnemyBook') {
-            switch (args[0]) {
-            case 'open':
+    var pluginCommands = {
+        open: {
+            description: 'Open the enemy book screen.',
+            run: function() {
                 SceneManager.push(Scene_EnemyBook);
-                break;
-            case 'add':
-                $gameSystem.addToEnemyBook(Number(args[1]));
-                break;
-            case 'remove':
-                $gameSystem.removeFromEnemyBook(Number(args[1]));
-                break;
-            case 'complete':
+            }
+        },
+        add: {
+            description: 'Add an enemy to the book.',
+            args: [{ name: 'enemyId', type: 'int', min: 1 }],
+            run: function(a) {
+                $gameSystem.addToEnemyBook(a.enemyId);
+            }
+        },
+        remove: {
+            description: 'Remove an enemy from the book.',
+            args: [{ name: 'enemyId', type: 'int', min: 1 }],
+            run: function(a) {
+                $gameSystem.removeFromEnemyBook(a.enemyId);
+            }
+        },
+        complete: {
+            description: 'Complete the enemy book.',
+            run: function() {
                 $gameSystem.completeEnemyBook();
-                break;
-            case 'clear':
+            }
+        },
+        clear: {
+            description: 'Clear the enemy book.',
+            run: function() {
                 $gameSystem.clearEnemyBook();
-                break;
             }
         }
     };
 
+    // PluginCommandRegistry is loaded from index.html before any plugin.
+    PluginCommandRegistry.register('EnemyBook', {
+        description: 'Enemy book',
+        subcommands: pluginCommands
+    });
+
     Game_System.prototype.addToEnemyBook = function(enemyId) {
         if (!this._enemyBookFlags) {
             this.clearEnemyBook();
@@ -80,31 +80,53 @@
     var equipText = String(parameters['Equip Text'] || 'Equip');
     var typeText = String(parameters['Type Text'] || 'Type');
 
-    var _Game_Interpreter_pluginCommand =
-            Game_Interpreter.prototype.pluginCommand;
-    Game_Interpreter.prototype.pluginCommand = function(command, args) {
-        _Game_Interpreter_pluginCommand.call(this, command, args);
-        if (command === 'ItemBook') {
-            switch (args[0]) {
-            case 'open':
+    var pluginCommands = {
+        open: {
+            description: 'Open the item book screen.',
+            run: function() {
                 SceneManager.push(Scene_ItemBook);
-                break;
-            case 'add':
-                $gameSystem.addToItemBook(args[1], Number(args[2]));
-                break;
-            case 'remove':
-                $gameSystem.removeFromItemBook(args[1], Number(args[2]));
-                break;
-            case 'complete':
+            }
+        },
+        add: {
+            description: 'Add an item to the book.',
+            args: [
+                { name: 'type', type: 'enum', values: ['weapon', 'armor', 'item'] },
+                { name: 'id', type: 'int', min: 1 }
+            ],
+            run: function(a) {
+                $gameSystem.addToItemBook(a.type, a.id);
+            }
+        },
+        remove: {
+            description: 'Remove an item from the book.',
+            args: [
+                { name: 'type', type: 'enum', values: ['weapon', 'armor', 'item'] },
+                { name: 'id', type: 'int', min: 1 }
+            ],
+            run: function(a) {
+                $gameSystem.removeFromItemBook(a.type, a.id);
+            }
+        },
+        complete: {
+            description: 'Complete the item book.',
+            run: function() {
                 $gameSystem.completeItemBook();
-                break;
-            case 'clear':
+            }
+        },
+        clear: {
+            description: 'Clear the item book.',
+            run: function() {
                 $gameSystem.clearItemBook();
-                break;
             }
         }
     };
 
+    // PluginCommandRegistry is loaded from index.html before any plugin.
+    PluginCommandRegistry.register('ItemBook', {
+        description: 'Item book',
+        subcommands: pluginCommands
+    });
+
     Game_System.prototype.addToItemBook = function(type, dataId) {
         if (!this._ItemBookFlags) {
             this.clearItemBook();
@@ -31,6 +31,77 @@
  * @max 200
  * @desc 캐릭터 머리 위 Y 오프셋 (픽셀, 음수 = 위로)
  * @default -4
+ *
+ * @param Title Font Size
+ * @type number
+ * @min 8
+ * @max 48
+ * @desc 칭호(역할) 텍스트 폰트 크기 (픽셀)
+ * @default 12
+ *
+ * @param Title Color
+ * @desc 칭호(역할) 텍스트 색상
+ * @default #ffe08a
+ *
+ * @param HP Bar Width
+ * @type number
+ * @min 16
+ * @max 200
+ * @desc HP 바 가로 길이 (픽셀)
+ * @default 48
+ *
+ * @param HP Bar Color
+ * @desc HP 바 색상
+ * @default #e04040
+ *
+ * @param Fade Start
+ * @type number
+ * @decimals 1
+ * @min 0
+ * @desc 플레이어와의 거리가 이 값(타일)을 넘으면 흐려지기 시작 (0 = 거리 페이드 없음)
+ * @default 5
+ *
+ * @param Fade End
+ * @type number
+ * @decimals 1
+ * @min 0
+ * @desc 플레이어와의 거리가 이 값(타일) 이상이면 완전히 숨김
+ * @default 9
+ *
+ * @param Hide In Fog
+ * @type boolean
+ * @desc FogOfWar가 켜진 맵에서 현재 시야 밖에 있는 NPC의 이름표를 숨김
+ * @default true
+ *
+ * @help
+ * 맵 확장 데이터($dataMap.npcData)의 이벤트별 항목으로 표시 내용을 정합니다.
+ *
+ *   "npcData": {
+ *     "4": {
+ *       "name": "대장장이 한스",
+ *       "showName": true,
+ *       "title": "대장장이",
+ *       "quest": [
+ *         { "icon": "✓", "switch": 12 },
+ *         { "icon": "?", "variable": 5, "value": 2 },
+ *         { "icon": "!", "variable": 5, "value": 1, "op": "==" }
+ *       ],
+ *       "hpBar": { "variable": 21, "max": 100, "hostile": true }
+ *     }
+ *   }
+ *
+ * title  : 이름 아래에 작은 글씨로 표시되는 칭호/역할
+ * quest  : 위에서부터 조건을 검사하여 처음 만족하는 항목의 아이콘(!, ?, ✓)을
+ *          이름 위에 표시합니다.
+ *          switch   - 스위치 ID (ON일 때 만족)
+ *          variable - 변수 ID, value 와 op(>=, ==, <=, >, <, !=; 기본 >=)로 비교
+ *          color    - 아이콘 색상 (생략 시 ! 노랑, ? 회색, ✓ 초록)
+ * hpBar  : 변수 값을 HP로 표시하는 바. max 또는 maxVariable 로 최대치를 지정.
+ *          hostile 이 true 이면 이름을 붉은색으로 표시합니다.
+ *
+ * 플레이어와의 거리에 따라 흐려지며(Fade Start ~ Fade End),
+ * FogOfWar가 켜진 맵에서는 현재 시야 밖 타일에 있는 NPC의 이름표를 숨깁니다(Hide In Fog).
+ * 3D 모드에서 빌보드가 꺼진 이벤트도 이름표는 카메라를 향해 세워집니다.
  */
 
 (function () {
@@ -42,9 +113,81 @@
   var outlineColor = parameters['Outline Color'] || 'rgba(0,0,0,0.85)';
   var outlineWidth = parseInt(parameters['Outline Width'] || '3');
   var offsetY = parseInt(parameters['Offset Y'] || '-4');
+  var titleFontSize = parseInt(parameters['Title Font Size'] || '12');
+  var titleColor = parameters['Title Color'] || '#ffe08a';
+  var hpBarWidth = parseInt(parameters['HP Bar Width'] || '48');
+  var hpBarColor = parameters['HP Bar Color'] || '#e04040';
+  var fadeStart = parseFloat(parameters['Fade Start'] || '5');
+  var fadeEnd = parseFloat(parameters['Fade End'] || '9');
+  var hideInFog = String(parameters['Hide In Fog']) !== 'false';
 
   var BITMAP_W = 200;
-  var BITMAP_H = fontSize + outlineWidth * 2 + 8;
+  var NAME_H = fontSize + outlineWidth * 2 + 8;
+  var TITLE_H = titleFontSize + outlineWidth * 2 + 4;
+  var ICON_SIZE = Math.round(fontSize * 1.5);
+  var ICON_H = ICON_SIZE + outlineWidth * 2 + 4;
+  var HP_BAR_H = 6;
+  var HOSTILE_COLOR = '#ff6060';
+  var QUEST_COLORS = { '!': '#ffd800', '?': '#c8c8c8', '✓': '#60e060' };
+  var OPACITY_SPEED = 24;
+
+  //-----------------------------------------------------------------------------
+  // npcData 해석
+  //-----------------------------------------------------------------------------
+
+  function compareValue(a, op, b) {
+    switch (op) {
+      case '==': return a === b;
+      case '!=': return a !== b;
+      case '>':  return a > b;
+      case '<':  return a < b;
+      case '<=': return a <= b;
+      default:   return a >= b;
+    }
+  }
+
+  function questMarker(entry) {
+    var quest = entry.quest;
+    if (!Array.isArray(quest)) return null;
+    for (var i = 0; i < quest.length; i++) {
+      var cond = quest[i];
+      if (!cond || !cond.icon) continue;
+      if (cond.switch && !$gameSwitches.value(cond.switch)) continue;
+      if (cond.variable &&
+          !compareValue($gameVariables.value(cond.variable), cond.op, Number(cond.value) || 0)) continue;
+      return cond;
+    }
+    return null;
+  }
+
+  function hpRate(entry) {
+    var bar = entry.hpBar;
+    if (!bar || !bar.variable) return -1;
+    var max = bar.maxVariable ? $gameVariables.value(bar.maxVariable) : Number(bar.max) || 100;
+    if (max <= 0) return 0;
+    return Math.max(0, Math.min(1, $gameVariables.value(bar.variable) / max));
+  }
+
+  // 화면에 그릴 내용. null이면 이름표 없음
+  function plateContent(entry) {
+    if (!entry || !entry.showName || !entry.name) return null;
+    var marker = questMarker(entry);
+    var rate = hpRate(entry);
+    return {
+      name: entry.name,
+      title: entry.title || '',
+      icon: marker ? marker.icon : '',
+      iconColor: marker ? (marker.color || QUEST_COLORS[marker.icon] || textColor) : '',
+      hostile: !!(entry.hpBar && entry.hpBar.hostile),
+      // 1% 단위로 반올림해 변수 값이 조금씩 바뀔 때마다 다시 그리지 않도록 함
+      hp: rate < 0 ? -1 : Math.round(rate * 100) / 100
+    };
+  }
+
+  function contentKey(content) {
+    return [content.name, content.title, content.icon, content.iconColor,
+            content.hostile, content.hp].join('\u0000');
+  }
 
   //-----------------------------------------------------------------------------
   // Sprite_Character
@@ -78,46 +221,145 @@
     }
 
     var npcEntry = $dataMap && $dataMap.npcData && $dataMap.npcData[event.id];
-    var name = (npcEntry && npcEntry.showName && npcEntry.name) ? npcEntry.name : null;
+    var content = plateContent(npcEntry);
 
-    if (!name) {
+    if (!content) {
       this._destroyNpcName();
       return;
     }
 
-    // 이름이 바뀐 경우 스프라이트 재생성
-    if (!this._npcNameSprite || this._npcNameCurrent !== name) {
-      this._destroyNpcName();
-      this._createNpcName(name);
+    // 내용이 바뀐 경우 비트맵 다시 그리기
+    var key = contentKey(content);
+    if (!this._npcNameSprite) {
+      this._createNpcName(content);
+      this._npcNameCurrent = key;
+    } else if (this._npcNameCurrent !== key) {
+      // 같은 비트맵에 다시 그려서 캔버스/텍스처가 쌓이지 않도록 함
+      this._drawNpcNameBitmap(this._npcNameSprite.bitmap, content);
+      this._npcNameCurrent = key;
     }
 
     // 위치 갱신: 앵커가 하단 중앙이므로 patternHeight() 위에 표시
-    if (this._npcNameSprite) {
-      this._npcNameSprite.x = 0;
-      var h = (this.bitmap ? this.patternHeight() : 48);
-      this._npcNameSprite.y = -h + offsetY;
+    var sprite = this._npcNameSprite;
+    sprite.x = 0;
+    var h = (this.bitmap ? this.patternHeight() : 48);
+    sprite.y = -h + offsetY;
+
+    var target = this._npcNameTargetOpacity(character);
+    if (sprite.opacity < target) {
+      sprite.opacity = Math.min(target, sprite.opacity + OPACITY_SPEED);
+    } else if (sprite.opacity > target) {
+      sprite.opacity = Math.max(target, sprite.opacity - OPACITY_SPEED);
     }
+    sprite.visible = sprite.opacity > 0;
+
+    this._updateNpcNameBillboard(character);
   };
 
-  Sprite_Character.prototype._createNpcName = function (name) {
-    var bitmap = new Bitmap(BITMAP_W, BITMAP_H);
-    bitmap.fontSize = fontSize;
+  // 플레이어와의 거리 페이드 + FogOfWar 시야
+  Sprite_Character.prototype._npcNameTargetOpacity = function (character) {
+    if (hideInFog && window.FogOfWar && !FogOfWar.isTileVisible(character.x, character.y)) {
+      return 0;
+    }
+    if (fadeStart <= 0 || fadeEnd <= fadeStart) return 255;
+    var dx = character._realX - $gamePlayer._realX;
+    var dy = character._realY - $gamePlayer._realY;
+    var dist = Math.sqrt(dx * dx + dy * dy);
+    if (dist <= fadeStart) return 255;
+    if (dist >= fadeEnd) return 0;
+    return Math.round(255 * (fadeEnd - dist) / (fadeEnd - fadeStart));
+  };
+
+  // 3D 모드: 캐릭터는 빌보드이면 이름표도 함께 세워지므로,
+  // 빌보드가 꺼진 이벤트(page.billboard === false)만 이름표를 직접 빌보드로 등록
+  Sprite_Character.prototype._updateNpcNameBillboard = function (character) {
+    if (!window.Mode3D) return;
+    var page = character.page ? character.page() : null;
+    var standalone = !!(Mode3D._active && page && page.billboard === false);
+    if (standalone === this._npcNameBillboard) return;
+    this._npcNameBillboard = standalone;
+    if (standalone) {
+      Mode3D.registerBillboard(this._npcNameSprite);
+    } else {
+      this._unregisterNpcNameBillboard();
+    }
+  };
+
+  Sprite_Character.prototype._unregisterNpcNameBillboard = function () {
+    var sprite = this._npcNameSprite;
+    if (!window.Mode3D || !sprite) return;
+    Mode3D.unregisterBillboard(sprite);
+    if (sprite._threeObj) {
+      sprite._threeObj.rotation.x = 0;
+      sprite._threeObj.rotation.z = 0;
+    }
+    this._npcNameBillboard = false;
+  };
+
+  function plateHeight(content) {
+    var height = NAME_H;
+    if (content.icon) height += ICON_H;
+    if (content.title) height += TITLE_H;
+    if (content.hp >= 0) height += HP_BAR_H + 4;
+    return height;
+  }
+
+  // 비트맵은 모든 항목이 들어가는 높이로 한 번만 만들고, 내용은 아래쪽(앵커)에 맞춰 그린다
+  var PLATE_MAX_H = NAME_H + ICON_H + TITLE_H + HP_BAR_H + 4;
+
+  Sprite_Character.prototype._makeNpcNameBitmap = function (content) {
+    var bitmap = new Bitmap(BITMAP_W, PLATE_MAX_H);
+    this._drawNpcNameBitmap(bitmap, content);
+    return bitmap;
+  };
+
+  Sprite_Character.prototype._drawNpcNameBitmap = function (bitmap, content) {
+    bitmap.clear();
     bitmap.outlineColor = outlineColor;
     bitmap.outlineWidth = outlineWidth;
-    bitmap.textColor = textColor;
-    bitmap.drawText(name, 0, 0, BITMAP_W, BITMAP_H, 'center');
+    var y = bitmap.height - plateHeight(content);
+
+    if (content.icon) {
+      bitmap.fontSize = ICON_SIZE;
+      bitmap.textColor = content.iconColor;
+      bitmap.drawText(content.icon, 0, y, BITMAP_W, ICON_H, 'center');
+      y += ICON_H;
+    }
+
+    bitmap.fontSize = fontSize;
+    bitmap.textColor = content.hostile ? HOSTILE_COLOR : textColor;
+    bitmap.drawText(content.name, 0, y, BITMAP_W, NAME_H, 'center');
+    y += NAME_H;
+
+    if (content.title) {
+      bitmap.fontSize = titleFontSize;
+      bitmap.textColor = titleColor;
+      bitmap.drawText(content.title, 0, y, BITMAP_W, TITLE_H, 'center');
+      y += TITLE_H;
+    }
+
+    if (content.hp >= 0) {
+      var barX = Math.floor((BITMAP_W - hpBarWidth) / 2);
+      y += 2;
+      bitmap.fillRect(barX - 1, y - 1, hpBarWidth + 2, HP_BAR_H + 2, outlineColor);
+      bitmap.fillRect(barX, y, Math.round(hpBarWidth * content.hp), HP_BAR_H, hpBarColor);
+    }
+  };
 
-    var sprite = new Sprite(bitmap);
+  Sprite_Character.prototype._createNpcName = function (content) {
+    var sprite = new Sprite(this._makeNpcNameBitmap(content));
     sprite.anchor.x = 0.5;
     sprite.anchor.y = 1.0;
+    sprite.opacity = this._npcNameTargetOpacity(this._character);
 
     this.addChild(sprite);
     this._npcNameSprite = sprite;
-    this._npcNameCurrent = name;
+    this._npcNameBillboard = false;
   };
 
   Sprite_Character.prototype._destroyNpcName = function () {
     if (this._npcNameSprite) {
+      this._unregisterNpcNameBillboard();
       this.removeChild(this._npcNameSprite);
       this._npcNameSprite = null;
       this._npcNameCurrent = null;
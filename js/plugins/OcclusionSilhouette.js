@@ -57,10 +57,54 @@
  * @desc 파티원도 실루엣 대상에 포함
  * @default false
  *
+ * @param Occlusion Mode
+ * @type select
+ * @desc 가려졌을 때 처리 방식 (맵 _ext.json의 occlusion.mode로 맵별 변경 가능)
+ * @option silhouette
+ * @option fade
+ * @option none
+ * @default silhouette
+ *
+ * @param Fade Opacity
+ * @type number
+ * @desc fade 모드에서 가리는 오브젝트/타일의 투명도 (0.0 ~ 1.0)
+ * @min 0
+ * @max 1
+ * @decimals 2
+ * @default 0.3
+ *
+ * @param Fade Style
+ * @type select
+ * @desc fade: 반투명, dither: 디더링(점 패턴)으로 비침
+ * @option fade
+ * @option dither
+ * @default fade
+ *
+ * @param Fade Duration
+ * @type number
+ * @desc 페이드 전환 시간 (프레임)
+ * @min 1
+ * @default 15
+ *
+ * @param Fade Radius
+ * @type number
+ * @desc 높은 타일을 비치게 할 반경 (타일, 3D 모드)
+ * @min 0.5
+ * @decimals 1
+ * @default 1.5
+ *
  * @help
  * 플레이어 캐릭터가 이미지 오브젝트(z=5) 뒤에 가려졌을 때,
  * 가려진 부분을 실루엣으로 표시하여 플레이어 위치를 알 수 있게 합니다.
  *
+ * fade 모드:
+ *   실루엣 대신 카메라에서 대상까지의 레이에 걸리는 맵 오브젝트와
+ *   높이맵(tileLayerElevation)의 높은 타일을 반투명/디더링으로 비치게 합니다.
+ *   대상: 플레이어, 파티원, 메모란에 <occlusion>이 있는 이벤트
+ *
+ * 맵별 설정 (data/MapXXX_ext.json):
+ *   "occlusion": { "mode": "fade", "fadeOpacity": 0.2, "fadeStyle": "dither", "fadeRadius": 2 }
+ *
  * 브라우저 콘솔에서 실시간 설정 변경 가능:
  *   OcclusionSilhouette.config.fillColor = [1, 0, 0];  // 빨간색
  *   OcclusionSilhouette.config.pattern = 'diagonal';    // 사선 패턴
@@ -90,6 +134,11 @@
     var patternParam = parameters['Pattern'] || 'solid';
     var patternScaleParam = parseFloat(parameters['Pattern Scale'] || '8');
     var includeFollowersParam = String(parameters['Include Followers']) !== 'false';
+    var occlusionModeParam = parameters['Occlusion Mode'] || 'silhouette';
+    var fadeOpacityParam = parseFloat(parameters['Fade Opacity'] || '0.3');
+    var fadeStyleParam = parameters['Fade Style'] || 'fade';
+    var fadeDurationParam = Number(parameters['Fade Duration'] || 15);
+    var fadeRadiusParam = parseFloat(parameters['Fade Radius'] || '1.5');
 
     var OcclusionSilhouette = {};
     window.OcclusionSilhouette = OcclusionSilhouette;
@@ -110,7 +159,23 @@
         outlineWidth: outlineWidthParam,
         pattern: patternParam,
         patternScale: patternScaleParam,
-        includeFollowers: includeFollowersParam
+        includeFollowers: includeFollowersParam,
+        mode: occlusionModeParam,
+        fadeOpacity: fadeOpacityParam,
+        fadeStyle: fadeStyleParam,
+        fadeDuration: fadeDurationParam,
+        fadeRadius: fadeRadiusParam
+    };
+
+    // 맵 _ext.json의 occlusion 설정이 플러그인 파라미터보다 우선
+    OcclusionSilhouette.mapSetting = function(key, cfgKey) {
+        var mapCfg = $dataMap && $dataMap.occlusion;
+        if (mapCfg && mapCfg[key] != null) return mapCfg[key];
+        return this.config[cfgKey || key];
+    };
+
+    OcclusionSilhouette.mode = function() {
+        return this.mapSetting('mode');
     };
 
     // 패턴 ID 매핑
@@ -596,7 +661,8 @@
         _MapRenderPass_render.call(this, renderer, writeBuffer, readBuffer, deltaTime, maskActive);
 
         if (OcclusionSilhouette._active) {
-            var hasMasks = OcclusionSilhouette._renderMasks(renderer, this.scene, this.perspCamera, this.spriteset);
+            var hasMasks = OcclusionSilhouette.mode() === 'silhouette' &&
+                OcclusionSilhouette._renderMasks(renderer, this.scene, this.perspCamera, this.spriteset);
             if (OcclusionSilhouette._silhouettePass) {
                 OcclusionSilhouette._silhouettePass.enabled = hasMasks;
                 if (hasMasks) OcclusionSilhouette._syncUniforms();
@@ -615,7 +681,8 @@
             var rendererObj = this._rendererObj;
             if (rendererObj) {
                 var spriteset = Mode3D._spriteset;
-                var hasMasks = OcclusionSilhouette._renderMasks(renderer, rendererObj.scene, rendererObj.camera, spriteset);
+                var hasMasks = OcclusionSilhouette.mode() === 'silhouette' &&
+                    OcclusionSilhouette._renderMasks(renderer, rendererObj.scene, rendererObj.camera, spriteset);
                 if (OcclusionSilhouette._silhouettePass) {
                     OcclusionSilhouette._silhouettePass.enabled = hasMasks;
                     if (hasMasks) OcclusionSilhouette._syncUniforms();
@@ -624,6 +691,239 @@
         }
     };
 
+    //=========================================================================
+    // Fade 모드 - 가리는 오브젝트/높은 타일을 비치게
+    //=========================================================================
+    // 카메라 → 대상 레이를 맵 오브젝트 컨테이너(3D: 바운딩 박스, 2D: 화면 사각형)와
+    // 높이맵 타일(레이 위 샘플 지점의 바닥 높이)에 대해 검사한다.
+    // 오브젝트는 컨테이너 opacity로, 타일은 타일맵 material 셰이더로 페이드한다
+    // (레이 주변 원통 안에서 대상 중심보다 높은 조각만).
+    var MAX_FADE_TARGETS = 8;
+
+    var fadeUniforms = {
+        uOccTargets: { value: [] },     // xyz: 대상 중심 (월드), w: 타일 페이드 진행도 (0~1)
+        uOccCount:   { value: 0 },
+        uOccRadius:  { value: 72 },
+        uOccOpacity: { value: 0.3 },
+        uOccDither:  { value: 0 }
+    };
+    for (var fti = 0; fti < MAX_FADE_TARGETS; fti++) {
+        fadeUniforms.uOccTargets.value.push(new THREE.Vector4());
+    }
+
+    var FADE_VERTEX_HEAD = 'varying vec3 vOccWorldPos;\n';
+    var FADE_VERTEX_MAIN = 'vOccWorldPos = (modelMatrix * vec4(transformed, 1.0)).xyz;';
+    var FADE_FRAGMENT_HEAD = [
+        'varying vec3 vOccWorldPos;',
+        'uniform vec4 uOccTargets[' + MAX_FADE_TARGETS + '];',
+        'uniform int uOccCount;',
+        'uniform float uOccRadius;',
+        'uniform float uOccOpacity;',
+        'uniform float uOccDither;',
+        ''
+    ].join('\n');
+    var FADE_FRAGMENT_MAIN = [
+        '{',
+        '    float occFade = 0.0;',
+        '    for (int i = 0; i < ' + MAX_FADE_TARGETS + '; i++) {',
+        '        if (i >= uOccCount) break;',
+        '        vec3 target = uOccTargets[i].xyz;',
+        '        vec3 seg = target - cameraPosition;',
+        '        float t = dot(vOccWorldPos - cameraPosition, seg) / max(dot(seg, seg), 0.0001);',
+        '        if (t <= 0.0 || t >= 1.0 || vOccWorldPos.z <= target.z) continue;',
+        '        float d = length(vOccWorldPos - (cameraPosition + seg * t));',
+        '        occFade = max(occFade, (1.0 - smoothstep(uOccRadius * 0.6, uOccRadius, d)) * uOccTargets[i].w);',
+        '    }',
+        '    float occAlpha = 1.0 - occFade * (1.0 - uOccOpacity);',
+        '    if (uOccDither > 0.5) {',
+        '        float noise = fract(52.9829189 * fract(dot(gl_FragCoord.xy, vec2(0.06711056, 0.00583715))));',
+        '        if (occAlpha < 1.0 && noise > occAlpha) discard;',
+        '    } else {',
+        '        gl_FragColor.a *= occAlpha;',
+        '    }',
+        '}'
+    ].join('\n');
+
+    var _tmpBox = new THREE.Box3();
+    var _tmpRay = new THREE.Ray();
+    var _tmpHit = new THREE.Vector3();
+    var _tmpCenter = new THREE.Vector3();
+    var _tmpFeet = new THREE.Vector3();
+    var _tmpPoint = new THREE.Vector3();
+
+    // 페이드 대상: 플레이어, 보이는 파티원, <occlusion> 메모 이벤트
+    OcclusionSilhouette._getFadeTargets = function(spriteset) {
+        var result = [];
+        var chars = spriteset._characterSprites || [];
+        var followers = $gamePlayer.followers().visibleFollowers();
+        for (var i = 0; i < chars.length && result.length < MAX_FADE_TARGETS; i++) {
+            var spr = chars[i];
+            var character = spr._character;
+            if (!character || !spr.visible || !spr._threeObj || character.isTransparent()) continue;
+            if (character === $gamePlayer || followers.indexOf(character) >= 0 ||
+                    (character instanceof Game_Event && (character.event().meta || {}).occlusion)) {
+                result.push(spr);
+            }
+        }
+        return result;
+    };
+
+    // 캐릭터 위에 있는 walkable 오브젝트(다리, 발판)는 가림으로 치지 않는다
+    OcclusionSilhouette._isStandingOn = function(container, character) {
+        var model = $gameMap.mapObject(container._mapObjId);
+        return !!(model && model.isWalkable() && model.passabilityAt(character.x, character.y) === true);
+    };
+
+    OcclusionSilhouette._isObjectOccluding = function(container, spr, camera) {
+        if (this._isStandingOn(container, spr._character)) return false;
+        if (camera) {
+            _tmpBox.setFromObject(container._threeObj);
+            if (_tmpBox.isEmpty()) return false;
+            _tmpBox.setFromObject(spr._threeObj).getCenter(_tmpCenter);
+            _tmpBox.setFromObject(container._threeObj);
+            _tmpRay.origin.copy(camera.position);
+            _tmpRay.direction.subVectors(_tmpCenter, camera.position).normalize();
+            if (!_tmpRay.intersectBox(_tmpBox, _tmpHit)) return false;
+            var margin = $gameMap.tileHeight() * 0.25;
+            return _tmpHit.distanceTo(camera.position) < _tmpCenter.distanceTo(camera.position) - margin;
+        }
+        // 2D: 오브젝트(z=5)는 항상 캐릭터 위에 그려지므로 화면 사각형이 겹치면 가림
+        var tw = $gameMap.tileWidth();
+        var th = $gameMap.tileHeight();
+        var halfW = container._mapObjW * tw / 2;
+        var halfH = container._mapObjH * th / 2;
+        var sprW = spr.patternWidth ? spr.patternWidth() : tw;
+        var sprH = spr.patternHeight ? spr.patternHeight() : th;
+        return spr.x + sprW / 2 > container.x - halfW && spr.x - sprW / 2 < container.x + halfW &&
+               spr.y > container.y - halfH && spr.y - sprH < container.y + halfH;
+    };
+
+    // 카메라 → 대상 중심 구간을 반 타일 간격으로 샘플링해 높이맵 바닥보다 아래를 지나면 가림
+    OcclusionSilhouette._isTileOccluding = function(spr, camera) {
+        if (!$gameMap.hasElevation()) return false;
+        var character = spr._character;
+        var tw = $gameMap.tileWidth();
+        var th = $gameMap.tileHeight();
+        _tmpBox.setFromObject(spr._threeObj).getCenter(_tmpCenter);
+        spr._threeObj.getWorldPosition(_tmpFeet);
+        var baseZ = _tmpFeet.z - (spr._heightOffset || 0);
+        var distance = camera.position.distanceTo(_tmpCenter);
+        var steps = Math.ceil(distance / (th / 2));
+        for (var i = 1; i < steps; i++) {
+            _tmpPoint.lerpVectors(camera.position, _tmpCenter, i / steps);
+            var x = Math.round(character._realX + (_tmpPoint.x - _tmpFeet.x) / tw);
+            var y = Math.round(character._realY + (_tmpPoint.y - _tmpFeet.y) / th);
+            if (x === character.x && y === character.y) continue;
+            if (!$gameMap.isValid(x, y)) continue;
+            var top = $gameMap.elevation(x, y) + ($gameMap.rampDirection(x, y) ? 1 : 0);
+            if (baseZ + top * th > _tmpPoint.z) return true;
+        }
+        return false;
+    };
+
+    // 기본 onBeforeCompile이 없는 타일 material에만 주입 (물 타일 등 자체 셰이더는 제외)
+    OcclusionSilhouette._patchTileMaterial = function(material) {
+        if (!material || material.userData.occlusionFade || material.hasOwnProperty('onBeforeCompile')) return;
+        material.userData.occlusionFade = true;
+        material.onBeforeCompile = function(shader) {
+            for (var key in fadeUniforms) {
+                shader.uniforms[key] = fadeUniforms[key];
+            }
+            shader.vertexShader = FADE_VERTEX_HEAD + shader.vertexShader.replace(
+                '#include <project_vertex>', '#include <project_vertex>\n' + FADE_VERTEX_MAIN);
+            shader.fragmentShader = FADE_FRAGMENT_HEAD + shader.fragmentShader.replace(
+                '#include <dithering_fragment>', '#include <dithering_fragment>\n' + FADE_FRAGMENT_MAIN);
+        };
+        material.customProgramCacheKey = function() {
+            return 'occlusion-fade';
+        };
+        material.needsUpdate = true;
+    };
+
+    // ShadowLight 전환 등으로 material이 새로 만들어지므로 매 프레임 확인
+    OcclusionSilhouette._patchTilemap = function(tilemap) {
+        [tilemap.lowerLayer, tilemap.upperLayer].forEach(function(layer) {
+            if (!layer || !layer.children) return;
+            layer.children.forEach(function(rectLayer) {
+                var meshes = rectLayer._meshes || {};
+                for (var key in meshes) {
+                    this._patchTileMaterial(meshes[key].material);
+                }
+            }, this);
+        }, this);
+    };
+
+    OcclusionSilhouette._setObjectDither = function(container, enabled) {
+        if (!!container._occlusionDither === enabled) return;
+        container._occlusionDither = enabled;
+        if (!container._threeObj) return;
+        container._threeObj.traverse(function(node) {
+            var material = node.material;
+            if (material && (material.isMeshBasicMaterial || material.isMeshPhongMaterial)) {
+                material.alphaHash = enabled;
+                material.needsUpdate = true;
+            }
+        });
+    };
+
+    OcclusionSilhouette.updateFade = function(spriteset) {
+        var active = this._active && this.mode() === 'fade';
+        var targets = active ? this._getFadeTargets(spriteset) : [];
+        var camera = (ConfigManager.mode3d && window.Mode3D && Mode3D._perspCamera) || null;
+        var step = 1 / Math.max(this.config.fadeDuration, 1);
+        var opacity = this.mapSetting('fadeOpacity').clamp(0, 1);
+        var dither = this.mapSetting('fadeStyle') === 'dither';
+        var i, j;
+
+        // 맵 오브젝트: _syncMapObject가 매 프레임 opacity를 모델 값으로 되돌리므로 곱해서 적용
+        var containers = spriteset._objectSprites || [];
+        for (i = 0; i < containers.length; i++) {
+            var container = containers[i];
+            var occluding = false;
+            if (container.visible && container._threeObj) {
+                for (j = 0; j < targets.length && !occluding; j++) {
+                    occluding = this._isObjectOccluding(container, targets[j], camera);
+                }
+            }
+            var fade = (container._occlusionFade || 0) + (occluding ? step : -step);
+            container._occlusionFade = fade.clamp(0, 1);
+            if (container._occlusionFade > 0) {
+                container.opacity *= 1 - container._occlusionFade * (1 - opacity);
+            }
+            this._setObjectDither(container, dither && container._occlusionFade > 0);
+        }
+
+        // 높이맵 타일 (3D)
+        var count = 0;
+        if (active && camera && spriteset._tilemap) {
+            this._patchTilemap(spriteset._tilemap);
+            var chars = spriteset._characterSprites || [];
+            for (i = 0; i < chars.length; i++) {
+                var spr = chars[i];
+                var isTarget = targets.indexOf(spr) >= 0;
+                var tileFade = spr._occlusionTileFade || 0;
+                if (!isTarget && tileFade === 0) continue;
+                var occluded = isTarget && this._isTileOccluding(spr, camera);
+                spr._occlusionTileFade = (tileFade + (occluded ? step : -step)).clamp(0, 1);
+                if (spr._occlusionTileFade > 0 && count < MAX_FADE_TARGETS) {
+                    _tmpBox.setFromObject(spr._threeObj).getCenter(_tmpCenter);
+                    fadeUniforms.uOccTargets.value[count++].set(_tmpCenter.x, _tmpCenter.y, _tmpCenter.z,
+                                                                 spr._occlusionTileFade);
+                }
+            }
+        }
+        fadeUniforms.uOccCount.value = count;
+        fadeUniforms.uOccRadius.value = this.mapSetting('fadeRadius') * $gameMap.tileWidth();
+        fadeUniforms.uOccOpacity.value = opacity;
+        fadeUniforms.uOccDither.value = dither ? 1 : 0;
+    };
+
+    var _Spriteset_Map_update = Spriteset_Map.prototype.update;
+    Spriteset_Map.prototype.update = function() {
+        _Spriteset_Map_update.call(this);
+        OcclusionSilhouette.updateFade(this);
+    };
+
     //=========================================================================
     // 리소스 정리
     //=========================================================================
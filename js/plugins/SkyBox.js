@@ -24,6 +24,10 @@
  *   - type이 'skysphere'이면 sky dome 활성화
  *   - type이 'parallax'이거나 없으면 sky dome 비활성화 (MV 기본 parallax 사용)
  *
+ * TimeSystem(낮/밤)이 하늘 색조(tint)와 두 파노라마 사이 블렌드를 제어합니다:
+ *   window._skyBoxSetTint(0xffffff)
+ *   window._skyBoxSetTimeBlend('day.png', 'night.png', 0.5)  (null이면 현재 맵 이미지)
+ *
  * Skybox images: "Cloudy Skyboxes" by Screaming Brain Studios
  * https://screamingbrainstudios.itch.io/cloudy-skyboxes-pack
  * License: CC0 (Public Domain)
@@ -44,6 +48,14 @@
     var _rotationSpeed = 0.02; // deg/frame
     var _currentImage = '';     // 현재 로드된 이미지 파일명
     var _skyEnabled = true;    // skysphere 모드 활성 여부
+    var _tint = 0xffffff;      // 하늘 색조 (TimeSystem)
+    var _blendTextures = {};   // 시간대 블렌드용 파노라마 캐시 { filename: texture|null(로딩 중) }
+    var _blendUniforms = {
+        tSkyA:     { value: null },
+        tSkyB:     { value: null },
+        uSkyBlend: { value: 0 },
+        uSkyMix:   { value: 0 }   // 0: 기본 map 사용, 1: tSkyA/tSkyB 블렌드 사용
+    };
 
     function getTexturePath(filename) {
         return 'img/' + skyboxFolder + '/' + filename;
@@ -69,9 +81,11 @@
             var geometry = new THREE.SphereGeometry(800, 60, 40);
             var material = new THREE.MeshBasicMaterial({
                 map: texture,
+                color: _tint,
                 side: THREE.DoubleSide,
                 depthWrite: false
             });
+            applyBlendShader(material);
 
             _skyMesh = new THREE.Mesh(geometry, material);
             _skyMesh.scale.set(1, -1, 1); // Mode3D projection Y-flip 보정
@@ -91,6 +105,67 @@
         });
     }
 
+    // 두 파노라마 블렌드: map_fragment 뒤에서 diffuseColor를 tSkyA/tSkyB 혼합으로 교체
+    function applyBlendShader(material) {
+        material.onBeforeCompile = function(shader) {
+            shader.uniforms.tSkyA = _blendUniforms.tSkyA;
+            shader.uniforms.tSkyB = _blendUniforms.tSkyB;
+            shader.uniforms.uSkyBlend = _blendUniforms.uSkyBlend;
+            shader.uniforms.uSkyMix = _blendUniforms.uSkyMix;
+            shader.fragmentShader =
+                'uniform sampler2D tSkyA;\nuniform sampler2D tSkyB;\n' +
+                'uniform float uSkyBlend;\nuniform float uSkyMix;\n' +
+                shader.fragmentShader.replace(
+                    '#include <map_fragment>',
+                    '#include <map_fragment>\n' +
+                    'if (uSkyMix > 0.5) {\n' +
+                    '    vec3 skyA = texture2D(tSkyA, vMapUv).rgb;\n' +
+                    '    vec3 skyB = texture2D(tSkyB, vMapUv).rgb;\n' +
+                    '    diffuseColor.rgb = diffuse * mix(skyA, skyB, uSkyBlend);\n' +
+                    '}'
+                );
+        };
+        material.customProgramCacheKey = function() {
+            return 'skybox-time-blend';
+        };
+    }
+
+    // 블렌드용 텍스처 조회 (없으면 로드 시작, 로드 완료 전에는 null)
+    function getBlendTexture(imageFile) {
+        if (_blendTextures.hasOwnProperty(imageFile)) return _blendTextures[imageFile];
+        _blendTextures[imageFile] = null;
+        new THREE.TextureLoader().load(getTexturePath(imageFile), function(texture) {
+            texture.colorSpace = THREE.SRGBColorSpace;
+            texture.flipY = false;
+            _blendTextures[imageFile] = texture;
+        }, null, function(error) {
+            console.error('[SkyBox] 블렌드 텍스처 로드 실패:', error);
+        });
+        return null;
+    }
+
+    function setTint(hex) {
+        _tint = hex;
+        if (_skyMesh) _skyMesh.material.color.setHex(hex);
+    }
+
+    function setTimeBlend(imageA, imageB, t) {
+        var base = _currentImage || defaultPanoramaFile;
+        imageA = imageA || base;
+        imageB = imageB || base;
+        if (imageA === base && imageB === base) {
+            _blendUniforms.uSkyMix.value = 0;
+            return;
+        }
+        var texA = getBlendTexture(imageA);
+        var texB = getBlendTexture(imageB);
+        if (!texA || !texB) return; // 로드 완료까지 이전 상태 유지
+        _blendUniforms.tSkyA.value = texA;
+        _blendUniforms.tSkyB.value = texB;
+        _blendUniforms.uSkyBlend.value = t;
+        _blendUniforms.uSkyMix.value = 1;
+    }
+
     function cleanupMesh() {
         if (_skyMesh) {
             if (_skyMesh.parent) _skyMesh.parent.remove(_skyMesh);
@@ -265,6 +340,8 @@
     window._skyBoxGetRotationSpeed = function() { return _rotationSpeed; };
     window._skyBoxSetRotationSpeed = function(speed) { _rotationSpeed = speed; };
     window._skyBoxApplySettings = applySettings;
+    window._skyBoxSetTint = setTint;
+    window._skyBoxSetTimeBlend = setTimeBlend;
 
     window._skyBoxCleanup = function() {
         cleanupMesh();
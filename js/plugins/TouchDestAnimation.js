@@ -90,93 +90,11 @@
     }
 
     //=========================================================================
-    // A* 경로 탐색 - 전체 경로를 배열로 반환
+    // 경로 탐색 - 전체 경로를 배열로 반환
+    // 플레이어 터치 이동과 같은 $gameMap.pathfinder()를 써서 화살표와 실제 이동 경로가 일치
     //=========================================================================
-    function findPath(startX, startY, goalX, goalY) {
-        var searchLimit = $gamePlayer.searchLimit();
-        var mapWidth = $gameMap.width();
-        var nodeList = [];
-        var openList = [];
-        var closedList = [];
-        var start = {};
-        var best = start;
-
-        if (startX === goalX && startY === goalY) return [];
-
-        start.parent = null;
-        start.x = startX;
-        start.y = startY;
-        start.g = 0;
-        start.f = $gameMap.distance(startX, startY, goalX, goalY);
-        nodeList.push(start);
-        openList.push(start.y * mapWidth + start.x);
-
-        while (nodeList.length > 0) {
-            var bestIndex = 0;
-            for (var i = 0; i < nodeList.length; i++) {
-                if (nodeList[i].f < nodeList[bestIndex].f) {
-                    bestIndex = i;
-                }
-            }
-
-            var current = nodeList[bestIndex];
-            var x1 = current.x;
-            var y1 = current.y;
-            var pos1 = y1 * mapWidth + x1;
-            var g1 = current.g;
-
-            nodeList.splice(bestIndex, 1);
-            openList.splice(openList.indexOf(pos1), 1);
-            closedList.push(pos1);
-
-            if (current.x === goalX && current.y === goalY) {
-                best = current;
-                break;
-            }
-
-            if (g1 >= searchLimit) continue;
-
-            for (var j = 0; j < 4; j++) {
-                var direction = 2 + j * 2;
-                var x2 = $gameMap.roundXWithDirection(x1, direction);
-                var y2 = $gameMap.roundYWithDirection(y1, direction);
-                var pos2 = y2 * mapWidth + x2;
-
-                if (closedList.indexOf(pos2) >= 0) continue;
-                if (!$gamePlayer.canPass(x1, y1, direction)) continue;
-
-                var g2 = g1 + 1;
-                var index2 = openList.indexOf(pos2);
-
-                if (index2 < 0 || g2 < nodeList[index2].g) {
-                    var neighbor;
-                    if (index2 >= 0) {
-                        neighbor = nodeList[index2];
-                    } else {
-                        neighbor = {};
-                        nodeList.push(neighbor);
-                        openList.push(pos2);
-                    }
-                    neighbor.parent = current;
-                    neighbor.x = x2;
-                    neighbor.y = y2;
-                    neighbor.g = g2;
-                    neighbor.f = g2 + $gameMap.distance(x2, y2, goalX, goalY);
-                    if (!best || neighbor.f - neighbor.g < best.f - best.g) {
-                        best = neighbor;
-                    }
-                }
-            }
-        }
-
-        // best에서 start까지 역추적하여 경로 생성
-        var path = [];
-        var node = best;
-        while (node && node !== start) {
-            path.unshift({ x: node.x, y: node.y });
-            node = node.parent;
-        }
-        return path;
+    function findPath(goalX, goalY) {
+        return $gameMap.pathfinder().findPath($gamePlayer, goalX, goalY);
     }
 
     //=========================================================================
@@ -310,7 +228,7 @@
             _pathLastPlayerY = playerY;
             _pathLastDestX = destX;
             _pathLastDestY = destY;
-            this._currentPath = findPath(playerX, playerY, destX, destY);
+            this._currentPath = findPath(destX, destY);
         }
 
         // 경로 화살표: 매 프레임 화면 좌표로 다시 그리기 (스크롤 대응)
@@ -0,0 +1,58 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, plain } = require('./helpers/loadScript');
+
+function setup() {
+    return loadScripts({
+        globals: {
+            PictureShader: { _FRAGMENT_SHADERS: { hitEffect: 'void main() {}', fireAura: 'void main() {}' } },
+            PostProcessEffects: { EFFECT_PARAMS: { radialBlur: [], waveDistortion: [] } },
+            DataManager: { isSkill: item => item.kind === 'skill' }
+        },
+        stubs: ['Game_Interpreter', 'Sprite_Battler', 'Window_BattleLog', 'Scene_Battle'],
+        files: ['js/3d/PluginCommandRegistry.js', 'js/3d/BattleEffects.js']
+    });
+}
+
+test('parseTags reads battler shaders with timing options split from shader params', () => {
+    const BE = setup().BattleEffects;
+    const tags = BE.parseTags('<battlerShader: fireAura duration:60 on:subject intensity:2 color:red>');
+    assert.deepStrictEqual(plain(tags.battler), [{
+        type: 'fireAura', params: { intensity: 2, color: 'red' }, duration: 60, delay: 0, on: 'subject'
+    }]);
+    assert.strictEqual(BE.parseTags('<battlerShader: hitEffect>').battler[0].duration, BE.config.battlerDuration);
+    assert.strictEqual(BE.parseTags('<battlerShader: hitEffect on:party>').battler[0].on, 'target');
+});
+
+test('parseTags reads screen effects with value, frames and params', () => {
+    const BE = setup().BattleEffects;
+    const tags = BE.parseTags('<screenEffect: waveDistortion 0.05 45 speed:2 delay:10>\n<screenEffect: radialBlur>');
+    assert.deepStrictEqual(plain(tags.screen), [
+        { name: 'waveDistortion', value: 0.05, duration: 45, delay: 10, params: { speed: 2 } },
+        { name: 'radialBlur', value: null, duration: BE.config.screenDuration, delay: 0, params: {} }
+    ]);
+    assert.strictEqual(tags.errors.length, 0);
+});
+
+test('parseTags collects unknown or missing types as errors', () => {
+    const BE = setup().BattleEffects;
+    const tags = BE.parseTags('<screenEffect: foo 1 2><battlerShader: sparkle><battlerShader: ><screenEffect: radialBlur 0.4>');
+    assert.strictEqual(tags.screen.length, 1);
+    assert.strictEqual(tags.battler.length, 0);
+    assert.deepStrictEqual(plain(tags.errors).map(e => e.tag), [
+        '<screenEffect: foo 1 2>', '<battlerShader: sparkle>', '<battlerShader: >'
+    ]);
+    assert.match(tags.errors[0].message, /"foo"/);
+    assert.match(tags.errors[2].message, /타입 누락/);
+});
+
+test('itemEffects caches the parse and reports bad tags once', () => {
+    const ctx = setup();
+    const skill = { kind: 'skill', id: 12, note: '<screenEffect: foo>' };
+    const first = ctx.BattleEffects.itemEffects(skill);
+    assert.strictEqual(ctx.BattleEffects.itemEffects(skill), first);
+    assert.strictEqual(ctx.warnings.length, 1);
+    assert.match(ctx.warnings[0], /스킬 12 노트: "<screenEffect: foo>"/);
+});
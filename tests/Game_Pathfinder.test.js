@@ -0,0 +1,175 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, plain } = require('./helpers/loadScript');
+
+// '#' = 벽, 'E' = 이벤트가 서 있는 칸
+function setup(rows) {
+    const ctx = loadScripts({ files: ['js/3d/rpg_objects.js'] });
+    const width = rows[0].length;
+    const height = rows.length;
+    const events = [];
+    rows.forEach((row, y) => {
+        for (let x = 0; x < width; x++) {
+            if (row[x] === 'E') events.push({ x: x, y: y });
+        }
+    });
+    ctx.$gameMap = {
+        width: () => width,
+        height: () => height,
+        isValid: (x, y) => x >= 0 && y >= 0 && x < width && y < height,
+        roundXWithDirection: (x, d) => x + (d === 6 ? 1 : d === 4 ? -1 : 0),
+        roundYWithDirection: (y, d) => y + (d === 2 ? 1 : d === 8 ? -1 : 0),
+        distance: (x1, y1, x2, y2) => Math.abs(x1 - x2) + Math.abs(y1 - y2),
+        elevationVersion: () => 0,
+        events: () => events,
+        vehicles: () => []
+    };
+    ctx.$gamePlayer = { x: -1, y: -1, followers: () => ({ visibleFollowers: () => [] }) };
+    return { ctx, map: ctx.$gameMap, pathfinder: new ctx.Game_Pathfinder(), rows, events };
+}
+
+function character(env, x, y) {
+    const map = env.map;
+    return {
+        x: x,
+        y: y,
+        isThrough: () => false,
+        isDebugThrough: () => false,
+        isMapPassable(x1, y1, d) {
+            const x2 = map.roundXWithDirection(x1, d);
+            const y2 = map.roundYWithDirection(y1, d);
+            return map.isValid(x2, y2) && env.rows[y2][x2] !== '#';
+        },
+        canPass(x1, y1, d) { return this.isMapPassable(x1, y1, d); },
+        isCollidedWithCharacters: (x1, y1) => env.events.some(e => e.x === x1 && e.y === y1)
+    };
+}
+
+function coords(path) {
+    return path.map(step => step.x + ',' + step.y).join(' ');
+}
+
+test('finds the shortest path and excludes the start tile', () => {
+    const env = setup(['....', '....']);
+    const path = env.pathfinder.findPath(character(env, 0, 0), 3, 0);
+    assert.strictEqual(coords(path), '1,0 2,0 3,0');
+    assert.deepStrictEqual(plain(path.map(step => step.d)), [6, 6, 6]);
+    assert.strictEqual(env.pathfinder.findPath(character(env, 3, 0), 3, 0).length, 0);
+});
+
+test('routes around walls', () => {
+    const env = setup(['.#.', '.#.', '...']);
+    const path = env.pathfinder.findPath(character(env, 0, 0), 2, 0);
+    assert.strictEqual(coords(path), '0,1 0,2 1,2 2,2 2,1 2,0');
+});
+
+test('ends next to the goal when it cannot be reached', () => {
+    const env = setup(['..#.', '..#.']);
+    const path = env.pathfinder.findPath(character(env, 0, 0), 3, 0);
+    assert.strictEqual(path[path.length - 1].x, 1);
+    assert.strictEqual(path[path.length - 1].y, 0);
+});
+
+test('detours around events when possible and walks into them otherwise', () => {
+    const open = setup(['.E.', '...']);
+    assert.strictEqual(coords(open.pathfinder.findPath(character(open, 0, 0), 2, 0)), '0,1 1,1 2,1 2,0');
+
+    const corridor = setup(['.E.', '###']);
+    assert.strictEqual(coords(corridor.pathfinder.findPath(character(corridor, 0, 0), 2, 0)), '1,0 2,0');
+});
+
+test('caches paths per character', () => {
+    const env = setup(['.....', '.....']);
+    const pathfinder = env.pathfinder;
+    let searches = 0;
+    const search = pathfinder.search;
+    pathfinder.search = function() {
+        searches++;
+        return search.apply(this, arguments);
+    };
+    const a = character(env, 0, 0);
+    const b = character(env, 0, 1);
+    pathfinder.findPath(a, 4, 0);
+    pathfinder.findPath(b, 4, 0);
+    assert.strictEqual(searches, 2);
+    a.x = 1;
+    assert.strictEqual(coords(pathfinder.findPath(a, 4, 0)), '2,0 3,0 4,0');
+    assert.strictEqual(searches, 2);
+});
+
+test('reuses search buffers between searches on the same map', () => {
+    const env = setup(['...', '...']);
+    const pathfinder = env.pathfinder;
+    pathfinder.search(character(env, 0, 0), 2, 1);
+    const gScore = pathfinder._gScore;
+    assert.strictEqual(coords(pathfinder.search(character(env, 2, 1), 0, 0)).split(' ').length, 3);
+    assert.strictEqual(pathfinder._gScore, gScore);
+});
+
+// 실제 Game_Character 이동 루트 처리 + 격자 위 한 칸 이동만 흉내 낸 캐릭터
+function walker(env, x, y, goalX, goalY, options) {
+    const ch = Object.create(env.ctx.Game_Character.prototype);
+    const stub = character(env, x, y);
+    delete stub.x;
+    delete stub.y;
+    Object.assign(ch, stub, { _x: x, _y: y });
+    ch.moveStraight = function(d) {
+        const x2 = env.map.roundXWithDirection(this.x, d);
+        const y2 = env.map.roundYWithDirection(this.y, d);
+        this.setMovementSuccess(this.canPass(this.x, this.y, d) && !this.isCollidedWithCharacters(x2, y2));
+        if (this.isMovementSucceeded()) {
+            this._x = x2;
+            this._y = y2;
+        }
+    };
+    ch.restoreMoveRoute = function() {};
+    ch.forceMoveRoute(env.ctx.Game_Character.moveToRoute(goalX, goalY, options));
+    return ch;
+}
+
+function routeEnv(rows) {
+    const env = setup(rows);
+    env.map.pathfinder = () => env.pathfinder;
+    env.map.deltaX = (x1, x2) => x1 - x2;
+    env.map.deltaY = (y1, y2) => y1 - y2;
+    return env;
+}
+
+function stepRoute(ch, frames) {
+    for (let i = 0; i < frames && ch.isMoveRouteForcing(); i++) ch.updateRoutineMove();
+}
+
+test('MOVE_TO repeats until the character arrives, then ends the route', () => {
+    const env = routeEnv(['.#.', '.#.', '...']);
+    const ch = walker(env, 0, 0, 2, 0);
+    assert.strictEqual(ch._moveRoute.list[0].code, env.ctx.Game_Character.ROUTE_MOVE_TO);
+    stepRoute(ch, 5);
+    assert.strictEqual(ch._moveRouteIndex, 0);
+    stepRoute(ch, 20);
+    assert.strictEqual(ch.x + ',' + ch.y, '2,0');
+    assert.strictEqual(ch.isMoveRouteForcing(), false);
+});
+
+test('MOVE_TO to the current tile finishes at once', () => {
+    const env = routeEnv(['...']);
+    const ch = walker(env, 1, 0, 1, 0);
+    stepRoute(ch, 2);
+    assert.strictEqual(ch.isMoveRouteForcing(), false);
+    assert.strictEqual(ch.x, 1);
+});
+
+test('blocked MOVE_TO waits unless the route is skippable', () => {
+    const env = routeEnv(['.#.']);
+    const waiting = walker(env, 0, 0, 2, 0);
+    stepRoute(waiting, 10);
+    assert.strictEqual(waiting.isMoveRouteForcing(), true);
+    assert.strictEqual(waiting._moveRouteIndex, 0);
+    assert.strictEqual(waiting.x, 0);
+
+    const skipping = walker(env, 0, 0, 2, 0, { skippable: true });
+    stepRoute(skipping, 2);
+    assert.strictEqual(skipping.isMoveRouteForcing(), false);
+    assert.strictEqual(skipping.x, 0);
+});
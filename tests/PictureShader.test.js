@@ -0,0 +1,83 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, plain } = require('./helpers/loadScript');
+
+function setup() {
+    return loadScripts({
+        stubs: ['Game_Picture', 'Game_Screen', 'Game_Interpreter', 'Game_CharacterBase', 'Game_Event',
+                'Sprite', 'Sprite_Picture', 'Sprite_Character', 'Spriteset_Base'],
+        files: ['js/libs/three.global.min.js', 'js/3d/PictureShader.js']
+    });
+}
+
+function makeEvent(ctx, pages, note) {
+    const event = Object.create(ctx.Game_Event.prototype);
+    event._shaderData = null;
+    event._pageIndex = 0;
+    event.page = function() { return pages[this._pageIndex]; };
+    event.event = () => ({ note: note || '' });
+    return event;
+}
+
+function comment(text) {
+    return { code: 108, parameters: [text] };
+}
+
+test('parseShaderTags reads each known shader tag with numeric and text params', () => {
+    const PS = setup().PictureShader;
+    const list = PS.parseShaderTags('<shader: outline thickness:2 colorR:1>\n<SHADER:ghost mode:soft>');
+    assert.deepStrictEqual(plain(list), [
+        { type: 'outline', enabled: true, params: { thickness: 2, colorR: 1 } },
+        { type: 'ghost', enabled: true, params: { mode: 'soft' } }
+    ]);
+});
+
+test('parseShaderTags skips unknown shader types and empty text', () => {
+    const PS = setup().PictureShader;
+    assert.strictEqual(PS.parseShaderTags('').length, 0);
+    assert.strictEqual(PS.parseShaderTags(null).length, 0);
+    const list = PS.parseShaderTags('<shader: sparkle power:2><shader: hologram>');
+    assert.deepStrictEqual(plain(list).map(s => s.type), ['hologram']);
+});
+
+test('event shader tags come from the page comments, else the event note', () => {
+    const ctx = setup();
+    const pages = [
+        { list: [comment('<shader: glow>'), { code: 401, parameters: ['<shader: hologram>'] }] },
+        { list: [] }
+    ];
+    const event = makeEvent(ctx, pages, '<shader: ghost>');
+    assert.deepStrictEqual(plain(event.baseShaderData()).map(s => s.type), ['glow']);
+    event._pageIndex = 1;
+    assert.deepStrictEqual(plain(event.baseShaderData()).map(s => s.type), ['ghost']);
+    event._pageIndex = -1;
+    assert.strictEqual(event.baseShaderData().length, 0);
+});
+
+test('event shader tags are cached per page without touching the saved event', () => {
+    const ctx = setup();
+    const event = makeEvent(ctx, [{ list: [comment('<shader: glow>')] }]);
+    const keys = Object.keys(event);
+    const first = event.baseShaderData();
+    assert.strictEqual(event.baseShaderData(), first);
+    assert.deepStrictEqual(Object.keys(event), keys);
+});
+
+test('shader output maps the sprite frame UVs onto the whole frame-sized render target', () => {
+    const ctx = setup();
+    const sprite = Object.create(ctx.Sprite.prototype);
+    // 4x2 시트의 (1, 0) 칸: u 0.25~0.5, v 0.5~1 (flipY 기준 위쪽 행)
+    const geometry = new ctx.THREE.PlaneGeometry(1, 1);
+    const uv = geometry.attributes.uv;
+    uv.setXY(0, 0.25, 1);
+    uv.setXY(1, 0.5, 1);
+    uv.setXY(2, 0.25, 0.5);
+    uv.setXY(3, 0.5, 0.5);
+    sprite._geometry = geometry;
+    const texture = new ctx.THREE.Texture();
+    sprite._mapFrameToTexture(texture);
+    assert.deepStrictEqual([texture.repeat.x, texture.repeat.y], [4, 2]);
+    assert.deepStrictEqual([texture.offset.x, texture.offset.y], [-1, -1]);
+});
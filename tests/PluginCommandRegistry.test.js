@@ -0,0 +1,91 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createContext, run, load, plain } = require('./helpers/loadScript');
+
+function setup(search) {
+    const ctx = createContext({ location: { search: search || '' } });
+    run(ctx, 'function Game_Interpreter() {}\n' +
+             'Game_Interpreter.prototype.pluginCommand = function() {};\n' +
+             'var PluginTween = { Easing: { linear: function(t) { return t; }, smooth: function(t) { return t; } } };');
+    load(ctx, 'js/3d/PluginCommandRegistry.js');
+    return ctx;
+}
+
+test('parseArgs converts typed tokens and applies defaults', () => {
+    const R = setup().PluginCommandRegistry;
+    const defs = [
+        { name: 'n', type: 'number', min: 0 },
+        { name: 'i', type: 'int' },
+        { name: 'b', type: 'bool' },
+        { name: 'c', type: 'color' },
+        { name: 'e', type: 'enum', values: ['on', 'off'] },
+        { name: 'd', type: 'number', default: 5 },
+        { name: 'o', optional: true }
+    ];
+    const parsed = R.parseArgs(defs, ['1.5', '3', 'off', '#ff8000', 'on']);
+    assert.strictEqual(parsed.error, null);
+    assert.deepStrictEqual({ ...parsed.values }, { n: 1.5, i: 3, b: false, c: 0xff8000, e: 'on', d: 5, o: undefined });
+});
+
+test('parseArgs reports missing, malformed and extra arguments', () => {
+    const R = setup().PluginCommandRegistry;
+    assert.match(R.parseArgs([{ name: 'x', type: 'number' }], []).error, /<x> 누락/);
+    assert.match(R.parseArgs([{ name: 'x', type: 'number' }], ['abc']).error, /<x> "abc"/);
+    assert.match(R.parseArgs([{ name: 'x', type: 'number', min: 0 }], ['-1']).error, /0 이상/);
+    assert.match(R.parseArgs([{ name: 'x', type: 'int' }], ['1.5']).error, /정수가 아님/);
+    assert.match(R.parseArgs([{ name: 'x', type: 'enum', values: ['a', 'b'] }], ['c']).error, /a\|b/);
+    assert.match(R.parseArgs([{ name: 'x' }], ['1', '2']).error, /너무 많음/);
+});
+
+test('rest arguments collect the remaining tokens', () => {
+    const R = setup().PluginCommandRegistry;
+    const parsed = R.parseArgs([{ name: 'id', type: 'int' }, { name: 'route', rest: true }], ['3', 'a', 'b']);
+    assert.strictEqual(parsed.error, null);
+    assert.strictEqual(parsed.values.id, 3);
+    assert.deepStrictEqual(plain(parsed.values.route), ['a', 'b']);
+});
+
+test('TWEEN_ARGS defaults duration to 0 and validates the ease name', () => {
+    const R = setup().PluginCommandRegistry;
+    const ok = R.parseArgs(R.TWEEN_ARGS, []);
+    assert.strictEqual(ok.error, null);
+    assert.strictEqual(ok.values.duration, 0);
+    assert.strictEqual(ok.values.ease, undefined);
+    assert.strictEqual(R.parseArgs(R.TWEEN_ARGS, ['2', 'linear']).values.ease, 'linear');
+    assert.match(R.parseArgs(R.TWEEN_ARGS, ['2', 'bouncy']).error, /알 수 없는 이징/);
+});
+
+test('dispatch runs the matching subcommand with parsed values', () => {
+    const R = setup().PluginCommandRegistry;
+    const calls = [];
+    R.register('Cam', {
+        aliases: ['Camera'],
+        subcommands: {
+            tilt: {
+                args: [{ name: 'deg', type: 'number' }].concat(R.TWEEN_ARGS),
+                run: function(a) { calls.push([a.deg, a.duration, a.ease]); }
+            }
+        }
+    });
+    assert.strictEqual(R.dispatch(null, 'Camera', ['tilt', '30', '', '1.5']), true);
+    assert.deepStrictEqual(calls, [[30, 1.5, undefined]]);
+    assert.strictEqual(R.dispatch(null, 'Unknown', []), false);
+});
+
+test('bad calls warn outside dev mode but only fill the error list in dev mode', () => {
+    const ctx = setup();
+    const R = ctx.PluginCommandRegistry;
+    R.register('Cam', { subcommands: { tilt: { args: [], run: function() {} } } });
+    R.dispatch(null, 'Cam', ['Tilt']);
+    assert.strictEqual(ctx.warnings.length, 1);
+    assert.match(ctx.warnings[0], /알 수 없는 서브커맨드 "Tilt" \("tilt"\?\)/);
+    assert.strictEqual(R.errors().length, 0);
+
+    const dev = setup('?dev=true');
+    dev.PluginCommandRegistry.register('Cam', { args: [{ name: 'x', type: 'number' }], run: function() {} });
+    dev.PluginCommandRegistry.dispatch(null, 'Cam', []);
+    assert.strictEqual(dev.PluginCommandRegistry.errors().length, 1);
+    assert.strictEqual(dev.warnings.length, 1);
+});
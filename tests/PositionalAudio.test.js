@@ -0,0 +1,66 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, plain } = require('./helpers/loadScript');
+
+function setup() {
+    return loadScripts({
+        globals: { AudioManager: {} },
+        stubs: ['Game_Event', 'Game_MapObject', 'Scene_Map'],
+        files: ['js/3d/PositionalAudio.js']
+    });
+}
+
+test('parseSoundTag reads key:value pairs and fills defaults', () => {
+    const PA = setup().PositionalAudio;
+    const s = PA.parseSoundTag('<sound name:Waterfall volume:80 distance:10>');
+    assert.deepStrictEqual(plain(s), { name: 'Waterfall', volume: 80, pitch: 100, distance: 10, interval: 0 });
+});
+
+test('parseSoundTag accepts quoted names with spaces', () => {
+    const PA = setup().PositionalAudio;
+    const s = PA.parseSoundTag('text before\n<sound name:"Forge Hammer" interval:4 pitch:110>');
+    assert.strictEqual(s.name, 'Forge Hammer');
+    assert.strictEqual(s.interval, 4);
+    assert.strictEqual(s.pitch, 110);
+    assert.strictEqual(s.distance, PA.config.defaultDistance);
+});
+
+test('parseSoundTag rejects missing tags or names and clamps ranges', () => {
+    const PA = setup().PositionalAudio;
+    assert.strictEqual(PA.parseSoundTag(''), null);
+    assert.strictEqual(PA.parseSoundTag('<light color:#fff>'), null);
+    assert.strictEqual(PA.parseSoundTag('<sound volume:80>'), null);
+    const s = PA.parseSoundTag('<sound name:Wind distance:0 interval:-3 volume:abc>');
+    assert.strictEqual(s.distance, 0.5);
+    assert.strictEqual(s.interval, 0);
+    assert.strictEqual(s.volume, 90);
+});
+
+test('event sound settings are cached per page without touching the saved event', () => {
+    const ctx = setup();
+    const page = { list: [{ code: 108, parameters: ['<sound name:Fire distance:4>'] }] };
+    const event = Object.create(ctx.Game_Event.prototype);
+    event._pageIndex = 0;
+    event.page = () => page;
+    event.event = () => ({ note: '' });
+    const keys = Object.keys(event);
+    const first = event.soundSettings();
+    assert.strictEqual(first.name, 'Fire');
+    assert.strictEqual(event.soundSettings(), first);
+    assert.deepStrictEqual(Object.keys(event), keys);
+});
+
+test('map object sound settings are cached per sound data without touching the object', () => {
+    const ctx = setup();
+    const data = { sound: { name: 'Forge', volume: 60 } };
+    const obj = Object.create(ctx.Game_MapObject.prototype);
+    obj.data = () => data;
+    const first = obj.soundSettings();
+    assert.strictEqual(first.volume, 60);
+    assert.strictEqual(obj.soundSettings(), first);
+    assert.deepStrictEqual(Object.keys(obj), ['data']);
+    data.sound = null;
+    assert.strictEqual(obj.soundSettings(), null);
+});
@@ -0,0 +1,57 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/loadScript');
+
+function setup(globals) {
+    return loadScripts({
+        globals: globals,
+        files: ['js/libs/three.global.min.js', 'js/3d/PostProcessEffects.js']
+    }).PostProcessEffects;
+}
+
+function rendererGlobals(isWebGL2) {
+    return { Graphics: { _renderer: { renderer: { capabilities: { isWebGL2: isWebGL2 } } } } };
+}
+
+// 2x2x2 항등 LUT (r 가장 빠름, 그 다음 g, b)
+const IDENTITY_2 = [
+    'TITLE "identity"',
+    '# comment',
+    'LUT_3D_SIZE 2',
+    'DOMAIN_MIN 0.0 0.0 0.0',
+    'DOMAIN_MAX 1.0 1.0 1.0',
+    '',
+    '0 0 0', '1 0 0', '0 1 0', '1 1 0',
+    '0 0 1', '1 0 1', '0 1 1', '1 1 1'
+].join('\r\n');
+
+test('parseCubeLut reads size and RGBA entries in file order', () => {
+    const lut = setup().parseCubeLut(IDENTITY_2);
+    assert.strictEqual(lut.size, 2);
+    assert.strictEqual(lut.data.length, 2 * 2 * 2 * 4);
+    assert.deepStrictEqual(Array.from(lut.data.slice(0, 8)), [0, 0, 0, 255, 255, 0, 0, 255]);
+    assert.deepStrictEqual(Array.from(lut.data.slice(28, 32)), [255, 255, 255, 255]);
+});
+
+test('parseCubeLut clamps values outside 0..1', () => {
+    const text = 'LUT_3D_SIZE 2\n' + Array(8).fill('-0.5 0.5 1.5').join('\n');
+    const lut = setup().parseCubeLut(text);
+    assert.deepStrictEqual(Array.from(lut.data.slice(0, 4)), [0, 128, 255, 255]);
+});
+
+test('parseCubeLut rejects data that does not match LUT_3D_SIZE', () => {
+    const PPE = setup();
+    assert.throws(() => PPE.parseCubeLut('LUT_3D_SIZE 2\n0 0 0\n1 1 1'), /LUT_3D_SIZE 2/);
+    assert.throws(() => PPE.parseCubeLut('0 0 0'), /LUT_3D_SIZE 0/);
+});
+
+test('3D LUT textures follow the renderer WebGL2 capability', () => {
+    assert.strictEqual(setup(rendererGlobals(true)).useLut3D(), true);
+    assert.strictEqual(setup(rendererGlobals(false)).useLut3D(), false);
+    // 렌더러가 생기기 전에는 판단을 미루고 캐시하지 않는다
+    const PPE = setup();
+    assert.strictEqual(PPE.useLut3D(), false);
+    assert.strictEqual(PPE._lutUse3D, null);
+});
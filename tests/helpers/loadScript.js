@@ -0,0 +1,73 @@
+// 브라우저 전역 스크립트(IIFE + window.X)를 Node vm 컨텍스트에 로드하는 테스트 헬퍼.
+// 게임 전역(Game_Interpreter, $gameMap 등)은 테스트마다 필요한 만큼 stub으로 넣는다.
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+
+/**
+ * @param {Object} [globals] 컨텍스트에 넣을 전역 (window는 컨텍스트 자신)
+ * @returns {Object} vm 컨텍스트
+ */
+function createContext(globals) {
+    const warnings = [];
+    const context = Object.assign({
+        console: {
+            log() {},
+            error() {},
+            warn(message) { warnings.push(String(message)); }
+        },
+        location: { search: '' },
+        warnings: warnings
+    }, globals);
+    context.window = context;
+    return vm.createContext(context);
+}
+
+/** 컨텍스트에서 소스 문자열 실행 (stub 클래스 정의용) */
+function run(context, code) {
+    return vm.runInContext(code, context);
+}
+
+/** 로드 시점에 프로토타입을 훅하는 게임 클래스들을 빈 생성자로 정의 (이미 있으면 그대로) */
+function stubClasses(context, names) {
+    names.forEach(function(name) {
+        if (!context[name]) vm.runInContext('function ' + name + '() {}', context);
+    });
+    return context;
+}
+
+/** 저장소 루트 기준 경로의 스크립트를 컨텍스트에 로드 */
+function load(context, file) {
+    const code = fs.readFileSync(path.join(ROOT, file), 'utf8');
+    vm.runInContext(code, context, { filename: file });
+    return context;
+}
+
+/**
+ * 테스트 파일 setup()용: 컨텍스트 생성 → 게임 클래스 stub → 스크립트 순서대로 로드
+ * @param {Object} [options]
+ * @param {Object} [options.globals] createContext에 넘길 전역
+ * @param {Array} [options.stubs] stubClasses로 정의할 클래스 이름
+ * @param {Array} [options.files] 저장소 루트 기준 스크립트 경로 (로드 순서대로)
+ * @returns {Object} vm 컨텍스트
+ */
+function loadScripts(options) {
+    options = options || {};
+    const context = createContext(options.globals);
+    stubClasses(context, options.stubs || []);
+    (options.files || []).forEach(function(file) {
+        load(context, file);
+    });
+    return context;
+}
+
+/** vm 컨텍스트에서 만든 객체/배열을 이 realm의 일반 값으로 (deepStrictEqual 비교용) */
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { createContext, run, stubClasses, load, loadScripts, plain };